@@ -20,6 +20,10 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Not authorized, user not found' });
       }
 
+      if (!req.user.organisation) {
+        return res.status(403).json({ message: 'Not authorized, user has no organisation' });
+      }
+
       next();
     } catch (error) {
       console.error(error);
@@ -0,0 +1,18 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Restrict a route to users whose role grants all of the given permissions.
+// Must run after the auth middleware so req.user is set.
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'Not authorized, your role does not allow this action',
+      missingPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
\ No newline at end of file
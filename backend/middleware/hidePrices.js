@@ -0,0 +1,37 @@
+const { hasPermission, PRICE_FIELDS } = require('../utils/permissions');
+
+// Response fields that hold money amounts
+const PRICE_FIELD_SET = new Set(PRICE_FIELDS);
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !PRICE_FIELD_SET.has(key))
+        .map(([key, nested]) => [key, redact(nested)])
+    );
+  }
+
+  return value;
+};
+
+// Strip prices from JSON responses for roles without the prices:view permission.
+// The check runs when the response is sent, after the auth middleware has set req.user.
+const hidePrices = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (body !== undefined && req.user && !hasPermission(req.user.role, 'prices:view')) {
+      return json(redact(JSON.parse(JSON.stringify(body))));
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = hidePrices;
\ No newline at end of file
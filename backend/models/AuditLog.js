@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A record of an organisation-wide change that isn't kept anywhere else, such as a customer merge
+const auditLogSchema = new mongoose.Schema({
+  // What happened, e.g. 'customer.merge'
+  action: {
+    type: String,
+    required: true
+  },
+  // The record the change was made to
+  entityType: {
+    type: String,
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // One line describing the change
+  summary: {
+    type: String,
+    required: true
+  },
+  // Whatever is needed to understand or undo the change by hand
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Changes made in several steps are logged as pending before the first step and completed
+  // after the last, so one that stopped partway can be finished
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'completed'
+  },
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ organisation: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1 });
+auditLogSchema.index({ status: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -1,4 +1,83 @@
 const mongoose = require('mongoose');
+const issueReferenceSchema = require('./issueReferenceSchema');
+const taxSchema = require('./taxSchema');
+const { moneyField, moneySchemaOptions } = require('./moneyField');
+const { BOOKING_STATUSES } = require('../utils/bookingStatus');
+const { PRICING_RULE_TYPES, calculateEntryPrice } = require('../utils/pricingEngine');
+const { CURRENCY_CODES, DEFAULT_CURRENCY, roundMoney } = require('../utils/money');
+const { CHARGE_TYPES, chargesTotal } = require('../utils/additionalCharges');
+const { calculateTax } = require('../utils/tax');
+
+// Schema for each change of a booking's status
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...BOOKING_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Empty when the change was made automatically (e.g. an expired provisional hold)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// A pricing rule that applied to an entry when the booking was saved
+const appliedRuleSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PricingRule'
+  },
+  name: String,
+  type: {
+    type: String,
+    enum: PRICING_RULE_TYPES
+  },
+  percentage: Number,
+  // What qualified the entry, e.g. "6 issues"
+  detail: String
+}, { _id: false });
+
+// How an entry's price was worked out by the pricing rules (see utils/pricingEngine.js)
+const entryPricingSchema = new mongoose.Schema({
+  // Discount the rules gave; the entry's discountPercentage differs when overridden
+  ruleDiscountPercentage: {
+    type: Number,
+    default: 0
+  },
+  commissionPercentage: {
+    type: Number,
+    default: 0
+  },
+  // Agency commission per issue, taken off after discounts
+  commission: moneyField({
+    default: 0
+  }),
+  rules: [appliedRuleSchema],
+  // The discount percentage was typed in rather than taken from the rules
+  discountOverride: {
+    type: Boolean,
+    default: false
+  },
+  // The entry's discount differs from the rules (an override or a fixed discount)
+  manualOverride: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false, ...moneySchemaOptions });
 
 // Schema for individual magazine booking entries
 const magazineEntrySchema = new mongoose.Schema({
@@ -17,40 +96,81 @@ const magazineEntrySchema = new mongoose.Schema({
     required: true
   },
   // Pricing for this specific magazine entry
-  listPrice: {
-    type: Number,
+  listPrice: moneyField({
     required: true,
     min: 0
-  },
+  }),
   discountPercentage: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
   },
-  discountValue: {
-    type: Number,
+  discountValue: moneyField({
     default: 0,
     min: 0
-  },
-  totalPrice: {
-    type: Number,
+  }),
+  // Net price per issue after discounts and commission
+  totalPrice: moneyField({
     required: true,
     min: 0
+  }),
+  pricing: {
+    type: entryPricingSchema,
+    default: () => ({})
   },
-  // Issue scheduling for this magazine entry
+  // Issue scheduling for this magazine entry (issues of the magazine's schedule)
   startIssue: {
-    type: String,
+    type: issueReferenceSchema,
     required: true
   },
   finishIssue: {
-    type: String
+    type: issueReferenceSchema,
+    default: null
   },
   isOngoing: {
     type: Boolean,
     default: false
+  },
+  // Production progress of the artwork for this entry
+  artworkStatus: {
+    type: String,
+    enum: ['Awaiting', 'Received', 'Approved'],
+    default: 'Awaiting'
   }
-});
+}, moneySchemaOptions);
+
+// An itemised additional charge, for the whole booking or for one of its entries
+const additionalChargeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CHARGE_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: moneyField({
+    required: true,
+    min: 0
+  }),
+  // Magazine entry the charge is for, empty for the whole booking
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Issue of that entry the charge is for, e.g. a late artwork fee
+  issue: {
+    type: issueReferenceSchema,
+    default: null
+  },
+  taxable: {
+    type: Boolean,
+    default: true
+  }
+}, moneySchemaOptions);
 
 const bookingSchema = new mongoose.Schema({
   customer: {
@@ -60,43 +180,79 @@ const bookingSchema = new mongoose.Schema({
   },
   // Array of magazine entries (each row in the table)
   magazineEntries: [magazineEntrySchema],
-  // Overall booking details
-  totalValue: {
+  // Currency the customer is billed in, and the units of it one unit of the organisation's
+  // base currency bought when the booking was saved
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: DEFAULT_CURRENCY
+  },
+  exchangeRate: {
     type: Number,
+    default: 1,
+    min: 0
+  },
+  // Overall booking details. The total value is net of tax.
+  totalValue: moneyField({
     required: true,
     default: 0,
     min: 0
+  }),
+  additionalCharges: [additionalChargeSchema],
+  // Tax on the entries and the taxable charges, at the customer's rate when the booking was saved
+  tax: {
+    type: taxSchema,
+    default: () => ({})
   },
-  additionalCharges: {
-    type: Number,
-    default: 0
-  },
+  // Total value including tax
+  grossValue: moneyField({
+    default: 0,
+    min: 0
+  }),
   // Overall notes for the entire booking
   notes: {
     type: String,
     trim: true
   },
-  // User who created this booking (for multi-tenant support)
+  // Organisation that owns this booking (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this booking
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  // Status for future workflow management
+  // Lifecycle status (see utils/bookingStatus.js for the allowed transitions)
   status: {
     type: String,
-    enum: ['Active', 'Completed', 'Cancelled'],
-    default: 'Active'
-  }
+    enum: BOOKING_STATUSES,
+    default: 'Draft'
+  },
+  // When a provisional hold is released if it has not been confirmed
+  provisionalExpiresAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: [statusChangeSchema]
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
 // Create indexes for efficient querying
 bookingSchema.index({ customer: 1 });
-bookingSchema.index({ createdBy: 1 });
+bookingSchema.index({ organisation: 1 });
+bookingSchema.index({ organisation: 1, createdAt: -1 });
+bookingSchema.index({ organisation: 1, status: 1 });
+bookingSchema.index({ organisation: 1, 'magazineEntries.magazine': 1 });
+bookingSchema.index({ organisation: 1, 'magazineEntries.contentType': 1 });
+bookingSchema.index({ status: 1, provisionalExpiresAt: 1 });
 bookingSchema.index({ 'magazineEntries.magazine': 1 });
-bookingSchema.index({ 'magazineEntries.startIssue': 1 });
+bookingSchema.index({ 'magazineEntries.startIssue.schedule': 1, 'magazineEntries.startIssue.sortOrder': 1 });
 
 // Pre-save middleware to calculate total value
 bookingSchema.pre('save', async function(next) {
@@ -105,14 +261,20 @@ bookingSchema.pre('save', async function(next) {
     let calculatedTotal = 0;
     
     for (const entry of this.magazineEntries) {
-      // Calculate entry total: listPrice - discountValue + any proportional additional charges
-      const entryTotal = entry.listPrice - (entry.discountValue || 0);
-      entry.totalPrice = entryTotal;
-      calculatedTotal += entryTotal;
+      const { netPrice, commission } = calculateEntryPrice(entry);
+      entry.totalPrice = netPrice;
+      entry.pricing.commission = commission;
+      calculatedTotal += netPrice;
     }
     
-    // Add additional charges to total
-    this.totalValue = calculatedTotal + (this.additionalCharges || 0);
+    // Add the additional charges to the total
+    this.totalValue = roundMoney(calculatedTotal + chargesTotal(this.additionalCharges));
+
+    // Tax is charged on the entries and the charges not marked as untaxed
+    const taxableCharges = (this.additionalCharges || []).filter(charge => charge.taxable !== false);
+    this.tax.taxableAmount = roundMoney(calculatedTotal + chargesTotal(taxableCharges));
+    this.tax.amount = calculateTax(this.tax.taxableAmount, this.tax.percentage);
+    this.grossValue = roundMoney(this.totalValue + this.tax.amount);
     
     next();
   } catch (error) {
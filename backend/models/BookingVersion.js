@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A single field that changed between two versions of a booking
+const fieldChangeSchema = new mongoose.Schema({
+  // Id of the magazine entry the change belongs to, empty for booking-level fields
+  entry: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Id of the additional charge the change belongs to
+  charge: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Snapshot of a booking each time it is created, changed or deleted
+const bookingVersionSchema = new mongoose.Schema({
+  // Versions are kept when the booking is deleted, so its history survives
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  // Version a restore went back to
+  restoredFrom: {
+    type: Number
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [fieldChangeSchema],
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // Empty when the change was made automatically (e.g. an expired provisional hold)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bookingVersionSchema.index({ booking: 1, version: -1 }, { unique: true });
+bookingVersionSchema.index({ organisation: 1 });
+
+module.exports = mongoose.model('BookingVersion', bookingVersionSchema);
\ No newline at end of file
@@ -4,8 +4,13 @@ const businessTypeSchema = new mongoose.Schema({
   section: {
     type: String,
     required: true,
-    trim: true,
-    unique: true
+    trim: true
+  },
+  // Organisation that owns this business type (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
   },
   archived: {
     type: Boolean,
@@ -17,5 +22,6 @@ const businessTypeSchema = new mongoose.Schema({
 
 // Create index for efficient searching
 businessTypeSchema.index({ section: 'text' });
+businessTypeSchema.index({ organisation: 1, section: 1 }, { unique: true }); // Prevent duplicate sections per organisation
 
 module.exports = mongoose.model('BusinessType', businessTypeSchema); 
\ No newline at end of file
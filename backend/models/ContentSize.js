@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('./moneyField');
+const { CURRENCY_CODES, DEFAULT_CURRENCY } = require('../utils/money');
+
+// A price for a magazine that applies from a date or issue onwards, so price changes
+// leave issues already sold at the old rate alone
+const rateSchema = new mongoose.Schema({
+  price: moneyField({
+    required: true,
+    min: 0
+  }),
+  // Booking close date from which the rate applies (the issue's close date when set from an issue)
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  // Issue of the magazine's schedule the rate applies from, if set from an issue
+  effectiveIssue: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
 
 const pricingSchema = new mongoose.Schema({
   magazine: {
@@ -6,12 +33,13 @@ const pricingSchema = new mongoose.Schema({
     ref: 'Magazine',
     required: true
   },
-  price: {
-    type: Number,
+  price: moneyField({
     required: true,
     min: 0
-  }
-});
+  }),
+  // Later versions of the price; the base price above applies to issues before the first one
+  rates: [rateSchema]
+}, moneySchemaOptions);
 
 const contentSizeSchema = new mongoose.Schema({
   description: {
@@ -27,7 +55,19 @@ const contentSizeSchema = new mongoose.Schema({
   },
   // Array of pricing for different magazines
   pricing: [pricingSchema],
-  // User who created this content size (for multi-tenant support)
+  // Currency of the prices: the organisation's base currency, converted for customers billed in another
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: DEFAULT_CURRENCY
+  },
+  // Organisation that owns this content size (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this content size
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -38,7 +78,8 @@ const contentSizeSchema = new mongoose.Schema({
     default: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
 // Create index for efficient searching
@@ -10,12 +10,28 @@ const contentTypeSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  // User who created this content type (for multi-tenant support)
+  // Organisation that owns this content type (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this content type
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Exclusive positions (e.g. Front Cover) can only be booked a limited number of times per issue
+  exclusive: {
+    type: Boolean,
+    default: false
+  },
+  maxPerIssue: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   // Default content types cannot be deleted
   isDefault: {
     type: Boolean,
@@ -31,6 +47,6 @@ const contentTypeSchema = new mongoose.Schema({
 
 // Create index for efficient searching
 contentTypeSchema.index({ name: 'text' });
-contentTypeSchema.index({ createdBy: 1, name: 1 }, { unique: true }); // Prevent duplicate names per user
+contentTypeSchema.index({ organisation: 1, name: 1 }, { unique: true }); // Prevent duplicate names per organisation
 
 module.exports = mongoose.model('ContentType', contentTypeSchema); 
\ No newline at end of file
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const { CONTACT_ROLES } = require('../utils/customerContacts');
+const { TAX_TREATMENTS } = require('../utils/tax');
+const { CURRENCY_CODES } = require('../utils/money');
+
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  roles: [{
+    type: String,
+    enum: CONTACT_ROLES
+  }]
+});
+
+const addressSchema = new mongoose.Schema({
+  line1: { type: String, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, trim: true },
+  county: { type: String, trim: true },
+  postcode: { type: String, trim: true, uppercase: true },
+  country: { type: String, trim: true }
+}, { _id: false });
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -15,12 +48,54 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  contacts: [contactSchema],
+  postalAddress: addressSchema,
+  // Left empty when invoices go to the postal address
+  billingAddress: addressSchema,
+  vatNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Days the customer has to pay an invoice; the default terms apply when not set
+  paymentTermsDays: {
+    type: Number,
+    min: 0
+  },
+  // Whether the customer pays tax, e.g. reverse charge for business customers abroad (see utils/tax.js)
+  taxTreatment: {
+    type: String,
+    enum: TAX_TREATMENTS,
+    default: 'standard'
+  },
+  // Id of one of the organisation's tax rates; the default rate applies when not set
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Currency the customer is billed in; the organisation's base currency applies when not set
+  currency: {
+    type: String,
+    enum: [...CURRENCY_CODES, null],
+    default: null
+  },
+  // Agencies book for their clients and receive commission (see the commission pricing rules)
+  agency: {
+    type: Boolean,
+    default: false
+  },
   // For future CRM integration
   crmId: {
     type: String,
     trim: true
   },
-  // User who created this customer (for multi-tenant support)
+  // Organisation that owns this customer (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this customer
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
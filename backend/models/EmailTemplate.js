@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_KEYS } = require('../utils/emailTemplates');
+
+// An organisation's own version of one of the built-in email templates
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: TEMPLATE_KEYS,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true
+  },
+  html: {
+    type: String,
+    required: [true, 'Body is required']
+  },
+  // Organisation that owns this template (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who last changed the template
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailTemplateSchema.index({ organisation: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
\ No newline at end of file
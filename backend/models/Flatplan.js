@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// An item placed on the pages of an issue: a booked magazine entry or an editorial placeholder
+const placementSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['booking', 'editorial'],
+    required: true
+  },
+  // Booking and magazine entry placed (booking placements)
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  entry: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Title of an editorial placeholder
+  label: {
+    type: String,
+    trim: true
+  },
+  // First page the item is on, counting from 1
+  page: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Where on the first page the item starts, as a fraction of the page
+  position: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 0.999
+  },
+  // Pages the item takes, from the content size for booking placements
+  size: {
+    type: Number,
+    required: true,
+    min: 0.001
+  }
+});
+
+const flatplanSchema = new mongoose.Schema({
+  magazine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Magazine',
+    required: true
+  },
+  // Issue of the magazine's schedule being planned
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: true
+  },
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  placements: [placementSchema],
+  // Organisation that owns this flatplan (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who last saved this flatplan
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One flatplan per issue of a magazine
+flatplanSchema.index({ organisation: 1, magazine: 1, issue: 1 }, { unique: true });
+
+module.exports = mongoose.model('Flatplan', flatplanSchema);
\ No newline at end of file
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const issueReferenceSchema = require('./issueReferenceSchema');
+const taxSchema = require('./taxSchema');
+const { moneyField, moneySchemaOptions } = require('./moneyField');
+const { CURRENCY_CODES, DEFAULT_CURRENCY, roundMoney } = require('../utils/money');
+const { calculateTax } = require('../utils/tax');
+const { INVOICE_STATUSES } = require('../utils/invoiceStatus');
+
+// A billed insertion of a magazine entry in one issue, or an additional charge of a booking
+const invoiceLineSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Magazine entry billed, or the entry an additional charge is for
+  entry: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Additional charge billed (not set for insertions)
+  charge: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  magazine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Magazine'
+  },
+  issue: {
+    type: issueReferenceSchema,
+    default: null
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  listPrice: moneyField({
+    default: 0
+  }),
+  discountPercentage: {
+    type: Number,
+    default: 0
+  },
+  discountValue: moneyField({
+    default: 0
+  }),
+  amount: moneyField({
+    required: true
+  }),
+  // Untaxed lines are left out of the tax
+  taxable: {
+    type: Boolean,
+    default: true
+  },
+  // Key of the insertion billed, see utils/invoices.js
+  insertion: {
+    type: String,
+    required: true
+  }
+}, moneySchemaOptions);
+
+const invoiceSchema = new mongoose.Schema({
+  // Sequential number within the organisation, given when the invoice is issued
+  number: {
+    type: String,
+    trim: true
+  },
+  sequence: {
+    type: Number
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // What the invoice was generated from: one booking, or an issue (optionally of one magazine)
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  issue: {
+    type: issueReferenceSchema,
+    default: null
+  },
+  magazine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Magazine'
+  },
+  // Customer billing details as they were when the invoice was issued
+  billTo: {
+    name: String,
+    contactName: String,
+    email: String,
+    address: {
+      type: [String],
+      default: undefined
+    },
+    vatNumber: String
+  },
+  // Currency of the bookings billed, and the units of it one unit of the organisation's
+  // base currency bought when they were priced
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: DEFAULT_CURRENCY
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  lines: [invoiceLineSchema],
+  // Net of tax
+  totalAmount: moneyField({
+    required: true,
+    default: 0
+  }),
+  // Tax on the taxable lines, at the customer's rate when the invoice was drafted or issued
+  tax: {
+    type: taxSchema,
+    default: () => ({})
+  },
+  // Total amount including tax
+  grossAmount: moneyField({
+    default: 0
+  }),
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'Draft'
+  },
+  issuedAt: Date,
+  dueDate: Date,
+  paidAt: Date,
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Insertions billed by this invoice, removed when it is voided so they can be invoiced again.
+  // The unique index stops the same insertion being on two invoices.
+  insertions: {
+    type: [String],
+    default: undefined
+  },
+  // Organisation that owns this invoice (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this invoice
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+invoiceSchema.index({ organisation: 1, status: 1, createdAt: -1 });
+invoiceSchema.index({ organisation: 1, customer: 1 });
+invoiceSchema.index({ insertions: 1 }, { unique: true, sparse: true });
+invoiceSchema.index(
+  { organisation: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Pre-save middleware to calculate the tax on the taxable lines
+invoiceSchema.pre('save', function(next) {
+  const taxable = this.lines.filter(line => line.taxable !== false);
+  this.tax.taxableAmount = roundMoney(taxable.reduce((sum, line) => sum + line.amount, 0));
+  this.tax.amount = calculateTax(this.tax.taxableAmount, this.tax.percentage);
+  this.grossAmount = roundMoney(this.totalAmount + this.tax.amount);
+  next();
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const issueReferenceSchema = require('./issueReferenceSchema');
+const taxSchema = require('./taxSchema');
+const { moneyField, moneySchemaOptions } = require('./moneyField');
+const { CURRENCY_CODES, DEFAULT_CURRENCY, roundMoney } = require('../utils/money');
+const { calculateTax } = require('../utils/tax');
 
 const leafletDeliverySchema = new mongoose.Schema({
   customer: {
@@ -13,11 +18,11 @@ const leafletDeliverySchema = new mongoose.Schema({
   },
   // Issue scheduling (like bookings)
   startIssue: {
-    type: String,
+    type: issueReferenceSchema,
     required: true
   },
   finishIssue: {
-    type: String,
+    type: issueReferenceSchema,
     required: true
   },
   // Leaflet details
@@ -26,17 +31,45 @@ const leafletDeliverySchema = new mongoose.Schema({
     required: true,
     min: 1
   },
-  charge: {
+  // Currency the customer is billed in, and the units of it one unit of the organisation's
+  // base currency bought when the delivery was saved
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: DEFAULT_CURRENCY
+  },
+  exchangeRate: {
     type: Number,
+    default: 1,
+    min: 0
+  },
+  // Net of tax
+  charge: moneyField({
     required: true,
     min: 0
+  }),
+  // Tax on the charge, at the customer's rate when the delivery was saved
+  tax: {
+    type: taxSchema,
+    default: () => ({})
   },
+  // Charge including tax
+  grossCharge: moneyField({
+    default: 0,
+    min: 0
+  }),
   // Optional note
   note: {
     type: String,
     trim: true
   },
-  // User who created this booking (for multi-tenant support)
+  // Organisation that owns this leaflet delivery (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this leaflet delivery
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -49,12 +82,21 @@ const leafletDeliverySchema = new mongoose.Schema({
     default: 'Active'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
 // Create indexes for efficient querying
-leafletDeliverySchema.index({ customer: 1, startIssue: 1 });
-leafletDeliverySchema.index({ magazine: 1, startIssue: 1 });
-leafletDeliverySchema.index({ createdBy: 1 });
+leafletDeliverySchema.index({ customer: 1, 'startIssue.sortOrder': 1 });
+leafletDeliverySchema.index({ magazine: 1, 'startIssue.sortOrder': 1 });
+leafletDeliverySchema.index({ organisation: 1 });
+
+// Pre-save middleware to calculate the tax on the charge
+leafletDeliverySchema.pre('save', function(next) {
+  this.tax.taxableAmount = this.charge;
+  this.tax.amount = calculateTax(this.charge, this.tax.percentage);
+  this.grossCharge = roundMoney(this.charge + this.tax.amount);
+  next();
+});
 
 module.exports = mongoose.model('LeafletDelivery', leafletDeliverySchema); 
\ No newline at end of file
@@ -28,7 +28,20 @@ const magazineSchema = new mongoose.Schema({
   },
   // Page configurations for each issue in the schedule
   pageConfigurations: [pageConfigurationSchema],
-  // User who created this magazine (for multi-tenant support)
+  // How far past its page count an issue may be booked, as a percentage
+  overbookingPercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Organisation that owns this magazine (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this magazine
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -45,4 +58,15 @@ const magazineSchema = new mongoose.Schema({
 // Create index for efficient searching
 magazineSchema.index({ name: 'text' });
 
+// Page count of an issue, falling back to 40 pages when none is configured
+magazineSchema.methods.getTotalPages = function(issueName) {
+  const configuration = this.pageConfigurations.find(pc => pc.issueName === issueName);
+  return configuration ? configuration.totalPages : 40;
+};
+
+// Pages that may be booked in an issue, including the allowed overbooking
+magazineSchema.methods.getMaxPages = function(issueName) {
+  return this.getTotalPages(issueName) * (1 + (this.overbookingPercentage || 0) / 100);
+};
+
 module.exports = mongoose.model('Magazine', magazineSchema); 
\ No newline at end of file
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { DEFAULT_TAX_LABEL, DEFAULT_TAX_RATES } = require('../utils/tax');
+const { CURRENCY_CODES, DEFAULT_CURRENCY } = require('../utils/money');
+
+// A rate of tax the organisation charges; customers can be given a rate other than the default
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Units of another currency that one unit of the base currency buys, used for customers billed in it
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  }
+}, { _id: false });
+
+const organisationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organisation name is required'],
+    trim: true,
+    maxlength: [100, 'Organisation name cannot exceed 100 characters']
+  },
+  // User who created the organisation and manages its members
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Code colleagues use to join this organisation
+  inviteCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Last invoice number issued, incremented for each invoice
+  invoiceSequence: {
+    type: Number,
+    default: 0
+  },
+  // Letterhead and terms printed on booking confirmations, quotes and invoices
+  branding: {
+    address: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    website: {
+      type: String,
+      trim: true
+    },
+    colour: {
+      type: String,
+      default: '#1d4ed8',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Brand colour must be a hex colour such as #1d4ed8']
+    },
+    terms: {
+      type: String,
+      trim: true
+    }
+  },
+  // Name of the tax printed on documents, e.g. VAT or GST
+  taxLabel: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TAX_LABEL
+  },
+  // Rates charged on bookings, leaflet deliveries and invoices (see utils/tax.js)
+  taxRates: {
+    type: [taxRateSchema],
+    default: () => DEFAULT_TAX_RATES
+  },
+  // Currency prices are set in and reports are totalled in (see utils/money.js)
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: DEFAULT_CURRENCY
+  },
+  exchangeRates: [exchangeRateSchema]
+}, {
+  timestamps: true
+});
+
+// Generate a new invite code (invalidates the previous one)
+organisationSchema.methods.generateInviteCode = function() {
+  this.inviteCode = crypto.randomBytes(6).toString('hex');
+  return this.inviteCode;
+};
+
+module.exports = mongoose.model('Organisation', organisationSchema);
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { OUTBOX_STATUSES } = require('../utils/outboxStatus');
+const { TEMPLATE_KEYS } = require('../utils/emailTemplates');
+
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: Buffer,
+    required: true
+  }
+}, { _id: false });
+
+// An email as rendered when it was queued, with its delivery attempts (see utils/outbox.js)
+const outboxMessageSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    enum: TEMPLATE_KEYS,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String
+  },
+  attachments: [attachmentSchema],
+  // Booking the message is about, if any
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'Queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When a queued message is next due to be sent
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  // Message id given by the mail server
+  messageId: {
+    type: String
+  },
+  // Organisation that owns this message (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who sent the message, if any
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'outbox'
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ organisation: 1, createdAt: -1 });
+outboxMessageSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
\ No newline at end of file
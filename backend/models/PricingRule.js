@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { PRICING_RULE_TYPES } = require('../utils/pricingEngine');
+
+// A discount reached at a minimum number of issues (frequency) or magazines (bundle)
+const tierSchema = new mongoose.Schema({
+  minimum: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // See utils/pricingEngine.js for how each type applies
+  type: {
+    type: String,
+    enum: PRICING_RULE_TYPES,
+    required: true
+  },
+  // Magazine the rule applies to; organisation-wide rules have none and apply to
+  // magazines without rules of their own
+  magazine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Magazine',
+    default: null
+  },
+  // Discount tiers of frequency and bundle rules
+  tiers: [tierSchema],
+  // Commission of commission rules
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pricingRuleSchema.index({ organisation: 1, type: 1 });
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
\ No newline at end of file
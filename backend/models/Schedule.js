@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/scheduleRecurrence');
 
 const scheduleIssueSchema = new mongoose.Schema({
   name: {
@@ -6,10 +7,25 @@ const scheduleIssueSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Key dates, in the order they fall (see utils/issueDates.js).
+  // Bookings close on the close date; the rest are optional.
   closeDate: {
     type: Date,
     required: true
   },
+  artworkDeadline: {
+    type: Date
+  },
+  proofApprovalDate: {
+    type: Date
+  },
+  printDate: {
+    type: Date
+  },
+  // On-sale or distribution date, also set on issues generated from a recurrence rule
+  publicationDate: {
+    type: Date
+  },
   // For sorting issues chronologically
   sortOrder: {
     type: Number,
@@ -17,6 +33,40 @@ const scheduleIssueSchema = new mongoose.Schema({
   }
 });
 
+// Rule the schedule's issues were generated from, kept to extend it later
+// (see utils/scheduleRecurrence.js)
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  // Every N weeks, months or quarters
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Publication date of the first issue
+  startDate: {
+    type: Date,
+    required: true
+  },
+  namePattern: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Days before publication that an issue closes
+  closeOffsetDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Publication dates with no issue, such as holidays
+  skipDates: [Date]
+}, { _id: false });
+
 const scheduleSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -24,7 +74,17 @@ const scheduleSchema = new mongoose.Schema({
     trim: true
   },
   issues: [scheduleIssueSchema],
-  // User who created this schedule (for multi-tenant support)
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // Organisation that owns this schedule (for multi-tenant support)
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+    required: true
+  },
+  // User who created this schedule
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -40,6 +100,6 @@ const scheduleSchema = new mongoose.Schema({
 
 // Create index for efficient searching
 scheduleSchema.index({ name: 'text' });
-scheduleSchema.index({ createdBy: 1 });
+scheduleSchema.index({ organisation: 1 });
 
 module.exports = mongoose.model('Schedule', scheduleSchema); 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,8 +27,27 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // Organisation whose customers, magazines and bookings this user works on
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  },
+  // Role within the organisation (see utils/permissions.js for the permission matrix)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'read-only'
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // SHA-256 hash of the secret in the user's calendar feed URLs, which calendar apps fetch
+  // without logging in. The secret itself is only shown when it is generated.
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -60,6 +80,21 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash a calendar feed token as it is stored
+userSchema.statics.hashCalendarToken = function(token) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a new calendar feed token (invalidates the previous feed URLs).
+// Only the hash is stored, so the returned token cannot be read back later.
+userSchema.methods.generateCalendarToken = function() {
+  const crypto = require('crypto');
+  const token = crypto.randomBytes(20).toString('hex');
+  this.calendarToken = this.constructor.hashCalendarToken(token);
+  return token;
+};
+
 // Generate password reset token
 userSchema.methods.getResetPasswordToken = function() {
   const crypto = require('crypto');
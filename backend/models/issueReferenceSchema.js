@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Reference to an issue of a schedule, stored on bookings and leaflet deliveries.
+// The name and sortOrder are copies kept in sync when the schedule is edited, so
+// range queries can follow the schedule's chronology without a lookup.
+const issueReferenceSchema = new mongoose.Schema({
+  // Id of the issue subdocument within the schedule
+  issue: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Position of the issue within its schedule
+  sortOrder: {
+    type: Number
+  }
+}, { _id: false });
+
+module.exports = issueReferenceSchema;
\ No newline at end of file
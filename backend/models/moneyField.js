@@ -0,0 +1,22 @@
+const { toMinor, fromMinor } = require('../utils/money');
+
+// An amount of money, stored as a whole number of minor units (pence, cents) so totals add
+// up exactly, and read and written in major units. Aggregations and lean queries see the
+// stored minor units.
+const moneyField = (options = {}) => ({
+  type: Number,
+  get: (value) => value === null || value === undefined ? value : fromMinor(value),
+  set: (value) => value === null || value === undefined || value === '' ? value : toMinor(value),
+  ...options
+});
+
+// Schema options so documents turned into objects or JSON carry major units too
+const moneySchemaOptions = {
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+};
+
+module.exports = {
+  moneyField,
+  moneySchemaOptions
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('./moneyField');
+const { TAX_TREATMENTS, DEFAULT_TAX_LABEL } = require('../utils/tax');
+
+// Tax charged on a booking, leaflet delivery or invoice. The rate is copied from the
+// organisation when the document is saved, so later rate changes leave it alone.
+const taxSchema = new mongoose.Schema({
+  // Name of the tax, e.g. VAT or GST
+  label: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TAX_LABEL
+  },
+  // Name of the rate, e.g. Standard or Reduced
+  name: {
+    type: String,
+    trim: true
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  treatment: {
+    type: String,
+    enum: TAX_TREATMENTS,
+    default: 'standard'
+  },
+  // Net amount the tax is charged on
+  taxableAmount: moneyField({
+    default: 0
+  }),
+  amount: moneyField({
+    default: 0
+  })
+}, { _id: false, ...moneySchemaOptions });
+
+module.exports = taxSchema;
\ No newline at end of file
@@ -1,27 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const User = require('../models/User');
+const Organisation = require('../models/Organisation');
 const generateToken = require('../utils/generateToken');
 const protect = require('../middleware/auth');
-const { seedContentTypesForUser } = require('../utils/seedContentTypes');
+const { seedContentTypesForOrganisation } = require('../utils/seedContentTypes');
+const { createPersonalOrganisation } = require('../utils/organisations');
+const { getPermissions } = require('../utils/permissions');
+const { sendEmail } = require('../utils/outbox');
+const { isEmailConfigured } = require('../utils/mailer');
 
 const router = express.Router();
 
-// Email transporter setup (you'll need to configure this with your email service)
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-    port: process.env.EMAIL_PORT || 587,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
-};
-
 // @desc    Register new user
 // @route   POST /api/auth/signup
 // @access  Public
@@ -39,6 +30,9 @@ router.post('/signup', [
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  body('inviteCode')
+    .optional({ checkFalsy: true })
+    .trim(),
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -50,7 +44,7 @@ router.post('/signup', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteCode } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -58,20 +52,34 @@ router.post('/signup', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
+    // Look up the organisation to join when signing up with an invite code
+    let organisation = null;
+    if (inviteCode) {
+      organisation = await Organisation.findOne({ inviteCode });
+      if (!organisation) {
+        return res.status(400).json({ message: 'Invalid invite code' });
+      }
+    }
+
     // Create user
     const user = await User.create({
       name,
       email,
       password,
+      organisation: organisation ? organisation._id : undefined,
     });
 
     if (user) {
-      // Seed default content types for the new user
-      try {
-        await seedContentTypesForUser(user._id);
-      } catch (error) {
-        console.error('Error seeding content types for new user:', error);
-        // Don't fail registration if content type seeding fails
+      if (!organisation) {
+        organisation = await createPersonalOrganisation(user);
+
+        // Seed default content types for the new organisation
+        try {
+          await seedContentTypesForOrganisation(organisation._id, user._id);
+        } catch (error) {
+          console.error('Error seeding content types for new organisation:', error);
+          // Don't fail registration if content type seeding fails
+        }
       }
 
       res.status(201).json({
@@ -81,6 +89,9 @@ router.post('/signup', [
           id: user._id,
           name: user.name,
           email: user.email,
+          organisation: user.organisation,
+          role: user.role,
+          permissions: getPermissions(user.role),
         },
         token: generateToken(user._id),
       });
@@ -128,6 +139,9 @@ router.post('/login', [
           id: user._id,
           name: user.name,
           email: user.email,
+          organisation: user.organisation,
+          role: user.role,
+          permissions: getPermissions(user.role),
         },
         token: generateToken(user._id),
       });
@@ -175,47 +189,38 @@ router.post('/forgot-password', [
     // Create reset URL
     const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
 
-    const message = `
-      <h2>Password Reset Request</h2>
-      <p>You have requested to reset your password. Please click the link below to reset your password:</p>
-      <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a>
-      <p>If you did not request this, please ignore this email.</p>
-      <p>This link will expire in 10 minutes.</p>
-    `;
-
-    try {
-      // Send email only if email configuration is available
-      if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-        const transporter = createTransporter();
-        
-        await transporter.sendMail({
-          from: process.env.EMAIL_FROM || 'noreply@bookingsapp.com',
-          to: user.email,
-          subject: 'Password Reset Request',
-          html: message,
-        });
-        
-        res.json({
-          success: true,
-          message: 'Password reset email sent successfully'
-        });
-      } else {
-        // For development, just return the reset token
-        res.json({
-          success: true,
-          message: 'Password reset requested',
-          resetToken: resetToken, // Remove this in production
-          resetUrl: resetUrl // Remove this in production
-        });
-      }
-    } catch (error) {
-      console.error('Email send error:', error);
+    // For development without email configured, just return the reset token
+    if (!isEmailConfigured()) {
+      return res.json({
+        success: true,
+        message: 'Password reset requested',
+        resetToken: resetToken, // Remove this in production
+        resetUrl: resetUrl // Remove this in production
+      });
+    }
+
+    // The link expires soon, so a failed send is reported rather than retried later
+    const message = await sendEmail({
+      organisation: user.organisation,
+      template: 'passwordReset',
+      to: user.email,
+      variables: { userName: user.name, resetUrl },
+      createdBy: user._id
+    }, { retry: false });
+
+    if (message.status !== 'Sent') {
+      console.error('Email send error:', message.lastError);
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
       await user.save({ validateBeforeSave: false });
 
-      res.status(500).json({ message: 'Email could not be sent' });
+      return res.status(500).json({ message: 'Email could not be sent' });
     }
+
+    res.json({
+      success: true,
+      message: 'Password reset email sent successfully'
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -271,6 +276,9 @@ router.put('/reset-password/:resettoken', [
         id: user._id,
         name: user.name,
         email: user.email,
+        organisation: user.organisation,
+        role: user.role,
+        permissions: getPermissions(user.role),
       },
       token: generateToken(user._id),
     });
@@ -290,6 +298,9 @@ router.get('/me', protect, async (req, res) => {
       id: req.user._id,
       name: req.user.name,
       email: req.user.email,
+      organisation: req.user.organisation,
+      role: req.user.role,
+      permissions: getPermissions(req.user.role),
     },
   });
 });
@@ -376,6 +387,9 @@ router.put('/profile', protect, [
         id: user._id,
         name: user.name,
         email: user.email,
+        organisation: user.organisation,
+        role: user.role,
+        permissions: getPermissions(user.role),
       },
     });
   } catch (error) {
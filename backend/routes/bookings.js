@@ -1,50 +1,148 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Booking = require('../models/Booking');
 const Customer = require('../models/Customer');
 const Magazine = require('../models/Magazine');
 const ContentSize = require('../models/ContentSize');
 const Schedule = require('../models/Schedule');
+const BookingVersion = require('../models/BookingVersion');
+const Organisation = require('../models/Organisation');
 const auth = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
-
-// Helper function to validate if an issue is available (not past close date)
-const validateIssueAvailability = async (issueName, userId) => {
-  const currentDate = new Date();
-  
-  // Find all schedules for the user that contain this issue name
-  const schedules = await Schedule.find({ 
-    createdBy: userId,
-    archived: false,
-    'issues.name': issueName
-  });
-
-  // If no schedules contain this issue, it's considered available (backward compatibility)
-  if (schedules.length === 0) {
-    return { available: true };
+const authorize = require('../middleware/authorize');
+const { body, query, validationResult } = require('express-validator');
+const {
+  toIssueReference,
+  findScheduleIssue,
+  resolveMagazineIssue,
+  checkIssueOpen,
+  findIssuePositions,
+  entryRunsInIssue
+} = require('../utils/issues');
+const { BOOKING_STATUSES, INITIAL_STATUSES, SPACE_STATUSES, applyStatusChange } = require('../utils/bookingStatus');
+const { checkCapacity, getMagazineCapacity } = require('../utils/capacity');
+const { checkExclusivePositions } = require('../utils/exclusivePositions');
+const { recordBookingVersion } = require('../utils/bookingHistory');
+const { hasPermission, PRICE_FIELDS } = require('../utils/permissions');
+const { SORT_FIELDS, DEFAULT_LIMIT, MAX_LIMIT, listBookingEntries } = require('../utils/bookingList');
+const { BOOKING_DOCUMENTS, canWriteBookingDocument, bookingReference, writeBookingPdf } = require('../utils/bookingPdf');
+const { BOOKING_EMAILS, sendBookingEmail } = require('../utils/bookingEmails');
+const { findRecipient } = require('../utils/customerContacts');
+const { checkArtworkDeadline } = require('../utils/issueDates');
+const { calculateEntryPrice, priceBookingEntries, repriceBookingEntries, applyRulePricing } = require('../utils/pricingEngine');
+const { CHARGE_TYPES, toChargeItems, resolveCharges } = require('../utils/additionalCharges');
+const { taxFor } = require('../utils/tax');
+const { currencyFor } = require('../utils/money');
+
+// Validation of a booking's itemised additional charges
+const chargeValidation = [
+  body('additionalCharges').optional().isArray().withMessage('Additional charges must be a list'),
+  body('additionalCharges.*.type').isIn(CHARGE_TYPES).withMessage('Invalid additional charge type'),
+  body('additionalCharges.*.description').trim().notEmpty().withMessage('Each additional charge needs a description'),
+  body('additionalCharges.*.amount').isFloat({ min: 0 }).withMessage('Additional charge amounts must be a positive number'),
+  body('additionalCharges.*.taxable').optional().isBoolean().toBoolean()
+];
+
+// Helper function to resolve an entry's issues against its magazine's schedule.
+// Issues must belong to the schedule and not be past their close date.
+const resolveEntryIssues = async (entry, organisationId) => {
+  const start = await resolveMagazineIssue(entry.magazine, entry.startIssue, organisationId);
+  if (start.error) {
+    return { error: start.error };
   }
 
-  // Check if any schedule has this issue past its close date
-  for (const schedule of schedules) {
-    const issue = schedule.issues.find(i => i.name === issueName);
-    if (issue && new Date(issue.closeDate) < currentDate) {
-      return {
-        available: false,
-        message: `Issue "${issueName}" is closed. Close date was ${new Date(issue.closeDate).toDateString()}.`,
-        closedDate: issue.closeDate
-      };
+  const startValidation = checkIssueOpen(start.issue);
+  if (!startValidation.available) {
+    return { error: startValidation.message };
+  }
+
+  const issues = {
+    startIssue: toIssueReference(start.schedule, start.issue),
+    finishIssue: null
+  };
+
+  // Also validate finishIssue if it's provided and not ongoing
+  if (!entry.isOngoing && entry.finishIssue) {
+    const finish = findScheduleIssue(start.schedule, entry.finishIssue);
+    if (!finish) {
+      return { error: `Issue "${entry.finishIssue}" is not in the schedule of this magazine` };
+    }
+
+    const finishValidation = checkIssueOpen(finish);
+    if (!finishValidation.available) {
+      return { error: finishValidation.message };
+    }
+
+    if (finish.sortOrder < start.issue.sortOrder) {
+      return { error: `Finish issue "${finish.name}" is before start issue "${start.issue.name}"` };
     }
+
+    issues.finishIssue = toIssueReference(start.schedule, finish);
+  }
+
+  return issues;
+};
+
+// Helper function to check a booking that takes space against the page counts of its issues
+// and the exclusive positions already held in them.
+// Returns { errors, warnings, conflicts }; bookings that take no space (drafts, quotes) always fit.
+const checkBookingSpace = async (booking) => {
+  if (!SPACE_STATUSES.includes(booking.status)) {
+    return { errors: [], warnings: [], conflicts: [] };
   }
 
-  return { available: true };
+  const excludeBookingId = booking.isNew ? null : booking._id;
+  const conflicts = await checkExclusivePositions(booking.magazineEntries, booking.organisation, excludeBookingId);
+  const { errors, warnings } = await checkCapacity(booking.magazineEntries, booking.organisation, excludeBookingId);
+
+  return {
+    errors: [...conflicts.map(conflict => conflict.message), ...errors],
+    warnings,
+    conflicts
+  };
 };
 
-// Get all bookings for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Get all bookings for the user's organisation.
+// With a page, returns one page of entry rows sorted and filtered in the database, with totals.
+router.get('/', [
+  auth,
+  authorize('bookings:view'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`).toInt(),
+  query('sort').optional().isIn(SORT_FIELDS).withMessage('Invalid sort field'),
+  query('direction').optional().isIn(['asc', 'desc']).withMessage('Direction must be asc or desc'),
+  query('status').optional({ checkFalsy: true }).isIn(BOOKING_STATUSES).withMessage('Invalid booking status'),
+  query(['customer', 'magazine', 'contentSize']).optional({ checkFalsy: true }).isMongoId().withMessage('Invalid id'),
+  query(['search', 'contentType', 'issue', 'startIssue', 'finishIssue']).optional().trim()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    if (req.query.page) {
+      const page = req.query.page;
+      const limit = req.query.limit || DEFAULT_LIMIT;
+      // Ordering by price would reveal prices to roles that cannot see them
+      const sort = req.query.sort === 'total' && !hasPermission(req.user.role, 'prices:view')
+        ? undefined
+        : req.query.sort;
+      const list = await listBookingEntries(req.user.organisation, { ...req.query, page, limit, sort });
+
+      return res.json({
+        rows: list.rows,
+        page,
+        limit,
+        total: list.total,
+        totalPages: Math.ceil(list.total / limit),
+        totals: list.totals
+      });
+    }
+
     const { customer, magazine, issue, contentType, status } = req.query;
     
-    let filter = { createdBy: req.user.id };
+    let filter = { organisation: req.user.organisation };
     
     if (customer) filter.customer = customer;
     if (status) filter.status = status;
@@ -54,22 +152,18 @@ router.get('/', auth, async (req, res) => {
       filter['magazineEntries.magazine'] = magazine;
     }
     
-    // New issue filtering logic: show bookings where the issue falls within the booking's date range
+    // Issue filtering: show bookings with an entry running during the issue (by id or name),
+    // comparing positions within each schedule that contains it
     if (issue) {
-      filter.$or = [
-        { 'magazineEntries.startIssue': issue },
-        { 
-          $and: [
-            { 'magazineEntries.startIssue': { $lte: issue } },
-            { 
-              $or: [
-                { 'magazineEntries.isOngoing': true },
-                { 'magazineEntries.finishIssue': { $gte: issue } }
-              ]
-            }
-          ]
-        }
-      ];
+      const positions = await findIssuePositions(issue, req.user.organisation);
+
+      if (positions.length === 0) {
+        return res.json([]);
+      }
+
+      filter.$or = positions.map(position => ({
+        magazineEntries: { $elemMatch: entryRunsInIssue(position) }
+      }));
     }
     
     if (contentType) {
@@ -107,13 +201,11 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get current issue for filtering (determines which issue to show by default)
-router.get('/current-issue', auth, async (req, res) => {
+router.get('/current-issue', auth, authorize('bookings:view'), async (req, res) => {
   try {
-    const Schedule = require('../models/Schedule');
-    
-    // Get all schedules for the user
+    // Get all schedules for the organisation
     const schedules = await Schedule.find({ 
-      createdBy: req.user.id,
+      organisation: req.user.organisation,
       archived: false 
     });
 
@@ -145,12 +237,43 @@ router.get('/current-issue', auth, async (req, res) => {
   }
 });
 
+// Get the page count and booked space of each open issue of a magazine.
+// Pass excludeBooking to leave out the booking being edited.
+router.get('/capacity/:magazineId', auth, authorize('bookings:view'), async (req, res) => {
+  try {
+    const magazine = await Magazine.findOne({
+      _id: req.params.magazineId,
+      organisation: req.user.organisation
+    }).populate('schedule');
+
+    if (!magazine) {
+      return res.status(404).json({ message: 'Magazine not found' });
+    }
+
+    if (!magazine.schedule) {
+      return res.json({ overbookingPercentage: magazine.overbookingPercentage, issues: [] });
+    }
+
+    const excludeBooking = mongoose.isValidObjectId(req.query.excludeBooking) ? req.query.excludeBooking : null;
+    const capacity = await getMagazineCapacity(magazine, req.user.organisation, excludeBooking);
+    const currentDate = new Date();
+
+    res.json({
+      overbookingPercentage: magazine.overbookingPercentage,
+      issues: capacity.filter(issue => new Date(issue.closeDate) >= currentDate)
+    });
+  } catch (error) {
+    console.error('Error fetching magazine capacity:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get a single booking
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('bookings:view'), async (req, res) => {
   try {
     const booking = await Booking.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     })
       .populate('customer', 'name')
       .populate({
@@ -167,7 +290,8 @@ router.get('/:id', auth, async (req, res) => {
       .populate({
         path: 'magazineEntries.contentSize',
         select: 'description size'
-      });
+      })
+      .populate('statusHistory.changedBy', 'name');
     
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
@@ -180,12 +304,269 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Download a booking confirmation or quote as a PDF (confirmation.pdf or quote.pdf)
+router.get('/:id/:document.pdf', auth, authorize('bookings:view'), async (req, res) => {
+  try {
+    const { document } = req.params;
+
+    if (!BOOKING_DOCUMENTS.includes(document) || !mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    })
+      .populate('customer', 'name contacts postalAddress')
+      .populate('magazineEntries.magazine', 'name')
+      .populate('magazineEntries.contentSize', 'description');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!canWriteBookingDocument(booking, document)) {
+      return res.status(400).json({ message: `A ${booking.status} booking has no ${document}` });
+    }
+
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${document}-${bookingReference(booking)}.pdf"`);
+    writeBookingPdf(booking, organisation, document, res, {
+      showPrices: hasPermission(req.user.role, 'prices:view')
+    });
+  } catch (error) {
+    console.error('Error creating booking document:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email a booking confirmation, quote or artwork reminder (to the customer's contact for it
+// unless an address is given); the message goes through the outbox
+router.post('/:id/email', [
+  auth,
+  authorize('emails:send'),
+  body('template').isIn(Object.keys(BOOKING_EMAILS)).withMessage('Invalid email template'),
+  body('to').optional({ checkFalsy: true }).trim().isEmail().withMessage('A valid email address is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    })
+      .populate('customer', 'name contacts postalAddress')
+      .populate('magazineEntries.magazine', 'name')
+      .populate('magazineEntries.contentSize', 'description');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Without an address, send to the customer contact responsible for this kind of email
+    const recipient = findRecipient(booking.customer, req.body.template);
+    const to = req.body.to || recipient?.email;
+
+    if (!to) {
+      return res.status(400).json({ message: 'The customer has no contact with an email address; enter one to send to' });
+    }
+
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    const { message, error } = await sendBookingEmail(booking, organisation, req.body.template, to, req.user, {
+      showPrices: hasPermission(req.user.role, 'prices:view')
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(201).json({
+      _id: message._id,
+      template: message.template,
+      to: message.to,
+      subject: message.subject,
+      status: message.status,
+      attempts: message.attempts,
+      lastError: message.lastError,
+      sentAt: message.sentAt,
+      createdAt: message.createdAt
+    });
+  } catch (error) {
+    console.error('Error emailing booking:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the version history of a booking (also available after it was deleted)
+router.get('/:id/history', auth, authorize('bookings:view'), async (req, res) => {
+  try {
+    const versions = await BookingVersion.find({
+      booking: req.params.id,
+      organisation: req.user.organisation
+    })
+      .populate('changedBy', 'name')
+      .sort({ version: -1 });
+
+    // Price changes are only shown to roles that may see prices
+    const canViewPrices = hasPermission(req.user.role, 'prices:view');
+    const history = versions.map(version => {
+      const data = version.toObject();
+      if (!canViewPrices) {
+        data.changes = data.changes.filter(change => !PRICE_FIELDS.includes(change.field));
+      }
+      return data;
+    });
+
+    // Names for the customers, magazines and sizes referred to by id
+    const ids = { customer: new Set(), magazine: new Set(), contentSize: new Set() };
+    history.forEach(version => {
+      ids.customer.add(String(version.snapshot.customer));
+      (version.snapshot.magazineEntries || []).forEach(entry => {
+        ids.magazine.add(String(entry.magazine));
+        ids.contentSize.add(String(entry.contentSize));
+      });
+      version.changes
+        .filter(change => ids[change.field])
+        .forEach(change => {
+          [change.from, change.to].filter(Boolean).forEach(id => ids[change.field].add(String(id)));
+        });
+    });
+
+    const [customers, magazines, contentSizes] = await Promise.all([
+      Customer.find({ _id: { $in: [...ids.customer] }, organisation: req.user.organisation }).select('name'),
+      Magazine.find({ _id: { $in: [...ids.magazine] }, organisation: req.user.organisation }).select('name'),
+      ContentSize.find({ _id: { $in: [...ids.contentSize] }, organisation: req.user.organisation }).select('description')
+    ]);
+
+    const labels = {};
+    customers.forEach(customer => { labels[customer._id] = customer.name; });
+    magazines.forEach(magazine => { labels[magazine._id] = magazine.name; });
+    contentSizes.forEach(size => { labels[size._id] = size.description; });
+
+    res.json({ versions: history, labels });
+  } catch (error) {
+    console.error('Error fetching booking history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore the customer, entries, charges and notes of a previous version.
+// The booking keeps its current status, which only changes through its lifecycle.
+router.post('/:id/history/:versionId/restore', auth, authorize('bookings:edit'), async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    });
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const version = await BookingVersion.findOne({
+      _id: req.params.versionId,
+      booking: booking._id,
+      organisation: req.user.organisation
+    });
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const { snapshot } = version;
+
+    // The version may refer to customers, magazines or sizes that have since been deleted
+    const customerDoc = await Customer.findOne({ _id: snapshot.customer, organisation: req.user.organisation });
+    if (!customerDoc) {
+      return res.status(400).json({ message: 'The customer of this version no longer exists' });
+    }
+
+    // The version's prices are in the currency it was billed in
+    const billing = await currencyFor(req.user.organisation, customerDoc);
+    if (billing.error) {
+      return res.status(400).json({ message: billing.error });
+    }
+    if ((snapshot.currency || booking.currency) !== billing.currency) {
+      return res.status(400).json({ message: `This version was priced in ${snapshot.currency || booking.currency} but the customer is now billed in ${billing.currency}` });
+    }
+
+    const magazineEntries = [];
+    for (const entry of snapshot.magazineEntries) {
+      const [magazineDoc, contentSizeDoc] = await Promise.all([
+        Magazine.findOne({ _id: entry.magazine, organisation: req.user.organisation }),
+        ContentSize.findOne({ _id: entry.contentSize, organisation: req.user.organisation })
+      ]);
+
+      if (!magazineDoc || !contentSizeDoc) {
+        return res.status(400).json({ message: 'A magazine or content size of this version no longer exists' });
+      }
+
+      // Refresh the issue names and positions, which may have changed in the schedule since
+      const refreshIssue = async (reference) => {
+        if (!reference) return null;
+        const resolved = await resolveMagazineIssue(entry.magazine, reference.issue || reference.name, req.user.organisation);
+        return resolved.error ? reference : toIssueReference(resolved.schedule, resolved.issue);
+      };
+
+      magazineEntries.push({
+        ...entry,
+        startIssue: await refreshIssue(entry.startIssue),
+        finishIssue: entry.isOngoing ? null : await refreshIssue(entry.finishIssue)
+      });
+    }
+
+    booking.customer = snapshot.customer;
+    booking.magazineEntries = magazineEntries;
+    booking.additionalCharges = toChargeItems(snapshot.additionalCharges);
+    if (booking.currency !== billing.currency) {
+      booking.currency = billing.currency;
+      booking.exchangeRate = billing.exchangeRate;
+    }
+    booking.tax = await taxFor(req.user.organisation, customerDoc);
+    booking.notes = snapshot.notes;
+
+    const capacity = await checkBookingSpace(booking);
+    if (capacity.errors.length > 0) {
+      return res.status(409).json({
+        message: capacity.errors.join('. '),
+        errors: capacity.errors,
+        conflicts: capacity.conflicts
+      });
+    }
+
+    await booking.save();
+    await recordBookingVersion(booking, 'restore', req.user._id, { restoredFrom: version.version });
+
+    await booking.populate([
+      { path: 'customer', select: 'name' },
+      { path: 'magazineEntries.magazine', select: 'name' },
+      { path: 'magazineEntries.contentSize', select: 'description size' },
+      { path: 'statusHistory.changedBy', select: 'name' }
+    ]);
+
+    res.json({ ...booking.toJSON(), capacityWarnings: capacity.warnings });
+  } catch (error) {
+    console.error('Error restoring booking version:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get bookings by customer (for the table interface)
-router.get('/customer/:customerId', auth, async (req, res) => {
+router.get('/customer/:customerId', auth, authorize('bookings:view'), async (req, res) => {
   try {
     const bookings = await Booking.find({ 
       customer: req.params.customerId, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     })
       .populate('customer', 'name')
       .populate({
@@ -209,9 +590,66 @@ router.get('/customer/:customerId', auth, async (req, res) => {
   }
 });
 
+// Price a booking's entries with the organisation's pricing rules without saving, for the
+// booking form. Entries without a magazine or start issue yet are priced without frequency discounts.
+// Pass the booking being edited to price it as saving it would.
+router.post('/price', [
+  auth,
+  authorize('prices:view'),
+  body('magazineEntries').isArray().withMessage('Magazine entries must be a list'),
+  body('magazineEntries.*.listPrice').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('List price must be a positive number'),
+  body('booking').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid booking')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { customer, magazineEntries, booking } = req.body;
+    const [customerDoc, bookingDoc] = await Promise.all([
+      customer ? Customer.findOne({ _id: customer, organisation: req.user.organisation }) : null,
+      booking ? Booking.findOne({ _id: booking, organisation: req.user.organisation }) : null
+    ]);
+
+    // Issues already closed are still counted, so existing bookings price as they did
+    const entries = await Promise.all(magazineEntries.map(async entry => {
+      const start = entry.magazine && entry.startIssue
+        ? await resolveMagazineIssue(entry.magazine, entry.startIssue, req.user.organisation)
+        : { error: 'No start issue' };
+
+      if (start.error) {
+        return { ...entry, startIssue: null, finishIssue: null };
+      }
+
+      const finish = !entry.isOngoing && entry.finishIssue ? findScheduleIssue(start.schedule, entry.finishIssue) : null;
+      return {
+        ...entry,
+        startIssue: toIssueReference(start.schedule, start.issue),
+        finishIssue: finish ? toIssueReference(start.schedule, finish) : null
+      };
+    }));
+
+    // An edited booking's unchanged entries keep the rules they were priced with, as when it is saved
+    const pricingOptions = { organisationId: req.user.organisation, customer: customerDoc };
+    const rulePricing = bookingDoc
+      ? await repriceBookingEntries(bookingDoc, entries, pricingOptions)
+      : await priceBookingEntries(entries, pricingOptions);
+
+    res.json(entries.map((entry, index) => {
+      const priced = applyRulePricing(entry, rulePricing[index]);
+      return { ...priced, ...calculateEntryPrice({ listPrice: entry.listPrice, ...priced }) };
+    }));
+  } catch (error) {
+    console.error('Error pricing booking:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create a new booking (table-based with magazine entries)
 router.post('/', [
   auth,
+  authorize('bookings:create'),
   body('customer').notEmpty().withMessage('Customer is required'),
   body('magazineEntries').isArray({ min: 1 }).withMessage('At least one magazine entry is required'),
   body('magazineEntries.*.magazine').notEmpty().withMessage('Magazine is required for each entry'),
@@ -219,7 +657,9 @@ router.post('/', [
   body('magazineEntries.*.contentType').notEmpty().withMessage('Content type is required for each entry'),
   body('magazineEntries.*.listPrice').isFloat({ min: 0 }).withMessage('List price must be a positive number'),
   body('magazineEntries.*.startIssue').trim().notEmpty().withMessage('Start issue is required for each entry'),
-  body('additionalCharges').optional().isFloat({ min: 0 })
+  ...chargeValidation,
+  body('status').optional().isIn(INITIAL_STATUSES).withMessage('Invalid booking status'),
+  body('provisionalExpiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Provisional expiry must be a valid date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -230,22 +670,31 @@ router.post('/', [
     const {
       customer,
       magazineEntries,
-      additionalCharges = 0,
-      notes
+      additionalCharges = [],
+      notes,
+      status = 'Draft',
+      provisionalExpiresAt
     } = req.body;
 
-    // Verify customer belongs to the user
-    const customerDoc = await Customer.findOne({ _id: customer, createdBy: req.user.id });
+    // Verify customer belongs to the organisation
+    const customerDoc = await Customer.findOne({ _id: customer, organisation: req.user.organisation });
     if (!customerDoc) {
       return res.status(400).json({ message: 'Customer not found' });
     }
 
+    // Prices are in the currency the customer is billed in
+    const billing = await currencyFor(req.user.organisation, customerDoc);
+    if (billing.error) {
+      return res.status(400).json({ message: billing.error });
+    }
+
     // Validate each magazine entry
+    const resolvedIssues = [];
     for (const entry of magazineEntries) {
-      // Verify magazine and content size belong to the user
+      // Verify magazine and content size belong to the organisation
       const [magazineDoc, contentSizeDoc] = await Promise.all([
-        Magazine.findOne({ _id: entry.magazine, createdBy: req.user.id }),
-        ContentSize.findOne({ _id: entry.contentSize, createdBy: req.user.id })
+        Magazine.findOne({ _id: entry.magazine, organisation: req.user.organisation }),
+        ContentSize.findOne({ _id: entry.contentSize, organisation: req.user.organisation })
       ]);
 
       if (!magazineDoc) {
@@ -256,37 +705,60 @@ router.post('/', [
         return res.status(400).json({ message: 'One or more content sizes not found' });
       }
 
-      // Validate issue availability based on schedule close dates
-      const startIssueValidation = await validateIssueAvailability(entry.startIssue, req.user.id);
-      if (!startIssueValidation.available) {
-        return res.status(400).json({ message: startIssueValidation.message });
-      }
-
-      // Also validate finishIssue if it's provided and not ongoing
-      if (!entry.isOngoing && entry.finishIssue) {
-        const finishIssueValidation = await validateIssueAvailability(entry.finishIssue, req.user.id);
-        if (!finishIssueValidation.available) {
-          return res.status(400).json({ message: finishIssueValidation.message });
-        }
+      // Resolve the issues in the magazine's schedule and check their close dates
+      const issues = await resolveEntryIssues(entry, req.user.organisation);
+      if (issues.error) {
+        return res.status(400).json({ message: issues.error });
       }
+      resolvedIssues.push(issues);
     }
 
+    // Discounts and commission from the organisation's pricing rules
+    const rulePricing = await priceBookingEntries(
+      magazineEntries.map((entry, index) => ({ ...entry, ...resolvedIssues[index] })),
+      { organisationId: req.user.organisation, customer: customerDoc }
+    );
+
     const booking = new Booking({
       customer,
-      magazineEntries: magazineEntries.map(entry => ({
+      currency: billing.currency,
+      exchangeRate: billing.exchangeRate,
+      magazineEntries: magazineEntries.map((entry, index) => ({
         ...entry,
         listPrice: Number(entry.listPrice),
-        discountPercentage: Number(entry.discountPercentage) || 0,
-        discountValue: Number(entry.discountValue) || 0,
+        ...applyRulePricing(entry, rulePricing[index]),
         isOngoing: Boolean(entry.isOngoing),
-        finishIssue: entry.isOngoing ? null : entry.finishIssue
+        ...resolvedIssues[index]
       })),
-      additionalCharges: Number(additionalCharges),
+      tax: await taxFor(req.user.organisation, customerDoc),
       notes,
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
+    // Charges can be for one of the entries, which now have ids
+    const charges = await resolveCharges(additionalCharges, booking);
+    if (charges.error) {
+      return res.status(400).json({ message: charges.error });
+    }
+    booking.additionalCharges = charges.charges;
+
+    const statusError = applyStatusChange(booking, status, req.user._id, { provisionalExpiresAt });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+
+    const capacity = await checkBookingSpace(booking);
+    if (capacity.errors.length > 0) {
+      return res.status(409).json({
+        message: capacity.errors.join('. '),
+        errors: capacity.errors,
+        conflicts: capacity.conflicts
+      });
+    }
+
     await booking.save();
+    await recordBookingVersion(booking, 'create', req.user._id);
     
     // Populate the response
     await booking.populate([
@@ -295,7 +767,7 @@ router.post('/', [
       { path: 'magazineEntries.contentSize', select: 'description size' }
     ]);
 
-    res.status(201).json(booking);
+    res.status(201).json({ ...booking.toJSON(), capacityWarnings: capacity.warnings });
   } catch (error) {
     console.error('Error creating booking:', error);
     res.status(500).json({ message: 'Server error' });
@@ -305,6 +777,7 @@ router.post('/', [
 // Update a booking (table-based with magazine entries)
 router.put('/:id', [
   auth,
+  authorize('bookings:edit'),
   body('customer').notEmpty().withMessage('Customer is required'),
   body('magazineEntries').isArray({ min: 1 }).withMessage('At least one magazine entry is required'),
   body('magazineEntries.*.magazine').notEmpty().withMessage('Magazine is required for each entry'),
@@ -312,7 +785,9 @@ router.put('/:id', [
   body('magazineEntries.*.contentType').notEmpty().withMessage('Content type is required for each entry'),
   body('magazineEntries.*.listPrice').isFloat({ min: 0 }).withMessage('List price must be a positive number'),
   body('magazineEntries.*.startIssue').trim().notEmpty().withMessage('Start issue is required for each entry'),
-  body('additionalCharges').optional().isFloat({ min: 0 })
+  ...chargeValidation,
+  body('status').optional().isIn(BOOKING_STATUSES).withMessage('Invalid booking status'),
+  body('provisionalExpiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Provisional expiry must be a valid date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -322,7 +797,7 @@ router.put('/:id', [
 
     const booking = await Booking.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!booking) {
@@ -332,23 +807,35 @@ router.put('/:id', [
     const {
       customer,
       magazineEntries,
-      additionalCharges = 0,
+      additionalCharges = [],
       notes,
-      status
+      status,
+      provisionalExpiresAt
     } = req.body;
 
-    // Verify customer belongs to the user
-    const customerDoc = await Customer.findOne({ _id: customer, createdBy: req.user.id });
+    // Verify customer belongs to the organisation
+    const customerDoc = await Customer.findOne({ _id: customer, organisation: req.user.organisation });
     if (!customerDoc) {
       return res.status(400).json({ message: 'Customer not found' });
     }
 
+    // The submitted prices are in the booking's currency, so they cannot be saved for a
+    // customer billed in another one
+    const billing = await currencyFor(req.user.organisation, customerDoc);
+    if (billing.error) {
+      return res.status(400).json({ message: billing.error });
+    }
+    if (billing.currency !== booking.currency) {
+      return res.status(400).json({ message: `This booking is priced in ${booking.currency} but the customer is billed in ${billing.currency}` });
+    }
+
     // Validate each magazine entry
+    const resolvedIssues = [];
     for (const entry of magazineEntries) {
-      // Verify magazine and content size belong to the user
+      // Verify magazine and content size belong to the organisation
       const [magazineDoc, contentSizeDoc] = await Promise.all([
-        Magazine.findOne({ _id: entry.magazine, createdBy: req.user.id }),
-        ContentSize.findOne({ _id: entry.contentSize, createdBy: req.user.id })
+        Magazine.findOne({ _id: entry.magazine, organisation: req.user.organisation }),
+        ContentSize.findOne({ _id: entry.contentSize, organisation: req.user.organisation })
       ]);
 
       if (!magazineDoc) {
@@ -359,36 +846,71 @@ router.put('/:id', [
         return res.status(400).json({ message: 'One or more content sizes not found' });
       }
 
-      // Validate issue availability based on schedule close dates
-      const startIssueValidation = await validateIssueAvailability(entry.startIssue, req.user.id);
-      if (!startIssueValidation.available) {
-        return res.status(400).json({ message: startIssueValidation.message });
-      }
-
-      // Also validate finishIssue if it's provided and not ongoing
-      if (!entry.isOngoing && entry.finishIssue) {
-        const finishIssueValidation = await validateIssueAvailability(entry.finishIssue, req.user.id);
-        if (!finishIssueValidation.available) {
-          return res.status(400).json({ message: finishIssueValidation.message });
-        }
+      // Resolve the issues in the magazine's schedule and check their close dates
+      const issues = await resolveEntryIssues(entry, req.user.organisation);
+      if (issues.error) {
+        return res.status(400).json({ message: issues.error });
       }
+      resolvedIssues.push(issues);
     }
 
-    // Update booking fields
+    // Discounts and commission from the organisation's pricing rules, for the entries whose
+    // pricing inputs changed
+    const rulePricing = await repriceBookingEntries(
+      booking,
+      magazineEntries.map((entry, index) => ({ ...entry, ...resolvedIssues[index] })),
+      { organisationId: req.user.organisation, customer: customerDoc }
+    );
+
+    // Update booking fields. The booking keeps the exchange rate it was priced at.
     booking.customer = customer;
-    booking.magazineEntries = magazineEntries.map(entry => ({
-      ...entry,
-      listPrice: Number(entry.listPrice),
-      discountPercentage: Number(entry.discountPercentage) || 0,
-      discountValue: Number(entry.discountValue) || 0,
-      isOngoing: Boolean(entry.isOngoing),
-      finishIssue: entry.isOngoing ? null : entry.finishIssue
-    }));
-    booking.additionalCharges = Number(additionalCharges);
+    booking.magazineEntries = magazineEntries.map((entry, index) => {
+      // Keep the artwork progress of entries that already existed
+      const existingEntry = entry._id && booking.magazineEntries.id(entry._id);
+
+      return {
+        ...entry,
+        listPrice: Number(entry.listPrice),
+        ...applyRulePricing(entry, rulePricing[index]),
+        isOngoing: Boolean(entry.isOngoing),
+        ...resolvedIssues[index],
+        artworkStatus: entry.artworkStatus || (existingEntry ? existingEntry.artworkStatus : undefined)
+      };
+    });
+
+    // Charges can be for one of the entries, which now have ids
+    const charges = await resolveCharges(additionalCharges, booking);
+    if (charges.error) {
+      return res.status(400).json({ message: charges.error });
+    }
+    booking.additionalCharges = charges.charges;
+    booking.tax = await taxFor(req.user.organisation, customerDoc);
     booking.notes = notes;
-    if (status) booking.status = status;
+
+    if (status && status !== booking.status) {
+      const statusError = applyStatusChange(booking, status, req.user._id, { provisionalExpiresAt });
+      if (statusError) {
+        return res.status(400).json({ message: statusError });
+      }
+    } else if (booking.status === 'Provisional' && provisionalExpiresAt) {
+      // Extending or shortening an existing hold
+      if (new Date(provisionalExpiresAt) <= new Date()) {
+        return res.status(400).json({ message: 'Provisional expiry date must be in the future' });
+      }
+      booking.provisionalExpiresAt = provisionalExpiresAt;
+    }
+
+    const capacity = await checkBookingSpace(booking);
+    if (capacity.errors.length > 0) {
+      return res.status(409).json({
+        message: capacity.errors.join('. '),
+        errors: capacity.errors,
+        conflicts: capacity.conflicts
+      });
+    }
 
     await booking.save();
+    await recordBookingVersion(booking, 'update', req.user._id);
     
     // Populate the response
     await booking.populate([
@@ -397,135 +919,148 @@ router.put('/:id', [
       { path: 'magazineEntries.contentSize', select: 'description size' }
     ]);
     
-    res.json(booking);
+    res.json({ ...booking.toJSON(), capacityWarnings: capacity.warnings });
   } catch (error) {
     console.error('Error updating booking:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete a booking
-router.delete('/:id', auth, async (req, res) => {
+// Move a booking to another status of its lifecycle
+router.patch('/:id/status', [
+  auth,
+  authorize('bookings:edit'),
+  body('status').isIn(BOOKING_STATUSES).withMessage('Valid booking status is required'),
+  body('provisionalExpiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Provisional expiry must be a valid date'),
+  body('note').optional().trim()
+], async (req, res) => {
   try {
-    const booking = await Booking.findOne({ 
-      _id: req.params.id, 
-      createdBy: req.user.id 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
     });
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    await Booking.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Booking deleted successfully' });
+    const { status, provisionalExpiresAt, note } = req.body;
+
+    if (status === booking.status) {
+      return res.status(400).json({ message: `Booking is already ${status}` });
+    }
+
+    const previousStatus = booking.status;
+    const statusError = applyStatusChange(booking, status, req.user._id, { provisionalExpiresAt, note });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+
+    // Moving into a status that takes space needs room in the issues
+    let capacity = { errors: [], warnings: [], conflicts: [] };
+    if (!SPACE_STATUSES.includes(previousStatus)) {
+      capacity = await checkBookingSpace(booking);
+      if (capacity.errors.length > 0) {
+        return res.status(409).json({
+          message: capacity.errors.join('. '),
+          errors: capacity.errors,
+          conflicts: capacity.conflicts
+        });
+      }
+    }
+
+    await booking.save();
+    await recordBookingVersion(booking, 'update', req.user._id);
+
+    await booking.populate([
+      { path: 'customer', select: 'name' },
+      { path: 'magazineEntries.magazine', select: 'name' },
+      { path: 'magazineEntries.contentSize', select: 'description size' },
+      { path: 'statusHistory.changedBy', select: 'name' }
+    ]);
+
+    res.json({ ...booking.toJSON(), capacityWarnings: capacity.warnings });
   } catch (error) {
-    console.error('Error deleting booking:', error);
+    console.error('Error updating booking status:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get customer bookings summary
-router.get('/customer/:customerId', auth, async (req, res) => {
+// Update the artwork status of a booking entry
+router.patch('/:id/entries/:entryId/artwork', [
+  auth,
+  authorize('artwork:edit'),
+  body('artworkStatus').isIn(['Awaiting', 'Received', 'Approved']).withMessage('Valid artwork status is required')
+], async (req, res) => {
   try {
-    const customer = await Customer.findOne({ 
-      _id: req.params.customerId, 
-      createdBy: req.user.id 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
     });
 
-    if (!customer) {
-      return res.status(404).json({ message: 'Customer not found' });
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
     }
 
-    const bookings = await Booking.find({ 
-      customer: req.params.customerId,
-      createdBy: req.user.id 
-    })
-      .populate('customer', 'name')
-      .populate({
-        path: 'customer',
-        populate: {
-          path: 'businessTypes',
-          select: 'section'
-        }
-      })
-      .populate('magazines', 'name')
-      .populate('contentSize', 'description size')
-      .sort({ firstIssue: 1 });
+    const entry = booking.magazineEntries.id(req.params.entryId);
 
-    const totalValue = bookings.reduce((sum, booking) => sum + booking.netValue, 0);
+    if (!entry) {
+      return res.status(404).json({ message: 'Booking entry not found' });
+    }
 
-    res.json({
-      customer,
-      bookings,
-      totalValue
-    });
+    // Artwork arriving after its deadline is accepted, with a warning
+    let artworkWarnings = [];
+    if (entry.artworkStatus === 'Awaiting' && req.body.artworkStatus !== 'Awaiting' && entry.startIssue?.schedule) {
+      const schedule = await Schedule.findOne({ _id: entry.startIssue.schedule, organisation: req.user.organisation });
+      const warning = checkArtworkDeadline(schedule && schedule.issues.id(entry.startIssue.issue));
+      artworkWarnings = warning ? [warning] : [];
+    }
+
+    entry.artworkStatus = req.body.artworkStatus;
+    await booking.save();
+    await recordBookingVersion(booking, 'update', req.user._id);
+
+    await booking.populate([
+      { path: 'customer', select: 'name' },
+      { path: 'magazineEntries.magazine', select: 'name' },
+      { path: 'magazineEntries.contentSize', select: 'description size' },
+      { path: 'statusHistory.changedBy', select: 'name' }
+    ]);
+
+    res.json({ ...booking.toJSON(), artworkWarnings });
   } catch (error) {
-    console.error('Error fetching customer bookings:', error);
+    console.error('Error updating artwork status:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get bookings report data
-router.get('/report/data', auth, async (req, res) => {
+// Delete a booking
+router.delete('/:id', auth, authorize('bookings:delete'), async (req, res) => {
   try {
-    const { magazine, issue, customer, contentType, format } = req.query;
-    
-    let filter = { createdBy: req.user.id };
-    
-    if (customer) filter.customer = customer;
-    if (magazine) filter.magazines = magazine;
-    if (contentType) filter.contentType = contentType;
-    if (issue) {
-      filter.$or = [
-        { firstIssue: issue },
-        { 
-          $and: [
-            { firstIssue: { $lte: issue } },
-            { 
-              $or: [
-                { isOngoing: true },
-                { lastIssue: { $gte: issue } }
-              ]
-            }
-          ]
-        }
-      ];
-    }
+    const booking = await Booking.findOne({ 
+      _id: req.params.id, 
+      organisation: req.user.organisation 
+    });
 
-    const bookings = await Booking.find(filter)
-      .populate('customer', 'name')
-      .populate({
-        path: 'customer',
-        populate: {
-          path: 'businessTypes',
-          select: 'section'
-        }
-      })
-      .populate('magazines', 'name')
-      .populate('contentSize', 'description size')
-      .sort({ 'customer.name': 1, firstIssue: 1 });
-
-    const reportData = bookings.map(booking => ({
-      magazineNames: booking.magazines.map(m => m.name).join(', '),
-      customerName: booking.customer.name,
-      contentType: booking.contentType,
-      contentSize: booking.contentSize.description,
-      contentSizeValue: booking.contentSize.size,
-      netValue: booking.netValue,
-      basePrice: booking.basePrice,
-      note: booking.note || '',
-      firstIssue: booking.firstIssue,
-      lastIssue: booking.isOngoing ? 'Ongoing' : booking.lastIssue || '',
-      status: booking.status
-    }));
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
 
-    res.json({
-      data: reportData,
-      total: reportData.length,
-      totalValue: reportData.reduce((sum, item) => sum + item.netValue, 0)
-    });
+    await Booking.findByIdAndDelete(req.params.id);
+    await recordBookingVersion(booking, 'delete', req.user._id);
+    res.json({ message: 'Booking deleted successfully' });
   } catch (error) {
-    console.error('Error generating report:', error);
+    console.error('Error deleting booking:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
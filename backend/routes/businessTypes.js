@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const BusinessType = require('../models/BusinessType');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const csv = require('csv-parser');
@@ -11,10 +12,13 @@ const fs = require('fs');
 const upload = multer({ dest: 'uploads/' });
 
 // Get all business types
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('settings:view'), async (req, res) => {
   try {
     const includeArchived = req.query.includeArchived === 'true';
-    const filter = includeArchived ? {} : { archived: { $ne: true } };
+    const filter = { organisation: req.user.organisation };
+    if (!includeArchived) {
+      filter.archived = { $ne: true };
+    }
     const businessTypes = await BusinessType.find(filter).sort({ section: 1 });
     res.json(businessTypes);
   } catch (error) {
@@ -24,9 +28,9 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get a single business type
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('settings:view'), async (req, res) => {
   try {
-    const businessType = await BusinessType.findById(req.params.id);
+    const businessType = await BusinessType.findOne({ _id: req.params.id, organisation: req.user.organisation });
     
     if (!businessType) {
       return res.status(404).json({ message: 'Business type not found' });
@@ -42,6 +46,7 @@ router.get('/:id', auth, async (req, res) => {
 // Create a new business type
 router.post('/', [
   auth,
+  authorize('settings:edit'),
   body('section').trim().notEmpty().withMessage('Section is required'),
 ], async (req, res) => {
   try {
@@ -54,6 +59,7 @@ router.post('/', [
 
     // Check if business type with same section already exists
     const existingBusinessType = await BusinessType.findOne({ 
+      organisation: req.user.organisation,
       section: { $regex: new RegExp(`^${section}$`, 'i') }
     });
     
@@ -62,7 +68,8 @@ router.post('/', [
     }
 
     const businessType = new BusinessType({
-      section
+      section,
+      organisation: req.user.organisation
     });
 
     await businessType.save();
@@ -79,6 +86,7 @@ router.post('/', [
 // Update a business type
 router.put('/:id', [
   auth,
+  authorize('settings:edit'),
   body('section').trim().notEmpty().withMessage('Section is required'),
 ], async (req, res) => {
   try {
@@ -89,7 +97,7 @@ router.put('/:id', [
 
     const { section } = req.body;
 
-    const businessType = await BusinessType.findById(req.params.id);
+    const businessType = await BusinessType.findOne({ _id: req.params.id, organisation: req.user.organisation });
 
     if (!businessType) {
       return res.status(404).json({ message: 'Business type not found' });
@@ -98,6 +106,7 @@ router.put('/:id', [
     // Check if another business type with same section exists
     const existingBusinessType = await BusinessType.findOne({ 
       _id: { $ne: req.params.id },
+      organisation: req.user.organisation,
       section: { $regex: new RegExp(`^${section}$`, 'i') }
     });
     
@@ -119,9 +128,9 @@ router.put('/:id', [
 });
 
 // Delete a business type
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('settings:edit'), async (req, res) => {
   try {
-    const businessType = await BusinessType.findById(req.params.id);
+    const businessType = await BusinessType.findOne({ _id: req.params.id, organisation: req.user.organisation });
 
     if (!businessType) {
       return res.status(404).json({ message: 'Business type not found' });
@@ -129,7 +138,10 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Check if any customers are using this business type
     const Customer = require('../models/Customer');
-    const customersUsingType = await Customer.countDocuments({ businessTypes: req.params.id });
+    const customersUsingType = await Customer.countDocuments({
+      organisation: req.user.organisation,
+      businessTypes: businessType._id
+    });
     
     if (customersUsingType > 0) {
       return res.status(400).json({ 
@@ -137,7 +149,7 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await BusinessType.findByIdAndDelete(req.params.id);
+    await businessType.deleteOne();
     res.json({ message: 'Business type deleted successfully' });
   } catch (error) {
     console.error('Error deleting business type:', error);
@@ -146,11 +158,11 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Archive/Unarchive a business type
-router.patch('/:id/archive', auth, async (req, res) => {
+router.patch('/:id/archive', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const { archived } = req.body;
     
-    const businessType = await BusinessType.findById(req.params.id);
+    const businessType = await BusinessType.findOne({ _id: req.params.id, organisation: req.user.organisation });
     
     if (!businessType) {
       return res.status(404).json({ message: 'Business type not found' });
@@ -167,11 +179,12 @@ router.patch('/:id/archive', auth, async (req, res) => {
 });
 
 // Search business types
-router.get('/search/:query', auth, async (req, res) => {
+router.get('/search/:query', auth, authorize('settings:view'), async (req, res) => {
   try {
     const searchQuery = req.params.query;
     const includeArchived = req.query.includeArchived === 'true';
     const filter = {
+      organisation: req.user.organisation,
       section: { $regex: searchQuery, $options: 'i' }
     };
     
@@ -189,7 +202,7 @@ router.get('/search/:query', auth, async (req, res) => {
 });
 
 // Import business types from CSV
-router.post('/import', [auth, upload.single('csvFile')], async (req, res) => {
+router.post('/import', [auth, authorize('settings:edit'), upload.single('csvFile')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No CSV file provided' });
@@ -228,6 +241,7 @@ router.post('/import', [auth, upload.single('csvFile')], async (req, res) => {
             try {
               // Check if business type already exists
               const existingBusinessType = await BusinessType.findOne({ 
+                organisation: req.user.organisation,
                 section: { $regex: new RegExp(`^${trimmedSection}$`, 'i') }
               });
               
@@ -238,7 +252,8 @@ router.post('/import', [auth, upload.single('csvFile')], async (req, res) => {
 
               // Create new business type
               const businessType = new BusinessType({
-                section: trimmedSection
+                section: trimmedSection,
+                organisation: req.user.organisation
               });
 
               await businessType.save();
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organisation = require('../models/Organisation');
+const Magazine = require('../models/Magazine');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasPermission } = require('../utils/permissions');
+const { buildCalendarFeed } = require('../utils/calendarFeed');
+
+// Feed paths under /api for a calendar token
+const feedPaths = (token, magazines) => ({
+  organisation: `/calendar/${token}/organisation.ics`,
+  magazines: magazines.map(magazine => ({
+    _id: magazine._id,
+    name: magazine.name,
+    path: `/calendar/${token}/magazines/${magazine._id}.ics`
+  }))
+});
+
+// The user and organisation a feed token belongs to, or null when the token no longer gives access
+const findFeedOwner = async (token) => {
+  const user = await User.findOne({ calendarToken: User.hashCalendarToken(token) });
+  if (!user || !user.isActive || !user.organisation || !hasPermission(user.role, 'settings:view')) {
+    return null;
+  }
+
+  const organisation = await Organisation.findById(user.organisation);
+  return organisation ? { user, organisation } : null;
+};
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+// Get whether the current user has a feed token and the magazines with feeds. Only the
+// token's hash is stored, so the feed paths are returned just once, when the token is made.
+router.get('/feed', auth, authorize('settings:view'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    const magazines = await Magazine.find({ organisation: req.user.organisation }).select('name').sort({ name: 1 });
+
+    res.json({
+      active: Boolean(user.calendarToken),
+      magazines: magazines.map(magazine => ({ _id: magazine._id, name: magazine.name }))
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or replace the current user's feed token, so previously shared feed URLs stop
+// working, and return the feed paths with the new token
+router.post('/feed/token', auth, authorize('settings:view'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.generateCalendarToken();
+    await user.save();
+
+    const magazines = await Magazine.find({ organisation: req.user.organisation }).select('name').sort({ name: 1 });
+    res.json({ active: true, ...feedPaths(token, magazines) });
+  } catch (error) {
+    console.error('Error regenerating calendar feed token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Calendar of every schedule's issue deadlines. Calendar apps fetch this without
+// logging in, so the token in the URL is what authenticates the request.
+router.get('/:token/organisation.ics', async (req, res) => {
+  try {
+    const owner = await findFeedOwner(req.params.token);
+    if (!owner) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const { calendar } = await buildCalendarFeed(owner.organisation);
+    sendCalendar(res, 'deadlines.ics', calendar);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Calendar of one magazine's issue deadlines, authenticated by the token in the URL
+router.get('/:token/magazines/:magazineId.ics', async (req, res) => {
+  try {
+    const owner = await findFeedOwner(req.params.token);
+    if (!owner || !mongoose.Types.ObjectId.isValid(req.params.magazineId)) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const { calendar, error } = await buildCalendarFeed(owner.organisation, { magazineId: req.params.magazineId });
+    if (error) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    sendCalendar(res, `magazine-${req.params.magazineId}.ics`, calendar);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
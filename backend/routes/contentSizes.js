@@ -2,22 +2,41 @@ const express = require('express');
 const router = express.Router();
 const ContentSize = require('../models/ContentSize');
 const Magazine = require('../models/Magazine');
+const Organisation = require('../models/Organisation');
 const auth = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const authorize = require('../middleware/authorize');
+const { body, query, validationResult } = require('express-validator');
+const { resolveMagazineIssue } = require('../utils/issues');
+const { rateStart, priceOnDate, rateHistory, loadMagazineSchedules } = require('../utils/rateCards');
+const { CURRENCY_CODES, exchangeRateOf, convertMoney, currencyFor, roundMoney } = require('../utils/money');
 
-// Get all content sizes for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Rate history of each magazine a content size is priced for
+const rateHistories = (contentSize, schedules) => contentSize.pricing
+  .filter(pricing => pricing.magazine != null)
+  .map(pricing => {
+    const magazineId = (pricing.magazine._id || pricing.magazine).toString();
+    return {
+      magazine: pricing.magazine,
+      rates: rateHistory(pricing, schedules.get(magazineId))
+    };
+  });
+
+// Get all content sizes for the user's organisation
+router.get('/', auth, authorize('settings:view'), async (req, res) => {
   try {
     const includeArchived = req.query.includeArchived === 'true';
-    const filter = { createdBy: req.user.id };
+    const filter = { organisation: req.user.organisation };
     
     if (!includeArchived) {
       filter.archived = { $ne: true };
     }
     
-    const contentSizes = await ContentSize.find(filter)
-      .populate('pricing.magazine', 'name')
-      .sort({ size: 1 });
+    const [contentSizes, schedules] = await Promise.all([
+      ContentSize.find(filter)
+        .populate('pricing.magazine', 'name')
+        .sort({ size: 1 }),
+      loadMagazineSchedules(req.user.organisation)
+    ]);
     
     // Filter out invalid magazine references and clean up data on-the-fly
     const cleanedContentSizes = contentSizes.map(contentSize => {
@@ -30,7 +49,11 @@ router.get('/', auth, async (req, res) => {
       
       return {
         ...contentSize.toObject(),
-        pricing: validPricing
+        // Each magazine's price also carries the rate that applies to issues closing today
+        pricing: validPricing.map(pricing => ({
+          ...pricing.toObject(),
+          currentPrice: priceOnDate(pricing, new Date(), schedules.get(pricing.magazine._id.toString())).price
+        }))
       };
     }).filter(contentSize => contentSize.pricing.length > 0); // Only return content sizes with at least one valid pricing
     
@@ -42,11 +65,11 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get a single content size
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('settings:view'), async (req, res) => {
   try {
     const contentSize = await ContentSize.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     }).populate('pricing.magazine', 'name');
     
     if (!contentSize) {
@@ -63,6 +86,7 @@ router.get('/:id', auth, async (req, res) => {
 // Create a new content size
 router.post('/', [
   auth,
+  authorize('rateCards:edit'),
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('size').isFloat({ min: 0.001, max: 999.999 }).withMessage('Size must be between 0.001 and 999.999'),
   body('pricing').isArray().withMessage('Pricing must be an array'),
@@ -77,21 +101,25 @@ router.post('/', [
 
     const { description, size, pricing } = req.body;
 
-    // Verify all magazines belong to the user
+    // Verify all magazines belong to the organisation
     const magazineIds = pricing.map(p => p.magazine);
     const magazines = await Magazine.find({ 
       _id: { $in: magazineIds }, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (magazines.length !== magazineIds.length) {
       return res.status(400).json({ message: 'One or more magazines not found' });
     }
 
+    const { currency } = await currencyFor(req.user.organisation);
+
     const contentSize = new ContentSize({
       description,
       size,
       pricing,
+      currency,
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
@@ -107,6 +135,7 @@ router.post('/', [
 // Update a content size
 router.put('/:id', [
   auth,
+  authorize('rateCards:edit'),
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('size').isFloat({ min: 0.001, max: 999.999 }).withMessage('Size must be between 0.001 and 999.999'),
   body('pricing').isArray().withMessage('Pricing must be an array'),
@@ -123,27 +152,43 @@ router.put('/:id', [
 
     const contentSize = await ContentSize.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!contentSize) {
       return res.status(404).json({ message: 'Content size not found' });
     }
 
-    // Verify all magazines belong to the user
+    // Verify all magazines belong to the organisation
     const magazineIds = pricing.map(p => p.magazine);
     const magazines = await Magazine.find({ 
       _id: { $in: magazineIds }, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (magazines.length !== magazineIds.length) {
       return res.status(400).json({ message: 'One or more magazines not found' });
     }
 
+    // The base price applies to every issue before a magazine's first rate, so once there are
+    // rates it is left alone and price changes are added as rates instead
+    const fixedBasePrice = pricing.find(p => {
+      const existing = contentSize.pricing.find(current => current.magazine.toString() === p.magazine.toString());
+      return existing && existing.rates.length > 0 && roundMoney(p.price) !== existing.price;
+    });
+    if (fixedBasePrice) {
+      const magazine = magazines.find(m => m._id.toString() === fixedBasePrice.magazine.toString());
+      return res.status(400).json({ message: `${magazine.name} has rates in the rate history, so its base price cannot be changed. Add a rate instead.` });
+    }
+
     contentSize.description = description;
     contentSize.size = size;
-    contentSize.pricing = pricing;
+    // Rate versions are managed separately, so magazines that stay priced keep theirs. They are
+    // copied as plain objects so their prices are read and stored again in the same units.
+    contentSize.pricing = pricing.map(p => {
+      const existing = contentSize.pricing.find(current => current.magazine.toString() === p.magazine.toString());
+      return { magazine: p.magazine, price: p.price, rates: existing ? existing.rates.map(rate => rate.toObject()) : [] };
+    });
 
     await contentSize.save();
     await contentSize.populate('pricing.magazine', 'name');
@@ -155,11 +200,11 @@ router.put('/:id', [
 });
 
 // Delete a content size
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('rateCards:edit'), async (req, res) => {
   try {
     const contentSize = await ContentSize.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!contentSize) {
@@ -174,12 +219,24 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Get price for a specific content size and magazine
-router.get('/:contentSizeId/price/:magazineId', auth, async (req, res) => {
+// Get the price of a content size in a magazine for an issue (or a booking close date,
+// or today), taking the rate version that applies to it. Prices are set in the base currency
+// and converted to another currency at the organisation's exchange rate.
+router.get('/:contentSizeId/price/:magazineId', [
+  auth,
+  authorize('prices:view'),
+  query('date').optional({ checkFalsy: true }).isISO8601().withMessage('Date must be a valid date'),
+  query('currency').optional({ checkFalsy: true }).isIn(CURRENCY_CODES).withMessage('Invalid currency')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
     const contentSize = await ContentSize.findOne({ 
       _id: req.params.contentSizeId, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!contentSize) {
@@ -194,21 +251,169 @@ router.get('/:contentSizeId/price/:magazineId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Price not found for this magazine' });
     }
 
-    res.json({ price: pricing.price });
+    let date = req.query.date ? new Date(req.query.date) : new Date();
+    let schedule = null;
+    let issue = null;
+
+    if (req.query.issue) {
+      const resolved = await resolveMagazineIssue(req.params.magazineId, req.query.issue, req.user.organisation);
+      if (resolved.error) {
+        return res.status(404).json({ message: resolved.error });
+      }
+      ({ schedule, issue } = resolved);
+      date = issue.closeDate;
+    } else if (pricing.rates.some(rate => rate.effectiveIssue)) {
+      const magazine = await Magazine.findById(req.params.magazineId).populate('schedule', 'issues');
+      schedule = magazine && magazine.schedule;
+    }
+
+    const organisation = await Organisation.findById(req.user.organisation).select('currency exchangeRates');
+    const currency = req.query.currency || organisation.currency;
+    const exchangeRate = exchangeRateOf(organisation, currency);
+    if (!exchangeRate) {
+      return res.status(400).json({ message: `No exchange rate is set for ${currency}` });
+    }
+
+    const { price, rate } = priceOnDate(pricing, date, schedule);
+
+    res.json({
+      price: convertMoney(price, 1, exchangeRate),
+      currency,
+      rate: rate ? { _id: rate._id, effectiveFrom: rate.effectiveFrom, effectiveIssue: rate.effectiveIssue } : null,
+      issue: issue ? { _id: issue._id, name: issue.name } : undefined
+    });
   } catch (error) {
     console.error('Error getting price:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get the rate history of a content size for each magazine, newest rate first
+router.get('/:id/rates', auth, authorize('prices:view'), async (req, res) => {
+  try {
+    const [contentSize, schedules] = await Promise.all([
+      ContentSize.findOne({ _id: req.params.id, organisation: req.user.organisation })
+        .populate('pricing.magazine', 'name')
+        .populate('pricing.rates.createdBy', 'name'),
+      loadMagazineSchedules(req.user.organisation)
+    ]);
+
+    if (!contentSize) {
+      return res.status(404).json({ message: 'Content size not found' });
+    }
+
+    res.json(rateHistories(contentSize, schedules));
+  } catch (error) {
+    console.error('Error fetching rate history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a rate version for a magazine, applying from a booking close date or from an issue
+router.post('/:id/rates', [
+  auth,
+  authorize('rateCards:edit'),
+  body('magazine').notEmpty().withMessage('Magazine is required'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('effectiveFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Effective date must be a valid date'),
+  body('effectiveIssue').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid issue')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { magazine, price, effectiveFrom, effectiveIssue } = req.body;
+
+    if (!effectiveFrom && !effectiveIssue) {
+      return res.status(400).json({ message: 'Choose the issue or date the rate applies from' });
+    }
+
+    const contentSize = await ContentSize.findOne({ 
+      _id: req.params.id, 
+      organisation: req.user.organisation 
+    });
+
+    if (!contentSize) {
+      return res.status(404).json({ message: 'Content size not found' });
+    }
+
+    const pricing = contentSize.pricing.find(p => p.magazine.toString() === magazine);
+    if (!pricing) {
+      return res.status(400).json({ message: 'This content size is not priced for that magazine' });
+    }
+
+    const rate = { price: parseFloat(price), createdBy: req.user.id };
+    if (effectiveIssue) {
+      const { issue, error } = await resolveMagazineIssue(magazine, effectiveIssue, req.user.organisation);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      rate.effectiveIssue = issue._id;
+      rate.effectiveFrom = issue.closeDate;
+    } else {
+      rate.effectiveFrom = new Date(effectiveFrom);
+    }
+
+    const schedules = await loadMagazineSchedules(req.user.organisation);
+    const schedule = schedules.get(magazine);
+    const clash = pricing.rates.find(existing =>
+      rateStart(existing, schedule).getTime() === rateStart(rate, schedule).getTime());
+    if (clash) {
+      return res.status(400).json({ message: `Another rate already applies from ${new Date(rate.effectiveFrom).toDateString()}` });
+    }
+
+    pricing.rates.push(rate);
+    await contentSize.save();
+
+    await contentSize.populate('pricing.magazine', 'name');
+    await contentSize.populate('pricing.rates.createdBy', 'name');
+    res.status(201).json(rateHistories(contentSize, schedules));
+  } catch (error) {
+    console.error('Error adding rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a rate version, so the rate before it applies again
+router.delete('/:id/rates/:rateId', auth, authorize('rateCards:edit'), async (req, res) => {
+  try {
+    const contentSize = await ContentSize.findOne({ 
+      _id: req.params.id, 
+      organisation: req.user.organisation 
+    });
+
+    if (!contentSize) {
+      return res.status(404).json({ message: 'Content size not found' });
+    }
+
+    const pricing = contentSize.pricing.find(p => p.rates.id(req.params.rateId));
+    if (!pricing) {
+      return res.status(404).json({ message: 'Rate not found' });
+    }
+
+    pricing.rates.pull(req.params.rateId);
+    await contentSize.save();
+
+    const schedules = await loadMagazineSchedules(req.user.organisation);
+    await contentSize.populate('pricing.magazine', 'name');
+    await contentSize.populate('pricing.rates.createdBy', 'name');
+    res.json(rateHistories(contentSize, schedules));
+  } catch (error) {
+    console.error('Error removing rate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Archive/Unarchive a content size
-router.patch('/:id/archive', auth, async (req, res) => {
+router.patch('/:id/archive', auth, authorize('rateCards:edit'), async (req, res) => {
   try {
     const { archived } = req.body;
     
     const contentSize = await ContentSize.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
     
     if (!contentSize) {
@@ -227,12 +432,12 @@ router.patch('/:id/archive', auth, async (req, res) => {
 });
 
 // Cleanup invalid magazine references in content sizes
-router.post('/cleanup', auth, async (req, res) => {
+router.post('/cleanup', auth, authorize('rateCards:edit'), async (req, res) => {
   try {
-    console.log('Starting content size cleanup for user:', req.user.id);
+    console.log('Starting content size cleanup for organisation:', req.user.organisation);
     
-    // Get all content sizes for this user
-    const contentSizes = await ContentSize.find({ createdBy: req.user.id });
+    // Get all content sizes for this organisation
+    const contentSizes = await ContentSize.find({ organisation: req.user.organisation });
     
     let cleanupCount = 0;
     let deletedCount = 0;
@@ -244,7 +449,7 @@ router.post('/cleanup', auth, async (req, res) => {
       // Check each pricing entry
       for (const pricing of contentSize.pricing) {
         const magazine = await Magazine.findById(pricing.magazine);
-        if (magazine && magazine.createdBy.toString() === req.user.id.toString()) {
+        if (magazine && magazine.organisation.toString() === req.user.organisation.toString()) {
           validPricing.push(pricing);
         } else {
           console.log(`Removing invalid magazine reference: ${pricing.magazine} from content size: ${contentSize.description}`);
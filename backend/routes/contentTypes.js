@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const ContentType = require('../models/ContentType');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const { body, validationResult } = require('express-validator');
 
-// Get all content types for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Get all content types for the user's organisation
+router.get('/', auth, authorize('settings:view'), async (req, res) => {
   try {
     const includeArchived = req.query.includeArchived === 'true';
-    const filter = { createdBy: req.user.id };
+    const filter = { organisation: req.user.organisation };
     
     if (!includeArchived) {
       filter.archived = { $ne: true };
@@ -24,11 +25,11 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get a single content type
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('settings:view'), async (req, res) => {
   try {
     const contentType = await ContentType.findOne({
       _id: req.params.id,
-      createdBy: req.user.id
+      organisation: req.user.organisation
     });
 
     if (!contentType) {
@@ -45,8 +46,11 @@ router.get('/:id', auth, async (req, res) => {
 // Create a new content type
 router.post('/', [
   auth,
+  authorize('settings:edit'),
   body('name').trim().notEmpty().withMessage('Name is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('exclusive').optional().isBoolean().withMessage('Exclusive must be true or false'),
+  body('maxPerIssue').optional().isInt({ min: 1 }).withMessage('Maximum per issue must be at least 1')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -54,12 +58,12 @@ router.post('/', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { name, description } = req.body;
+    const { name, description, exclusive, maxPerIssue } = req.body;
 
-    // Check if content type with this name already exists for the user
+    // Check if content type with this name already exists in the organisation
     const existingContentType = await ContentType.findOne({
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      createdBy: req.user.id
+      organisation: req.user.organisation
     });
 
     if (existingContentType) {
@@ -69,6 +73,9 @@ router.post('/', [
     const contentType = new ContentType({
       name,
       description,
+      exclusive: Boolean(exclusive),
+      maxPerIssue: Number(maxPerIssue) || 1,
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
@@ -83,8 +90,11 @@ router.post('/', [
 // Update a content type
 router.put('/:id', [
   auth,
+  authorize('settings:edit'),
   body('name').trim().notEmpty().withMessage('Name is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('exclusive').optional().isBoolean().withMessage('Exclusive must be true or false'),
+  body('maxPerIssue').optional().isInt({ min: 1 }).withMessage('Maximum per issue must be at least 1')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -92,12 +102,12 @@ router.put('/:id', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { name, description } = req.body;
+    const { name, description, exclusive, maxPerIssue } = req.body;
 
-    // Check if content type exists and belongs to user
+    // Check if content type exists and belongs to the organisation
     const contentType = await ContentType.findOne({
       _id: req.params.id,
-      createdBy: req.user.id
+      organisation: req.user.organisation
     });
 
     if (!contentType) {
@@ -107,7 +117,7 @@ router.put('/:id', [
     // Check if another content type with this name already exists (excluding current one)
     const existingContentType = await ContentType.findOne({
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      createdBy: req.user.id,
+      organisation: req.user.organisation,
       _id: { $ne: req.params.id }
     });
 
@@ -117,6 +127,8 @@ router.put('/:id', [
 
     contentType.name = name;
     contentType.description = description;
+    if (exclusive !== undefined) contentType.exclusive = Boolean(exclusive);
+    if (maxPerIssue !== undefined) contentType.maxPerIssue = Number(maxPerIssue) || 1;
     await contentType.save();
 
     res.json(contentType);
@@ -127,11 +139,11 @@ router.put('/:id', [
 });
 
 // Delete a content type (soft delete by archiving)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const contentType = await ContentType.findOne({
       _id: req.params.id,
-      createdBy: req.user.id
+      organisation: req.user.organisation
     });
 
     if (!contentType) {
@@ -155,11 +167,11 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Restore a content type (unarchive)
-router.put('/:id/restore', auth, async (req, res) => {
+router.put('/:id/restore', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const contentType = await ContentType.findOne({
       _id: req.params.id,
-      createdBy: req.user.id
+      organisation: req.user.organisation
     });
 
     if (!contentType) {
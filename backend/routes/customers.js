@@ -1,13 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const Customer = require('../models/Customer');
+const AuditLog = require('../models/AuditLog');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const fs = require('fs');
+const { CONTACT_ROLES, ADDRESS_FIELDS } = require('../utils/customerContacts');
+const { IMPORT_FIELDS, readCsv, importCustomers, exportRows } = require('../utils/customerImport');
+const { toCsvLine } = require('../utils/reportExport');
+const { previewMerge, mergeCustomers } = require('../utils/customerMerge');
+const { buildCustomerOverview } = require('../utils/customerOverview');
+const { hasPermission } = require('../utils/permissions');
+const { TAX_TREATMENTS } = require('../utils/tax');
+const { CURRENCY_CODES } = require('../utils/money');
 
-// Get all customers for the authenticated user
-router.get('/', auth, async (req, res) => {
+const mergeValidation = [
+  body('survivor').isMongoId().withMessage('Choose the customer to keep'),
+  body('merged').isArray({ min: 1 }).withMessage('Choose the customers to merge into it'),
+  body('merged.*').isMongoId().withMessage('Valid customers are required')
+];
+
+// Configure multer for CSV file uploads
+const upload = multer({ dest: 'uploads/' });
+
+// Contact, address and billing fields shared by create and update
+const detailsValidation = [
+  body('contacts').optional().isArray().withMessage('Contacts must be a list'),
+  body('contacts.*.name').trim().notEmpty().withMessage('Each contact needs a name'),
+  body('contacts.*.email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Contact emails must be valid'),
+  body('contacts.*.phone').optional().trim(),
+  body('contacts.*.roles').optional().isArray().withMessage('Contact roles must be a list'),
+  body('contacts.*.roles.*').isIn(CONTACT_ROLES).withMessage('Invalid contact role'),
+  body(['postalAddress', 'billingAddress']).optional({ nullable: true }).isObject().withMessage('Addresses must be objects'),
+  body(ADDRESS_FIELDS.flatMap(field => [`postalAddress.${field}`, `billingAddress.${field}`])).optional().trim(),
+  body('vatNumber').optional().trim(),
+  body('paymentTermsDays')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Payment terms must be between 0 and 365 days')
+    .toInt(),
+  body('taxTreatment').optional().isIn(TAX_TREATMENTS).withMessage('Invalid tax treatment'),
+  body('taxRate').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid tax rate'),
+  body('currency').optional({ checkFalsy: true }).isIn(CURRENCY_CODES).withMessage('Invalid currency'),
+  body('agency').optional().isBoolean().withMessage('Agency must be true or false').toBoolean()
+];
+
+// Contact, address and billing fields of a request body, ready to set on a customer
+const customerDetails = (data) => ({
+  contacts: (data.contacts || []).map(({ _id, name, email, phone, roles }) => ({ _id, name, email, phone, roles: roles || [] })),
+  postalAddress: data.postalAddress || undefined,
+  billingAddress: data.billingAddress || undefined,
+  vatNumber: data.vatNumber,
+  paymentTermsDays: Number.isInteger(data.paymentTermsDays) ? data.paymentTermsDays : undefined,
+  taxTreatment: data.taxTreatment || 'standard',
+  taxRate: data.taxRate || null,
+  currency: data.currency || null,
+  agency: Boolean(data.agency)
+});
+
+// Get all customers for the user's organisation
+router.get('/', auth, authorize('customers:view'), async (req, res) => {
   try {
-    const customers = await Customer.find({ createdBy: req.user.id })
+    const customers = await Customer.find({ organisation: req.user.organisation })
       .populate('businessTypes', 'section')
       .sort({ name: 1 });
     res.json(customers);
@@ -17,12 +76,49 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Export all customers as CSV, in the columns the import recognises
+router.get('/export', auth, authorize('customers:view'), async (req, res) => {
+  try {
+    const customers = await Customer.find({ organisation: req.user.organisation })
+      .populate('businessTypes', 'section')
+      .sort({ name: 1 })
+      .lean();
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="customers.csv"');
+    exportRows(customers).forEach(values => res.write(toCsvLine(values)));
+    res.end();
+  } catch (error) {
+    console.error('Error exporting customers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the organisation's customer merges, newest first
+router.get('/merges', auth, authorize('customers:view'), async (req, res) => {
+  try {
+    const merges = await AuditLog.find({
+      organisation: req.user.organisation,
+      action: 'customer.merge'
+    })
+      .select('entity summary details.moved status user createdAt')
+      .populate('user', 'name')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(merges);
+  } catch (error) {
+    console.error('Error fetching customer merges:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get a single customer
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('customers:view'), async (req, res) => {
   try {
     const customer = await Customer.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     }).populate('businessTypes', 'section');
     
     if (!customer) {
@@ -36,13 +132,34 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Get everything about a customer for the customer page: lifetime value, bookings per
+// magazine, leaflet deliveries, issue coverage, revenue by issue, notes and contact history
+router.get('/:id/overview', auth, authorize('customers:view'), async (req, res) => {
+  try {
+    const { overview, error } = await buildCustomerOverview(req.user.organisation, req.params.id, {
+      includeEmails: hasPermission(req.user.role, 'emails:send')
+    });
+
+    if (error) {
+      return res.status(404).json({ message: error });
+    }
+
+    res.json(overview);
+  } catch (error) {
+    console.error('Error fetching customer overview:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create a new customer
 router.post('/', [
   auth,
+  authorize('customers:edit'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('businessTypes').isArray({ min: 1 }).withMessage('At least one business type is required'),
   body('businessTypes.*').isMongoId().withMessage('Valid business types are required'),
-  body('bookingNote').optional().trim()
+  body('bookingNote').optional().trim(),
+  ...detailsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -54,15 +171,18 @@ router.post('/', [
 
     // Verify all business types exist
     const BusinessType = require('../models/BusinessType');
-    const businessTypeCount = await BusinessType.countDocuments({ _id: { $in: businessTypes } });
+    const businessTypeCount = await BusinessType.countDocuments({
+      _id: { $in: businessTypes },
+      organisation: req.user.organisation
+    });
     if (businessTypeCount !== businessTypes.length) {
       return res.status(400).json({ message: 'One or more business types are invalid' });
     }
 
-    // Check if customer with same name already exists for this user
+    // Check if customer with same name already exists in this organisation
     const existingCustomer = await Customer.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
     
     if (existingCustomer) {
@@ -73,6 +193,8 @@ router.post('/', [
       name,
       businessTypes,
       bookingNote,
+      ...customerDetails(req.body),
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
@@ -87,13 +209,115 @@ router.post('/', [
   }
 });
 
+// Import customers from a CSV file. Unless dryRun is 'false' nothing is saved and the
+// response previews what each row would do. Optional form fields: mapping (JSON of field
+// key to column header), createBusinessTypes and updateDuplicates ('true' or 'false').
+router.post('/import', [auth, authorize('customers:edit'), upload.single('csvFile')], async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'No CSV file provided' });
+  }
+
+  try {
+    let mapping;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({ message: 'Column mapping is not valid JSON' });
+      }
+
+      // A mapping is an object of field keys to column headers
+      const isObject = mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+      if (!isObject || !Object.values(mapping).every(header => typeof header === 'string')) {
+        return res.status(400).json({ message: 'Column mapping is not valid' });
+      }
+    }
+
+    let file;
+    try {
+      file = await readCsv(req.file.path);
+    } catch (csvError) {
+      console.error('Error reading CSV:', csvError);
+      return res.status(400).json({ message: 'Invalid CSV file format' });
+    }
+
+    const { result, error } = await importCustomers(req.user.organisation, req.user.id, file, {
+      mapping,
+      dryRun: req.body.dryRun !== 'false',
+      createBusinessTypes: req.body.createBusinessTypes === 'true',
+      updateDuplicates: req.body.updateDuplicates === 'true'
+    });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({
+      ...result,
+      fields: IMPORT_FIELDS.map(({ key, header }) => ({ key, label: header }))
+    });
+  } catch (error) {
+    console.error('Error importing customers:', error);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// Preview merging customers into a surviving one: what moves and the combined details
+router.post('/merge/preview', [auth, authorize('customers:edit'), ...mergeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { preview, error } = await previewMerge(req.user.organisation, req.body.survivor, req.body.merged);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing customer merge:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge customers into a surviving one, moving their bookings, leaflet deliveries and invoices
+router.post('/merge', [auth, authorize('customers:edit'), ...mergeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { customer, moved, error } = await mergeCustomers(
+      req.user.organisation,
+      req.body.survivor,
+      req.body.merged,
+      req.user._id
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ customer, moved });
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update a customer
 router.put('/:id', [
   auth,
+  authorize('customers:edit'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('businessTypes').isArray({ min: 1 }).withMessage('At least one business type is required'),
   body('businessTypes.*').isMongoId().withMessage('Valid business types are required'),
-  body('bookingNote').optional().trim()
+  body('bookingNote').optional().trim(),
+  ...detailsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -105,14 +329,17 @@ router.put('/:id', [
 
     // Verify all business types exist
     const BusinessType = require('../models/BusinessType');
-    const businessTypeCount = await BusinessType.countDocuments({ _id: { $in: businessTypes } });
+    const businessTypeCount = await BusinessType.countDocuments({
+      _id: { $in: businessTypes },
+      organisation: req.user.organisation
+    });
     if (businessTypeCount !== businessTypes.length) {
       return res.status(400).json({ message: 'One or more business types are invalid' });
     }
 
     const customer = await Customer.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!customer) {
@@ -123,16 +350,32 @@ router.put('/:id', [
     const existingCustomer = await Customer.findOne({ 
       _id: { $ne: req.params.id },
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
     
     if (existingCustomer) {
       return res.status(400).json({ message: 'Customer with this name already exists' });
     }
 
+    // Bookings, leaflet deliveries and invoices stay in the currency they were priced in,
+    // so the billing currency is fixed once the customer has any
+    if ((req.body.currency || null) !== (customer.currency || null)) {
+      const filter = { customer: customer._id, organisation: req.user.organisation };
+      const [bookings, leafletDeliveries, invoices] = await Promise.all([
+        Booking.countDocuments(filter),
+        LeafletDelivery.countDocuments(filter),
+        Invoice.countDocuments(filter)
+      ]);
+
+      if (bookings + leafletDeliveries + invoices > 0) {
+        return res.status(400).json({ message: 'The billing currency cannot be changed once the customer has bookings, leaflet deliveries or invoices' });
+      }
+    }
+
     customer.name = name;
     customer.businessTypes = businessTypes;
     customer.bookingNote = bookingNote;
+    customer.set(customerDetails(req.body));
 
     await customer.save();
     
@@ -146,11 +389,11 @@ router.put('/:id', [
 });
 
 // Delete a customer
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('customers:edit'), async (req, res) => {
   try {
     const customer = await Customer.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!customer) {
@@ -166,19 +409,20 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Search customers
-router.get('/search/:query', auth, async (req, res) => {
+router.get('/search/:query', auth, authorize('customers:view'), async (req, res) => {
   try {
     const searchQuery = req.params.query;
     
     // Find business types that match the search query
     const BusinessType = require('../models/BusinessType');
     const matchingBusinessTypes = await BusinessType.find({
+      organisation: req.user.organisation,
       section: { $regex: searchQuery, $options: 'i' }
     });
     const businessTypeIds = matchingBusinessTypes.map(bt => bt._id);
     
     const customers = await Customer.find({
-      createdBy: req.user.id,
+      organisation: req.user.organisation,
       $or: [
         { name: { $regex: searchQuery, $options: 'i' } },
         { businessTypes: { $in: businessTypeIds } }
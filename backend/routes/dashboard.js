@@ -6,9 +6,20 @@ const Magazine = require('../models/Magazine');
 const ContentSize = require('../models/ContentSize');
 const LeafletDelivery = require('../models/LeafletDelivery');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { entryRunsInIssue, isEntryInIssue } = require('../utils/issues');
+const { getIssueKeyDates } = require('../utils/issueDates');
+const { BOOKED_STATUSES, HELD_STATUSES, SPACE_STATUSES } = require('../utils/bookingStatus');
+const { fromMinor, roundMoney, currencyFor, inBaseCurrency } = require('../utils/money');
+
+// Sum of an amount across bookings or deliveries, in minor units of the base currency
+const sumInBase = (path) => ({ $sum: inBaseCurrency(path) });
+
+// A summed amount of an aggregation result, in major units
+const totalOf = (result, field = 'total') => roundMoney(fromMinor(result[0]?.[field] || 0));
 
 // Get dashboard summary statistics
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', auth, authorize('dashboard:view'), async (req, res) => {
   try {
     // Calculate date ranges for current and previous month
     const now = new Date();
@@ -44,71 +55,71 @@ router.get('/stats', auth, async (req, res) => {
       previousMonthLeafletValue
     ] = await Promise.all([
       // Current totals
-      Customer.countDocuments({ createdBy: req.user.id }),
-      Magazine.countDocuments({ createdBy: req.user.id }),
-      Booking.countDocuments({ createdBy: req.user.id, status: 'Active' }),
-      LeafletDelivery.countDocuments({ createdBy: req.user.id, status: 'Active' }),
+      Customer.countDocuments({ organisation: req.user.organisation }),
+      Magazine.countDocuments({ organisation: req.user.organisation }),
+      Booking.countDocuments({ organisation: req.user.organisation, status: { $in: BOOKED_STATUSES } }),
+      LeafletDelivery.countDocuments({ organisation: req.user.organisation, status: 'Active' }),
       Booking.aggregate([
-        { $match: { createdBy: req.user.id, status: 'Active' } },
-        { $group: { _id: null, total: { $sum: '$netValue' } } }
+        { $match: { organisation: req.user.organisation, status: { $in: BOOKED_STATUSES } } },
+        { $group: { _id: null, total: sumInBase('$totalValue'), tax: sumInBase('$tax.amount') } }
       ]),
       LeafletDelivery.aggregate([
-        { $match: { createdBy: req.user.id, status: 'Active' } },
-        { $group: { _id: null, total: { $sum: '$charge' } } }
+        { $match: { organisation: req.user.organisation, status: 'Active' } },
+        { $group: { _id: null, total: sumInBase('$charge'), tax: sumInBase('$tax.amount') } }
       ]),
       // Current month stats
       Customer.countDocuments({ 
-        createdBy: req.user.id, 
+        organisation: req.user.organisation, 
         createdAt: { $gte: startOfCurrentMonth } 
       }),
       Booking.countDocuments({ 
-        createdBy: req.user.id, 
-        status: 'Active', 
+        organisation: req.user.organisation, 
+        status: { $in: BOOKED_STATUSES }, 
         createdAt: { $gte: startOfCurrentMonth } 
       }),
       LeafletDelivery.countDocuments({ 
-        createdBy: req.user.id, 
+        organisation: req.user.organisation, 
         status: 'Active', 
         createdAt: { $gte: startOfCurrentMonth } 
       }),
       Booking.aggregate([
         { 
           $match: { 
-            createdBy: req.user.id, 
-            status: 'Active', 
+            organisation: req.user.organisation, 
+            status: { $in: BOOKED_STATUSES }, 
             createdAt: { $gte: startOfCurrentMonth } 
           } 
         },
-        { $group: { _id: null, total: { $sum: '$netValue' } } }
+        { $group: { _id: null, total: sumInBase('$totalValue') } }
       ]),
       LeafletDelivery.aggregate([
         { 
           $match: { 
-            createdBy: req.user.id, 
+            organisation: req.user.organisation, 
             status: 'Active', 
             createdAt: { $gte: startOfCurrentMonth } 
           } 
         },
-        { $group: { _id: null, total: { $sum: '$charge' } } }
+        { $group: { _id: null, total: sumInBase('$charge') } }
       ]),
       // Previous month stats
       Customer.countDocuments({ 
-        createdBy: req.user.id, 
+        organisation: req.user.organisation, 
         createdAt: { 
           $gte: startOfPreviousMonth, 
           $lte: endOfPreviousMonth 
         } 
       }),
       Booking.countDocuments({ 
-        createdBy: req.user.id, 
-        status: 'Active', 
+        organisation: req.user.organisation, 
+        status: { $in: BOOKED_STATUSES }, 
         createdAt: { 
           $gte: startOfPreviousMonth, 
           $lte: endOfPreviousMonth 
         } 
       }),
       LeafletDelivery.countDocuments({ 
-        createdBy: req.user.id, 
+        organisation: req.user.organisation, 
         status: 'Active', 
         createdAt: { 
           $gte: startOfPreviousMonth, 
@@ -118,20 +129,20 @@ router.get('/stats', auth, async (req, res) => {
       Booking.aggregate([
         { 
           $match: { 
-            createdBy: req.user.id, 
-            status: 'Active', 
+            organisation: req.user.organisation, 
+            status: { $in: BOOKED_STATUSES }, 
             createdAt: { 
               $gte: startOfPreviousMonth, 
               $lte: endOfPreviousMonth 
             } 
           } 
         },
-        { $group: { _id: null, total: { $sum: '$netValue' } } }
+        { $group: { _id: null, total: sumInBase('$totalValue') } }
       ]),
       LeafletDelivery.aggregate([
         { 
           $match: { 
-            createdBy: req.user.id, 
+            organisation: req.user.organisation, 
             status: 'Active', 
             createdAt: { 
               $gte: startOfPreviousMonth, 
@@ -139,21 +150,28 @@ router.get('/stats', auth, async (req, res) => {
             } 
           } 
         },
-        { $group: { _id: null, total: { $sum: '$charge' } } }
+        { $group: { _id: null, total: sumInBase('$charge') } }
       ])
     ]);
 
-    // Extract values and calculate changes
-    const currentBookingValue = currentMonthBookingValue[0]?.total || 0;
-    const currentLeafletValue = currentMonthLeafletValue[0]?.total || 0;
-    const prevBookingValue = previousMonthBookingValue[0]?.total || 0;
-    const prevLeafletValue = previousMonthLeafletValue[0]?.total || 0;
+    // Extract values and calculate changes. Amounts are in the organisation's base currency.
+    const currentBookingValue = totalOf(currentMonthBookingValue);
+    const currentLeafletValue = totalOf(currentMonthLeafletValue);
+    const prevBookingValue = totalOf(previousMonthBookingValue);
+    const prevLeafletValue = totalOf(previousMonthLeafletValue);
     
-    const totalBookingValueAll = totalBookingValue[0]?.total || 0;
-    const totalLeafletValueAll = totalLeafletValue[0]?.total || 0;
-    const totalRevenueAll = totalBookingValueAll + totalLeafletValueAll;
+    const totalBookingValueAll = totalOf(totalBookingValue);
+    const totalLeafletValueAll = totalOf(totalLeafletValue);
+    const totalRevenueAll = roundMoney(totalBookingValueAll + totalLeafletValueAll);
+
+    // Values are net; tax is reported alongside them
+    const totalBookingTaxAll = totalOf(totalBookingValue, 'tax');
+    const totalLeafletTaxAll = totalOf(totalLeafletValue, 'tax');
+    const totalTaxAll = roundMoney(totalBookingTaxAll + totalLeafletTaxAll);
+    const { currency } = await currencyFor(req.user.organisation);
 
     res.json({
+      currency,
       totalCustomers,
       totalMagazines,
       totalBookings,
@@ -161,6 +179,10 @@ router.get('/stats', auth, async (req, res) => {
       totalBookingValue: totalBookingValueAll,
       totalLeafletValue: totalLeafletValueAll,
       totalRevenue: totalRevenueAll,
+      totalBookingTax: totalBookingTaxAll,
+      totalLeafletTax: totalLeafletTaxAll,
+      totalTax: totalTaxAll,
+      totalGross: roundMoney(totalRevenueAll + totalTaxAll),
       // Percentage changes
       customerChange: calculatePercentageChange(currentMonthCustomers, previousMonthCustomers),
       magazineChange: calculatePercentageChange(0, 0), // Magazines don't change monthly typically
@@ -180,11 +202,11 @@ router.get('/stats', auth, async (req, res) => {
 });
 
 // Get current issue dashboard data for a magazine
-router.get('/current-issue/:magazineId', auth, async (req, res) => {
+router.get('/current-issue/:magazineId', auth, authorize('dashboard:view'), async (req, res) => {
   try {
     const magazine = await Magazine.findOne({ 
       _id: req.params.magazineId, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     }).populate('schedule', 'name issues');
 
     if (!magazine) {
@@ -224,57 +246,76 @@ router.get('/current-issue/:magazineId', auth, async (req, res) => {
       return res.status(404).json({ message: 'No current or upcoming issue found' });
     }
 
-    // Get bookings for this issue and magazine
+    // Get bookings with an entry for this magazine running in the current issue.
+    // Confirmed and published bookings take space, provisional ones hold it.
+    const position = { schedule: magazine.schedule._id, sortOrder: currentIssue.sortOrder };
     const bookings = await Booking.find({
-      createdBy: req.user.id,
-      magazines: req.params.magazineId,
-      $or: [
-        { firstIssue: currentIssue.name },
-        { 
-          $and: [
-            { firstIssue: { $lte: currentIssue.name } },
-            { 
-              $or: [
-                { isOngoing: true },
-                { lastIssue: { $gte: currentIssue.name } }
-              ]
-            }
-          ]
-        }
-      ],
-      status: 'Active'
-    }).populate('contentSize', 'size');
+      organisation: req.user.organisation,
+      magazineEntries: {
+        $elemMatch: { magazine: magazine._id, ...entryRunsInIssue(position) }
+      },
+      status: { $in: SPACE_STATUSES }
+    }).populate('magazineEntries.contentSize', 'size');
 
     // Calculate content type breakdown
     const contentTypeBreakdown = {};
     let totalBookedPages = 0;
+    let provisionalPages = 0;
+    let provisionalCount = 0;
+    let provisionalValue = 0;
 
     bookings.forEach(booking => {
-      const contentType = booking.contentType;
-      const pages = booking.contentSize.size;
-      
-      if (!contentTypeBreakdown[contentType]) {
-        contentTypeBreakdown[contentType] = { pages: 0, count: 0, value: 0 };
-      }
-      
-      contentTypeBreakdown[contentType].pages += pages;
-      contentTypeBreakdown[contentType].count += 1;
-      contentTypeBreakdown[contentType].value += booking.netValue;
-      totalBookedPages += pages;
+      const isHeld = HELD_STATUSES.includes(booking.status);
+      // Values are totalled in the organisation's base currency
+      const inBase = (amount) => amount / (booking.exchangeRate || 1);
+
+      booking.magazineEntries
+        .filter(entry => entry.magazine.toString() === magazine._id.toString() && isEntryInIssue(entry, position))
+        .forEach(entry => {
+          const contentType = entry.contentType;
+          const pages = entry.contentSize ? entry.contentSize.size : 0;
+
+          if (isHeld) {
+            provisionalPages += pages;
+            provisionalCount += 1;
+            provisionalValue += inBase(entry.totalPrice);
+            return;
+          }
+
+          if (!contentTypeBreakdown[contentType]) {
+            contentTypeBreakdown[contentType] = { pages: 0, count: 0, value: 0 };
+          }
+
+          contentTypeBreakdown[contentType].pages += pages;
+          contentTypeBreakdown[contentType].count += 1;
+          contentTypeBreakdown[contentType].value += inBase(entry.totalPrice);
+          totalBookedPages += pages;
+        });
     });
 
     // Calculate percentages
     const totalPages = currentIssue.totalPages;
-    const unallocatedPages = Math.max(0, totalPages - totalBookedPages);
+    const unallocatedPages = Math.max(0, totalPages - totalBookedPages - provisionalPages);
 
     const breakdown = Object.entries(contentTypeBreakdown).map(([type, data]) => ({
       contentType: type,
       pages: data.pages,
       count: data.count,
-      value: data.value,
+      value: roundMoney(data.value),
       percentage: ((data.pages / totalPages) * 100).toFixed(1)
     }));
 
+    // Add space held by provisional bookings
+    if (provisionalPages > 0) {
+      breakdown.push({
+        contentType: 'Provisional',
+        pages: provisionalPages,
+        count: provisionalCount,
+        value: roundMoney(provisionalValue),
+        percentage: ((provisionalPages / totalPages) * 100).toFixed(1)
+      });
+    }
+
     // Add unallocated space
     if (unallocatedPages > 0) {
       breakdown.push({
@@ -286,18 +327,24 @@ router.get('/current-issue/:magazineId', auth, async (req, res) => {
       });
     }
 
+    const { currency } = await currencyFor(req.user.organisation);
+
     res.json({
       magazine: magazine.name,
+      currency,
       currentIssue: {
         name: currentIssue.name,
         totalPages: currentIssue.totalPages,
-        closeDate: currentIssue.closeDate
+        closeDate: currentIssue.closeDate,
+        keyDates: getIssueKeyDates(currentIssue)
       },
       totalBookedPages,
+      provisionalPages,
       totalPages,
       unallocatedPages,
       breakdown,
-      totalValue: Object.values(contentTypeBreakdown).reduce((sum, data) => sum + data.value, 0)
+      totalValue: roundMoney(Object.values(contentTypeBreakdown).reduce((sum, data) => sum + data.value, 0)),
+      provisionalValue: roundMoney(provisionalValue)
     });
   } catch (error) {
     console.error('Error fetching current issue dashboard:', error);
@@ -306,16 +353,16 @@ router.get('/current-issue/:magazineId', auth, async (req, res) => {
 });
 
 // Get publication totals for all magazines
-router.get('/publications', auth, async (req, res) => {
+router.get('/publications', auth, authorize('dashboard:view'), async (req, res) => {
   try {
-    const magazines = await Magazine.find({ createdBy: req.user.id });
+    const magazines = await Magazine.find({ organisation: req.user.organisation });
     
     const publicationTotals = await Promise.all(
       magazines.map(async (magazine) => {
         const bookings = await Booking.find({
-          createdBy: req.user.id,
+          organisation: req.user.organisation,
           magazines: magazine._id,
-          status: 'Active'
+          status: { $in: BOOKED_STATUSES }
         });
 
         const contentTypeBreakdown = {};
@@ -357,14 +404,14 @@ router.get('/publications', auth, async (req, res) => {
 });
 
 // Get top customers by booking value
-router.get('/top-customers', auth, async (req, res) => {
+router.get('/top-customers', auth, authorize('dashboard:view'), async (req, res) => {
   try {
     const topCustomers = await Booking.aggregate([
-      { $match: { createdBy: req.user.id, status: 'Active' } },
+      { $match: { organisation: req.user.organisation, status: { $in: BOOKED_STATUSES } } },
       {
         $group: {
           _id: '$customer',
-          totalValue: { $sum: '$netValue' },
+          totalValue: sumInBase('$totalValue'),
           totalBookings: { $sum: 1 }
         }
       },
@@ -389,7 +436,8 @@ router.get('/top-customers', auth, async (req, res) => {
       }
     ]);
 
-    res.json(topCustomers);
+    // Values are in the organisation's base currency
+    res.json(topCustomers.map(customer => ({ ...customer, totalValue: roundMoney(fromMinor(customer.totalValue)) })));
   } catch (error) {
     console.error('Error fetching top customers:', error);
     res.status(500).json({ message: 'Server error' });
@@ -397,16 +445,16 @@ router.get('/top-customers', auth, async (req, res) => {
 });
 
 // Get recent activity (recent bookings and leaflet deliveries)
-router.get('/recent-activity', auth, async (req, res) => {
+router.get('/recent-activity', auth, authorize('dashboard:view'), async (req, res) => {
   try {
     const [recentBookings, recentLeafletDeliveries] = await Promise.all([
-      Booking.find({ createdBy: req.user.id })
+      Booking.find({ organisation: req.user.organisation })
         .populate('customer', 'name')
         .populate('magazines', 'name')
         .populate('contentSize', 'description')
         .sort({ createdAt: -1 })
         .limit(5),
-      LeafletDelivery.find({ createdBy: req.user.id })
+      LeafletDelivery.find({ organisation: req.user.organisation })
         .populate('customer', 'name')
         .populate('magazine', 'name')
         .sort({ createdAt: -1 })
@@ -421,6 +469,7 @@ router.get('/recent-activity', auth, async (req, res) => {
         customerName: booking.customer.name,
         description: `${booking.contentSize.description} in ${booking.magazines.map(m => m.name).join(', ')}`,
         value: booking.netValue,
+        currency: booking.currency,
         createdAt: booking.createdAt
       })),
       ...recentLeafletDeliveries.map(delivery => ({
@@ -429,6 +478,7 @@ router.get('/recent-activity', auth, async (req, res) => {
         customerName: delivery.customer.name,
         description: `Leaflet delivery (${delivery.quantity}x) in ${delivery.magazine.name}`,
         value: delivery.charge,
+        currency: delivery.currency,
         createdAt: delivery.createdAt
       }))
     ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, 10);
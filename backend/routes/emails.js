@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const EmailTemplate = require('../models/EmailTemplate');
+const OutboxMessage = require('../models/OutboxMessage');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { body, query, validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
+const { TEMPLATE_KEYS, missingVariables, misusedLinks, getTemplates } = require('../utils/emailTemplates');
+const { OUTBOX_STATUSES } = require('../utils/outboxStatus');
+const { deliverMessage } = require('../utils/outbox');
+const { isEmailConfigured } = require('../utils/mailer');
+
+// Outbox listings leave out message bodies and attachment contents
+const OUTBOX_FIELDS = '-html -text -attachments.content';
+
+// Get the organisation's email templates (saved versions or the built-in ones)
+router.get('/templates', auth, authorize('settings:view'), async (req, res) => {
+  try {
+    const templates = await getTemplates(req.user.organisation);
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save the organisation's version of a template
+router.put('/templates/:key', [
+  auth,
+  authorize('settings:edit'),
+  body('subject').trim().notEmpty().withMessage('Subject is required'),
+  body('html').trim().notEmpty().withMessage('Message body is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!TEMPLATE_KEYS.includes(req.params.key)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const missing = missingVariables(req.params.key, req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `The template must use ${missing.map(name => `{{${name}}}`).join(' and ')}` });
+    }
+
+    const misused = misusedLinks(req.params.key, req.body);
+    if (misused.length > 0) {
+      return res.status(400).json({ message: `${misused.map(name => `{{${name}}}`).join(' and ')} can only be used as the address of a link, e.g. <a href="{{${misused[0]}}}">` });
+    }
+
+    await EmailTemplate.findOneAndUpdate(
+      { organisation: req.user.organisation, key: req.params.key },
+      {
+        subject: req.body.subject,
+        html: req.body.html,
+        updatedBy: req.user._id
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const templates = await getTemplates(req.user.organisation);
+    res.json(templates.find(template => template.key === req.params.key));
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Go back to the built-in version of a template
+router.delete('/templates/:key', auth, authorize('settings:edit'), async (req, res) => {
+  try {
+    if (!TEMPLATE_KEYS.includes(req.params.key)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    await EmailTemplate.deleteOne({ organisation: req.user.organisation, key: req.params.key });
+
+    const templates = await getTemplates(req.user.organisation);
+    res.json(templates.find(template => template.key === req.params.key));
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the organisation's sent and queued emails, newest first
+router.get('/outbox', [
+  auth,
+  authorize('emails:send'),
+  query('status').optional().isIn(OUTBOX_STATUSES).withMessage('Invalid status'),
+  query('booking').optional().isMongoId().withMessage('Invalid booking'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { organisation: req.user.organisation };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.booking) filter.booking = req.query.booking;
+
+    // Password reset links are only shown to members who manage settings
+    if (!hasPermission(req.user.role, 'settings:edit')) {
+      filter.template = { $ne: 'passwordReset' };
+    }
+
+    const messages = await OutboxMessage.find(filter)
+      .select(OUTBOX_FIELDS)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 50);
+
+    res.json({
+      emailConfigured: isEmailConfigured(),
+      messages
+    });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a failed or queued message again now
+router.post('/outbox/:id/retry', auth, authorize('emails:send'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (!isEmailConfigured()) {
+      return res.status(400).json({ message: 'Email sending is not configured' });
+    }
+
+    const message = await OutboxMessage.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        organisation: req.user.organisation,
+        status: { $in: ['Queued', 'Failed'] }
+      },
+      { $set: { status: 'Queued', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+
+    if (!message) {
+      return res.status(404).json({ message: 'No queued or failed message found' });
+    }
+
+    await deliverMessage(message);
+
+    const updated = await OutboxMessage.findById(message._id)
+      .select(OUTBOX_FIELDS)
+      .populate('createdBy', 'name');
+    res.json(updated);
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
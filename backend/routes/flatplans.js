@@ -0,0 +1,198 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Flatplan = require('../models/Flatplan');
+const Magazine = require('../models/Magazine');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { body, validationResult } = require('express-validator');
+const { findScheduleIssue } = require('../utils/issues');
+const {
+  entryKey,
+  checkPlacements,
+  getIssueEntries,
+  describePlacement,
+  buildFlatplan
+} = require('../utils/flatplans');
+
+// Helper function to load a magazine with its schedule and the issue being planned.
+// Returns { magazine, issue } or { status, message } for the response.
+const loadIssue = async (magazineId, issueId, organisationId) => {
+  if (!mongoose.isValidObjectId(magazineId)) {
+    return { status: 404, message: 'Magazine not found' };
+  }
+
+  const magazine = await Magazine.findOne({
+    _id: magazineId,
+    organisation: organisationId
+  }).populate('schedule');
+
+  if (!magazine) {
+    return { status: 404, message: 'Magazine not found' };
+  }
+
+  if (!magazine.schedule) {
+    return { status: 400, message: `Magazine "${magazine.name}" has no schedule assigned` };
+  }
+
+  const issue = findScheduleIssue(magazine.schedule, issueId);
+  if (!issue) {
+    return { status: 404, message: `Issue "${issueId}" is not in the schedule of ${magazine.name}` };
+  }
+
+  return { magazine, issue };
+};
+
+// Helper function to shape the flatplan response of an issue
+const flatplanResponse = (magazine, issue, flatplan, entries) => ({
+  magazine: { _id: magazine._id, name: magazine.name },
+  issue: { _id: issue._id, name: issue.name, closeDate: issue.closeDate },
+  ...buildFlatplan(flatplan, entries, magazine.getTotalPages(issue.name))
+});
+
+// Get the flatplan of a magazine issue with the bookings to place
+router.get('/:magazineId/:issueId', auth, authorize('bookings:view'), async (req, res) => {
+  try {
+    const { magazine, issue, status, message } = await loadIssue(
+      req.params.magazineId,
+      req.params.issueId,
+      req.user.organisation
+    );
+
+    if (!magazine) {
+      return res.status(status).json({ message });
+    }
+
+    const flatplan = await Flatplan.findOne({
+      organisation: req.user.organisation,
+      magazine: magazine._id,
+      issue: issue._id
+    });
+    const entries = await getIssueEntries(magazine, issue, req.user.organisation);
+
+    res.json(flatplanResponse(magazine, issue, flatplan, entries));
+  } catch (error) {
+    console.error('Error fetching flatplan:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save the placements of a magazine issue's flatplan
+router.put('/:magazineId/:issueId', [
+  auth,
+  authorize('flatplan:edit'),
+  body('placements').isArray().withMessage('Placements must be an array'),
+  body('placements.*.kind').isIn(['booking', 'editorial']).withMessage('Placement must be a booking or editorial'),
+  body('placements.*.page').isInt({ min: 1 }).withMessage('Page must be at least 1'),
+  body('placements.*.position').optional().isFloat({ min: 0, max: 0.999 }).withMessage('Position must be within the page'),
+  body('placements.*.size').optional().isFloat({ min: 0.001 }).withMessage('Size must be more than 0 pages'),
+  body('placements.*.label').optional().trim(),
+  body('placements.*.booking').optional().isMongoId().withMessage('Valid booking is required'),
+  body('placements.*.entry').optional().isMongoId().withMessage('Valid booking entry is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { magazine, issue, status, message } = await loadIssue(
+      req.params.magazineId,
+      req.params.issueId,
+      req.user.organisation
+    );
+
+    if (!magazine) {
+      return res.status(status).json({ message });
+    }
+
+    const entries = await getIssueEntries(magazine, issue, req.user.organisation);
+    const entriesByKey = new Map(entries.map(entry => [entryKey(entry.booking, entry.entry), entry]));
+    const placedEntries = new Set();
+    const placementErrors = [];
+
+    const placements = req.body.placements.map(placement => {
+      const page = Number(placement.page);
+      const position = Number(placement.position) || 0;
+
+      if (placement.kind === 'editorial') {
+        if (!placement.label) {
+          placementErrors.push(`Editorial placeholder on page ${page} needs a title`);
+        }
+        if (!placement.size) {
+          placementErrors.push(`Editorial placeholder on page ${page} needs a size`);
+        }
+
+        return { kind: 'editorial', label: placement.label, page, position, size: Number(placement.size) };
+      }
+
+      const key = entryKey(placement.booking, placement.entry);
+      const entry = entriesByKey.get(key);
+
+      if (!entry) {
+        placementErrors.push(`The booking placed on page ${page} is no longer booked in ${issue.name}; remove it from the flatplan`);
+        return null;
+      }
+
+      if (placedEntries.has(key)) {
+        placementErrors.push(`${describePlacement(entry)} is placed more than once`);
+      }
+      placedEntries.add(key);
+
+      // Booked items take the pages of their content size
+      return {
+        kind: 'booking',
+        booking: entry.booking,
+        entry: entry.entry,
+        page,
+        position,
+        size: entry.size,
+        customer: entry.customer,
+        contentType: entry.contentType
+      };
+    });
+
+    if (placementErrors.length > 0) {
+      return res.status(400).json({ message: placementErrors.join('. '), errors: placementErrors });
+    }
+
+    const overlaps = checkPlacements(placements, magazine.getTotalPages(issue.name), describePlacement);
+    if (overlaps.length > 0) {
+      return res.status(409).json({ message: overlaps.join('. '), errors: overlaps });
+    }
+
+    let flatplan = await Flatplan.findOne({
+      organisation: req.user.organisation,
+      magazine: magazine._id,
+      issue: issue._id
+    });
+
+    if (!flatplan) {
+      flatplan = new Flatplan({
+        magazine: magazine._id,
+        schedule: magazine.schedule._id,
+        issue: issue._id,
+        organisation: req.user.organisation
+      });
+    }
+
+    flatplan.placements = placements.map(({ kind, booking, entry, label, page, position, size }) => ({
+      kind,
+      booking,
+      entry,
+      label,
+      page,
+      position,
+      size
+    }));
+    flatplan.updatedBy = req.user._id;
+    await flatplan.save();
+
+    res.json(flatplanResponse(magazine, issue, flatplan, entries));
+  } catch (error) {
+    console.error('Error saving flatplan:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,353 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const Schedule = require('../models/Schedule');
+const Magazine = require('../models/Magazine');
+const Organisation = require('../models/Organisation');
+const Customer = require('../models/Customer');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { body, validationResult } = require('express-validator');
+const { toIssueReference, entryRunsInIssue } = require('../utils/issues');
+const { BOOKED_STATUSES } = require('../utils/bookingStatus');
+const {
+  INVOICE_STATUSES,
+  PAYMENT_TERMS_DAYS,
+  canTransitionInvoice
+} = require('../utils/invoiceStatus');
+const {
+  buildInvoiceLines,
+  createDraftInvoice,
+  isInsertionConflict,
+  assignInvoiceNumber
+} = require('../utils/invoices');
+const { writeInvoicePdf } = require('../utils/invoicePdf');
+const { billingDetails } = require('../utils/customerContacts');
+const { taxFor } = require('../utils/tax');
+
+// Customer fields needed to address an invoice
+const BILLING_FIELDS = 'name contacts postalAddress billingAddress vatNumber';
+
+const INSERTION_CONFLICT = 'Some of these insertions were invoiced at the same time by someone else. Please try again.';
+
+// Get all invoices for the user's organisation
+router.get('/', auth, authorize('invoices:view'), async (req, res) => {
+  try {
+    const { status, customer, booking } = req.query;
+    const filter = { organisation: req.user.organisation };
+
+    if (status) filter.status = status;
+    if (customer) filter.customer = customer;
+    if (booking) filter['lines.booking'] = booking;
+
+    const invoices = await Invoice.find(filter)
+      .populate('customer', 'name')
+      .populate('magazine', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(invoices);
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate draft invoices for an issue: one per customer, from the insertions of
+// confirmed and published bookings in that issue that have not been invoiced
+router.post('/generate', [
+  auth,
+  authorize('invoices:edit'),
+  body('issue').isMongoId().withMessage('Valid issue is required'),
+  body('magazine').optional({ checkFalsy: true }).isMongoId().withMessage('Valid magazine is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { issue: issueId, magazine: magazineId } = req.body;
+
+    const schedule = await Schedule.findOne({
+      organisation: req.user.organisation,
+      'issues._id': issueId
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ message: 'Issue not found' });
+    }
+
+    const issue = schedule.issues.id(issueId);
+
+    if (magazineId) {
+      const magazine = await Magazine.findOne({ _id: magazineId, organisation: req.user.organisation });
+      if (!magazine) {
+        return res.status(404).json({ message: 'Magazine not found' });
+      }
+    }
+
+    const bookings = await Booking.find({
+      organisation: req.user.organisation,
+      status: { $in: BOOKED_STATUSES },
+      magazineEntries: {
+        $elemMatch: {
+          ...(magazineId ? { magazine: magazineId } : {}),
+          ...entryRunsInIssue({ schedule: schedule._id, sortOrder: issue.sortOrder })
+        }
+      }
+    }).populate('magazineEntries.contentSize', 'description');
+
+    // Collect the lines of each customer's bookings, with one invoice per currency and exchange
+    // rate they were priced at, so every line of an invoice converts at the same rate
+    const groups = new Map();
+    for (const booking of bookings) {
+      const lines = await buildInvoiceLines(booking, { issueId, magazineId });
+      const key = `${booking.customer}:${booking.currency}:${booking.exchangeRate}`;
+      if (!groups.has(key)) {
+        groups.set(key, { customer: booking.customer, currency: booking.currency, exchangeRate: booking.exchangeRate, lines: [] });
+      }
+      groups.get(key).lines.push(...lines);
+    }
+
+    const invoices = [];
+    for (const { customer, currency, exchangeRate, lines } of groups.values()) {
+      const invoice = await createDraftInvoice({
+        customer,
+        currency,
+        exchangeRate,
+        lines,
+        issue: toIssueReference(schedule, issue),
+        magazine: magazineId || undefined,
+        organisation: req.user.organisation,
+        userId: req.user._id
+      });
+
+      if (invoice) invoices.push(invoice);
+    }
+
+    await Invoice.populate(invoices, { path: 'customer', select: 'name' });
+
+    res.status(invoices.length > 0 ? 201 : 200).json({
+      message: invoices.length > 0
+        ? `Created ${invoices.length} draft invoices for ${issue.name}`
+        : `Everything booked in ${issue.name} has already been invoiced`,
+      invoices
+    });
+  } catch (error) {
+    if (isInsertionConflict(error)) {
+      return res.status(409).json({ message: INSERTION_CONFLICT });
+    }
+    console.error('Error generating invoices:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate a draft invoice for the insertions of one booking that have not been invoiced.
+// Ongoing entries are billed up to the next issue to close.
+router.post('/booking/:bookingId', auth, authorize('invoices:edit'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.bookingId)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const booking = await Booking.findOne({
+      _id: req.params.bookingId,
+      organisation: req.user.organisation
+    }).populate('magazineEntries.contentSize', 'description');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!BOOKED_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `A ${booking.status} booking cannot be invoiced` });
+    }
+
+    const invoice = await createDraftInvoice({
+      customer: booking.customer,
+      currency: booking.currency,
+      exchangeRate: booking.exchangeRate,
+      lines: await buildInvoiceLines(booking),
+      booking: booking._id,
+      organisation: req.user.organisation,
+      userId: req.user._id
+    });
+
+    if (!invoice) {
+      return res.status(400).json({ message: 'Everything in this booking has already been invoiced' });
+    }
+
+    await invoice.populate('customer', 'name');
+    res.status(201).json(invoice);
+  } catch (error) {
+    if (isInsertionConflict(error)) {
+      return res.status(409).json({ message: INSERTION_CONFLICT });
+    }
+    console.error('Error invoicing booking:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single invoice
+router.get('/:id', auth, authorize('invoices:view'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    })
+      .populate('customer', 'name')
+      .populate('magazine', 'name')
+      .populate('createdBy', 'name email');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download an invoice as a PDF
+router.get('/:id/pdf', auth, authorize('invoices:view'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    }).populate('customer', BILLING_FIELDS);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number || `draft-${invoice._id}`}.pdf"`);
+    writeInvoicePdf(invoice, organisation, res);
+  } catch (error) {
+    console.error('Error creating invoice PDF:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the notes of a draft invoice
+router.put('/:id', [
+  auth,
+  authorize('invoices:edit'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft invoices can be edited' });
+    }
+
+    invoice.notes = req.body.notes;
+    await invoice.save();
+    await invoice.populate('customer', 'name');
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Error updating invoice:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move an invoice to another status: issuing gives it the next invoice number and the
+// customer's current tax rate, voiding releases its insertions to be invoiced again
+router.patch('/:id/status', [
+  auth,
+  authorize('invoices:edit'),
+  body('status').isIn(INVOICE_STATUSES).withMessage('Invalid invoice status'),
+  body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Due date must be a valid date'),
+  body('voidReason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { status, dueDate, voidReason } = req.body;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (!canTransitionInvoice(invoice.status, status)) {
+      return res.status(400).json({ message: `A ${invoice.status} invoice cannot be moved to ${status}` });
+    }
+
+    if (status === 'Issued') {
+      const customer = await Customer.findById(invoice.customer).select(`${BILLING_FIELDS} paymentTermsDays taxTreatment taxRate`);
+      const termsDays = customer?.paymentTermsDays ?? PAYMENT_TERMS_DAYS;
+
+      invoice.issuedAt = new Date();
+      invoice.dueDate = dueDate
+        ? new Date(dueDate)
+        : new Date(Date.now() + termsDays * 24 * 60 * 60 * 1000);
+      invoice.billTo = billingDetails(customer);
+      invoice.tax = await taxFor(invoice.organisation, customer);
+      await assignInvoiceNumber(invoice);
+    } else if (status === 'Paid') {
+      invoice.paidAt = new Date();
+    } else if (status === 'Void') {
+      invoice.voidedAt = new Date();
+      invoice.voidReason = voidReason;
+      invoice.insertions = undefined;
+    }
+
+    invoice.status = status;
+    await invoice.save();
+    await invoice.populate('customer', 'name');
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Error updating invoice status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a draft invoice, releasing its insertions
+router.delete('/:id', auth, authorize('invoices:edit'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organisation: req.user.organisation
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft invoices can be deleted; void issued invoices instead' });
+    }
+
+    await Invoice.deleteOne({ _id: invoice._id });
+    res.json({ message: 'Invoice deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting invoice:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,21 +1,55 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const LeafletDelivery = require('../models/LeafletDelivery');
 const Customer = require('../models/Customer');
 const Magazine = require('../models/Magazine');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const { body, validationResult } = require('express-validator');
+const { toIssueReference, findScheduleIssue, resolveMagazineIssue } = require('../utils/issues');
+const { taxFor } = require('../utils/tax');
+const { roundMoney, currencyFor } = require('../utils/money');
 
-// Get all leaflet deliveries for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Helper function to resolve the start and finish issues in the magazine's schedule
+const resolveDeliveryIssues = async (magazineId, startIssue, finishIssue, organisationId) => {
+  const start = await resolveMagazineIssue(magazineId, startIssue, organisationId);
+  if (start.error) {
+    return { error: start.error };
+  }
+
+  const finish = findScheduleIssue(start.schedule, finishIssue);
+  if (!finish) {
+    return { error: `Issue "${finishIssue}" is not in the schedule of this magazine` };
+  }
+
+  if (finish.sortOrder < start.issue.sortOrder) {
+    return { error: `Finish issue "${finish.name}" is before start issue "${start.issue.name}"` };
+  }
+
+  return {
+    startIssue: toIssueReference(start.schedule, start.issue),
+    finishIssue: toIssueReference(start.schedule, finish)
+  };
+};
+
+// Helper function to filter by start issue, given as an issue id or name
+const startIssueFilter = (startIssue) => (
+  mongoose.Types.ObjectId.isValid(startIssue)
+    ? { 'startIssue.issue': startIssue }
+    : { 'startIssue.name': startIssue }
+);
+
+// Get all leaflet deliveries for the user's organisation
+router.get('/', auth, authorize('leaflets:view'), async (req, res) => {
   try {
     const { customer, magazine, startIssue, status } = req.query;
     
-    let filter = { createdBy: req.user.id };
+    let filter = { organisation: req.user.organisation };
     
     if (customer) filter.customer = customer;
     if (magazine) filter.magazine = magazine;
-    if (startIssue) filter.startIssue = startIssue;
+    if (startIssue) Object.assign(filter, startIssueFilter(startIssue));
     if (status) filter.status = status;
 
     const leafletDeliveries = await LeafletDelivery.find(filter)
@@ -31,11 +65,11 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get a single leaflet delivery
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('leaflets:view'), async (req, res) => {
   try {
     const leafletDelivery = await LeafletDelivery.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     })
       .populate('customer', 'name businessCategory')
       .populate('magazine', 'name');
@@ -54,6 +88,7 @@ router.get('/:id', auth, async (req, res) => {
 // Create a new leaflet delivery
 router.post('/', [
   auth,
+  authorize('leaflets:edit'),
   body('customer').notEmpty().withMessage('Customer is required'),
   body('magazine').notEmpty().withMessage('Magazine is required'),
   body('startIssue').trim().notEmpty().withMessage('Start issue is required'),
@@ -77,10 +112,10 @@ router.post('/', [
       note
     } = req.body;
 
-    // Verify customer and magazine belong to the user
+    // Verify customer and magazine belong to the organisation
     const [customerDoc, magazineDoc] = await Promise.all([
-      Customer.findOne({ _id: customer, createdBy: req.user.id }),
-      Magazine.findOne({ _id: magazine, createdBy: req.user.id })
+      Customer.findOne({ _id: customer, organisation: req.user.organisation }),
+      Magazine.findOne({ _id: magazine, organisation: req.user.organisation })
     ]);
 
     if (!customerDoc) {
@@ -91,14 +126,28 @@ router.post('/', [
       return res.status(400).json({ message: 'Magazine not found' });
     }
 
+    // The charge is in the currency the customer is billed in
+    const billing = await currencyFor(req.user.organisation, customerDoc);
+    if (billing.error) {
+      return res.status(400).json({ message: billing.error });
+    }
+
+    const issues = await resolveDeliveryIssues(magazine, startIssue, finishIssue, req.user.organisation);
+    if (issues.error) {
+      return res.status(400).json({ message: issues.error });
+    }
+
     const leafletDelivery = new LeafletDelivery({
       customer,
       magazine,
-      startIssue,
-      finishIssue,
+      ...issues,
       quantity,
+      currency: billing.currency,
+      exchangeRate: billing.exchangeRate,
       charge,
+      tax: await taxFor(req.user.organisation, customerDoc),
       note,
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
@@ -120,6 +169,7 @@ router.post('/', [
 // Update a leaflet delivery
 router.put('/:id', [
   auth,
+  authorize('leaflets:edit'),
   body('customer').notEmpty().withMessage('Customer is required'),
   body('magazine').notEmpty().withMessage('Magazine is required'),
   body('startIssue').trim().notEmpty().withMessage('Start issue is required'),
@@ -135,7 +185,7 @@ router.put('/:id', [
 
     const leafletDelivery = await LeafletDelivery.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!leafletDelivery) {
@@ -153,23 +203,38 @@ router.put('/:id', [
       status
     } = req.body;
 
-    // Verify customer and magazine belong to the user
+    // Verify customer and magazine belong to the organisation
     const [customerDoc, magazineDoc] = await Promise.all([
-      Customer.findOne({ _id: customer, createdBy: req.user.id }),
-      Magazine.findOne({ _id: magazine, createdBy: req.user.id })
+      Customer.findOne({ _id: customer, organisation: req.user.organisation }),
+      Magazine.findOne({ _id: magazine, organisation: req.user.organisation })
     ]);
 
     if (!customerDoc || !magazineDoc) {
       return res.status(400).json({ message: 'Invalid customer or magazine' });
     }
 
+    const billing = await currencyFor(req.user.organisation, customerDoc);
+    if (billing.error) {
+      return res.status(400).json({ message: billing.error });
+    }
+    if (billing.currency !== leafletDelivery.currency) {
+      return res.status(400).json({ message: `This leaflet delivery is charged in ${leafletDelivery.currency} but the customer is billed in ${billing.currency}` });
+    }
+
+    const issues = await resolveDeliveryIssues(magazine, startIssue, finishIssue, req.user.organisation);
+    if (issues.error) {
+      return res.status(400).json({ message: issues.error });
+    }
+
     // Update leaflet delivery fields
     leafletDelivery.customer = customer;
     leafletDelivery.magazine = magazine;
-    leafletDelivery.startIssue = startIssue;
-    leafletDelivery.finishIssue = finishIssue;
+    leafletDelivery.startIssue = issues.startIssue;
+    leafletDelivery.finishIssue = issues.finishIssue;
     leafletDelivery.quantity = quantity;
+    // The delivery keeps the exchange rate it was charged at
     leafletDelivery.charge = charge;
+    leafletDelivery.tax = await taxFor(req.user.organisation, customerDoc);
     leafletDelivery.note = note;
     if (status) leafletDelivery.status = status;
 
@@ -189,11 +254,11 @@ router.put('/:id', [
 });
 
 // Delete a leaflet delivery
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('leaflets:edit'), async (req, res) => {
   try {
     const leafletDelivery = await LeafletDelivery.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!leafletDelivery) {
@@ -209,36 +274,47 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Get leaflet delivery report data
-router.get('/report/data', auth, async (req, res) => {
+router.get('/report/data', auth, authorize('reports:view'), async (req, res) => {
   try {
     const { magazine, startIssue, customer } = req.query;
     
-    let filter = { createdBy: req.user.id };
+    let filter = { organisation: req.user.organisation };
     
     if (customer) filter.customer = customer;
     if (magazine) filter.magazine = magazine;
-    if (startIssue) filter.startIssue = startIssue;
+    if (startIssue) Object.assign(filter, startIssueFilter(startIssue));
 
     const leafletDeliveries = await LeafletDelivery.find(filter)
       .populate('customer', 'name businessCategory')
       .populate('magazine', 'name')
-      .sort({ 'customer.name': 1, startIssue: 1 });
+      .sort({ 'customer.name': 1, 'startIssue.sortOrder': 1 });
 
     const reportData = leafletDeliveries.map(delivery => ({
       magazineName: delivery.magazine.name,
       customerName: delivery.customer.name,
-      startIssue: delivery.startIssue,
-      finishIssue: delivery.finishIssue,
+      startIssue: delivery.startIssue.name,
+      finishIssue: delivery.finishIssue.name,
       quantity: delivery.quantity,
       charge: delivery.charge,
+      tax: delivery.tax.amount,
+      grossCharge: delivery.grossCharge,
+      currency: delivery.currency,
+      exchangeRate: delivery.exchangeRate,
       note: delivery.note || '',
       status: delivery.status
     }));
 
+    // Totals are in the organisation's base currency
+    const totalInBase = (field) => roundMoney(reportData.reduce((sum, item) => sum + item[field] / (item.exchangeRate || 1), 0));
+    const { currency } = await currencyFor(req.user.organisation);
+
     res.json({
       data: reportData,
       total: reportData.length,
-      totalValue: reportData.reduce((sum, item) => sum + item.charge, 0)
+      currency,
+      totalValue: totalInBase('charge'),
+      totalTax: totalInBase('tax'),
+      totalGross: totalInBase('grossCharge')
     });
   } catch (error) {
     console.error('Error generating leaflet delivery report:', error);
@@ -3,13 +3,14 @@ const router = express.Router();
 const Magazine = require('../models/Magazine');
 const Schedule = require('../models/Schedule');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const { body, validationResult } = require('express-validator');
 
-// Get all magazines for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Get all magazines for the user's organisation
+router.get('/', auth, authorize('settings:view'), async (req, res) => {
   try {
     const includeArchived = req.query.includeArchived === 'true';
-    const filter = { createdBy: req.user.id };
+    const filter = { organisation: req.user.organisation };
     
     if (!includeArchived) {
       filter.archived = { $ne: true };
@@ -26,11 +27,11 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get a single magazine
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('settings:view'), async (req, res) => {
   try {
     const magazine = await Magazine.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     }).populate('schedule', 'name issues');
     
     if (!magazine) {
@@ -47,11 +48,13 @@ router.get('/:id', auth, async (req, res) => {
 // Create a new magazine
 router.post('/', [
   auth,
+  authorize('settings:edit'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('schedule').isMongoId().withMessage('Valid schedule is required'),
   body('pageConfigurations').isArray().withMessage('Page configurations must be an array'),
   body('pageConfigurations.*.issueName').trim().notEmpty().withMessage('Issue name is required'),
-  body('pageConfigurations.*.totalPages').isInt({ min: 1 }).withMessage('Total pages must be at least 1')
+  body('pageConfigurations.*.totalPages').isInt({ min: 1 }).withMessage('Total pages must be at least 1'),
+  body('overbookingPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Overbooking must be between 0 and 100%')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -59,22 +62,22 @@ router.post('/', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { name, schedule, pageConfigurations } = req.body;
+    const { name, schedule, pageConfigurations, overbookingPercentage } = req.body;
 
-    // Verify schedule belongs to the user
+    // Verify schedule belongs to the organisation
     const scheduleDoc = await Schedule.findOne({ 
       _id: schedule, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!scheduleDoc) {
       return res.status(400).json({ message: 'Schedule not found' });
     }
 
-    // Check if magazine with same name already exists for this user
+    // Check if magazine with same name already exists in this organisation
     const existingMagazine = await Magazine.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
     
     if (existingMagazine) {
@@ -85,6 +88,8 @@ router.post('/', [
       name,
       schedule,
       pageConfigurations: pageConfigurations || [],
+      overbookingPercentage: Number(overbookingPercentage) || 0,
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
@@ -103,11 +108,13 @@ router.post('/', [
 // Update a magazine
 router.put('/:id', [
   auth,
+  authorize('settings:edit'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('schedule').isMongoId().withMessage('Valid schedule is required'),
   body('pageConfigurations').isArray().withMessage('Page configurations must be an array'),
   body('pageConfigurations.*.issueName').trim().notEmpty().withMessage('Issue name is required'),
-  body('pageConfigurations.*.totalPages').isInt({ min: 1 }).withMessage('Total pages must be at least 1')
+  body('pageConfigurations.*.totalPages').isInt({ min: 1 }).withMessage('Total pages must be at least 1'),
+  body('overbookingPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Overbooking must be between 0 and 100%')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -115,21 +122,21 @@ router.put('/:id', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { name, schedule, pageConfigurations } = req.body;
+    const { name, schedule, pageConfigurations, overbookingPercentage } = req.body;
 
     const magazine = await Magazine.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!magazine) {
       return res.status(404).json({ message: 'Magazine not found' });
     }
 
-    // Verify schedule belongs to the user
+    // Verify schedule belongs to the organisation
     const scheduleDoc = await Schedule.findOne({ 
       _id: schedule, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!scheduleDoc) {
@@ -140,7 +147,7 @@ router.put('/:id', [
     const existingMagazine = await Magazine.findOne({ 
       _id: { $ne: req.params.id },
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
     
     if (existingMagazine) {
@@ -150,6 +157,9 @@ router.put('/:id', [
     magazine.name = name;
     magazine.schedule = schedule;
     magazine.pageConfigurations = pageConfigurations || [];
+    if (overbookingPercentage !== undefined) {
+      magazine.overbookingPercentage = Number(overbookingPercentage) || 0;
+    }
 
     await magazine.save();
     
@@ -164,11 +174,11 @@ router.put('/:id', [
 });
 
 // Delete a magazine
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const magazine = await Magazine.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!magazine) {
@@ -184,11 +194,11 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Get current issue (based on schedule close dates)
-router.get('/current-issue/:magazineId', auth, async (req, res) => {
+router.get('/current-issue/:magazineId', auth, authorize('settings:view'), async (req, res) => {
   try {
     const magazine = await Magazine.findOne({ 
       _id: req.params.magazineId, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     }).populate('schedule', 'name issues');
 
     if (!magazine) {
@@ -233,11 +243,11 @@ router.get('/current-issue/:magazineId', auth, async (req, res) => {
 });
 
 // Get magazine issues with page counts (for backwards compatibility)
-router.get('/:id/issues', auth, async (req, res) => {
+router.get('/:id/issues', auth, authorize('settings:view'), async (req, res) => {
   try {
     const magazine = await Magazine.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     }).populate('schedule', 'name issues');
 
     if (!magazine) {
@@ -266,13 +276,13 @@ router.get('/:id/issues', auth, async (req, res) => {
 });
 
 // Archive/Unarchive a magazine
-router.patch('/:id/archive', auth, async (req, res) => {
+router.patch('/:id/archive', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const { archived } = req.body;
     
     const magazine = await Magazine.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
     
     if (!magazine) {
@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const Organisation = require('../models/Organisation');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
+const ContentSize = require('../models/ContentSize');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { body, validationResult } = require('express-validator');
+const { createPersonalOrganisation } = require('../utils/organisations');
+const { seedContentTypesForOrganisation } = require('../utils/seedContentTypes');
+const { ROLES, hasPermission } = require('../utils/permissions');
+const { CURRENCY_CODES } = require('../utils/money');
+
+// Helper to check whether a user owns the organisation
+const isOwner = (organisation, user) => organisation.owner.toString() === user._id.toString();
+
+// Get the current user's organisation with its members
+router.get('/current', auth, async (req, res) => {
+  try {
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    if (!organisation) {
+      return res.status(404).json({ message: 'Organisation not found' });
+    }
+
+    const members = await User.find({ organisation: organisation._id })
+      .select('name email role createdAt')
+      .sort({ name: 1 });
+
+    const canManage = hasPermission(req.user.role, 'organisation:manage');
+
+    res.json({
+      _id: organisation._id,
+      name: organisation.name,
+      owner: organisation.owner,
+      // Only members who manage the organisation can hand out the invite code
+      inviteCode: canManage ? organisation.inviteCode : undefined,
+      branding: organisation.branding,
+      taxLabel: organisation.taxLabel,
+      taxRates: organisation.taxRates,
+      currency: organisation.currency,
+      exchangeRates: organisation.exchangeRates,
+      canManage,
+      roles: ROLES,
+      members
+    });
+  } catch (error) {
+    console.error('Error fetching organisation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename the current organisation and update the branding, tax rates and currencies of its documents
+router.put('/current', [
+  auth,
+  authorize('organisation:manage'),
+  body('name').trim().notEmpty().withMessage('Organisation name is required'),
+  body('branding').optional().isObject().withMessage('Branding must be an object'),
+  body(['branding.address', 'branding.phone', 'branding.website', 'branding.terms']).optional().trim(),
+  body('branding.email').optional({ checkFalsy: true }).isEmail().withMessage('Branding email must be a valid email'),
+  body('branding.colour').optional({ checkFalsy: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Brand colour must be a hex colour such as #1d4ed8'),
+  body('taxLabel').optional().trim().notEmpty().withMessage('Tax name is required'),
+  body('taxRates').optional().isArray({ min: 1 }).withMessage('At least one tax rate is required'),
+  body('taxRates.*._id').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid tax rate'),
+  body('taxRates.*.name').trim().notEmpty().withMessage('Tax rate name is required'),
+  body('taxRates.*.percentage').isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100 percent'),
+  body('taxRates.*.isDefault').optional().isBoolean().withMessage('Default must be true or false'),
+  body('currency').optional().isIn(CURRENCY_CODES).withMessage('Invalid currency'),
+  body('exchangeRates').optional().isArray().withMessage('Exchange rates must be a list'),
+  body('exchangeRates.*.currency').isIn(CURRENCY_CODES).withMessage('Invalid exchange rate currency'),
+  body('exchangeRates.*.rate').isFloat({ gt: 0 }).withMessage('Exchange rate must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    if (!organisation) {
+      return res.status(404).json({ message: 'Organisation not found' });
+    }
+
+    organisation.name = req.body.name;
+
+    if (req.body.branding) {
+      const { address, phone, email, website, colour, terms } = req.body.branding;
+      organisation.branding = { address, phone, email, website, colour: colour || undefined, terms };
+    }
+
+    if (req.body.taxLabel) {
+      organisation.taxLabel = req.body.taxLabel;
+    }
+
+    if (req.body.taxRates) {
+      // Rates keep their ids, so customers given a rate keep it; exactly one is the default
+      const defaultIndex = Math.max(0, req.body.taxRates.findIndex(rate => rate.isDefault === true || rate.isDefault === 'true'));
+      organisation.taxRates = req.body.taxRates.map((rate, index) => ({
+        _id: rate._id || undefined,
+        name: rate.name,
+        percentage: Number(rate.percentage),
+        isDefault: index === defaultIndex
+      }));
+    }
+
+    // Prices and reports are in the base currency, so it is fixed once anything has been sold
+    if (req.body.currency && req.body.currency !== organisation.currency) {
+      const filter = { organisation: organisation._id };
+      const [bookings, leafletDeliveries, invoices] = await Promise.all([
+        Booking.countDocuments(filter),
+        LeafletDelivery.countDocuments(filter),
+        Invoice.countDocuments(filter)
+      ]);
+
+      if (bookings + leafletDeliveries + invoices > 0) {
+        return res.status(400).json({ message: 'The base currency cannot be changed once there are bookings, leaflet deliveries or invoices' });
+      }
+
+      // Rate cards keep their prices, now in the new currency
+      organisation.currency = req.body.currency;
+      await ContentSize.updateMany(filter, { $set: { currency: organisation.currency } });
+    }
+
+    if (req.body.exchangeRates) {
+      const rates = req.body.exchangeRates.filter(rate => rate.currency !== organisation.currency);
+      if (new Set(rates.map(rate => rate.currency)).size !== rates.length) {
+        return res.status(400).json({ message: 'Each currency can only have one exchange rate' });
+      }
+
+      organisation.exchangeRates = rates.map(rate => ({ currency: rate.currency, rate: Number(rate.rate) }));
+    }
+
+    await organisation.save();
+
+    res.json({
+      _id: organisation._id,
+      name: organisation.name,
+      branding: organisation.branding,
+      taxLabel: organisation.taxLabel,
+      taxRates: organisation.taxRates,
+      currency: organisation.currency,
+      exchangeRates: organisation.exchangeRates
+    });
+  } catch (error) {
+    console.error('Error updating organisation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Regenerate the invite code of the current organisation
+router.post('/current/invite-code', auth, authorize('organisation:manage'), async (req, res) => {
+  try {
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    if (!organisation) {
+      return res.status(404).json({ message: 'Organisation not found' });
+    }
+
+    organisation.generateInviteCode();
+    await organisation.save();
+
+    res.json({ inviteCode: organisation.inviteCode });
+  } catch (error) {
+    console.error('Error regenerating invite code:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join another organisation using its invite code
+router.post('/join', [
+  auth,
+  body('inviteCode').trim().notEmpty().withMessage('Invite code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const organisation = await Organisation.findOne({ inviteCode: req.body.inviteCode });
+
+    if (!organisation) {
+      return res.status(400).json({ message: 'Invalid invite code' });
+    }
+
+    if (organisation._id.toString() === req.user.organisation.toString()) {
+      return res.status(400).json({ message: 'You are already a member of this organisation' });
+    }
+
+    // An owner cannot leave colleagues behind without an owner
+    const currentOrganisation = await Organisation.findById(req.user.organisation);
+    if (currentOrganisation && isOwner(currentOrganisation, req.user)) {
+      const otherMembers = await User.countDocuments({
+        organisation: currentOrganisation._id,
+        _id: { $ne: req.user._id }
+      });
+
+      if (otherMembers > 0) {
+        return res.status(400).json({
+          message: `Cannot leave ${currentOrganisation.name} while it has other members`
+        });
+      }
+    }
+
+    // New members start read-only until someone who manages the organisation assigns a role
+    await User.findByIdAndUpdate(req.user._id, { organisation: organisation._id, role: 'read-only' });
+
+    res.json({
+      message: `Joined ${organisation.name}`,
+      organisation: { _id: organisation._id, name: organisation.name }
+    });
+  } catch (error) {
+    console.error('Error joining organisation:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change the role of a member of the current organisation
+router.put('/current/members/:userId/role', [
+  auth,
+  authorize('organisation:manage'),
+  body('role').isIn(ROLES.filter(role => role !== 'owner')).withMessage('Valid role is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    if (!organisation) {
+      return res.status(404).json({ message: 'Organisation not found' });
+    }
+
+    const member = await User.findOne({
+      _id: req.params.userId,
+      organisation: organisation._id
+    });
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (isOwner(organisation, member)) {
+      return res.status(400).json({ message: 'The role of the organisation owner cannot be changed' });
+    }
+
+    member.role = req.body.role;
+    await member.save({ validateBeforeSave: false });
+
+    res.json({ _id: member._id, name: member.name, email: member.email, role: member.role });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a member from the current organisation
+router.delete('/current/members/:userId', auth, authorize('organisation:manage'), async (req, res) => {
+  try {
+    const organisation = await Organisation.findById(req.user.organisation);
+
+    if (!organisation) {
+      return res.status(404).json({ message: 'Organisation not found' });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot remove yourself from the organisation' });
+    }
+
+    const member = await User.findOne({
+      _id: req.params.userId,
+      organisation: organisation._id
+    });
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (isOwner(organisation, member)) {
+      return res.status(400).json({ message: 'The organisation owner cannot be removed' });
+    }
+
+    // Removed members continue in a fresh personal organisation
+    const personalOrganisation = await createPersonalOrganisation(member);
+    await seedContentTypesForOrganisation(personalOrganisation._id, member._id);
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing organisation member:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const PricingRule = require('../models/PricingRule');
+const Magazine = require('../models/Magazine');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { body, validationResult } = require('express-validator');
+const { PRICING_RULE_TYPES, TIERED_RULE_TYPES } = require('../utils/pricingEngine');
+
+// Checks shared by creating and updating a rule
+const ruleValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(PRICING_RULE_TYPES).withMessage('Type must be frequency, bundle or commission'),
+  body('magazine').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid magazine'),
+  body('tiers').optional().isArray().withMessage('Tiers must be a list'),
+  body('tiers.*.minimum').isInt({ min: 1 }).withMessage('Tier minimums must be at least 1').toInt(),
+  body('tiers.*.percentage').isFloat({ min: 0, max: 100 }).withMessage('Tier discounts must be between 0 and 100%').toFloat(),
+  body('percentage').optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Commission must be between 0 and 100%').toFloat(),
+  body('active').optional().isBoolean().withMessage('Active must be true or false').toBoolean()
+];
+
+// Rule fields of a request body, or { error } when they do not fit the rule's type
+const ruleFields = async (data, organisationId) => {
+  if (data.magazine) {
+    const magazine = await Magazine.findOne({ _id: data.magazine, organisation: organisationId });
+    if (!magazine) {
+      return { error: 'Magazine not found' };
+    }
+  }
+
+  const tiered = Boolean(TIERED_RULE_TYPES[data.type]);
+  const tiers = tiered ? [...(data.tiers || [])].sort((a, b) => a.minimum - b.minimum) : [];
+
+  if (tiered && tiers.length === 0) {
+    return { error: 'Add at least one discount tier' };
+  }
+
+  if (tiers.some((tier, index) => index > 0 && tier.minimum === tiers[index - 1].minimum)) {
+    return { error: 'Each tier needs a different minimum' };
+  }
+
+  if (!tiered && !data.percentage) {
+    return { error: 'Commission percentage is required' };
+  }
+
+  return {
+    fields: {
+      name: data.name,
+      type: data.type,
+      magazine: data.magazine || null,
+      tiers: tiers.map(({ minimum, percentage }) => ({ minimum, percentage })),
+      percentage: tiered ? 0 : data.percentage,
+      active: data.active !== false
+    }
+  };
+};
+
+// Get the organisation's pricing rules
+router.get('/', auth, authorize('prices:view'), async (req, res) => {
+  try {
+    const rules = await PricingRule.find({ organisation: req.user.organisation })
+      .populate('magazine', 'name')
+      .sort({ type: 1, name: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a pricing rule
+router.post('/', [auth, authorize('rateCards:edit'), ...ruleValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { fields, error } = await ruleFields(req.body, req.user.organisation);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rule = await PricingRule.create({
+      ...fields,
+      organisation: req.user.organisation,
+      createdBy: req.user.id
+    });
+
+    await rule.populate('magazine', 'name');
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating pricing rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a pricing rule. Bookings keep their prices until they are next saved.
+router.put('/:id', [auth, authorize('rateCards:edit'), ...ruleValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const rule = await PricingRule.findOne({ _id: req.params.id, organisation: req.user.organisation });
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    const { fields, error } = await ruleFields(req.body, req.user.organisation);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    rule.set(fields);
+    await rule.save();
+
+    await rule.populate('magazine', 'name');
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating pricing rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a pricing rule
+router.delete('/:id', auth, authorize('rateCards:edit'), async (req, res) => {
+  try {
+    const rule = await PricingRule.findOneAndDelete({ _id: req.params.id, organisation: req.user.organisation });
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    res.json({ message: 'Pricing rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
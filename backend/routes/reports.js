@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { body, validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
+const { DATASETS, buildReport, streamReport, describeDatasets } = require('../utils/reports');
+const { writeReportCsv, writeReportXlsx } = require('../utils/reportExport');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const reportValidation = [
+  body('dataset').isIn(Object.keys(DATASETS)).withMessage('Invalid dataset'),
+  body('columns').optional().isArray().withMessage('Columns must be a list'),
+  body('groupBy').optional({ checkFalsy: true }).isString(),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body(['filters.magazine', 'filters.customer', 'filters.businessType', 'filters.issueFrom', 'filters.issueTo'])
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid id in filters'),
+  body(['filters.dateFrom', 'filters.dateTo'])
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Dates must be valid dates'),
+  body(['filters.status', 'filters.contentType']).optional().isString().trim()
+];
+
+// Build (or, for exports, start streaming) the report described by the request body,
+// or send a 400 and return nothing
+const runReport = async (req, res, build = buildReport) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    return null;
+  }
+
+  const { error, ...result } = await build(
+    req.user.organisation,
+    req.body,
+    hasPermission(req.user.role, 'prices:view')
+  );
+
+  if (error) {
+    res.status(400).json({ message: error });
+    return null;
+  }
+
+  return result;
+};
+
+// Get the datasets the report builder can use, with their filters and columns
+router.get('/datasets', auth, authorize('reports:view'), (req, res) => {
+  res.json(describeDatasets(hasPermission(req.user.role, 'prices:view')));
+});
+
+// Run a report and return its grouped rows and totals
+router.post('/run', [auth, authorize('reports:view'), ...reportValidation], async (req, res) => {
+  try {
+    const result = await runReport(req, res);
+    if (result) {
+      res.json(result.report);
+    }
+  } catch (error) {
+    console.error('Error running report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export a report as CSV or XLSX, streamed to the response
+router.post('/export', [
+  auth,
+  authorize('reports:view'),
+  ...reportValidation,
+  body('format').isIn(EXPORT_FORMATS).withMessage('Format must be csv or xlsx')
+], async (req, res) => {
+  try {
+    // Rows are read from the database as they are written
+    const result = await runReport(req, res, streamReport);
+    if (!result) return;
+
+    const { report, rows } = result;
+
+    const filename = `${req.body.dataset}_report_${new Date().toISOString().split('T')[0]}.${req.body.format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (req.body.format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await writeReportXlsx(report, rows, res);
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await writeReportCsv(report, rows, res);
+    }
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,13 +2,50 @@ const express = require('express');
 const router = express.Router();
 const Schedule = require('../models/Schedule');
 const auth = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
-
-// Get all schedules for the authenticated user
-router.get('/', auth, async (req, res) => {
+const authorize = require('../middleware/authorize');
+const { body, query, validationResult } = require('express-validator');
+const { syncIssueReferences } = require('../utils/issues');
+const { FREQUENCIES, generateIssues } = require('../utils/scheduleRecurrence');
+const { OPTIONAL_ISSUE_DATES, MAX_KEY_DATE_DAYS, checkIssueDateOrder, listKeyDates } = require('../utils/issueDates');
+
+// The optional key dates of a submitted issue, ready to store
+const optionalIssueDates = (issue) => Object.fromEntries(OPTIONAL_ISSUE_DATES
+  .map(key => [key, issue[key] ? new Date(issue[key]) : undefined]));
+
+// Error message for the first issue whose key dates are out of order, otherwise null
+const checkScheduleDateOrder = (issues) => issues.map(checkIssueDateOrder).find(Boolean) || null;
+
+// Checks for a recurrence rule sent in the given body field, optionally only when it is sent
+const recurrenceValidation = (field, { optional = false } = {}) => {
+  const check = (path) => optional ? body(path).if(body(field).exists({ checkNull: true })) : body(path);
+
+  return [
+    check(`${field}.frequency`).isIn(FREQUENCIES).withMessage('Frequency must be monthly, weekly or quarterly'),
+    check(`${field}.interval`).optional({ checkFalsy: true }).isInt({ min: 1, max: 52 }).withMessage('Interval must be between 1 and 52').toInt(),
+    check(`${field}.startDate`).isISO8601().withMessage('Valid start date is required'),
+    check(`${field}.namePattern`).optional().trim(),
+    check(`${field}.closeOffsetDays`).optional({ checkFalsy: true }).isInt({ min: 0, max: 365 }).withMessage('Close offset must be between 0 and 365 days').toInt(),
+    check(`${field}.skipDates`).optional().isArray().withMessage('Skip dates must be a list'),
+    check(`${field}.skipDates.*`).isISO8601().withMessage('Skip dates must be valid dates')
+  ];
+};
+
+// Checks shared by creating and updating a schedule
+const scheduleValidation = [
+  body('name').notEmpty().withMessage('Schedule name is required'),
+  body('issues').isArray({ min: 1 }).withMessage('At least one issue is required'),
+  body('issues.*.name').notEmpty().withMessage('Issue name is required'),
+  body('issues.*.closeDate').isISO8601().withMessage('Valid close date is required'),
+  body(OPTIONAL_ISSUE_DATES.map(key => `issues.*.${key}`)).optional({ checkFalsy: true }).isISO8601().withMessage('Issue dates must be valid dates'),
+  body('recurrence').optional({ nullable: true }).isObject().withMessage('Recurrence must be an object'),
+  ...recurrenceValidation('recurrence', { optional: true })
+];
+
+// Get all schedules for the user's organisation
+router.get('/', auth, authorize('settings:view'), async (req, res) => {
   try {
     const schedules = await Schedule.find({ 
-      createdBy: req.user.id,
+      organisation: req.user.organisation,
       archived: false 
     }).sort({ createdAt: -1 });
     
@@ -19,12 +56,44 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get the key dates (booking close, artwork, proof, print, on sale) of the organisation's
+// schedules between two dates, by default the next month
+router.get('/key-dates', [
+  auth,
+  authorize('settings:view'),
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors.array() 
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(new Date().setUTCHours(0, 0, 0, 0));
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 31 * 24 * 60 * 60 * 1000);
+    to.setUTCHours(23, 59, 59, 999);
+
+    if (to < from || to - from > MAX_KEY_DATE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `Choose a range of up to ${MAX_KEY_DATE_DAYS} days` });
+    }
+
+    res.json(await listKeyDates(req.user.organisation, { from, to }));
+  } catch (error) {
+    console.error('Error fetching key dates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get a single schedule
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('settings:view'), async (req, res) => {
   try {
     const schedule = await Schedule.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!schedule) {
@@ -41,10 +110,8 @@ router.get('/:id', auth, async (req, res) => {
 // Create a new schedule
 router.post('/', [
   auth,
-  body('name').notEmpty().withMessage('Schedule name is required'),
-  body('issues').isArray({ min: 1 }).withMessage('At least one issue is required'),
-  body('issues.*.name').notEmpty().withMessage('Issue name is required'),
-  body('issues.*.closeDate').isISO8601().withMessage('Valid close date is required')
+  authorize('settings:edit'),
+  ...scheduleValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -55,12 +122,12 @@ router.post('/', [
       });
     }
 
-    const { name, issues } = req.body;
+    const { name, issues, recurrence } = req.body;
 
-    // Check if schedule name already exists for this user
+    // Check if schedule name already exists in this organisation
     const existingSchedule = await Schedule.findOne({ 
       name: name.trim(), 
-      createdBy: req.user.id,
+      organisation: req.user.organisation,
       archived: false 
     });
 
@@ -74,12 +141,20 @@ router.post('/', [
     const processedIssues = issues.map((issue, index) => ({
       name: issue.name.trim(),
       closeDate: new Date(issue.closeDate),
+      ...optionalIssueDates(issue),
       sortOrder: index
     }));
 
+    const dateError = checkScheduleDateOrder(processedIssues);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+
     const schedule = new Schedule({
       name: name.trim(),
       issues: processedIssues,
+      recurrence: recurrence || null,
+      organisation: req.user.organisation,
       createdBy: req.user.id
     });
 
@@ -91,13 +166,54 @@ router.post('/', [
   }
 });
 
+// Preview the issues a recurrence rule gives over the next months (12 by default).
+// Given a schedule, the issues continue after its last one. Nothing is saved: the issues
+// are sent back with the schedule to create or update it.
+router.post('/generate', [
+  auth,
+  authorize('settings:edit'),
+  ...recurrenceValidation('rule'),
+  body('months').optional({ checkFalsy: true }).isInt({ min: 1, max: 60 }).withMessage('Period must be between 1 and 60 months').toInt(),
+  body('schedule').optional({ checkFalsy: true }).isMongoId().withMessage('Valid schedule is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors.array() 
+      });
+    }
+
+    let schedule = null;
+    if (req.body.schedule) {
+      schedule = await Schedule.findOne({
+        _id: req.body.schedule,
+        organisation: req.user.organisation
+      });
+
+      if (!schedule) {
+        return res.status(404).json({ message: 'Schedule not found' });
+      }
+    }
+
+    const { rule, issues, error } = generateIssues(req.body.rule, { months: req.body.months, schedule });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ rule, issues });
+  } catch (error) {
+    console.error('Error generating schedule issues:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update a schedule
 router.put('/:id', [
   auth,
-  body('name').notEmpty().withMessage('Schedule name is required'),
-  body('issues').isArray({ min: 1 }).withMessage('At least one issue is required'),
-  body('issues.*.name').notEmpty().withMessage('Issue name is required'),
-  body('issues.*.closeDate').isISO8601().withMessage('Valid close date is required')
+  authorize('settings:edit'),
+  ...scheduleValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -110,20 +226,20 @@ router.put('/:id', [
 
     const schedule = await Schedule.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!schedule) {
       return res.status(404).json({ message: 'Schedule not found' });
     }
 
-    const { name, issues } = req.body;
+    const { name, issues, recurrence } = req.body;
 
     // Check if new name conflicts with existing schedules (excluding current one)
     if (name.trim() !== schedule.name) {
       const existingSchedule = await Schedule.findOne({ 
         name: name.trim(), 
-        createdBy: req.user.id,
+        organisation: req.user.organisation,
         archived: false,
         _id: { $ne: req.params.id }
       });
@@ -135,11 +251,17 @@ router.put('/:id', [
       }
     }
 
+    // Match submitted issues to existing ones by id, so renamed issues keep their identity
+    const findExistingIssue = (issue) => (
+      (issue._id && schedule.issues.id(issue._id)) ||
+      schedule.issues.find(existing => existing.name === issue.name.trim())
+    );
+
     // Validate close date changes - don't allow past dates to be modified
     const currentDate = new Date();
     for (let i = 0; i < issues.length; i++) {
       const newIssue = issues[i];
-      const existingIssue = schedule.issues.find(issue => issue.name === newIssue.name);
+      const existingIssue = findExistingIssue(newIssue);
       
       if (existingIssue && new Date(existingIssue.closeDate) < currentDate) {
         const newCloseDate = new Date(newIssue.closeDate);
@@ -155,16 +277,39 @@ router.put('/:id', [
     }
 
     // Process issues and add sort order
-    const processedIssues = issues.map((issue, index) => ({
-      name: issue.name.trim(),
-      closeDate: new Date(issue.closeDate),
-      sortOrder: index
-    }));
+    const usedIssueIds = new Set();
+    const processedIssues = issues.map((issue, index) => {
+      const existingIssue = findExistingIssue(issue);
+      const keepId = existingIssue && !usedIssueIds.has(existingIssue._id.toString());
+      if (keepId) usedIssueIds.add(existingIssue._id.toString());
+
+      return {
+        ...(keepId && { _id: existingIssue._id }),
+        name: issue.name.trim(),
+        closeDate: new Date(issue.closeDate),
+        ...optionalIssueDates(issue),
+        sortOrder: index
+      };
+    });
+
+    const dateError = checkScheduleDateOrder(processedIssues);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+
+    const previousIssues = schedule.issues.map(issue => issue.toObject());
 
     schedule.name = name.trim();
     schedule.issues = processedIssues;
+    if (recurrence !== undefined) {
+      schedule.recurrence = recurrence;
+    }
     
     await schedule.save();
+
+    // Bookings keep pointing at renamed or reordered issues
+    await syncIssueReferences(schedule, previousIssues);
+
     res.json(schedule);
   } catch (error) {
     console.error('Error updating schedule:', error);
@@ -173,11 +318,11 @@ router.put('/:id', [
 });
 
 // Delete a schedule
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const schedule = await Schedule.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!schedule) {
@@ -193,11 +338,11 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Archive/Unarchive a schedule
-router.patch('/:id/archive', auth, async (req, res) => {
+router.patch('/:id/archive', auth, authorize('settings:edit'), async (req, res) => {
   try {
     const schedule = await Schedule.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!schedule) {
@@ -215,11 +360,11 @@ router.patch('/:id/archive', auth, async (req, res) => {
 });
 
 // Get available issues (not past close date) for a schedule
-router.get('/:id/available-issues', auth, async (req, res) => {
+router.get('/:id/available-issues', auth, authorize('settings:view'), async (req, res) => {
   try {
     const schedule = await Schedule.findOne({ 
       _id: req.params.id, 
-      createdBy: req.user.id 
+      organisation: req.user.organisation 
     });
 
     if (!schedule) {
@@ -242,14 +387,14 @@ router.get('/:id/available-issues', auth, async (req, res) => {
 });
 
 // Validate if an issue is available for booking (not past close date)
-router.get('/validate-issue/:issueName', auth, async (req, res) => {
+router.get('/validate-issue/:issueName', auth, authorize('settings:view'), async (req, res) => {
   try {
     const { issueName } = req.params;
     const currentDate = new Date();
     
-    // Find all schedules for the user that contain this issue name
+    // Find all schedules in the organisation that contain this issue name
     const schedules = await Schedule.find({ 
-      createdBy: req.user.id,
+      organisation: req.user.organisation,
       archived: false,
       'issues.name': issueName
     });
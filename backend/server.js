@@ -17,7 +17,25 @@ const contentTypeRoutes = require('./routes/contentTypes');
 const bookingRoutes = require('./routes/bookings');
 const leafletDeliveryRoutes = require('./routes/leafletDelivery');
 const dashboardRoutes = require('./routes/dashboard');
-const { seedAllUsers } = require('./utils/seedContentTypes');
+const organisationRoutes = require('./routes/organisations');
+const flatplanRoutes = require('./routes/flatplans');
+const invoiceRoutes = require('./routes/invoices');
+const reportRoutes = require('./routes/reports');
+const emailRoutes = require('./routes/emails');
+const calendarRoutes = require('./routes/calendar');
+const pricingRuleRoutes = require('./routes/pricingRules');
+const hidePrices = require('./middleware/hidePrices');
+const { seedAllOrganisations } = require('./utils/seedContentTypes');
+const { migrateAllUsers } = require('./utils/migrateOrganisations');
+const { migrateIssueReferences } = require('./utils/migrateIssueReferences');
+const { migrateBookingStatuses } = require('./utils/migrateBookingStatuses');
+const { migrateAdditionalCharges } = require('./utils/migrateAdditionalCharges');
+const { migrateTax } = require('./utils/migrateTax');
+const { migrateMinorUnits } = require('./utils/migrateMinorUnits');
+const { migrateCalendarTokens } = require('./utils/migrateCalendarTokens');
+const { resumeCustomerMerges } = require('./utils/customerMerge');
+const { releaseExpiredHolds } = require('./utils/bookingStatus');
+const { processOutbox } = require('./utils/outbox');
 
 const app = express();
 
@@ -29,8 +47,12 @@ app.use(cors({
 
 app.use(express.json());
 
+// Remove prices from responses for roles that may not see them
+app.use(hidePrices);
+
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/organisations', organisationRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/business-types', businessTypeRoutes);
 app.use('/api/magazines', magazineRoutes);
@@ -40,6 +62,12 @@ app.use('/api/content-types', contentTypeRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/leaflet-delivery', leafletDeliveryRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/flatplans', flatplanRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/pricing-rules', pricingRuleRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
@@ -59,16 +87,80 @@ mongoose.connect(MONGODB_URI)
   .then(async () => {
     console.log('Connected to MongoDB');
     
-    // Run content types seeding for existing users
+    // Move any per-user data into organisations
+    try {
+      await migrateAllUsers();
+    } catch (error) {
+      console.error('Error during organisation migration:', error);
+    }
+
+    // Turn issue names stored on bookings into schedule issue references
+    try {
+      await migrateIssueReferences();
+    } catch (error) {
+      console.error('Error during issue reference migration:', error);
+    }
+
+    // Move bookings from the old Active/Completed statuses onto the booking lifecycle
+    try {
+      await migrateBookingStatuses();
+    } catch (error) {
+      console.error('Error during booking status migration:', error);
+    }
+
+    // Itemise the single additional charges amount of older bookings
+    try {
+      await migrateAdditionalCharges();
+    } catch (error) {
+      console.error('Error during additional charges migration:', error);
+    }
+
+    // Store amounts in minor units and give organisations a base currency, before anything
+    // below saves documents through the models
+    try {
+      await migrateMinorUnits();
+    } catch (error) {
+      console.error('Error during minor units migration:', error);
+    }
+
+    // Give organisations tax rates and tax their existing bookings at their customers' rates
+    try {
+      await migrateTax();
+    } catch (error) {
+      console.error('Error during tax migration:', error);
+    }
+
+    // Hash calendar feed tokens stored in plain text
+    try {
+      await migrateCalendarTokens();
+    } catch (error) {
+      console.error('Error during calendar token migration:', error);
+    }
+
+    // Finish customer merges that stopped partway
+    try {
+      await resumeCustomerMerges();
+    } catch (error) {
+      console.error('Error resuming customer merges:', error);
+    }
+    
+    // Run content types seeding for existing organisations
     try {
       console.log('Running content types seeding...');
-      await seedAllUsers();
+      await seedAllOrganisations();
       console.log('Content types seeding completed');
     } catch (error) {
       console.error('Error during content types seeding:', error);
       // Don't prevent server startup if seeding fails
     }
     
+    // Release expired provisional holds now and every hour
+    await releaseExpiredHolds();
+    setInterval(releaseExpiredHolds, 60 * 60 * 1000);
+
+    // Send queued emails (and retry failed attempts) every minute
+    setInterval(processOutbox, 60 * 1000);
+    
     // Start server
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -0,0 +1,142 @@
+jest.mock('../models/Booking', () => ({ find: jest.fn() }));
+jest.mock('../utils/bookingHistory', () => ({ recordBookingVersion: jest.fn() }));
+
+const Booking = require('../models/Booking');
+const { recordBookingVersion } = require('../utils/bookingHistory');
+const {
+  PROVISIONAL_HOLD_DAYS,
+  canTransition,
+  applyStatusChange,
+  releaseExpiredHolds
+} = require('../utils/bookingStatus');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeBooking = (fields = {}) => ({
+  _id: fields._id || 'booking',
+  isNew: false,
+  status: 'Quote',
+  provisionalExpiresAt: null,
+  statusHistory: [],
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+describe('canTransition', () => {
+  it('allows the transitions of the booking lifecycle', () => {
+    expect(canTransition('Quote', 'Provisional')).toBe(true);
+    expect(canTransition('Provisional', 'Confirmed')).toBe(true);
+    expect(canTransition('Confirmed', 'Published')).toBe(true);
+    expect(canTransition('Cancelled', 'Draft')).toBe(true);
+  });
+
+  it('rejects transitions out of published bookings and unknown statuses', () => {
+    expect(canTransition('Published', 'Cancelled')).toBe(false);
+    expect(canTransition('Draft', 'Published')).toBe(false);
+    expect(canTransition('Unknown', 'Draft')).toBe(false);
+  });
+});
+
+describe('applyStatusChange', () => {
+  it('records the change in the status history', () => {
+    const booking = makeBooking({ status: 'Quote' });
+
+    expect(applyStatusChange(booking, 'Confirmed', 'user', { note: 'Signed' })).toBeNull();
+    expect(booking.status).toBe('Confirmed');
+    expect(booking.statusHistory).toEqual([
+      expect.objectContaining({ from: 'Quote', to: 'Confirmed', changedBy: 'user', note: 'Signed' })
+    ]);
+  });
+
+  it('leaves a booking already in the status unchanged', () => {
+    const booking = makeBooking({ status: 'Confirmed' });
+
+    expect(applyStatusChange(booking, 'Confirmed', 'user')).toBeNull();
+    expect(booking.statusHistory).toHaveLength(0);
+  });
+
+  it('rejects transitions the lifecycle does not allow', () => {
+    const booking = makeBooking({ status: 'Published' });
+
+    expect(applyStatusChange(booking, 'Draft', 'user')).toBe('A Published booking cannot be moved to Draft');
+    expect(booking.status).toBe('Published');
+  });
+
+  it('only creates bookings in the initial statuses', () => {
+    expect(applyStatusChange(makeBooking({ isNew: true }), 'Published', 'user'))
+      .toBe('A booking cannot be created as Published');
+    expect(applyStatusChange(makeBooking({ isNew: true }), 'Draft', 'user')).toBeNull();
+  });
+
+  it('holds provisional bookings for the default period when no expiry is given', () => {
+    const booking = makeBooking({ status: 'Quote' });
+    const before = Date.now();
+
+    applyStatusChange(booking, 'Provisional', 'user');
+
+    const held = booking.provisionalExpiresAt.getTime() - before;
+    expect(held).toBeGreaterThanOrEqual(PROVISIONAL_HOLD_DAYS * DAY - 1000);
+    expect(held).toBeLessThanOrEqual(PROVISIONAL_HOLD_DAYS * DAY + 1000);
+  });
+
+  it('rejects a provisional expiry in the past', () => {
+    const booking = makeBooking({ status: 'Quote' });
+
+    expect(applyStatusChange(booking, 'Provisional', 'user', { provisionalExpiresAt: new Date(Date.now() - DAY) }))
+      .toBe('Provisional expiry date must be in the future');
+    expect(booking.status).toBe('Quote');
+  });
+
+  it('clears the expiry when a booking leaves provisional', () => {
+    const booking = makeBooking({ status: 'Provisional', provisionalExpiresAt: new Date(Date.now() + DAY) });
+
+    applyStatusChange(booking, 'Confirmed', 'user');
+    expect(booking.provisionalExpiresAt).toBeNull();
+  });
+});
+
+describe('releaseExpiredHolds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves expired provisional bookings back to quotes', async () => {
+    const booking = makeBooking({ status: 'Provisional', provisionalExpiresAt: new Date(Date.now() - DAY) });
+    Booking.find.mockResolvedValue([booking]);
+
+    await releaseExpiredHolds();
+
+    expect(Booking.find).toHaveBeenCalledWith({
+      status: 'Provisional',
+      provisionalExpiresAt: { $lte: expect.any(Date) }
+    });
+    expect(booking.status).toBe('Quote');
+    expect(booking.provisionalExpiresAt).toBeNull();
+    expect(booking.statusHistory).toEqual([
+      expect.objectContaining({ from: 'Provisional', to: 'Quote', note: 'Provisional hold expired' })
+    ]);
+    expect(booking.save).toHaveBeenCalled();
+    expect(recordBookingVersion).toHaveBeenCalledWith(booking, 'update', null);
+  });
+
+  it('keeps releasing the other holds when one cannot be saved', async () => {
+    const failing = makeBooking({ _id: 'failing', status: 'Provisional' });
+    failing.save.mockRejectedValue(new Error('Validation failed'));
+    const released = makeBooking({ _id: 'released', status: 'Provisional' });
+    Booking.find.mockResolvedValue([failing, released]);
+
+    await releaseExpiredHolds();
+
+    expect(released.save).toHaveBeenCalled();
+    expect(recordBookingVersion).toHaveBeenCalledTimes(1);
+    expect(recordBookingVersion).toHaveBeenCalledWith(released, 'update', null);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('failing'), expect.any(Error));
+    expect(console.log).toHaveBeenCalledWith('Released 1 expired provisional bookings');
+  });
+});
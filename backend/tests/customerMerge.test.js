@@ -0,0 +1,202 @@
+jest.mock('../utils/bookingHistory', () => ({ recordBookingVersion: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Organisation = require('../models/Organisation');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
+const AuditLog = require('../models/AuditLog');
+const { recordBookingVersion } = require('../utils/bookingHistory');
+const { mergedDetails, previewMerge, mergeCustomers, resumeCustomerMerges } = require('../utils/customerMerge');
+
+const id = () => new mongoose.Types.ObjectId();
+const organisation = id();
+
+const makeCustomer = (fields) => new Customer({ organisation, businessTypes: [id()], ...fields });
+
+const makeBooking = (customer) => ({ _id: id(), customer, save: jest.fn().mockResolvedValue() });
+
+// Pending audit log of a merge, as mergeCustomers writes it
+const makeLog = (survivor, others) => ({
+  _id: id(),
+  organisation,
+  user: id(),
+  status: 'pending',
+  details: {
+    survivor: survivor._id,
+    merged: others.map(customer => customer.toObject({ depopulate: true })),
+    details: { bookingNote: 'Merged' }
+  },
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('mergedDetails', () => {
+  it('combines business types, notes and contacts and fills in missing details', () => {
+    const shared = id();
+    const survivor = {
+      businessTypes: [shared],
+      bookingNote: 'Pays late',
+      contacts: [{ name: 'Ann', email: 'ann@example.com', roles: ['billing'] }],
+      paymentTermsDays: undefined
+    };
+    const other = {
+      businessTypes: [shared, id()],
+      bookingNote: 'Prefers email',
+      contacts: [{ name: 'Ann', email: 'ANN@example.com', roles: ['artwork'], phone: '0123' }],
+      paymentTermsDays: 30,
+      vatNumber: 'GB123'
+    };
+
+    const details = mergedDetails(survivor, [other]);
+
+    expect(details.businessTypes).toHaveLength(2);
+    expect(details.bookingNote).toBe('Pays late\nPrefers email');
+    expect(details.contacts).toEqual([
+      expect.objectContaining({ email: 'ann@example.com', roles: ['billing', 'artwork'], phone: '0123' })
+    ]);
+    expect(details.paymentTermsDays).toBe(30);
+    expect(details.vatNumber).toBe('GB123');
+  });
+});
+
+describe('customer merges', () => {
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    jest.clearAllMocks();
+    jest.spyOn(Organisation, 'findById').mockReturnValue({ select: () => Promise.resolve({ currency: 'GBP' }) });
+    jest.spyOn(Customer.prototype, 'save').mockImplementation(async () => { events.push('survivor saved'); });
+    jest.spyOn(Customer.prototype, 'populate').mockResolvedValue();
+    jest.spyOn(Customer, 'deleteMany').mockImplementation(async () => { events.push('customers deleted'); });
+    jest.spyOn(LeafletDelivery, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Invoice, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(LeafletDelivery, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Invoice, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const findCustomers = (customers) => {
+    jest.spyOn(Customer, 'find').mockReturnValue({ populate: () => Promise.resolve(customers) });
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customers[0]);
+  };
+
+  it('will not merge customers billed in different currencies', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd', currency: 'EUR' });
+    findCustomers([survivor, other]);
+
+    const { error } = await previewMerge(organisation, survivor._id, [other._id]);
+
+    expect(error).toBe('Acme Ltd has a different billing currency (EUR) from Acme (GBP), so they cannot be merged');
+  });
+
+  it('treats a customer without a currency as billed in the base currency', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd', currency: 'GBP' });
+    findCustomers([survivor, other]);
+
+    const { preview, error } = await previewMerge(organisation, survivor._id, [other._id]);
+
+    expect(error).toBeUndefined();
+    expect(preview.merged).toEqual([expect.objectContaining({ name: 'Acme Ltd', moves: { bookings: 1, leafletDeliveries: 0, invoices: 0 } })]);
+  });
+
+  it('will not merge customers with different tax treatments', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd', taxTreatment: 'exempt' });
+    findCustomers([survivor, other]);
+
+    const { error } = await mergeCustomers(organisation, survivor._id, [other._id], id());
+
+    expect(error).toMatch(/different tax treatment/);
+    expect(Customer.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('logs the merge as pending before changing anything, then completes it', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd' });
+    findCustomers([survivor, other]);
+    const booking = makeBooking(other._id);
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+    let log;
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (data) => {
+      events.push(`logged ${data.status}`);
+      log = { ...data, _id: id(), save: jest.fn().mockResolvedValue() };
+      return log;
+    });
+
+    const { customer, moved } = await mergeCustomers(organisation, survivor._id, [other._id], id());
+
+    expect(events[0]).toBe('logged pending');
+    expect(customer).toBe(survivor);
+    expect(moved).toEqual({ bookings: 1, leafletDeliveries: 0, invoices: 0 });
+    expect(booking.customer).toBe(survivor._id);
+    expect(Customer.deleteMany).toHaveBeenCalledWith({ _id: { $in: [other._id] }, organisation });
+    expect(log.status).toBe('completed');
+    expect(log.save).toHaveBeenCalled();
+  });
+
+  it('finishes a merge that stopped partway', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd' });
+    const log = makeLog(survivor, [other]);
+    const booking = makeBooking(other._id);
+    jest.spyOn(AuditLog, 'find').mockResolvedValue([log]);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(survivor);
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    await resumeCustomerMerges();
+
+    expect(AuditLog.find).toHaveBeenCalledWith({ action: 'customer.merge', status: 'pending' });
+    expect(survivor.bookingNote).toBe('Merged');
+    expect(booking.customer).toBe(survivor._id);
+    expect(recordBookingVersion).toHaveBeenCalledWith(booking, 'update', log.user);
+    expect(Invoice.updateMany).toHaveBeenCalledWith(
+      { customer: { $in: [other._id] }, organisation },
+      { $set: { customer: survivor._id } }
+    );
+    expect(Customer.deleteMany).toHaveBeenCalled();
+    expect(log.status).toBe('completed');
+  });
+
+  it('can run the steps of a merge again once they are done', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd' });
+    const log = makeLog(survivor, [other]);
+    jest.spyOn(AuditLog, 'find').mockResolvedValue([log]);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(survivor);
+    // The bookings were already moved before the merge stopped
+    jest.spyOn(Booking, 'find').mockResolvedValue([]);
+
+    await resumeCustomerMerges();
+
+    expect(recordBookingVersion).not.toHaveBeenCalled();
+    expect(log.status).toBe('completed');
+  });
+
+  it('keeps finishing other merges when one cannot be finished', async () => {
+    const survivor = makeCustomer({ name: 'Acme' });
+    const other = makeCustomer({ name: 'Acme Ltd' });
+    const broken = makeLog(makeCustomer({ name: 'Gone' }), [other]);
+    const log = makeLog(survivor, [other]);
+    jest.spyOn(AuditLog, 'find').mockResolvedValue([broken, log]);
+    jest.spyOn(Customer, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(survivor);
+    jest.spyOn(Booking, 'find').mockResolvedValue([]);
+
+    await resumeCustomerMerges();
+
+    expect(broken.status).toBe('pending');
+    expect(log.status).toBe('completed');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(String(broken._id)), expect.any(Error));
+  });
+});
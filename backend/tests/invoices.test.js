@@ -0,0 +1,137 @@
+jest.mock('../utils/tax', () => ({
+  ...jest.requireActual('../utils/tax'),
+  taxFor: jest.fn().mockResolvedValue({ treatment: 'standard', label: 'VAT', percentage: 20 })
+}));
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const Magazine = require('../models/Magazine');
+const Customer = require('../models/Customer');
+const {
+  insertionKey,
+  chargeInsertionKey,
+  buildInvoiceLines,
+  createDraftInvoice,
+  isInsertionConflict
+} = require('../utils/invoices');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A schedule of three weekly issues, all closing in the future
+const schedule = {
+  _id: id(),
+  issues: [1, 2, 3].map(sortOrder => ({
+    _id: id(),
+    name: `Issue ${sortOrder}`,
+    sortOrder,
+    closeDate: new Date(Date.now() + sortOrder * 7 * 24 * 60 * 60 * 1000)
+  }))
+};
+const magazine = { _id: id(), name: 'Town Life', schedule };
+const organisation = id();
+
+const issueReference = (issue) => ({ issue: issue._id, schedule: schedule._id, name: issue.name, sortOrder: issue.sortOrder });
+
+const makeBooking = () => new Booking({
+  customer: id(),
+  organisation,
+  createdBy: id(),
+  magazineEntries: [{
+    magazine: magazine._id,
+    contentSize: id(),
+    contentType: 'Advert',
+    listPrice: 100,
+    totalPrice: 90,
+    discountPercentage: 10,
+    discountValue: 10,
+    startIssue: issueReference(schedule.issues[0]),
+    finishIssue: issueReference(schedule.issues[1])
+  }]
+});
+
+describe('invoice insertions', () => {
+  beforeEach(() => {
+    jest.spyOn(Magazine, 'find').mockReturnValue({ populate: () => Promise.resolve([magazine]) });
+    jest.spyOn(Customer, 'findById').mockReturnValue({ select: () => Promise.resolve({ taxTreatment: 'standard' }) });
+    jest.spyOn(Invoice.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('bills an entry once per issue it runs in, keyed by booking, entry and issue', async () => {
+    const booking = makeBooking();
+    const [entry] = booking.magazineEntries;
+
+    const lines = await buildInvoiceLines(booking);
+
+    expect(lines.map(line => line.insertion)).toEqual([
+      insertionKey(booking._id, entry._id, schedule.issues[0]._id),
+      insertionKey(booking._id, entry._id, schedule.issues[1]._id)
+    ]);
+    expect(lines[0]).toMatchObject({ amount: 90, description: 'Town Life - Issue 1 - Advert' });
+  });
+
+  it('only bills the given issue', async () => {
+    const booking = makeBooking();
+
+    const lines = await buildInvoiceLines(booking, { issueId: schedule.issues[1]._id });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].issue.name).toBe('Issue 2');
+  });
+
+  it('bills charges for the whole booking with its insertions', async () => {
+    const booking = makeBooking();
+    booking.additionalCharges.push({ type: 'other', description: 'Design', amount: 25 });
+    const [charge] = booking.additionalCharges;
+
+    const lines = await buildInvoiceLines(booking);
+
+    expect(lines.map(line => line.insertion)).toContain(chargeInsertionKey(booking._id, charge._id));
+  });
+
+  it('leaves insertions already on another invoice off a new one', async () => {
+    const booking = makeBooking();
+    const lines = await buildInvoiceLines(booking);
+    jest.spyOn(Invoice, 'find').mockResolvedValue([{ insertions: [lines[0].insertion] }]);
+
+    const invoice = await createDraftInvoice({
+      customer: booking.customer,
+      currency: 'GBP',
+      exchangeRate: 1,
+      lines,
+      booking: booking._id,
+      organisation,
+      userId: id()
+    });
+
+    expect(Invoice.find).toHaveBeenCalledWith({ insertions: { $in: lines.map(line => line.insertion) } }, 'insertions');
+    expect(invoice.insertions).toEqual([lines[1].insertion]);
+    expect(invoice.lines).toHaveLength(1);
+    expect(invoice.totalAmount).toBe(90);
+    expect(invoice.save).toHaveBeenCalled();
+  });
+
+  it('creates nothing when every insertion is already invoiced', async () => {
+    const booking = makeBooking();
+    const lines = await buildInvoiceLines(booking);
+    jest.spyOn(Invoice, 'find').mockResolvedValue([{ insertions: lines.map(line => line.insertion) }]);
+
+    const invoice = await createDraftInvoice({ customer: booking.customer, lines, organisation, userId: id() });
+
+    expect(invoice).toBeNull();
+    expect(Invoice.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('isInsertionConflict', () => {
+  it('recognises duplicate key errors from the insertions index', () => {
+    expect(isInsertionConflict({ code: 11000, keyPattern: { insertions: 1 } })).toBe(true);
+    expect(isInsertionConflict({ code: 11000, keyPattern: { number: 1 } })).toBe(false);
+    expect(isInsertionConflict(new Error('Other'))).toBe(false);
+    expect(isInsertionConflict(null)).toBe(false);
+  });
+});
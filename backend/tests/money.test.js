@@ -0,0 +1,137 @@
+const Organisation = require('../models/Organisation');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const {
+  toMinor,
+  fromMinor,
+  roundMoney,
+  formatMoney,
+  exchangeRateOf,
+  convertMoney,
+  currencyFor,
+  inBaseCurrency
+} = require('../utils/money');
+
+const organisation = {
+  currency: 'GBP',
+  exchangeRates: [{ currency: 'EUR', rate: 1.17 }, { currency: 'USD', rate: 1.25 }]
+};
+
+const findOrganisation = (found) => {
+  const select = jest.fn().mockResolvedValue(found);
+  jest.spyOn(Organisation, 'findById').mockReturnValue({ select });
+  return select;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('minor units', () => {
+  it('rounds half away from zero despite floating point error', () => {
+    expect(toMinor(1.005)).toBe(101);
+    expect(toMinor(-1.005)).toBe(-101);
+    expect(toMinor(0.1 + 0.2)).toBe(30);
+  });
+
+  it('treats missing and invalid amounts as zero', () => {
+    expect(toMinor(undefined)).toBe(0);
+    expect(toMinor('not a number')).toBe(0);
+    expect(fromMinor(null)).toBe(0);
+  });
+
+  it('reads minor units back in major units', () => {
+    expect(fromMinor(12345)).toBe(123.45);
+    expect(roundMoney(19.999)).toBe(20);
+    expect(roundMoney('2.675')).toBe(2.68);
+  });
+
+  it('stores money fields in minor units and reads them in major units', () => {
+    // A blank amount clears the field rather than storing zero
+    const delivery = new LeafletDelivery({ charge: 10.555, grossCharge: '' });
+
+    expect(delivery.get('charge', null, { getters: false })).toBe(1056);
+    expect(delivery.charge).toBe(10.56);
+    expect(delivery.toObject().charge).toBe(10.56);
+    expect(delivery.grossCharge).toBeNull();
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats amounts in the currency\'s local style', () => {
+    expect(formatMoney(1234.5, 'GBP')).toBe('£1,234.50');
+    expect(formatMoney(1234.5, 'USD')).toBe('$1,234.50');
+  });
+
+  it('falls back to the default currency for unknown codes', () => {
+    expect(formatMoney(5, 'XYZ')).toBe('£5.00');
+  });
+});
+
+describe('exchangeRateOf', () => {
+  it('is one for the base currency', () => {
+    expect(exchangeRateOf(organisation, 'GBP')).toBe(1);
+    expect(exchangeRateOf(organisation, undefined)).toBe(1);
+    expect(exchangeRateOf(null, 'GBP')).toBe(1);
+  });
+
+  it('uses the organisation\'s rate for other currencies', () => {
+    expect(exchangeRateOf(organisation, 'EUR')).toBe(1.17);
+  });
+
+  it('is null when the organisation has no rate', () => {
+    expect(exchangeRateOf({ currency: 'GBP', exchangeRates: [] }, 'EUR')).toBeNull();
+  });
+});
+
+describe('convertMoney', () => {
+  it('converts through the base currency and rounds to the minor unit', () => {
+    expect(convertMoney(100, 1, 1.17)).toBe(117);
+    expect(convertMoney(117, 1.17, 1)).toBe(100);
+    expect(convertMoney(100, 1.17, 1.25)).toBe(106.84);
+  });
+
+  it('treats missing rates as one', () => {
+    expect(convertMoney(12.345, null, undefined)).toBe(12.35);
+  });
+});
+
+describe('currencyFor', () => {
+  it('bills customers in their own currency at the organisation\'s rate', async () => {
+    const select = findOrganisation(organisation);
+
+    expect(await currencyFor('org', { currency: 'USD' })).toEqual({ currency: 'USD', exchangeRate: 1.25 });
+    expect(Organisation.findById).toHaveBeenCalledWith('org');
+    expect(select).toHaveBeenCalledWith('currency exchangeRates');
+  });
+
+  it('bills customers without a currency in the organisation\'s', async () => {
+    findOrganisation({ currency: 'EUR', exchangeRates: [] });
+
+    expect(await currencyFor('org', { currency: null })).toEqual({ currency: 'EUR', exchangeRate: 1 });
+  });
+
+  it('falls back to the default currency without an organisation', async () => {
+    findOrganisation(null);
+
+    expect(await currencyFor('org', null)).toEqual({ currency: 'GBP', exchangeRate: 1 });
+  });
+
+  it('returns an error when the organisation has no rate for the customer\'s currency', async () => {
+    findOrganisation({ currency: 'GBP', exchangeRates: [] });
+
+    expect(await currencyFor('org', { currency: 'EUR' })).toEqual({
+      error: 'No exchange rate is set for EUR. Add one under Settings → Organisation.'
+    });
+  });
+});
+
+describe('inBaseCurrency', () => {
+  it('divides the stored amount by the document\'s exchange rate', () => {
+    expect(inBaseCurrency('$total')).toEqual({
+      $divide: [{ $ifNull: ['$total', 0] }, { $ifNull: ['$exchangeRate', 1] }]
+    });
+    expect(inBaseCurrency('$lines.amount', '$rate')).toEqual({
+      $divide: [{ $ifNull: ['$lines.amount', 0] }, { $ifNull: ['$rate', 1] }]
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const Magazine = require('../models/Magazine');
+const Booking = require('../models/Booking');
+const {
+  calculateEntryPrice,
+  priceBookingEntries,
+  repriceBookingEntries,
+  applyRulePricing
+} = require('../utils/pricingEngine');
+
+const id = () => new mongoose.Types.ObjectId();
+const organisation = id();
+
+const schedule = {
+  _id: id(),
+  issues: [1, 2, 3, 4, 5, 6].map(sortOrder => ({ _id: id(), name: `Issue ${sortOrder}`, sortOrder }))
+};
+const issueReference = (index) => ({
+  issue: schedule.issues[index]._id,
+  schedule: schedule._id,
+  name: schedule.issues[index].name,
+  sortOrder: schedule.issues[index].sortOrder
+});
+
+const townLife = { _id: id(), schedule };
+const cityLife = { _id: id(), schedule };
+
+const frequencyRule = {
+  _id: id(),
+  name: 'Frequency',
+  type: 'frequency',
+  tiers: [{ minimum: 3, percentage: 5 }, { minimum: 6, percentage: 10 }]
+};
+const bundleRule = { _id: id(), name: 'Bundle', type: 'bundle', tiers: [{ minimum: 2, percentage: 7.5 }] };
+const commissionRule = { _id: id(), name: 'Agency', type: 'commission', percentage: 15 };
+
+const entry = (magazine, start, finish, fields = {}) => ({
+  magazine: magazine._id,
+  startIssue: issueReference(start),
+  finishIssue: finish === undefined ? null : issueReference(finish),
+  isOngoing: false,
+  ...fields
+});
+
+const useRules = (rules) => {
+  jest.spyOn(PricingRule, 'find').mockResolvedValue(rules);
+  jest.spyOn(Magazine, 'find').mockReturnValue({ populate: () => Promise.resolve([townLife, cityLife]) });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateEntryPrice', () => {
+  it('takes the percentage discount, then the fixed discount, then commission', () => {
+    expect(calculateEntryPrice({
+      listPrice: 200,
+      discountPercentage: 10,
+      discountValue: 20,
+      pricing: { commissionPercentage: 15 }
+    })).toEqual({ listPrice: 200, discount: 40, commission: 24, netPrice: 136 });
+  });
+
+  it('never discounts below zero', () => {
+    expect(calculateEntryPrice({ listPrice: 50, discountPercentage: 50, discountValue: 40 }))
+      .toEqual({ listPrice: 50, discount: 50, commission: 0, netPrice: 0 });
+  });
+
+  it('rounds to whole pennies', () => {
+    expect(calculateEntryPrice({ listPrice: 33.33, discountPercentage: 12.5 }).netPrice).toBe(29.16);
+  });
+});
+
+describe('priceBookingEntries', () => {
+  it('gives the best frequency tier reached by the issues an entry runs in', async () => {
+    useRules([frequencyRule]);
+
+    const [short, long] = await priceBookingEntries(
+      [entry(townLife, 0, 1), entry(townLife, 0, 5)],
+      { organisationId: organisation }
+    );
+
+    expect(short.ruleDiscountPercentage).toBe(0);
+    expect(long.ruleDiscountPercentage).toBe(10);
+    expect(long.rules).toEqual([expect.objectContaining({ name: 'Frequency', percentage: 10, detail: '6 issues' })]);
+  });
+
+  it('adds bundle discounts for bookings across magazines', async () => {
+    useRules([frequencyRule, bundleRule]);
+
+    const [first, second] = await priceBookingEntries(
+      [entry(townLife, 0, 2), entry(cityLife, 0)],
+      { organisationId: organisation }
+    );
+
+    expect(first.ruleDiscountPercentage).toBe(12.5);
+    expect(second.ruleDiscountPercentage).toBe(7.5);
+  });
+
+  it('uses a magazine\'s own rules in place of the organisation-wide ones', async () => {
+    useRules([frequencyRule, { ...frequencyRule, _id: id(), magazine: cityLife._id, tiers: [{ minimum: 1, percentage: 2 }] }]);
+
+    const [town, city] = await priceBookingEntries(
+      [entry(townLife, 0, 5), entry(cityLife, 0, 5)],
+      { organisationId: organisation }
+    );
+
+    expect(town.ruleDiscountPercentage).toBe(10);
+    expect(city.ruleDiscountPercentage).toBe(2);
+  });
+
+  it('only gives agencies commission', async () => {
+    useRules([commissionRule]);
+
+    const [direct] = await priceBookingEntries([entry(townLife, 0)], { organisationId: organisation, customer: { agency: false } });
+    const [agency] = await priceBookingEntries([entry(townLife, 0)], { organisationId: organisation, customer: { agency: true } });
+
+    expect(direct.commissionPercentage).toBe(0);
+    expect(agency.commissionPercentage).toBe(15);
+  });
+});
+
+describe('repriceBookingEntries', () => {
+  const customer = { _id: id(), agency: false };
+
+  // A booking priced with a 5% frequency discount that the rules no longer give
+  const makeBooking = () => new Booking({
+    customer: customer._id,
+    organisation,
+    createdBy: id(),
+    magazineEntries: [{
+      ...entry(townLife, 0, 2),
+      contentSize: id(),
+      contentType: 'Advert',
+      listPrice: 100,
+      totalPrice: 95,
+      pricing: {
+        ruleDiscountPercentage: 5,
+        commissionPercentage: 0,
+        rules: [{ rule: frequencyRule._id, name: 'Frequency', type: 'frequency', percentage: 5, detail: '3 issues' }]
+      }
+    }]
+  });
+
+  it('keeps the stored pricing of unchanged entries', async () => {
+    useRules([]);
+    const booking = makeBooking();
+    const [existing] = booking.magazineEntries;
+
+    const [pricing] = await repriceBookingEntries(booking, [{ ...entry(townLife, 0, 2), _id: existing._id }], { organisationId: organisation, customer });
+
+    expect(pricing.ruleDiscountPercentage).toBe(5);
+    expect(pricing.rules).toEqual([expect.objectContaining({ name: 'Frequency', percentage: 5 })]);
+    expect(PricingRule.find).not.toHaveBeenCalled();
+  });
+
+  it('prices entries whose issues changed with the current rules', async () => {
+    useRules([]);
+    const booking = makeBooking();
+    const [existing] = booking.magazineEntries;
+
+    const [pricing] = await repriceBookingEntries(booking, [{ ...entry(townLife, 0, 3), _id: existing._id }], { organisationId: organisation, customer });
+
+    expect(pricing.ruleDiscountPercentage).toBe(0);
+    expect(pricing.rules).toEqual([]);
+  });
+
+  it('reprices every entry when the booking moves to another customer', async () => {
+    useRules([]);
+    const booking = makeBooking();
+    const [existing] = booking.magazineEntries;
+
+    const [pricing] = await repriceBookingEntries(booking, [{ ...entry(townLife, 0, 2), _id: existing._id }], {
+      organisationId: organisation,
+      customer: { _id: id(), agency: false }
+    });
+
+    expect(pricing.ruleDiscountPercentage).toBe(0);
+  });
+});
+
+describe('applyRulePricing', () => {
+  const rulePricing = { ruleDiscountPercentage: 10, commissionPercentage: 0, rules: [] };
+
+  it('uses the rules\' discount unless the entry overrides it', () => {
+    expect(applyRulePricing({ discountPercentage: 3 }, rulePricing)).toMatchObject({
+      discountPercentage: 10,
+      pricing: { discountOverride: false, manualOverride: false }
+    });
+    expect(applyRulePricing({ discountPercentage: 3, discountOverride: true }, rulePricing)).toMatchObject({
+      discountPercentage: 3,
+      pricing: { discountOverride: true, manualOverride: true }
+    });
+  });
+
+  it('flags fixed discounts as manual', () => {
+    expect(applyRulePricing({ discountValue: 5 }, rulePricing).pricing.manualOverride).toBe(true);
+  });
+});
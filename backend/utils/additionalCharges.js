@@ -0,0 +1,78 @@
+// Kinds of itemised additional charge on a booking
+const CHARGE_TYPES = ['design', 'premiumPosition', 'lateArtwork', 'other'];
+
+const CHARGE_TYPE_LABELS = {
+  design: 'Design fee',
+  premiumPosition: 'Premium position surcharge',
+  lateArtwork: 'Late artwork fee',
+  other: 'Other'
+};
+
+const chargesTotal = (charges) => (charges || []).reduce((sum, charge) => sum + (charge.amount || 0), 0);
+
+// Line items for a value that may still be a single amount, as stored before charges were itemised
+const toChargeItems = (value) => {
+  if (Array.isArray(value)) return value;
+
+  const amount = Number(value) || 0;
+  return amount > 0
+    ? [{ type: 'other', description: 'Additional charges', amount, entry: null, issue: null, taxable: true }]
+    : [];
+};
+
+// Resolve the additional charges of a booking request. A charge's `entry` is the position of
+// the entry it is for in the request's magazineEntries, and its `issue` one of the issues that
+// entry runs in. The entries must already be on the booking, so they have ids.
+// Returns { charges } or { error }.
+const resolveCharges = async (charges, booking) => {
+  // Required here, as the issue and capacity helpers load the Booking model that uses this file
+  const { resolveMagazineIssue, toIssueReference } = require('./issues');
+  const { getEntryIssues } = require('./capacity');
+
+  const resolved = [];
+  for (const charge of charges || []) {
+    const linked = charge.entry !== undefined && charge.entry !== null && charge.entry !== '';
+    const entry = linked ? booking.magazineEntries[Number(charge.entry)] : null;
+
+    if (linked && !entry) {
+      return { error: `Additional charge "${charge.description}" is for an entry that is not in the booking` };
+    }
+
+    let issue = null;
+    if (charge.issue) {
+      if (!entry) {
+        return { error: `Choose the entry that additional charge "${charge.description}" is for before its issue` };
+      }
+
+      const found = await resolveMagazineIssue(entry.magazine, charge.issue, booking.organisation);
+      if (found.error) {
+        return { error: found.error };
+      }
+
+      if (!getEntryIssues(found.schedule, entry).some(item => item._id.equals(found.issue._id))) {
+        return { error: `Additional charge "${charge.description}" is for ${found.issue.name}, which its entry does not run in` };
+      }
+      issue = toIssueReference(found.schedule, found.issue);
+    }
+
+    resolved.push({
+      ...(charge._id ? { _id: charge._id } : {}),
+      type: charge.type,
+      description: charge.description,
+      amount: Number(charge.amount),
+      entry: entry ? entry._id : null,
+      issue,
+      taxable: charge.taxable !== false
+    });
+  }
+
+  return { charges: resolved };
+};
+
+module.exports = {
+  CHARGE_TYPES,
+  CHARGE_TYPE_LABELS,
+  chargesTotal,
+  toChargeItems,
+  resolveCharges
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { PassThrough } = require('stream');
+const { bookingReference, canWriteBookingDocument, describeIssues, writeBookingPdf } = require('./bookingPdf');
+const { escapeHtml } = require('./emailTemplates');
+const { formatMoney } = require('./money');
+const { sendEmail } = require('./outbox');
+
+// Templates that can be sent from a booking, and the PDF each one attaches
+const BOOKING_EMAILS = {
+  bookingConfirmation: 'confirmation',
+  quote: 'quote',
+  artworkReminder: null
+};
+
+const describeEntry = (entry) => [
+  entry.magazine?.name,
+  [entry.contentSize?.description, entry.contentType].filter(Boolean).join(' / '),
+  describeIssues(entry)
+].filter(Boolean).join(', ');
+
+// Entries as an HTML list, with a plain text version for the text part of the email
+const listEntries = (entries) => ({
+  html: `<ul>${entries.map(entry => `<li>${escapeHtml(describeEntry(entry))}</li>`).join('')}</ul>`,
+  text: entries.map(entry => `- ${describeEntry(entry)}`).join('\n')
+});
+
+const renderPdf = (booking, organisation, document, options) => new Promise((resolve, reject) => {
+  const stream = new PassThrough();
+  const chunks = [];
+
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+
+  writeBookingPdf(booking, organisation, document, stream, options);
+});
+
+// Queue an email about a booking (customer, magazines and content sizes populated) and try
+// to send it straight away. Returns { message } or { error } if the booking can't have it.
+const sendBookingEmail = async (booking, organisation, template, to, user, { showPrices = true } = {}) => {
+  const document = BOOKING_EMAILS[template];
+
+  if (document && !canWriteBookingDocument(booking, document)) {
+    return { error: `A ${booking.status} booking has no ${document}` };
+  }
+
+  const entries = template === 'artworkReminder'
+    ? booking.magazineEntries.filter(entry => entry.artworkStatus === 'Awaiting')
+    : booking.magazineEntries;
+
+  if (entries.length === 0) {
+    return { error: 'All artwork for this booking has been received' };
+  }
+
+  const reference = bookingReference(booking);
+  const attachments = document
+    ? [{
+      filename: `${document}-${reference}.pdf`,
+      contentType: 'application/pdf',
+      content: await renderPdf(booking, organisation, document, { showPrices })
+    }]
+    : [];
+
+  const message = await sendEmail({
+    organisation: organisation._id,
+    template,
+    to,
+    variables: {
+      customerName: booking.customer ? booking.customer.name : '',
+      organisationName: organisation.name,
+      bookingReference: reference,
+      bookingStatus: booking.status,
+      entries: listEntries(entries),
+      totalValue: showPrices ? formatMoney(booking.totalValue, booking.currency) : '',
+      taxValue: showPrices ? formatMoney(booking.tax && booking.tax.amount, booking.currency) : '',
+      grossValue: showPrices ? formatMoney(booking.grossValue, booking.currency) : '',
+      senderName: user.name
+    },
+    attachments,
+    booking: booking._id,
+    createdBy: user._id
+  });
+
+  return { message };
+};
+
+module.exports = {
+  BOOKING_EMAILS,
+  sendBookingEmail
+};
\ No newline at end of file
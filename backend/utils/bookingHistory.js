@@ -0,0 +1,155 @@
+const BookingVersion = require('../models/BookingVersion');
+const { chargesTotal } = require('./additionalCharges');
+
+// Booking fields kept in each version
+const BOOKING_FIELDS = ['customer', 'notes', 'status', 'currency', 'totalValue'];
+
+// Magazine entry fields compared between versions
+const ENTRY_FIELDS = [
+  'magazine',
+  'contentSize',
+  'contentType',
+  'listPrice',
+  'discountPercentage',
+  'discountValue',
+  'totalPrice',
+  'startIssue',
+  'finishIssue',
+  'isOngoing',
+  'artworkStatus'
+];
+
+// Additional charge fields compared between versions
+const CHARGE_FIELDS = ['type', 'description', 'amount', 'entry', 'issue', 'taxable'];
+
+// Reduce a value to something comparable: ids to strings, issue references to their issue
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value.issue || value.name) return (value.issue || value.name).toString();
+  if (value._id) return value._id.toString();
+  if (typeof value === 'object' && value.toString) return value.toString();
+  return value;
+};
+
+// Readable value stored in a change: issue references by name, ids as strings
+const readable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value.name) return value.name;
+  if (value._id) return value._id.toString();
+  if (typeof value === 'object' && value.toString) return value.toString();
+  return value;
+};
+
+// Plain copy of the booking fields worth keeping in a version
+const snapshotBooking = (booking) => {
+  const data = booking.toObject({ depopulate: true });
+  const snapshot = {};
+
+  BOOKING_FIELDS.forEach(field => {
+    snapshot[field] = data[field];
+  });
+  snapshot.magazineEntries = data.magazineEntries || [];
+  snapshot.additionalCharges = data.additionalCharges || [];
+
+  return snapshot;
+};
+
+// Changes between two lists of magazine entries or additional charges, matched by id.
+// Each change names the item under `key`; an added or removed item is a change of field `key`.
+const diffItems = (previousItems, nextItems, fields, key) => {
+  const changes = [];
+  const previousById = new Map(previousItems.map(item => [item._id.toString(), item]));
+  const nextById = new Map(nextItems.map(item => [item._id.toString(), item]));
+
+  nextById.forEach((item, id) => {
+    const previousItem = previousById.get(id);
+
+    if (!previousItem) {
+      changes.push({ [key]: item._id, field: key, from: null, to: 'added' });
+      return;
+    }
+
+    fields.forEach(field => {
+      if (comparable(previousItem[field]) !== comparable(item[field])) {
+        changes.push({
+          [key]: item._id,
+          field,
+          from: readable(previousItem[field]),
+          to: readable(item[field])
+        });
+      }
+    });
+  });
+
+  previousById.forEach((item, id) => {
+    if (!nextById.has(id)) {
+      changes.push({ [key]: item._id, field: key, from: 'present', to: 'removed' });
+    }
+  });
+
+  return changes;
+};
+
+// Field-level differences between two snapshots, matching magazine entries and charges by id
+const diffSnapshots = (previous, next) => {
+  const changes = [];
+
+  BOOKING_FIELDS.forEach(field => {
+    if (comparable(previous[field]) !== comparable(next[field])) {
+      changes.push({ field, from: readable(previous[field]), to: readable(next[field]) });
+    }
+  });
+
+  changes.push(...diffItems(previous.magazineEntries, next.magazineEntries, ENTRY_FIELDS, 'entry'));
+
+  // Versions from before charges were itemised hold a single amount
+  if (Array.isArray(previous.additionalCharges)) {
+    changes.push(...diffItems(previous.additionalCharges, next.additionalCharges, CHARGE_FIELDS, 'charge'));
+  } else if ((previous.additionalCharges || 0) !== chargesTotal(next.additionalCharges)) {
+    changes.push({
+      field: 'additionalCharges',
+      from: previous.additionalCharges || 0,
+      to: chargesTotal(next.additionalCharges)
+    });
+  }
+
+  return changes;
+};
+
+// Record a new version of a booking, with the changes since the last version.
+// History is best effort: a failure is logged and does not undo the booking change.
+const recordBookingVersion = async (booking, action, userId, { restoredFrom } = {}) => {
+  try {
+    const snapshot = snapshotBooking(booking);
+    const latest = await BookingVersion.findOne({ booking: booking._id }).sort({ version: -1 });
+
+    const changes = latest && action !== 'delete'
+      ? diffSnapshots(latest.snapshot, snapshot)
+      : [];
+
+    // Nothing worth a version changed
+    if (latest && action === 'update' && changes.length === 0) {
+      return latest;
+    }
+
+    return await BookingVersion.create({
+      booking: booking._id,
+      version: latest ? latest.version + 1 : 1,
+      action,
+      restoredFrom,
+      snapshot,
+      changes,
+      organisation: booking.organisation,
+      changedBy: userId
+    });
+  } catch (error) {
+    console.error('Error recording booking version:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshotBooking,
+  diffSnapshots,
+  recordBookingVersion
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Magazine = require('../models/Magazine');
+const ContentSize = require('../models/ContentSize');
+const Schedule = require('../models/Schedule');
+const { findIssuePositions, entryRunsInIssue } = require('./issues');
+const { DEFAULT_CURRENCY, MINOR_UNITS, fromMinor, roundMoney, currencyFor, inBaseCurrency } = require('./money');
+
+// Fields the bookings list can be sorted by
+const SORT_FIELDS = ['createdAt', 'customer', 'magazine', 'size', 'type', 'total', 'start', 'finish', 'status'];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Ongoing entries sort after every finish issue
+const ONGOING_SORT_DATE = new Date('9999-12-31');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Prefix the fields of an entry condition (from utils/issues.js) with the unwound entry's path
+const onEntry = (condition) => Object.fromEntries(
+  Object.entries(condition).map(([key, value]) => key === '$or'
+    ? [key, value.map(onEntry)]
+    : [`entry.${key}`, value])
+);
+
+// Condition matching an issue reference by issue id or name
+const issueReferenceCondition = (path, value) => mongoose.isValidObjectId(value)
+  ? { $or: [{ [`${path}.issue`]: toObjectId(value) }, { [`${path}.name`]: value }] }
+  : { [`${path}.name`]: value };
+
+// Stages looking up the customer, magazine and content size of each entry row
+const lookupStages = (fields) => [
+  fields.includes('customer') && {
+    $lookup: {
+      from: Customer.collection.name,
+      localField: 'customer',
+      foreignField: '_id',
+      pipeline: [{ $project: { name: 1 } }],
+      as: 'customer'
+    }
+  },
+  fields.includes('magazine') && {
+    $lookup: {
+      from: Magazine.collection.name,
+      localField: 'entry.magazine',
+      foreignField: '_id',
+      pipeline: [{ $project: { name: 1 } }],
+      as: 'magazine'
+    }
+  },
+  fields.includes('contentSize') && {
+    $lookup: {
+      from: ContentSize.collection.name,
+      localField: 'entry.contentSize',
+      foreignField: '_id',
+      pipeline: [{ $project: { description: 1, size: 1 } }],
+      as: 'contentSize'
+    }
+  },
+  ...fields.map(field => ({ $set: { [field]: { $first: `$${field}` } } }))
+].filter(Boolean);
+
+// Stages adding the close dates of an entry's start and finish issues, for chronological sorting
+const issueDateStages = () => [
+  {
+    $lookup: {
+      from: Schedule.collection.name,
+      localField: 'entry.startIssue.schedule',
+      foreignField: '_id',
+      pipeline: [{ $project: { issues: 1 } }],
+      as: 'schedule'
+    }
+  },
+  {
+    $set: {
+      startDate: {
+        $first: {
+          $map: {
+            input: {
+              $filter: {
+                input: { $ifNull: [{ $first: '$schedule.issues' }, []] },
+                cond: { $eq: ['$$this._id', '$entry.startIssue.issue'] }
+              }
+            },
+            in: '$$this.closeDate'
+          }
+        }
+      },
+      finishDate: {
+        $first: {
+          $map: {
+            input: {
+              $filter: {
+                input: { $ifNull: [{ $first: '$schedule.issues' }, []] },
+                cond: { $eq: ['$$this._id', { $ifNull: ['$entry.finishIssue.issue', '$entry.startIssue.issue'] }] }
+              }
+            },
+            in: '$$this.closeDate'
+          }
+        }
+      }
+    }
+  },
+  {
+    $set: {
+      finishDate: { $cond: ['$entry.isOngoing', ONGOING_SORT_DATE, '$finishDate'] }
+    }
+  }
+];
+
+// Sort stage for a sort field, with newest bookings first to keep pages stable
+const sortStage = (sort, direction) => {
+  const order = direction === 'desc' ? -1 : 1;
+  const keys = {
+    createdAt: { createdAt: order },
+    customer: { 'customer.name': order },
+    magazine: { 'magazine.name': order },
+    size: { 'contentSize.description': order },
+    type: { 'entry.contentType': order },
+    total: { baseTotal: order },
+    start: { startDate: order, 'entry.startIssue.sortOrder': order },
+    finish: { finishDate: order, 'entry.finishIssue.sortOrder': order },
+    status: { status: order }
+  }[sort];
+
+  return { $sort: { ...keys, createdAt: -1, _id: 1, 'entry._id': 1 } };
+};
+
+// List the magazine entries of an organisation's bookings as flat rows, one per entry,
+// filtered, sorted and paginated in the database. Each row's price is in its booking's
+// currency; the totals are in the organisation's base currency.
+// Returns { rows, total, totals } with totals over every matching row.
+const listBookingEntries = async (organisationId, options) => {
+  const {
+    page = 1,
+    limit = DEFAULT_LIMIT,
+    sort = 'createdAt',
+    direction = 'desc',
+    search,
+    customer,
+    magazine,
+    contentSize,
+    contentType,
+    status,
+    issue,
+    startIssue,
+    finishIssue
+  } = options;
+
+  const bookingMatch = { organisation: toObjectId(organisationId) };
+  const entryMatch = {};
+
+  if (customer) bookingMatch.customer = toObjectId(customer);
+  if (status) bookingMatch.status = status;
+  if (magazine) entryMatch.magazine = toObjectId(magazine);
+  if (contentSize) entryMatch.contentSize = toObjectId(contentSize);
+  if (contentType) entryMatch.contentType = contentType;
+
+  const rowConditions = [];
+
+  // Entries running during the issue, in each schedule that contains it
+  if (issue) {
+    const positions = await findIssuePositions(issue, organisationId);
+
+    if (positions.length === 0) {
+      return { rows: [], total: 0, totals: { entries: 0, totalValue: 0, pages: 0, currency: DEFAULT_CURRENCY } };
+    }
+
+    rowConditions.push({ $or: positions.map(position => onEntry(entryRunsInIssue(position))) });
+  }
+
+  if (startIssue) {
+    rowConditions.push(issueReferenceCondition('entry.startIssue', startIssue));
+  }
+
+  if (finishIssue === 'ONGOING') {
+    rowConditions.push({ 'entry.isOngoing': true });
+  } else if (finishIssue) {
+    rowConditions.push({ 'entry.isOngoing': { $ne: true } }, issueReferenceCondition('entry.finishIssue', finishIssue));
+  }
+
+  // Bookings with a matching entry, so the indexes on the entries narrow the bookings first
+  if (Object.keys(entryMatch).length > 0) {
+    bookingMatch.magazineEntries = { $elemMatch: entryMatch };
+  }
+
+  const pipeline = [
+    { $match: bookingMatch },
+    { $project: { customer: 1, status: 1, notes: 1, currency: 1, exchangeRate: 1, createdAt: 1, entry: '$magazineEntries' } },
+    { $unwind: '$entry' },
+    { $match: { ...onEntry(entryMatch), ...(rowConditions.length > 0 ? { $and: rowConditions } : {}) } }
+  ];
+
+  // Look up names before paginating only when searching or sorting by them
+  const searchFields = search ? ['customer', 'magazine', 'contentSize'] : [];
+  const sortFields = { customer: ['customer'], magazine: ['magazine'], size: ['contentSize'] }[sort] || [];
+  const earlyLookups = [...new Set([...searchFields, ...sortFields])];
+  const lateLookups = ['customer', 'magazine', 'contentSize'].filter(field => !earlyLookups.includes(field));
+
+  pipeline.push(...lookupStages(earlyLookups));
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    pipeline.push({
+      $match: {
+        $or: [
+          { 'customer.name': pattern },
+          { 'magazine.name': pattern },
+          { 'contentSize.description': pattern },
+          { 'entry.contentType': pattern },
+          { notes: pattern }
+        ]
+      }
+    });
+  }
+
+  if (sort === 'start' || sort === 'finish') {
+    pipeline.push(...issueDateStages());
+  }
+
+  // Rows are priced in their booking's currency, so totals are compared in the base currency
+  if (sort === 'total') {
+    pipeline.push({ $addFields: { baseTotal: inBaseCurrency('$entry.totalPrice') } });
+  }
+
+  pipeline.push({
+    $facet: {
+      rows: [
+        sortStage(sort, direction),
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        ...lookupStages(lateLookups),
+        {
+          $project: {
+            _id: 0,
+            id: { $concat: [{ $toString: '$_id' }, '_', { $toString: '$entry._id' }] },
+            bookingId: '$_id',
+            entryId: '$entry._id',
+            customer: 1,
+            magazine: 1,
+            contentSize: 1,
+            contentType: '$entry.contentType',
+            totalPrice: { $divide: ['$entry.totalPrice', MINOR_UNITS] },
+            currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+            startIssue: '$entry.startIssue',
+            finishIssue: '$entry.finishIssue',
+            isOngoing: '$entry.isOngoing',
+            artworkStatus: '$entry.artworkStatus',
+            status: 1,
+            notes: 1,
+            createdAt: 1
+          }
+        }
+      ],
+      // Totals per content size, turned into pages below
+      totals: [
+        {
+          $group: {
+            _id: '$entry.contentSize',
+            entries: { $sum: 1 },
+            totalValue: { $sum: inBaseCurrency('$entry.totalPrice') }
+          }
+        }
+      ]
+    }
+  });
+
+  const [[{ rows, totals }], { currency }] = await Promise.all([
+    Booking.aggregate(pipeline),
+    currencyFor(organisationId)
+  ]);
+
+  const sizes = await ContentSize.find({ _id: { $in: totals.map(group => group._id) } }, 'size');
+  const sizeOf = (id) => sizes.find(size => size._id.toString() === String(id))?.size || 0;
+
+  const summary = totals.reduce((sum, group) => ({
+    entries: sum.entries + group.entries,
+    totalValue: sum.totalValue + group.totalValue,
+    pages: sum.pages + group.entries * sizeOf(group._id)
+  }), { entries: 0, totalValue: 0, pages: 0 });
+
+  return {
+    rows,
+    total: summary.entries,
+    totals: {
+      entries: summary.entries,
+      totalValue: roundMoney(fromMinor(summary.totalValue)),
+      pages: Math.round(summary.pages * 1000) / 1000,
+      currency
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listBookingEntries
+};
\ No newline at end of file
@@ -0,0 +1,131 @@
+const PDFDocument = require('pdfkit');
+const { SPACE_STATUSES } = require('./bookingStatus');
+const { findRecipient, formatAddress } = require('./customerContacts');
+const { formatMoney } = require('./money');
+const {
+  formatDate,
+  describeDiscount,
+  writeLetterhead,
+  writeRow,
+  writeRule,
+  layoutColumns,
+  writeSection,
+  writeTotals
+} = require('./pdfLayout');
+
+const BOOKING_DOCUMENTS = ['confirmation', 'quote'];
+
+// How long a quote's prices stand
+const QUOTE_VALIDITY_DAYS = 30;
+
+const ENTRY_COLUMNS = [
+  { label: 'Magazine' },
+  { label: 'Size / Type' },
+  { label: 'Issues', width: 85 },
+  { label: 'List Price', width: 60, price: true, align: 'right' },
+  { label: 'Discount', width: 70, price: true, align: 'right' },
+  { label: 'Total', width: 60, price: true, align: 'right' }
+];
+
+// Only bookings holding space can be confirmed; anything but a cancelled booking can be quoted
+const canWriteBookingDocument = (booking, document) => document === 'quote'
+  ? booking.status !== 'Cancelled'
+  : SPACE_STATUSES.includes(booking.status);
+
+// Short reference printed on documents and used in email subjects
+const bookingReference = (booking) => booking._id.toString().slice(-8).toUpperCase();
+
+const describeIssues = (entry) => {
+  const start = entry.startIssue?.name || '';
+  if (entry.isOngoing) return `${start} onwards`;
+
+  const finish = entry.finishIssue?.name;
+  return finish && finish !== start ? `${start} - ${finish}` : start;
+};
+
+// Write a booking confirmation or quote (customer with contacts, magazines and content sizes populated)
+// as an A4 PDF to a stream such as the response. Prices are left out when showPrices is false.
+const writeBookingPdf = (booking, organisation, document, stream, { showPrices = true } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const columns = layoutColumns(ENTRY_COLUMNS.filter(column => showPrices || !column.price));
+  const isQuote = document === 'quote';
+
+  writeLetterhead(doc, organisation);
+  doc.font('Helvetica-Bold').fontSize(14).text(isQuote
+    ? 'Quote'
+    : `${booking.status === 'Provisional' ? 'Provisional ' : ''}Booking Confirmation`);
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10);
+  const contact = findRecipient(booking.customer, isQuote ? 'quote' : 'bookingConfirmation');
+  doc.text(`Customer: ${booking.customer ? booking.customer.name : ''}`);
+  if (contact) doc.text(`For the attention of: ${contact.name}`);
+  formatAddress(booking.customer?.postalAddress).forEach(line => doc.text(line));
+  doc.text(`Reference: ${bookingReference(booking)}`);
+  doc.text(`Date: ${formatDate(new Date())}`);
+
+  if (isQuote) {
+    doc.text(`Valid until: ${formatDate(new Date(Date.now() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000))}`);
+  } else if (booking.status === 'Provisional' && booking.provisionalExpiresAt) {
+    doc.text(`Space held until: ${formatDate(booking.provisionalExpiresAt)}`);
+  }
+  doc.moveDown();
+
+  writeRow(doc, columns, columns.map(column => column.label), { bold: true });
+  writeRule(doc);
+
+  booking.magazineEntries.forEach(entry => {
+    writeRow(doc, columns, [
+      entry.magazine?.name || '',
+      [entry.contentSize?.description, entry.contentType].filter(Boolean).join(' / '),
+      describeIssues(entry),
+      ...(showPrices
+        ? [
+          formatMoney(entry.listPrice, booking.currency),
+          describeDiscount(entry, booking.currency),
+          formatMoney(entry.totalPrice, booking.currency)
+        ]
+        : [])
+    ]);
+  });
+
+  if (showPrices) {
+    // Each additional charge under the magazine and issue it is for
+    (booking.additionalCharges || []).forEach(charge => {
+      const entry = charge.entry && booking.magazineEntries.find(item => item._id.toString() === charge.entry.toString());
+      writeRow(doc, columns, [
+        entry?.magazine?.name || 'Additional charge',
+        charge.description,
+        charge.issue?.name || '',
+        '',
+        '',
+        formatMoney(charge.amount, booking.currency)
+      ]);
+    });
+
+    writeRule(doc);
+    writeTotals(doc, columns, {
+      net: booking.totalValue,
+      tax: booking.tax,
+      gross: booking.grossValue,
+      currency: booking.currency
+    });
+  } else {
+    writeRule(doc);
+  }
+
+  writeSection(doc, 'Notes', booking.notes);
+  writeSection(doc, 'Terms', organisation.branding?.terms);
+
+  doc.end();
+};
+
+module.exports = {
+  BOOKING_DOCUMENTS,
+  canWriteBookingDocument,
+  bookingReference,
+  describeIssues,
+  writeBookingPdf
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { recordBookingVersion } = require('./bookingHistory');
+
+const BOOKING_STATUSES = ['Draft', 'Quote', 'Provisional', 'Confirmed', 'Published', 'Cancelled'];
+
+// Statuses a new booking can start in
+const INITIAL_STATUSES = ['Draft', 'Quote', 'Provisional', 'Confirmed'];
+
+// Allowed transitions from each status
+const STATUS_TRANSITIONS = {
+  Draft: ['Quote', 'Provisional', 'Confirmed', 'Cancelled'],
+  Quote: ['Draft', 'Provisional', 'Confirmed', 'Cancelled'],
+  Provisional: ['Quote', 'Confirmed', 'Cancelled'],
+  Confirmed: ['Provisional', 'Published', 'Cancelled'],
+  Published: [],
+  Cancelled: ['Draft']
+};
+
+// How bookings in each status use space in an issue:
+// confirmed and published bookings take the space, provisional ones hold it until they expire
+const BOOKED_STATUSES = ['Confirmed', 'Published'];
+const HELD_STATUSES = ['Provisional'];
+const SPACE_STATUSES = [...HELD_STATUSES, ...BOOKED_STATUSES];
+
+// How long a provisional hold lasts when no expiry date is given
+const PROVISIONAL_HOLD_DAYS = 14;
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Move a booking to a new status, recording who changed it and when.
+// Returns an error message when the change is not allowed.
+const applyStatusChange = (booking, status, userId, { provisionalExpiresAt, note } = {}) => {
+  const from = booking.isNew ? null : booking.status;
+
+  if (from === status) {
+    return null;
+  }
+
+  if (from === null ? !INITIAL_STATUSES.includes(status) : !canTransition(from, status)) {
+    return from === null
+      ? `A booking cannot be created as ${status}`
+      : `A ${from} booking cannot be moved to ${status}`;
+  }
+
+  if (status === 'Provisional') {
+    const expiresAt = provisionalExpiresAt
+      ? new Date(provisionalExpiresAt)
+      : new Date(Date.now() + PROVISIONAL_HOLD_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return 'Provisional expiry date must be in the future';
+    }
+
+    booking.provisionalExpiresAt = expiresAt;
+  } else {
+    booking.provisionalExpiresAt = null;
+  }
+
+  booking.status = status;
+  booking.statusHistory.push({
+    from,
+    to: status,
+    changedAt: new Date(),
+    changedBy: userId,
+    note
+  });
+
+  return null;
+};
+
+// Release provisional holds past their expiry date back to quotes
+const releaseExpiredHolds = async () => {
+  // Required here as the Booking model uses the statuses above
+  const Booking = require('../models/Booking');
+
+  try {
+    const bookings = await Booking.find({
+      status: 'Provisional',
+      provisionalExpiresAt: { $lte: new Date() }
+    });
+
+    // Each booking is released on its own, so one that fails does not hold up the rest
+    let released = 0;
+    for (const booking of bookings) {
+      try {
+        booking.status = 'Quote';
+        booking.provisionalExpiresAt = null;
+        booking.statusHistory.push({
+          from: 'Provisional',
+          to: 'Quote',
+          changedAt: new Date(),
+          note: 'Provisional hold expired'
+        });
+        await booking.save();
+        released += 1;
+        await recordBookingVersion(booking, 'update', null);
+      } catch (error) {
+        console.error(`Error releasing expired provisional booking ${booking._id}:`, error);
+      }
+    }
+
+    if (released > 0) {
+      console.log(`Released ${released} expired provisional bookings`);
+    }
+  } catch (error) {
+    console.error('Error releasing expired provisional bookings:', error);
+  }
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  INITIAL_STATUSES,
+  STATUS_TRANSITIONS,
+  BOOKED_STATUSES,
+  HELD_STATUSES,
+  SPACE_STATUSES,
+  PROVISIONAL_HOLD_DAYS,
+  canTransition,
+  applyStatusChange,
+  releaseExpiredHolds
+};
\ No newline at end of file
@@ -0,0 +1,138 @@
+const Schedule = require('../models/Schedule');
+const Magazine = require('../models/Magazine');
+const { getIssueKeyDates } = require('./issueDates');
+
+// Days before each key date that calendar apps remind about it
+const REMINDER_DAYS = {
+  closeDate: [7, 1],
+  artworkDeadline: [3, 1],
+  proofApprovalDate: [1],
+  printDate: [],
+  publicationDate: []
+};
+
+// Issues whose key dates all passed longer ago than this are left out of feeds
+const FEED_HISTORY_DAYS = 365;
+
+// How often calendar apps are asked to fetch the feed again
+const REFRESH_INTERVAL = 'PT1H';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Alarm trigger for 9am a number of days before an all-day event
+const reminderTrigger = (days) => days > 1 ? `-P${days - 1}DT15H` : '-PT15H';
+
+const buildEvent = (schedule, issue, keyDate, magazines, stamp) => {
+  const subject = magazines.length > 0 ? magazines.map(magazine => magazine.name).join(', ') : schedule.name;
+  const summary = `${subject}: ${issue.name} ${keyDate.label.toLowerCase()}`;
+  const start = new Date(keyDate.date);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${issue._id}-${keyDate.key}@bookingsapp`,
+    `DTSTAMP:${formatTimestamp(stamp)}`,
+    `LAST-MODIFIED:${formatTimestamp(schedule.updatedAt || stamp)}`,
+    // Minutes since 1970 of the schedule's last save, so calendar apps take changed dates
+    `SEQUENCE:${Math.floor(new Date(schedule.updatedAt || stamp).getTime() / 60000)}`,
+    `DTSTART;VALUE=DATE:${formatDay(start)}`,
+    `DTEND;VALUE=DATE:${formatDay(new Date(start.getTime() + DAY_MS))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(`${keyDate.label} for ${issue.name} (${schedule.name} schedule)`)}`,
+    'TRANSP:TRANSPARENT',
+    ...(REMINDER_DAYS[keyDate.key] || []).flatMap(days => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(summary)}`,
+      `TRIGGER:${reminderTrigger(days)}`,
+      'END:VALARM'
+    ]),
+    'END:VEVENT'
+  ];
+};
+
+// iCalendar text for the key dates of the given schedules' issues. Each schedule comes
+// with the magazines that use it, named in its events.
+const buildCalendar = (name, entries, stamp = new Date()) => {
+  const since = new Date(stamp.getTime() - FEED_HISTORY_DAYS * DAY_MS);
+
+  const events = entries.flatMap(({ schedule, magazines }) => schedule.issues
+    .flatMap(issue => {
+      const keyDates = getIssueKeyDates(issue);
+      if (!keyDates.some(keyDate => new Date(keyDate.date) >= since)) return [];
+
+      return keyDates.flatMap(keyDate => buildEvent(schedule, issue, keyDate, magazines, stamp));
+    }));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bookings App//Issue Deadlines//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// The calendar of an organisation's schedules, or of one magazine's schedule.
+// Returns { calendar } or { error }.
+const buildCalendarFeed = async (organisation, { magazineId } = {}) => {
+  if (magazineId) {
+    const magazine = await Magazine.findOne({ _id: magazineId, organisation: organisation._id }).populate('schedule');
+
+    if (!magazine) {
+      return { error: 'Magazine not found' };
+    }
+
+    const entries = magazine.schedule ? [{ schedule: magazine.schedule, magazines: [magazine] }] : [];
+    return { calendar: buildCalendar(`${magazine.name} deadlines`, entries) };
+  }
+
+  const [schedules, magazines] = await Promise.all([
+    Schedule.find({ organisation: organisation._id, archived: false }),
+    Magazine.find({ organisation: organisation._id }).select('name schedule')
+  ]);
+
+  const entries = schedules.map(schedule => ({
+    schedule,
+    magazines: magazines.filter(magazine => magazine.schedule && magazine.schedule.equals(schedule._id))
+  }));
+
+  return { calendar: buildCalendar(`${organisation.name} deadlines`, entries) };
+};
+
+module.exports = {
+  REMINDER_DAYS,
+  buildCalendar,
+  buildCalendarFeed
+};
\ No newline at end of file
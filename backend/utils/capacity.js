@@ -0,0 +1,125 @@
+const Booking = require('../models/Booking');
+const Magazine = require('../models/Magazine');
+const ContentSize = require('../models/ContentSize');
+const { isEntryInIssue } = require('./issues');
+const { SPACE_STATUSES } = require('./bookingStatus');
+
+const roundPages = (pages) => Math.round(pages * 1000) / 1000;
+
+// Issues of a schedule that an entry runs in (every issue from its start when ongoing)
+const getEntryIssues = (schedule, entry) => schedule.issues.filter(issue =>
+  isEntryInIssue(entry, { schedule: schedule._id, sortOrder: issue.sortOrder })
+);
+
+// Pages booked in each issue of a magazine by the bookings that take space, keyed by issue id
+const getBookedPages = async (magazine, organisationId, excludeBookingId) => {
+  const filter = {
+    organisation: organisationId,
+    status: { $in: SPACE_STATUSES },
+    magazineEntries: {
+      $elemMatch: { magazine: magazine._id, 'startIssue.schedule': magazine.schedule._id }
+    }
+  };
+
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find(filter).populate('magazineEntries.contentSize', 'size');
+  const bookedPages = {};
+
+  bookings.forEach(booking => {
+    booking.magazineEntries
+      .filter(entry => entry.magazine.toString() === magazine._id.toString())
+      .forEach(entry => {
+        const pages = entry.contentSize ? entry.contentSize.size : 0;
+        getEntryIssues(magazine.schedule, entry).forEach(issue => {
+          bookedPages[issue._id] = (bookedPages[issue._id] || 0) + pages;
+        });
+      });
+  });
+
+  return bookedPages;
+};
+
+// Page count, allowed maximum and booked pages of each issue of a magazine (schedule populated)
+const getMagazineCapacity = async (magazine, organisationId, excludeBookingId) => {
+  const bookedPages = await getBookedPages(magazine, organisationId, excludeBookingId);
+
+  return [...magazine.schedule.issues]
+    .sort((a, b) => a.sortOrder - b.sortOrder)
+    .map(issue => {
+      const totalPages = magazine.getTotalPages(issue.name);
+      const booked = roundPages(bookedPages[issue._id] || 0);
+
+      return {
+        issue: issue._id,
+        name: issue.name,
+        closeDate: issue.closeDate,
+        sortOrder: issue.sortOrder,
+        totalPages,
+        maxPages: roundPages(magazine.getMaxPages(issue.name)),
+        bookedPages: booked,
+        remainingPages: roundPages(totalPages - booked)
+      };
+    });
+};
+
+// Check the entries of a booking (with resolved issue references) against the page counts
+// of the issues they run in. Issues booked past their page count give a warning, and
+// past the magazine's allowed overbooking an error.
+const checkCapacity = async (entries, organisationId, excludeBookingId) => {
+  const errors = [];
+  const warnings = [];
+
+  const entriesByMagazine = new Map();
+  entries.forEach(entry => {
+    const key = entry.magazine.toString();
+    entriesByMagazine.set(key, [...(entriesByMagazine.get(key) || []), entry]);
+  });
+
+  const contentSizes = await ContentSize.find({
+    _id: { $in: entries.map(entry => entry.contentSize) },
+    organisation: organisationId
+  });
+  const sizeOf = (id) => contentSizes.find(size => size._id.toString() === id.toString())?.size || 0;
+
+  for (const [magazineId, magazineEntries] of entriesByMagazine) {
+    const magazine = await Magazine.findOne({
+      _id: magazineId,
+      organisation: organisationId
+    }).populate('schedule');
+
+    if (!magazine || !magazine.schedule) continue;
+
+    // Pages this booking asks for in each issue
+    const requestedPages = {};
+    magazineEntries.forEach(entry => {
+      getEntryIssues(magazine.schedule, entry).forEach(issue => {
+        requestedPages[issue._id] = (requestedPages[issue._id] || 0) + sizeOf(entry.contentSize);
+      });
+    });
+
+    const capacity = await getMagazineCapacity(magazine, organisationId, excludeBookingId);
+
+    capacity
+      .filter(issue => requestedPages[issue.issue])
+      .forEach(issue => {
+        const bookedPages = roundPages(issue.bookedPages + requestedPages[issue.issue]);
+
+        if (bookedPages > issue.maxPages) {
+          errors.push(`${magazine.name} ${issue.name} would have ${bookedPages} of ${issue.totalPages} pages booked, more than the ${magazine.overbookingPercentage || 0}% overbooking allowed`);
+        } else if (bookedPages > issue.totalPages) {
+          warnings.push(`${magazine.name} ${issue.name} is overbooked with ${bookedPages} of ${issue.totalPages} pages booked`);
+        }
+      });
+  }
+
+  return { errors, warnings };
+};
+
+module.exports = {
+  getEntryIssues,
+  getMagazineCapacity,
+  checkCapacity
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+// What a customer contact is responsible for; a contact can have several roles
+const CONTACT_ROLES = ['billing', 'artwork', 'decisionMaker'];
+
+const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'county', 'postcode', 'country'];
+
+// Contact roles to send each kind of document to, in order of preference
+const RECIPIENT_ROLES = {
+  bookingConfirmation: ['decisionMaker', 'billing'],
+  quote: ['decisionMaker', 'billing'],
+  artworkReminder: ['artwork', 'decisionMaker'],
+  invoice: ['billing', 'decisionMaker']
+};
+
+// The customer contact a document should go to: the first contact holding one of the
+// document's roles, otherwise the first contact with an email address
+const findRecipient = (customer, document) => {
+  const contacts = (customer?.contacts || []).filter(contact => contact.email);
+  const roles = RECIPIENT_ROLES[document] || [];
+
+  for (const role of roles) {
+    const contact = contacts.find(item => item.roles.includes(role));
+    if (contact) return contact;
+  }
+
+  return contacts[0] || null;
+};
+
+// Non-empty lines of an address
+const formatAddress = (address) => ADDRESS_FIELDS
+  .map(field => address?.[field])
+  .filter(Boolean);
+
+// Where invoices go: the billing address, or the postal address when there is none
+const billingAddressOf = (customer) => formatAddress(customer?.billingAddress).length > 0
+  ? customer.billingAddress
+  : customer?.postalAddress;
+
+// Who an invoice is addressed to, as printed on it
+const billingDetails = (customer) => {
+  const contact = findRecipient(customer, 'invoice');
+
+  return {
+    name: customer?.name,
+    contactName: contact ? contact.name : undefined,
+    email: contact ? contact.email : undefined,
+    address: formatAddress(billingAddressOf(customer)),
+    vatNumber: customer?.vatNumber
+  };
+};
+
+module.exports = {
+  CONTACT_ROLES,
+  ADDRESS_FIELDS,
+  RECIPIENT_ROLES,
+  findRecipient,
+  formatAddress,
+  billingAddressOf,
+  billingDetails
+};
\ No newline at end of file
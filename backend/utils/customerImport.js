@@ -0,0 +1,372 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const Customer = require('../models/Customer');
+const BusinessType = require('../models/BusinessType');
+const { CONTACT_ROLES, ADDRESS_FIELDS } = require('./customerContacts');
+
+const ADDRESS_LABELS = {
+  line1: 'Address Line 1',
+  line2: 'Address Line 2',
+  city: 'City',
+  county: 'County',
+  postcode: 'Postcode',
+  country: 'Country'
+};
+
+// Customer fields a CSV column can be mapped to. The header is what the export writes;
+// it and the aliases are recognised when guessing the mapping of an uploaded file.
+const IMPORT_FIELDS = [
+  { key: 'name', header: 'Name', aliases: ['customer', 'customer name', 'company', 'company name', 'advertiser'] },
+  { key: 'businessTypes', header: 'Business Types', aliases: ['business type', 'category', 'categories', 'section'] },
+  { key: 'bookingNote', header: 'Booking Note', aliases: ['note', 'notes'] },
+  { key: 'vatNumber', header: 'VAT Number', aliases: ['vat', 'vat no'] },
+  { key: 'paymentTermsDays', header: 'Payment Terms Days', aliases: ['payment terms', 'terms'] },
+  { key: 'contactName', header: 'Contact Name', aliases: ['contact'] },
+  { key: 'contactEmail', header: 'Contact Email', aliases: ['email', 'e mail'] },
+  { key: 'contactPhone', header: 'Contact Phone', aliases: ['phone', 'telephone', 'tel'] },
+  { key: 'contactRoles', header: 'Contact Roles', aliases: ['roles'] },
+  ...ADDRESS_FIELDS.map(field => ({
+    key: `postalAddress.${field}`,
+    header: ADDRESS_LABELS[field],
+    aliases: [`postal ${ADDRESS_LABELS[field]}`, ...(field === 'line1' ? ['address'] : []), ...(field === 'city' ? ['town'] : [])]
+  })),
+  ...ADDRESS_FIELDS.map(field => ({
+    key: `billingAddress.${field}`,
+    header: `Billing ${ADDRESS_LABELS[field]}`,
+    aliases: []
+  }))
+];
+
+// Names at least this similar to an existing customer's are treated as the same customer
+const DUPLICATE_THRESHOLD = 0.85;
+
+// Words left out when comparing customer names, so "Smith & Sons Ltd" matches "Smith and Sons"
+const IGNORED_NAME_WORDS = ['the', 'and', 'ltd', 'limited', 'plc', 'llp', 'llc', 'inc', 'co', 'company'];
+
+// Several business types or contact roles in one cell are separated by ; or |
+const LIST_SEPARATOR = /[;|]/;
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const normaliseName = (name) => String(name)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word && !IGNORED_NAME_WORDS.includes(word))
+  .join(' ');
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const pairs = new Set();
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.add(compact.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+// Dice coefficient of two names' letter pairs: 1 for the same name, 0 for nothing in common
+const nameSimilarity = (a, b) => {
+  if (a.normalised === b.normalised) return 1;
+  if (a.pairs.size === 0 || b.pairs.size === 0) return 0;
+
+  let shared = 0;
+  a.pairs.forEach(pair => {
+    if (b.pairs.has(pair)) shared++;
+  });
+  return (2 * shared) / (a.pairs.size + b.pairs.size);
+};
+
+const nameKey = (name) => {
+  const normalised = normaliseName(name);
+  return { normalised, pairs: bigrams(normalised) };
+};
+
+// Read an uploaded CSV file into its headers and rows
+const readCsv = (path) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+
+  fs.createReadStream(path)
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('headers', (names) => { headers = names; })
+    .on('data', (row) => rows.push(row))
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+// Map each field to the CSV column that looks like it, by header or alias
+const guessMapping = (headers) => {
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach(field => {
+    const names = [field.header, ...field.aliases].map(normaliseHeader);
+    const header = headers.find(item => names.includes(normaliseHeader(item)));
+    if (header) mapping[field.key] = header;
+  });
+
+  return mapping;
+};
+
+const splitList = (value) => value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+const parseRoles = (value) => splitList(value).map(role => {
+  const compact = role.toLowerCase().replace(/[^a-z]/g, '');
+  return CONTACT_ROLES.find(item => item.toLowerCase() === compact) || role;
+});
+
+const readAddress = (read, prefix) => {
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    const value = read(`${prefix}.${field}`);
+    if (value) address[field] = value;
+  });
+  return Object.keys(address).length > 0 ? address : undefined;
+};
+
+// The customer details of one CSV row, or { error }
+const parseRow = (row, mapping) => {
+  const read = (key) => mapping[key] ? String(row[mapping[key]] ?? '').trim() : '';
+
+  const name = read('name');
+  if (!name) return { error: 'Name is empty' };
+
+  const paymentTerms = read('paymentTermsDays');
+  const paymentTermsDays = paymentTerms ? Number(paymentTerms) : undefined;
+  if (paymentTerms && (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0 || paymentTermsDays > 365)) {
+    return { error: `Payment terms "${paymentTerms}" are not a number of days` };
+  }
+
+  const email = read('contactEmail').toLowerCase();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: `Email "${email}" is not valid` };
+  }
+
+  const roles = parseRoles(read('contactRoles'));
+  const unknownRole = roles.find(role => !CONTACT_ROLES.includes(role));
+  if (unknownRole) {
+    return { error: `Contact role "${unknownRole}" is not one of ${CONTACT_ROLES.join(', ')}` };
+  }
+
+  const contactName = read('contactName') || (email ? name : '');
+
+  return {
+    details: {
+      name,
+      businessTypes: splitList(read('businessTypes')),
+      bookingNote: read('bookingNote') || undefined,
+      vatNumber: read('vatNumber') || undefined,
+      paymentTermsDays,
+      contact: contactName
+        ? { name: contactName, email: email || undefined, phone: read('contactPhone') || undefined, roles }
+        : undefined,
+      postalAddress: readAddress(read, 'postalAddress'),
+      billingAddress: readAddress(read, 'billingAddress')
+    }
+  };
+};
+
+// The closest existing (or earlier imported) customer to a name, if it is close enough
+const findDuplicate = (key, candidates) => {
+  let best = null;
+
+  for (const candidate of candidates) {
+    // Names with very different numbers of letter pairs can't reach the threshold
+    const sizes = [key.pairs.size, candidate.key.pairs.size];
+    if (key.normalised !== candidate.key.normalised && 2 * Math.min(...sizes) < DUPLICATE_THRESHOLD * (sizes[0] + sizes[1])) continue;
+
+    const score = nameSimilarity(key, candidate.key);
+    if (score >= DUPLICATE_THRESHOLD && (!best || score > best.score)) {
+      best = { ...candidate, score };
+      if (score === 1) break;
+    }
+  }
+
+  return best;
+};
+
+// Changes to make to an existing customer: fill in what the row has without removing anything
+const buildUpdate = (existing, details, businessTypeIds) => {
+  const set = {};
+  ['bookingNote', 'vatNumber', 'paymentTermsDays', 'postalAddress', 'billingAddress'].forEach(field => {
+    if (details[field] !== undefined) set[field] = details[field];
+  });
+
+  const update = {};
+  if (Object.keys(set).length > 0) update.$set = set;
+
+  const newTypes = businessTypeIds.filter(id => !existing.businessTypes.some(type => type.toString() === id.toString()));
+  if (newTypes.length > 0) update.$addToSet = { businessTypes: { $each: newTypes } };
+
+  const { contact } = details;
+  const hasContact = contact && (existing.contacts || []).some(item => contact.email
+    ? item.email === contact.email
+    : item.name.toLowerCase() === contact.name.toLowerCase());
+  if (contact && !hasContact) update.$push = { contacts: contact };
+
+  return Object.keys(update).length > 0 ? update : null;
+};
+
+// Import customers from CSV rows. Each row is created, updated (when it matches an existing
+// customer and updateDuplicates is on) or skipped; nothing is written on a dry run.
+// Returns { result } with a line per row and a summary, or { error } if the mapping is unusable.
+const importCustomers = async (organisationId, userId, { headers, rows }, options = {}) => {
+  const { dryRun = true, createBusinessTypes = false, updateDuplicates = false } = options;
+  const mapping = options.mapping || guessMapping(headers);
+
+  const unknownColumn = Object.values(mapping).find(header => header && !headers.includes(header));
+  if (unknownColumn) return { error: `Column "${unknownColumn}" is not in the file` };
+  if (!mapping.name) return { error: 'Choose the column that holds the customer name' };
+
+  const [existing, businessTypes] = await Promise.all([
+    Customer.find({ organisation: organisationId }).select('name businessTypes contacts').lean(),
+    BusinessType.find({ organisation: organisationId }).select('section')
+  ]);
+
+  const typesBySection = new Map(businessTypes.map(type => [type.section.toLowerCase(), type]));
+  const missingTypes = new Map();
+  const candidates = existing.map(customer => ({ customer, key: nameKey(customer.name) }));
+
+  const lines = [];
+  const creates = [];
+  const updates = [];
+
+  rows.forEach((row, index) => {
+    const line = { row: index + 2 };
+    lines.push(line);
+
+    const { details, error } = parseRow(row, mapping);
+    if (error) {
+      Object.assign(line, { name: row[mapping.name], action: 'error', reason: error });
+      return;
+    }
+    line.name = details.name;
+
+    const unknownTypes = details.businessTypes.filter(section => !typesBySection.has(section.toLowerCase()));
+    if (unknownTypes.length > 0 && !createBusinessTypes) {
+      Object.assign(line, { action: 'error', reason: `Unknown business type: ${unknownTypes.join(', ')}` });
+      return;
+    }
+    unknownTypes.forEach(section => missingTypes.set(section.toLowerCase(), section));
+
+    const key = nameKey(details.name);
+    const duplicate = findDuplicate(key, candidates);
+
+    if (duplicate) {
+      line.match = { name: duplicate.customer.name, score: Math.round(duplicate.score * 100) / 100 };
+
+      if (duplicate.row) {
+        Object.assign(line, { action: 'skip', reason: `Same customer as row ${duplicate.row}` });
+      } else if (updateDuplicates) {
+        Object.assign(line, { action: 'update', reason: duplicate.score === 1 ? 'Existing customer' : 'Similar to an existing customer' });
+        line.match._id = duplicate.customer._id;
+        updates.push({ line, details, customer: duplicate.customer });
+      } else {
+        Object.assign(line, { action: 'skip', reason: duplicate.score === 1 ? 'Already exists' : 'Similar to an existing customer' });
+        line.match._id = duplicate.customer._id;
+      }
+      return;
+    }
+
+    if (details.businessTypes.length === 0) {
+      Object.assign(line, { action: 'error', reason: 'No business type given' });
+      return;
+    }
+
+    line.action = 'create';
+    creates.push({ line, details });
+    candidates.push({ customer: { name: details.name }, key, row: line.row });
+  });
+
+  const summary = { totalRows: rows.length, create: 0, update: 0, skip: 0, error: 0 };
+  lines.forEach(line => { summary[line.action]++; });
+
+  const result = {
+    dryRun,
+    headers,
+    mapping,
+    summary,
+    newBusinessTypes: [...missingTypes.values()],
+    rows: lines
+  };
+
+  if (dryRun) return { result };
+
+  // Create the missing business types, then the customers and the updates
+  for (const section of missingTypes.values()) {
+    const type = await BusinessType.findOneAndUpdate(
+      { organisation: organisationId, section: { $regex: new RegExp(`^${section.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') } },
+      { $setOnInsert: { section } },
+      { upsert: true, new: true }
+    );
+    typesBySection.set(section.toLowerCase(), type);
+  }
+
+  const typeIds = (sections) => sections.map(section => typesBySection.get(section.toLowerCase())._id);
+
+  if (creates.length > 0) {
+    const created = await Customer.insertMany(creates.map(({ details }) => ({
+      name: details.name,
+      businessTypes: typeIds(details.businessTypes),
+      bookingNote: details.bookingNote,
+      vatNumber: details.vatNumber,
+      paymentTermsDays: details.paymentTermsDays,
+      contacts: details.contact ? [details.contact] : [],
+      postalAddress: details.postalAddress,
+      billingAddress: details.billingAddress,
+      organisation: organisationId,
+      createdBy: userId
+    })));
+    created.forEach((customer, index) => { creates[index].line.customer = customer._id; });
+  }
+
+  const operations = updates
+    .map(({ details, customer }) => ({ customer, update: buildUpdate(customer, details, typeIds(details.businessTypes)) }))
+    .filter(({ update }) => update)
+    .map(({ customer, update }) => ({ updateOne: { filter: { _id: customer._id }, update } }));
+
+  if (operations.length > 0) {
+    await Customer.bulkWrite(operations);
+  }
+
+  return { result };
+};
+
+// Export header row and one row per customer (businessTypes populated), matching the import
+// columns; the first contact goes in the contact columns
+const exportRows = (customers) => {
+  const valueOf = (customer, key) => {
+    const contact = customer.contacts?.[0];
+    switch (key) {
+      case 'businessTypes':
+        return (customer.businessTypes || []).map(type => type.section).join('; ');
+      case 'contactName':
+        return contact?.name;
+      case 'contactEmail':
+        return contact?.email;
+      case 'contactPhone':
+        return contact?.phone;
+      case 'contactRoles':
+        return (contact?.roles || []).join('; ');
+      default: {
+        const [field, part] = key.split('.');
+        return part ? customer[field]?.[part] : customer[field];
+      }
+    }
+  };
+
+  return [
+    IMPORT_FIELDS.map(field => field.header),
+    ...customers.map(customer => IMPORT_FIELDS.map(field => valueOf(customer, field.key) ?? ''))
+  ];
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  DUPLICATE_THRESHOLD,
+  readCsv,
+  guessMapping,
+  normaliseName,
+  importCustomers,
+  exportRows
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+const Customer = require('../models/Customer');
+const Organisation = require('../models/Organisation');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
+const AuditLog = require('../models/AuditLog');
+const { recordBookingVersion } = require('./bookingHistory');
+const { formatAddress } = require('./customerContacts');
+const { DEFAULT_CURRENCY } = require('./money');
+
+// Fields the surviving customer keeps, taking the first merged customer's value when it has none
+const FILL_FIELDS = ['vatNumber', 'paymentTermsDays', 'postalAddress', 'billingAddress'];
+
+// Fields every merged customer must share with the survivor, as their bookings and invoices
+// were priced and taxed by them, and what they are called in errors
+const MATCH_FIELDS = {
+  currency: 'billing currency',
+  taxTreatment: 'tax treatment'
+};
+
+const isEmpty = (field, value) => field.endsWith('Address')
+  ? formatAddress(value).length === 0
+  : value === undefined || value === null || value === '';
+
+const contactKey = (contact) => (contact.email || contact.name).toLowerCase();
+
+// The survivor's details once the others are merged into it: business types, contacts and
+// notes from every customer, and any details the survivor is missing
+const mergedDetails = (survivor, others) => {
+  const all = [survivor, ...others];
+  const details = {};
+
+  const typeIds = new Map();
+  all.forEach(customer => (customer.businessTypes || []).forEach(type => {
+    typeIds.set((type._id || type).toString(), type);
+  }));
+  details.businessTypes = [...typeIds.values()];
+
+  const notes = [...new Set(all.map(customer => customer.bookingNote).filter(Boolean))];
+  details.bookingNote = notes.join('\n') || undefined;
+
+  const contacts = new Map();
+  all.forEach(customer => (customer.contacts || []).forEach(contact => {
+    const key = contactKey(contact);
+    if (!contacts.has(key)) {
+      contacts.set(key, contact);
+    } else {
+      // The same person listed on two customers keeps the roles from both
+      const kept = contacts.get(key);
+      kept.roles = [...new Set([...(kept.roles || []), ...(contact.roles || [])])];
+      kept.phone = kept.phone || contact.phone;
+    }
+  }));
+  details.contacts = [...contacts.values()];
+
+  FILL_FIELDS.forEach(field => {
+    const source = all.find(customer => !isEmpty(field, customer[field]));
+    details[field] = source ? source[field] : undefined;
+  });
+
+  return details;
+};
+
+// Load the survivor and the customers to merge into it, or { error }
+const loadMerge = async (organisationId, survivorId, mergedIds) => {
+  const ids = [...new Set(mergedIds.map(String))].filter(id => id !== String(survivorId));
+  if (ids.length === 0) {
+    return { error: 'Choose at least one other customer to merge' };
+  }
+
+  const customers = await Customer.find({
+    _id: { $in: [survivorId, ...ids] },
+    organisation: organisationId
+  }).populate('businessTypes', 'section');
+
+  const survivor = customers.find(customer => customer._id.toString() === String(survivorId));
+  const others = customers.filter(customer => customer._id.toString() !== String(survivorId));
+
+  if (!survivor || others.length !== ids.length) {
+    return { error: 'Customer not found' };
+  }
+
+  const organisation = await Organisation.findById(organisationId).select('currency');
+  const valueOf = (customer, field) => field === 'currency'
+    ? customer.currency || (organisation && organisation.currency) || DEFAULT_CURRENCY
+    : customer[field] || 'standard';
+
+  for (const [field, label] of Object.entries(MATCH_FIELDS)) {
+    const other = others.find(customer => valueOf(customer, field) !== valueOf(survivor, field));
+    if (other) {
+      return {
+        error: `${other.name} has a different ${label} (${valueOf(other, field)}) from ${survivor.name} (${valueOf(survivor, field)}), so they cannot be merged`
+      };
+    }
+  }
+
+  return { survivor, others };
+};
+
+const countReferences = async (customerIds) => {
+  const filter = { customer: { $in: customerIds } };
+  const [bookings, leafletDeliveries, invoices] = await Promise.all([
+    Booking.countDocuments(filter),
+    LeafletDelivery.countDocuments(filter),
+    Invoice.countDocuments(filter)
+  ]);
+  return { bookings, leafletDeliveries, invoices };
+};
+
+// What merging would do, without changing anything. Returns { preview } or { error }.
+const previewMerge = async (organisationId, survivorId, mergedIds) => {
+  const { survivor, others, error } = await loadMerge(organisationId, survivorId, mergedIds);
+  if (error) return { error };
+
+  const merged = await Promise.all(others.map(async customer => ({
+    _id: customer._id,
+    name: customer.name,
+    moves: await countReferences([customer._id])
+  })));
+
+  return {
+    preview: {
+      survivor: { _id: survivor._id, name: survivor.name },
+      merged,
+      result: { name: survivor.name, ...mergedDetails(survivor.toObject(), others.map(customer => customer.toObject())) }
+    }
+  };
+};
+
+// Carry out the steps of a logged merge: update the survivor, move the merged customers'
+// bookings, leaflet deliveries and invoices to it, delete them and mark the log completed.
+// Each step can be run again, so a merge that stopped partway is finished by running them all.
+const completeMerge = async (log) => {
+  const { survivor: survivorId, merged: snapshots, details } = log.details;
+  const otherIds = snapshots.map(snapshot => snapshot._id);
+
+  const survivor = await Customer.findOne({ _id: survivorId, organisation: log.organisation });
+  if (!survivor) {
+    throw new Error(`Customer ${survivorId} of merge ${log._id} no longer exists`);
+  }
+  survivor.set(details);
+  await survivor.save();
+
+  // Bookings are saved one at a time so each gets a version in its history
+  const filter = { customer: { $in: otherIds }, organisation: log.organisation };
+  const bookings = await Booking.find(filter);
+  for (const booking of bookings) {
+    booking.customer = survivor._id;
+    await booking.save();
+    await recordBookingVersion(booking, 'update', log.user);
+  }
+
+  await Promise.all([
+    LeafletDelivery.updateMany(filter, { $set: { customer: survivor._id } }),
+    Invoice.updateMany(filter, { $set: { customer: survivor._id } })
+  ]);
+
+  await Customer.deleteMany({ _id: { $in: otherIds }, organisation: log.organisation });
+
+  log.status = 'completed';
+  await log.save();
+  return survivor;
+};
+
+// Merge customers into the survivor: move their bookings, leaflet deliveries and invoices
+// to it, combine their details and delete them. The merge is logged in the audit log before
+// anything changes. Returns { customer, moved } or { error }.
+const mergeCustomers = async (organisationId, survivorId, mergedIds, userId) => {
+  const { survivor, others, error } = await loadMerge(organisationId, survivorId, mergedIds);
+  if (error) return { error };
+
+  const snapshots = others.map(customer => customer.toObject({ depopulate: true }));
+  const details = mergedDetails(survivor.toObject({ depopulate: true }), snapshots);
+  const moved = await countReferences(others.map(customer => customer._id));
+
+  const log = await AuditLog.create({
+    action: 'customer.merge',
+    entityType: 'Customer',
+    entity: survivor._id,
+    summary: `Merged ${others.map(customer => customer.name).join(', ')} into ${survivor.name}`,
+    details: { survivor: survivor._id, merged: snapshots, details, moved },
+    status: 'pending',
+    organisation: organisationId,
+    user: userId
+  });
+
+  const customer = await completeMerge(log);
+  await customer.populate('businessTypes', 'section');
+  return { customer, moved };
+};
+
+// Finish merges that stopped partway, e.g. when the server stopped mid-merge
+const resumeCustomerMerges = async () => {
+  const pending = await AuditLog.find({ action: 'customer.merge', status: 'pending' });
+
+  for (const log of pending) {
+    try {
+      await completeMerge(log);
+      console.log(`Finished customer merge ${log._id}`);
+    } catch (error) {
+      console.error(`Error finishing customer merge ${log._id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  mergedDetails,
+  previewMerge,
+  mergeCustomers,
+  resumeCustomerMerges
+};
\ No newline at end of file
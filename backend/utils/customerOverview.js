@@ -0,0 +1,340 @@
+const Customer = require('../models/Customer');
+const Organisation = require('../models/Organisation');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Schedule = require('../models/Schedule');
+const OutboxMessage = require('../models/OutboxMessage');
+const AuditLog = require('../models/AuditLog');
+const { BOOKED_STATUSES, HELD_STATUSES } = require('./bookingStatus');
+const { getEntryIssues } = require('./capacity');
+const { getBillableIssues } = require('./invoices');
+const { bookingReference } = require('./bookingPdf');
+const { DEFAULT_CURRENCY, roundMoney } = require('./money');
+
+// Most recent entries kept in the contact history
+const HISTORY_LIMIT = 100;
+
+const idOf = (value) => value ? (value._id || value).toString() : '';
+
+// Whether an entry (or leaflet delivery) has finished: its booking has run or been
+// cancelled, or every issue it runs in has closed
+const hasFinished = (status, issues, isOngoing) => {
+  if (['Published', 'Cancelled', 'Completed'].includes(status)) return true;
+  if (isOngoing || issues.length === 0) return false;
+  return issues.every(issue => new Date(issue.closeDate) < new Date());
+};
+
+// Issues of a leaflet delivery's schedule from its start to its finish
+const getDeliveryIssues = (schedule, delivery) => schedule.issues.filter(issue =>
+  delivery.startIssue && issue.sortOrder >= delivery.startIssue.sortOrder &&
+  issue.sortOrder <= (delivery.finishIssue ? delivery.finishIssue.sortOrder : delivery.startIssue.sortOrder)
+);
+
+// Everything about one customer for the customer page: lifetime value, bookings per magazine,
+// leaflet deliveries, the issues they appear in, revenue by issue, notes and contact history.
+// Values are totalled in the organisation's base currency; each entry and delivery keeps its own.
+// Emails are only included for roles that can see the outbox.
+// Returns { overview } or { error }.
+const buildCustomerOverview = async (organisationId, customerId, { includeEmails = false } = {}) => {
+  const customer = await Customer.findOne({ _id: customerId, organisation: organisationId })
+    .populate('businessTypes', 'section');
+
+  if (!customer) {
+    return { error: 'Customer not found' };
+  }
+
+  const [organisation, bookings, deliveries] = await Promise.all([
+    Organisation.findById(organisationId).select('currency'),
+    Booking.find({ customer: customer._id, organisation: organisationId })
+      .populate('magazineEntries.magazine', 'name')
+      .populate('magazineEntries.contentSize', 'description size')
+      .populate('statusHistory.changedBy', 'name')
+      .sort({ createdAt: -1 }),
+    LeafletDelivery.find({ customer: customer._id, organisation: organisationId })
+      .populate('magazine', 'name')
+      .sort({ 'startIssue.sortOrder': -1 })
+  ]);
+
+  const scheduleIds = [
+    ...bookings.flatMap(booking => booking.magazineEntries.map(entry => entry.startIssue?.schedule)),
+    ...deliveries.map(delivery => delivery.startIssue?.schedule)
+  ].filter(Boolean);
+  const schedules = await Schedule.find({ _id: { $in: scheduleIds }, organisation: organisationId });
+  const scheduleOf = (reference) => reference?.schedule
+    ? schedules.find(schedule => schedule._id.equals(reference.schedule))
+    : null;
+
+  const magazines = new Map();
+  const coverage = new Map();
+  const revenue = new Map();
+  const summary = {
+    bookings: 0,
+    activeBookings: 0,
+    leafletDeliveries: 0,
+    firstBookedAt: null,
+    lastBookedAt: null,
+    totalBookingValue: 0,
+    totalLeafletValue: 0,
+    provisionalValue: 0,
+    currency: (organisation && organisation.currency) || DEFAULT_CURRENCY
+  };
+
+  // An amount of a booking or delivery in the base currency
+  const inBase = (document, amount) => (amount || 0) / (document.exchangeRate || 1);
+
+  const magazineGroup = (magazine) => {
+    const key = idOf(magazine);
+    if (!magazines.has(key)) {
+      magazines.set(key, { _id: key, name: magazine?.name || '', active: [], past: [] });
+    }
+    return magazines.get(key);
+  };
+
+  // Issues of one magazine's schedule the customer appears in
+  const coverageIssue = (magazine, schedule, issue) => {
+    const key = `${idOf(magazine)}:${schedule._id}`;
+    if (!coverage.has(key)) {
+      coverage.set(key, { magazine: { _id: idOf(magazine), name: magazine?.name || '' }, schedule, issues: new Map() });
+    }
+
+    const issues = coverage.get(key).issues;
+    if (!issues.has(issue._id.toString())) {
+      issues.set(issue._id.toString(), { entries: [], leafletDeliveries: [] });
+    }
+    return issues.get(issue._id.toString());
+  };
+
+  const addRevenue = (schedule, issue, amount) => {
+    const key = issue._id.toString();
+    if (!revenue.has(key)) {
+      revenue.set(key, {
+        issue: issue._id,
+        schedule: schedule._id,
+        name: issue.name,
+        scheduleName: schedule.name,
+        closeDate: issue.closeDate,
+        value: 0
+      });
+    }
+    revenue.get(key).value += amount;
+  };
+
+  bookings.forEach(booking => {
+    const isBooked = BOOKED_STATUSES.includes(booking.status);
+    const isCancelled = booking.status === 'Cancelled';
+    let bookingActive = false;
+    let firstIssue = null;
+    const entryFirstIssues = new Map();
+
+    if (!isCancelled) {
+      summary.bookings += 1;
+      if (!summary.firstBookedAt || booking.createdAt < summary.firstBookedAt) summary.firstBookedAt = booking.createdAt;
+      if (!summary.lastBookedAt || booking.createdAt > summary.lastBookedAt) summary.lastBookedAt = booking.createdAt;
+    }
+
+    booking.magazineEntries.forEach(entry => {
+      const schedule = scheduleOf(entry.startIssue);
+      const issues = schedule ? getEntryIssues(schedule, entry) : [];
+      const finished = hasFinished(booking.status, issues, entry.isOngoing);
+
+      magazineGroup(entry.magazine)[finished ? 'past' : 'active'].push({
+        booking: booking._id,
+        reference: bookingReference(booking),
+        entry: entry._id,
+        status: booking.status,
+        contentType: entry.contentType,
+        contentSize: entry.contentSize?.description || '',
+        startIssue: entry.startIssue?.name || '',
+        finishIssue: entry.isOngoing ? 'Ongoing' : (entry.finishIssue?.name || entry.startIssue?.name || ''),
+        issues: entry.isOngoing ? null : issues.length,
+        artworkStatus: entry.artworkStatus,
+        totalPrice: entry.totalPrice,
+        currency: booking.currency
+      });
+
+      if (!finished && !isCancelled) bookingActive = true;
+      if (!schedule || isCancelled) return;
+
+      issues.forEach(issue => coverageIssue(entry.magazine, schedule, issue).entries.push({
+        booking: booking._id,
+        status: booking.status,
+        contentType: entry.contentType,
+        contentSize: entry.contentSize?.description || ''
+      }));
+
+      // Each insertion is charged at the entry's price, as on invoices
+      const billable = getBillableIssues(schedule, entry);
+      const value = inBase(booking, entry.totalPrice * billable.length);
+
+      if (isBooked) {
+        summary.totalBookingValue += value;
+        billable.forEach(issue => addRevenue(schedule, issue, inBase(booking, entry.totalPrice)));
+        if (billable.length > 0) entryFirstIssues.set(entry._id.toString(), { schedule, issue: billable[0] });
+        if (billable.length > 0 && (!firstIssue || new Date(billable[0].closeDate) < new Date(firstIssue.issue.closeDate))) {
+          firstIssue = { schedule, issue: billable[0] };
+        }
+      } else if (HELD_STATUSES.includes(booking.status)) {
+        summary.provisionalValue += value;
+      }
+    });
+
+    // Additional charges are billed with the issue they are for, otherwise with the first
+    // insertion of their entry or of the booking, as on invoices
+    if (isBooked) {
+      (booking.additionalCharges || []).forEach(charge => {
+        const schedule = scheduleOf(charge.issue);
+        const issue = schedule && schedule.issues.id(charge.issue.issue);
+        const billedIn = issue
+          ? { schedule, issue }
+          : (charge.entry && entryFirstIssues.get(charge.entry.toString())) || firstIssue;
+
+        if (!billedIn) return;
+        summary.totalBookingValue += inBase(booking, charge.amount);
+        addRevenue(billedIn.schedule, billedIn.issue, inBase(booking, charge.amount));
+      });
+    }
+
+    if (bookingActive) summary.activeBookings += 1;
+  });
+
+  const leafletDeliveries = deliveries.map(delivery => {
+    const schedule = scheduleOf(delivery.startIssue);
+    const issues = schedule ? getDeliveryIssues(schedule, delivery) : [];
+
+    if (delivery.status !== 'Cancelled') {
+      summary.leafletDeliveries += 1;
+      summary.totalLeafletValue += inBase(delivery, delivery.charge);
+      issues.forEach(issue => coverageIssue(delivery.magazine, schedule, issue).leafletDeliveries.push({
+        leafletDelivery: delivery._id,
+        status: delivery.status,
+        quantity: delivery.quantity
+      }));
+    }
+
+    return {
+      _id: delivery._id,
+      magazine: delivery.magazine ? { _id: delivery.magazine._id, name: delivery.magazine.name } : null,
+      startIssue: delivery.startIssue?.name || '',
+      finishIssue: delivery.finishIssue?.name || '',
+      quantity: delivery.quantity,
+      charge: delivery.charge,
+      currency: delivery.currency,
+      status: delivery.status,
+      active: !hasFinished(delivery.status, issues, false),
+      note: delivery.note || ''
+    };
+  });
+
+  summary.totalBookingValue = roundMoney(summary.totalBookingValue);
+  summary.totalLeafletValue = roundMoney(summary.totalLeafletValue);
+  summary.provisionalValue = roundMoney(summary.provisionalValue);
+  summary.totalRevenue = roundMoney(summary.totalBookingValue + summary.totalLeafletValue);
+
+  // Each magazine's timeline runs from the first to the last issue the customer is in,
+  // including the issues in between that they missed
+  const issueCoverage = Array.from(coverage.values()).map(({ magazine, schedule, issues }) => {
+    const covered = schedule.issues.filter(issue => issues.has(issue._id.toString()));
+    const first = Math.min(...covered.map(issue => issue.sortOrder));
+    const last = Math.max(...covered.map(issue => issue.sortOrder));
+
+    return {
+      magazine,
+      schedule: { _id: schedule._id, name: schedule.name },
+      issues: [...schedule.issues]
+        .filter(issue => issue.sortOrder >= first && issue.sortOrder <= last)
+        .sort((a, b) => a.sortOrder - b.sortOrder)
+        .map(issue => ({
+          _id: issue._id,
+          name: issue.name,
+          closeDate: issue.closeDate,
+          ...(issues.get(issue._id.toString()) || { entries: [], leafletDeliveries: [] })
+        }))
+    };
+  }).sort((a, b) => a.magazine.name.localeCompare(b.magazine.name));
+
+  const revenueByIssue = Array.from(revenue.values())
+    .map(point => ({ ...point, value: roundMoney(point.value) }))
+    .sort((a, b) => new Date(a.closeDate) - new Date(b.closeDate));
+
+  const notes = [
+    ...(customer.bookingNote ? [{ source: 'customer', text: customer.bookingNote, date: customer.updatedAt }] : []),
+    ...bookings.filter(booking => booking.notes).map(booking => ({
+      source: 'booking',
+      booking: booking._id,
+      reference: bookingReference(booking),
+      text: booking.notes,
+      date: booking.updatedAt
+    })),
+    ...deliveries.filter(delivery => delivery.note).map(delivery => ({
+      source: 'leafletDelivery',
+      leafletDelivery: delivery._id,
+      text: delivery.note,
+      date: delivery.updatedAt
+    }))
+  ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const [emails, merges] = await Promise.all([
+    includeEmails
+      ? OutboxMessage.find({ organisation: organisationId, booking: { $in: bookings.map(booking => booking._id) } })
+        .select('template to subject status sentAt booking createdBy createdAt')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+      : [],
+    AuditLog.find({ organisation: organisationId, entity: customer._id })
+      .populate('user', 'name')
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT)
+  ]);
+
+  const contactHistory = [
+    ...emails.map(message => ({
+      type: 'email',
+      date: message.sentAt || message.createdAt,
+      summary: message.subject,
+      detail: `To ${message.to}`,
+      status: message.status,
+      booking: message.booking,
+      user: message.createdBy?.name || null
+    })),
+    ...bookings.flatMap(booking => booking.statusHistory.map(change => ({
+      type: 'status',
+      date: change.changedAt,
+      summary: change.from
+        ? `Booking ${bookingReference(booking)} moved from ${change.from} to ${change.to}`
+        : `Booking ${bookingReference(booking)} created as ${change.to}`,
+      detail: change.note || '',
+      status: change.to,
+      booking: booking._id,
+      user: change.changedBy?.name || null
+    }))),
+    ...merges.map(entry => ({
+      type: 'merge',
+      date: entry.createdAt,
+      summary: entry.summary,
+      detail: '',
+      status: null,
+      booking: null,
+      user: entry.user?.name || null
+    }))
+  ]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, HISTORY_LIMIT);
+
+  return {
+    overview: {
+      customer,
+      summary,
+      magazines: Array.from(magazines.values()).sort((a, b) => a.name.localeCompare(b.name)),
+      leafletDeliveries,
+      issueCoverage,
+      revenueByIssue,
+      notes,
+      contactHistory
+    }
+  };
+};
+
+module.exports = {
+  buildCustomerOverview
+};
\ No newline at end of file
@@ -0,0 +1,126 @@
+// Built-in templates, used until an organisation saves its own version.
+// {{variables}} are replaced with HTML-escaped values when a message is queued; a saved
+// version must still use the required ones.
+const DEFAULT_TEMPLATES = {
+  bookingConfirmation: {
+    name: 'Booking confirmation',
+    variables: ['customerName', 'organisationName', 'bookingReference', 'bookingStatus', 'entries', 'totalValue', 'taxValue', 'grossValue', 'senderName'],
+    required: ['bookingReference', 'entries'],
+    subject: 'Booking confirmation {{bookingReference}} - {{organisationName}}',
+    html: `<p>Dear {{customerName}},</p>
+<p>Thank you for your booking. Your confirmation ({{bookingStatus}}) is attached, covering:</p>
+{{entries}}
+<p>Total: {{totalValue}} plus {{taxValue}} tax, {{grossValue}} in all</p>
+<p>Kind regards,<br>{{senderName}}<br>{{organisationName}}</p>`
+  },
+  quote: {
+    name: 'Quote',
+    variables: ['customerName', 'organisationName', 'bookingReference', 'entries', 'totalValue', 'taxValue', 'grossValue', 'senderName'],
+    required: ['bookingReference', 'entries'],
+    subject: 'Your quote {{bookingReference}} - {{organisationName}}',
+    html: `<p>Dear {{customerName}},</p>
+<p>Please find attached our quote for:</p>
+{{entries}}
+<p>Total: {{totalValue}} plus {{taxValue}} tax, {{grossValue}} in all</p>
+<p>Let us know if you would like to go ahead.</p>
+<p>Kind regards,<br>{{senderName}}<br>{{organisationName}}</p>`
+  },
+  artworkReminder: {
+    name: 'Artwork reminder',
+    variables: ['customerName', 'organisationName', 'bookingReference', 'entries', 'senderName'],
+    required: ['bookingReference', 'entries'],
+    subject: 'Artwork needed for booking {{bookingReference}} - {{organisationName}}',
+    html: `<p>Dear {{customerName}},</p>
+<p>We are still waiting for artwork for:</p>
+{{entries}}
+<p>Please send it before the issue closes.</p>
+<p>Kind regards,<br>{{senderName}}<br>{{organisationName}}</p>`
+  },
+  passwordReset: {
+    name: 'Password reset',
+    variables: ['userName', 'resetUrl'],
+    required: ['resetUrl'],
+    // Carries a reset token, so a saved version may only use it as the whole address of a link
+    links: ['resetUrl'],
+    subject: 'Password Reset Request',
+    html: `<h2>Password Reset Request</h2>
+<p>You have requested to reset your password. Please click the link below to reset your password:</p>
+<a href="{{resetUrl}}" style="display: inline-block; padding: 10px 20px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a>
+<p>If you did not request this, please ignore this email.</p>
+<p>This link will expire in 10 minutes.</p>`
+  }
+};
+
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+const placeholder = (name) => `\\{\\{\\s*${name}\\s*\\}\\}`;
+
+const countMatches = (text, pattern) => (text.match(new RegExp(pattern, 'g')) || []).length;
+
+// Required variables a version of a template leaves out of both its subject and body
+const missingVariables = (key, { subject, html }) => DEFAULT_TEMPLATES[key].required
+  .filter(name => countMatches(subject, placeholder(name)) + countMatches(html, placeholder(name)) === 0);
+
+// Link variables a version of a template uses other than as the whole href of a link in its
+// body, e.g. inside another address, where the link would no longer go to the value itself
+const misusedLinks = (key, { subject, html }) => (DEFAULT_TEMPLATES[key].links || [])
+  .filter(name => {
+    const links = countMatches(html, `href\\s*=\\s*(["'])${placeholder(name)}\\1`);
+    return links === 0 || countMatches(subject, placeholder(name)) + countMatches(html, placeholder(name)) !== links;
+  });
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Replace {{name}} placeholders. Values are HTML-escaped unless escape is off (for subjects);
+// pass { html, text } for a value that is already HTML, with its plain text version.
+const renderTemplate = (text, variables, { escape = true } = {}) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+  const value = variables[name];
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && 'html' in value) return escape ? value.html : value.text;
+  return escape ? escapeHtml(value) : String(value);
+});
+
+// An organisation's version of each template, falling back to the built-in one
+const getTemplates = async (organisationId) => {
+  // Required here as the EmailTemplate model uses the keys above
+  const EmailTemplate = require('../models/EmailTemplate');
+  const saved = await EmailTemplate.find({ organisation: organisationId });
+
+  return TEMPLATE_KEYS.map(key => {
+    const custom = saved.find(template => template.key === key);
+    const builtIn = DEFAULT_TEMPLATES[key];
+
+    return {
+      key,
+      name: builtIn.name,
+      variables: builtIn.variables,
+      required: builtIn.required,
+      links: builtIn.links || [],
+      subject: custom ? custom.subject : builtIn.subject,
+      html: custom ? custom.html : builtIn.html,
+      isCustom: Boolean(custom),
+      updatedAt: custom ? custom.updatedAt : null
+    };
+  });
+};
+
+const getTemplate = async (organisationId, key) => {
+  const EmailTemplate = require('../models/EmailTemplate');
+  const custom = organisationId ? await EmailTemplate.findOne({ organisation: organisationId, key }) : null;
+  return custom || DEFAULT_TEMPLATES[key];
+};
+
+module.exports = {
+  TEMPLATE_KEYS,
+  DEFAULT_TEMPLATES,
+  missingVariables,
+  misusedLinks,
+  escapeHtml,
+  renderTemplate,
+  getTemplates,
+  getTemplate
+};
\ No newline at end of file
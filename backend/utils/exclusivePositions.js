@@ -0,0 +1,102 @@
+const Booking = require('../models/Booking');
+const Magazine = require('../models/Magazine');
+const ContentType = require('../models/ContentType');
+const { getEntryIssues } = require('./capacity');
+const { SPACE_STATUSES } = require('./bookingStatus');
+
+// Check the exclusive positions (e.g. Front Cover) of a booking's entries against the other
+// bookings holding them. Every issue of each entry's range is checked, including ongoing entries.
+// Returns a list of conflicts naming the bookings that already hold the slot.
+const checkExclusivePositions = async (entries, organisationId, excludeBookingId) => {
+  const exclusiveTypes = await ContentType.find({
+    organisation: organisationId,
+    exclusive: true,
+    name: { $in: [...new Set(entries.map(entry => entry.contentType))] }
+  });
+
+  if (exclusiveTypes.length === 0) {
+    return [];
+  }
+
+  const conflicts = [];
+
+  for (const contentType of exclusiveTypes) {
+    const typeEntries = entries.filter(entry => entry.contentType === contentType.name);
+    const magazineIds = [...new Set(typeEntries.map(entry => entry.magazine.toString()))];
+
+    for (const magazineId of magazineIds) {
+      const magazine = await Magazine.findOne({
+        _id: magazineId,
+        organisation: organisationId
+      }).populate('schedule');
+
+      if (!magazine || !magazine.schedule) continue;
+
+      const filter = {
+        organisation: organisationId,
+        status: { $in: SPACE_STATUSES },
+        magazineEntries: {
+          $elemMatch: {
+            magazine: magazine._id,
+            contentType: contentType.name,
+            'startIssue.schedule': magazine.schedule._id
+          }
+        }
+      };
+
+      if (excludeBookingId) {
+        filter._id = { $ne: excludeBookingId };
+      }
+
+      const bookings = await Booking.find(filter).populate('customer', 'name');
+
+      // Other bookings' entries holding this position in the magazine
+      const heldEntries = [];
+      bookings.forEach(booking => {
+        booking.magazineEntries
+          .filter(entry => entry.magazine.toString() === magazineId && entry.contentType === contentType.name)
+          .forEach(entry => heldEntries.push({ booking, entry }));
+      });
+
+      const bookingEntries = typeEntries.filter(entry => entry.magazine.toString() === magazineId);
+      const issues = new Map();
+      bookingEntries.forEach(entry => {
+        getEntryIssues(magazine.schedule, entry).forEach(issue => issues.set(issue._id.toString(), issue));
+      });
+
+      issues.forEach(issue => {
+        const runsInIssue = (entry) => getEntryIssues(magazine.schedule, entry)
+          .some(entryIssue => entryIssue._id.toString() === issue._id.toString());
+
+        const holders = heldEntries.filter(({ entry }) => runsInIssue(entry));
+        const requested = bookingEntries.filter(runsInIssue).length;
+
+        if (holders.length + requested > contentType.maxPerIssue) {
+          const holderBookings = [...new Map(holders.map(({ booking }) => [booking._id.toString(), booking])).values()];
+          const holderNames = holderBookings.map(booking =>
+            `booking ${booking._id} (${booking.customer ? booking.customer.name : 'unknown customer'})`
+          );
+
+          conflicts.push({
+            magazine: magazine.name,
+            issue: issue.name,
+            contentType: contentType.name,
+            maxPerIssue: contentType.maxPerIssue,
+            bookings: holderBookings.map(booking => ({
+              _id: booking._id,
+              customer: booking.customer ? booking.customer.name : null,
+              status: booking.status
+            })),
+            message: holders.length > 0
+              ? `${contentType.name} of ${magazine.name} ${issue.name} is already held by ${holderNames.join(', ')}`
+              : `${contentType.name} of ${magazine.name} ${issue.name} can only be booked ${contentType.maxPerIssue} time(s) per issue`
+          });
+        }
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+module.exports = { checkExclusivePositions };
\ No newline at end of file
@@ -0,0 +1,126 @@
+const Booking = require('../models/Booking');
+const { entryRunsInIssue, isEntryInIssue } = require('./issues');
+const { SPACE_STATUSES } = require('./bookingStatus');
+
+const roundPages = (pages) => Math.round(pages * 1000) / 1000;
+
+// Key matching a placement to the magazine entry it places
+const entryKey = (booking, entry) => `${booking}:${entry}`;
+
+// Where a placement starts and ends, in pages counted from the start of page 1
+const placementRange = (placement) => {
+  const start = roundPages(placement.page - 1 + (placement.position || 0));
+  return { start, end: roundPages(start + placement.size) };
+};
+
+// Check that placements stay within the issue's pages and don't overlap each other.
+// Returns a list of error messages naming the placements with describe(placement).
+const checkPlacements = (placements, totalPages, describe) => {
+  const errors = [];
+  const ranges = placements
+    .map(placement => ({ placement, ...placementRange(placement) }))
+    .sort((a, b) => a.start - b.start);
+
+  ranges.forEach((range, index) => {
+    if (range.end > totalPages) {
+      errors.push(`${describe(range.placement)} on page ${range.placement.page} runs past the last page (${totalPages})`);
+    }
+
+    for (let next = index + 1; next < ranges.length && ranges[next].start < range.end; next++) {
+      errors.push(`${describe(range.placement)} and ${describe(ranges[next].placement)} overlap on page ${Math.floor(ranges[next].start) + 1}`);
+    }
+  });
+
+  return errors;
+};
+
+// Entries of a magazine running in an issue from bookings that take space
+const getIssueEntries = async (magazine, issue, organisationId) => {
+  const position = { schedule: magazine.schedule._id, sortOrder: issue.sortOrder };
+
+  const bookings = await Booking.find({
+    organisation: organisationId,
+    status: { $in: SPACE_STATUSES },
+    magazineEntries: {
+      $elemMatch: { magazine: magazine._id, ...entryRunsInIssue(position) }
+    }
+  })
+    .populate('customer', 'name')
+    .populate('magazineEntries.contentSize', 'description size');
+
+  const entries = [];
+  bookings.forEach(booking => {
+    booking.magazineEntries
+      .filter(entry => entry.magazine.toString() === magazine._id.toString() && isEntryInIssue(entry, position))
+      .forEach(entry => entries.push({
+        booking: booking._id,
+        entry: entry._id,
+        customer: booking.customer ? booking.customer.name : null,
+        status: booking.status,
+        contentType: entry.contentType,
+        contentSize: entry.contentSize ? entry.contentSize.description : null,
+        size: entry.contentSize ? entry.contentSize.size : 0,
+        artworkStatus: entry.artworkStatus
+      }));
+  });
+
+  return entries;
+};
+
+// Readable name of a placement for messages
+const describePlacement = (placement) => placement.kind === 'booking'
+  ? `${placement.customer || 'Booking'} (${placement.contentType})`
+  : `"${placement.label}"`;
+
+// Flatplan of an issue for the response: placements with the details of their entries,
+// booked entries marked as placed or not, and the pages left over
+const buildFlatplan = (flatplan, entries, totalPages) => {
+  const entriesByKey = new Map(entries.map(entry => [entryKey(entry.booking, entry.entry), entry]));
+  const placed = new Set();
+
+  const placements = (flatplan ? flatplan.placements : []).map(placement => {
+    const data = placement.toObject ? placement.toObject() : placement;
+
+    if (data.kind !== 'booking') {
+      return data;
+    }
+
+    const key = entryKey(data.booking, data.entry);
+    const entry = entriesByKey.get(key);
+    placed.add(key);
+
+    // Entries cancelled or moved out of the issue since they were placed
+    if (!entry) {
+      return { ...data, missing: true };
+    }
+
+    const { customer, status, contentType, contentSize, size, artworkStatus } = entry;
+    return { ...data, customer, status, contentType, contentSize, size, artworkStatus };
+  });
+
+  const current = placements.filter(placement => !placement.missing);
+  const usedPages = roundPages(current.reduce((sum, placement) => sum + placement.size, 0));
+  const unplaced = entries.filter(entry => !placed.has(entryKey(entry.booking, entry.entry)));
+
+  return {
+    totalPages,
+    placements,
+    entries: entries.map(entry => ({ ...entry, placed: placed.has(entryKey(entry.booking, entry.entry)) })),
+    unplacedCount: unplaced.length,
+    unplacedPages: roundPages(unplaced.reduce((sum, entry) => sum + entry.size, 0)),
+    usedPages,
+    leftoverPages: roundPages(totalPages - usedPages),
+    // Content sizes changed since the flatplan was saved can leave items overlapping
+    warnings: checkPlacements(current, totalPages, describePlacement),
+    updatedAt: flatplan ? flatplan.updatedAt : null
+  };
+};
+
+module.exports = {
+  entryKey,
+  placementRange,
+  checkPlacements,
+  getIssueEntries,
+  describePlacement,
+  buildFlatplan
+};
\ No newline at end of file
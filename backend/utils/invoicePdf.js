@@ -0,0 +1,75 @@
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./money');
+const {
+  formatDate,
+  describeDiscount,
+  writeLetterhead,
+  writeRow,
+  writeRule,
+  layoutColumns,
+  writeSection,
+  writeTotals
+} = require('./pdfLayout');
+const { billingDetails } = require('./customerContacts');
+
+// Table columns: description, list price, discount, amount
+const COLUMNS = layoutColumns([
+  { label: 'Description' },
+  { label: 'List Price', width: 75, align: 'right' },
+  { label: 'Discount', width: 75, align: 'right' },
+  { label: 'Amount', width: 75, align: 'right' }
+]);
+
+// Write an invoice (customer populated) as an A4 PDF to a stream such as the response.
+// Issued invoices keep the billing details they were issued with.
+const writeInvoicePdf = (invoice, organisation, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  writeLetterhead(doc, organisation);
+  doc.font('Helvetica-Bold').fontSize(14).text(invoice.number ? `Invoice ${invoice.number}` : 'Draft Invoice');
+
+  if (invoice.status === 'Void') {
+    doc.fillColor('red').text(`VOID${invoice.voidReason ? ` - ${invoice.voidReason}` : ''}`).fillColor('black');
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10);
+  const billTo = invoice.billTo?.name ? invoice.billTo : billingDetails(invoice.customer);
+  doc.text(`Billed to: ${billTo.name || ''}`);
+  if (billTo.contactName) doc.text(`For the attention of: ${billTo.contactName}`);
+  (billTo.address || []).forEach(line => doc.text(line));
+  if (billTo.vatNumber) doc.text(`VAT number: ${billTo.vatNumber}`);
+  doc.moveDown(0.5);
+  if (invoice.issuedAt) doc.text(`Issued: ${formatDate(invoice.issuedAt)}`);
+  if (invoice.dueDate) doc.text(`Due: ${formatDate(invoice.dueDate)}`);
+  if (invoice.paidAt) doc.text(`Paid: ${formatDate(invoice.paidAt)}`);
+  doc.moveDown();
+
+  writeRow(doc, COLUMNS, COLUMNS.map(column => column.label), { bold: true });
+  writeRule(doc);
+
+  invoice.lines.forEach(line => {
+    writeRow(doc, COLUMNS, [
+      line.description,
+      line.entry && !line.charge ? formatMoney(line.listPrice, invoice.currency) : '',
+      describeDiscount(line, invoice.currency),
+      formatMoney(line.amount, invoice.currency)
+    ]);
+  });
+
+  writeRule(doc);
+  writeTotals(doc, COLUMNS, {
+    net: invoice.totalAmount,
+    tax: invoice.tax,
+    gross: invoice.grossAmount,
+    currency: invoice.currency
+  });
+
+  writeSection(doc, 'Notes', invoice.notes);
+  writeSection(doc, 'Terms', organisation.branding?.terms);
+
+  doc.end();
+};
+
+module.exports = { writeInvoicePdf };
\ No newline at end of file
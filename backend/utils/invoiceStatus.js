@@ -0,0 +1,25 @@
+const INVOICE_STATUSES = ['Draft', 'Issued', 'Paid', 'Void'];
+
+// Allowed transitions from each status
+const INVOICE_TRANSITIONS = {
+  Draft: ['Issued', 'Void'],
+  Issued: ['Paid', 'Void'],
+  Paid: [],
+  Void: []
+};
+
+// Days an issued invoice is due in when no due date is given and the customer has no payment terms
+const PAYMENT_TERMS_DAYS = 30;
+
+const canTransitionInvoice = (from, to) => (INVOICE_TRANSITIONS[from] || []).includes(to);
+
+// Readable invoice number from its sequence
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(5, '0')}`;
+
+module.exports = {
+  INVOICE_STATUSES,
+  INVOICE_TRANSITIONS,
+  PAYMENT_TERMS_DAYS,
+  canTransitionInvoice,
+  formatInvoiceNumber
+};
\ No newline at end of file
@@ -0,0 +1,170 @@
+const Invoice = require('../models/Invoice');
+const Magazine = require('../models/Magazine');
+const Organisation = require('../models/Organisation');
+const Customer = require('../models/Customer');
+const { toIssueReference } = require('./issues');
+const { getEntryIssues } = require('./capacity');
+const { formatInvoiceNumber } = require('./invoiceStatus');
+const { roundMoney } = require('./money');
+const { taxFor } = require('./tax');
+
+// Key of an insertion: a magazine entry in one issue, or one additional charge of a booking
+const insertionKey = (bookingId, entryId, issueId) => `${bookingId}:${entryId}:${issueId}`;
+
+const chargeInsertionKey = (bookingId, chargeId) => `${bookingId}:charges:${chargeId}`;
+
+// Issues of an entry that can be invoiced now: every issue it runs in,
+// with ongoing entries billed up to the next issue to close
+const getBillableIssues = (schedule, entry) => {
+  const issues = getEntryIssues(schedule, entry).sort((a, b) => a.sortOrder - b.sortOrder);
+
+  if (!entry.isOngoing) {
+    return issues;
+  }
+
+  const next = issues.find(issue => new Date(issue.closeDate) >= new Date());
+  return next ? issues.filter(issue => issue.sortOrder <= next.sortOrder) : issues;
+};
+
+// Invoice line for an additional charge, with the entry and issue it is billed with
+const chargeLine = (booking, charge, entry, magazine, issue) => ({
+  booking: booking._id,
+  charge: charge._id,
+  entry: entry ? entry._id : undefined,
+  magazine: magazine ? magazine._id : undefined,
+  issue: charge.issue || (issue ? toIssueReference(magazine.schedule, issue) : null),
+  description: [charge.description, magazine && magazine.name, issue && issue.name].filter(Boolean).join(' - '),
+  amount: charge.amount,
+  taxable: charge.taxable,
+  insertion: chargeInsertionKey(booking._id, charge._id)
+});
+
+// Invoice lines for the insertions of a booking (content sizes populated). Given an issue,
+// only insertions in that issue are billed, optionally only those of one magazine.
+// Additional charges are billed with the issue they are for, charges for an entry with the
+// entry's first issue and charges for the whole booking with the booking's first invoice.
+const buildInvoiceLines = async (booking, { issueId, magazineId } = {}) => {
+  const magazines = await Magazine.find({
+    _id: { $in: booking.magazineEntries.map(entry => entry.magazine) },
+    organisation: booking.organisation
+  }).populate('schedule');
+
+  const lines = [];
+
+  booking.magazineEntries.forEach(entry => {
+    const magazine = magazines.find(m => m._id.toString() === entry.magazine.toString());
+
+    if (!magazine || !magazine.schedule) return;
+    if (magazineId && magazine._id.toString() !== magazineId.toString()) return;
+
+    const issues = issueId
+      ? getEntryIssues(magazine.schedule, entry).filter(issue => issue._id.toString() === issueId.toString())
+      : getBillableIssues(magazine.schedule, entry);
+
+    issues.forEach(issue => lines.push({
+      booking: booking._id,
+      entry: entry._id,
+      magazine: magazine._id,
+      issue: toIssueReference(magazine.schedule, issue),
+      description: [magazine.name, issue.name, entry.contentSize && entry.contentSize.description, entry.contentType]
+        .filter(Boolean)
+        .join(' - '),
+      listPrice: entry.listPrice,
+      discountPercentage: entry.discountPercentage,
+      discountValue: entry.discountValue,
+      amount: entry.totalPrice,
+      insertion: insertionKey(booking._id, entry._id, issue._id)
+    }));
+  });
+
+  const hasInsertions = lines.length > 0;
+
+  (booking.additionalCharges || []).forEach(charge => {
+    const entry = charge.entry && booking.magazineEntries.id(charge.entry);
+
+    if (!entry) {
+      if (!hasInsertions) return;
+      lines.push(chargeLine(booking, charge));
+      return;
+    }
+
+    const magazine = magazines.find(m => m._id.toString() === entry.magazine.toString());
+    if (!magazine || !magazine.schedule) return;
+    if (magazineId && magazine._id.toString() !== magazineId.toString()) return;
+
+    const issue = charge.issue
+      ? { _id: charge.issue.issue, name: charge.issue.name }
+      : getEntryIssues(magazine.schedule, entry).sort((a, b) => a.sortOrder - b.sortOrder)[0];
+    if (!issue) return;
+    if (issueId && issue._id.toString() !== issueId.toString()) return;
+
+    lines.push(chargeLine(booking, charge, entry, magazine, issue));
+  });
+
+  return lines;
+};
+
+// Lines whose insertions are not on another invoice (voided invoices release theirs)
+const withoutInvoicedLines = async (lines) => {
+  const invoiced = await Invoice.find(
+    { insertions: { $in: lines.map(line => line.insertion) } },
+    'insertions'
+  );
+  const invoicedKeys = new Set(invoiced.flatMap(invoice => invoice.insertions));
+
+  return lines.filter(line => !invoicedKeys.has(line.insertion));
+};
+
+// Create a draft invoice for a customer from the lines not invoiced yet, taxed at the
+// customer's rate and in the currency the lines' bookings were priced in.
+// Returns null when every line is already invoiced.
+const createDraftInvoice = async ({ customer, currency, exchangeRate, lines, booking, issue, magazine, organisation, userId }) => {
+  const billable = await withoutInvoicedLines(lines);
+
+  if (billable.length === 0) {
+    return null;
+  }
+
+  const invoice = new Invoice({
+    customer,
+    booking,
+    issue,
+    magazine,
+    currency,
+    exchangeRate,
+    lines: billable,
+    totalAmount: roundMoney(billable.reduce((sum, line) => sum + line.amount, 0)),
+    tax: await taxFor(organisation, await Customer.findById(customer).select('taxTreatment taxRate')),
+    insertions: billable.map(line => line.insertion),
+    organisation,
+    createdBy: userId
+  });
+
+  await invoice.save();
+  return invoice;
+};
+
+// Duplicate key error from the insertions index: another invoice took the same insertion first
+const isInsertionConflict = (error) => Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.insertions);
+
+// Give an invoice the next number of its organisation
+const assignInvoiceNumber = async (invoice) => {
+  const organisation = await Organisation.findByIdAndUpdate(
+    invoice.organisation,
+    { $inc: { invoiceSequence: 1 } },
+    { new: true }
+  );
+
+  invoice.sequence = organisation.invoiceSequence;
+  invoice.number = formatInvoiceNumber(organisation.invoiceSequence);
+};
+
+module.exports = {
+  insertionKey,
+  chargeInsertionKey,
+  getBillableIssues,
+  buildInvoiceLines,
+  createDraftInvoice,
+  isInsertionConflict,
+  assignInvoiceNumber
+};
\ No newline at end of file
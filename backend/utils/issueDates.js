@@ -0,0 +1,87 @@
+const Schedule = require('../models/Schedule');
+const Magazine = require('../models/Magazine');
+
+// Key dates of a schedule issue, in the order they fall. The close date is the booking close,
+// the publication date is when the issue goes on sale or out for distribution.
+const ISSUE_DATES = [
+  { key: 'closeDate', label: 'Booking close' },
+  { key: 'artworkDeadline', label: 'Artwork deadline' },
+  { key: 'proofApprovalDate', label: 'Proof approval' },
+  { key: 'printDate', label: 'Print' },
+  { key: 'publicationDate', label: 'On sale' }
+];
+
+// Key dates an issue may leave empty
+const OPTIONAL_ISSUE_DATES = ISSUE_DATES.filter(date => date.key !== 'closeDate').map(date => date.key);
+
+// Longest range of key dates listed at once
+const MAX_KEY_DATE_DAYS = 400;
+
+const formatDay = (date) => new Date(date).toDateString();
+
+// The key dates an issue has, in order
+const getIssueKeyDates = (issue) => ISSUE_DATES
+  .filter(({ key }) => issue[key])
+  .map(({ key, label }) => ({ key, label, date: issue[key] }));
+
+// Error message when an issue's key dates are out of order, otherwise null
+const checkIssueDateOrder = (issue) => {
+  const dates = getIssueKeyDates(issue);
+
+  for (let i = 1; i < dates.length; i++) {
+    if (new Date(dates[i].date) < new Date(dates[i - 1].date)) {
+      return `${dates[i].label} of ${issue.name} is before its ${dates[i - 1].label.toLowerCase()}`;
+    }
+  }
+
+  return null;
+};
+
+// Warning when artwork arrives for an issue after its artwork deadline, but before it is published
+const checkArtworkDeadline = (issue) => {
+  if (!issue || !issue.artworkDeadline || new Date(issue.artworkDeadline) >= new Date()) {
+    return null;
+  }
+
+  if (issue.publicationDate && new Date(issue.publicationDate) < new Date()) {
+    return null;
+  }
+
+  return `Artwork for ${issue.name} was due on ${formatDay(issue.artworkDeadline)}`;
+};
+
+// Key dates of the organisation's schedules between two dates, soonest first,
+// each with the magazines that use the schedule
+const listKeyDates = async (organisationId, { from, to }) => {
+  const [schedules, magazines] = await Promise.all([
+    Schedule.find({ organisation: organisationId, archived: false }),
+    Magazine.find({ organisation: organisationId }).select('name schedule')
+  ]);
+
+  return schedules
+    .flatMap(schedule => {
+      const scheduleMagazines = magazines
+        .filter(magazine => magazine.schedule && magazine.schedule.equals(schedule._id))
+        .map(magazine => ({ _id: magazine._id, name: magazine.name }));
+
+      return schedule.issues.flatMap(issue => getIssueKeyDates(issue)
+        .filter(({ date }) => new Date(date) >= from && new Date(date) <= to)
+        .map(keyDate => ({
+          ...keyDate,
+          schedule: { _id: schedule._id, name: schedule.name },
+          issue: { _id: issue._id, name: issue.name },
+          magazines: scheduleMagazines
+        })));
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+module.exports = {
+  ISSUE_DATES,
+  OPTIONAL_ISSUE_DATES,
+  MAX_KEY_DATE_DAYS,
+  getIssueKeyDates,
+  checkIssueDateOrder,
+  checkArtworkDeadline,
+  listKeyDates
+};
\ No newline at end of file
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const Magazine = require('../models/Magazine');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
+
+// Build the issue reference stored on bookings and leaflet deliveries
+const toIssueReference = (schedule, issue) => ({
+  issue: issue._id,
+  schedule: schedule._id,
+  name: issue.name,
+  sortOrder: issue.sortOrder
+});
+
+// Find an issue of a schedule by its id, or by its name for older clients
+const findScheduleIssue = (schedule, value) => {
+  if (!value) return null;
+
+  const key = value.toString().trim();
+  return schedule.issues.find(issue => issue._id.toString() === key) ||
+    schedule.issues.find(issue => issue.name === key) ||
+    null;
+};
+
+// Resolve an issue of a magazine's schedule.
+// Returns { schedule, issue } or an { error } message for the response.
+const resolveMagazineIssue = async (magazineId, value, organisationId) => {
+  const magazine = await Magazine.findOne({
+    _id: magazineId,
+    organisation: organisationId
+  }).populate('schedule');
+
+  if (!magazine) {
+    return { error: 'Magazine not found' };
+  }
+
+  if (!magazine.schedule) {
+    return { error: `Magazine "${magazine.name}" has no schedule assigned` };
+  }
+
+  const issue = findScheduleIssue(magazine.schedule, value);
+  if (!issue) {
+    return { error: `Issue "${value}" is not in the schedule of ${magazine.name}` };
+  }
+
+  return { schedule: magazine.schedule, issue };
+};
+
+// Check that an issue has not passed its close date
+const checkIssueOpen = (issue) => {
+  if (new Date(issue.closeDate) < new Date()) {
+    return {
+      available: false,
+      message: `Issue "${issue.name}" is closed. Close date was ${new Date(issue.closeDate).toDateString()}.`,
+      closedDate: issue.closeDate
+    };
+  }
+
+  return { available: true };
+};
+
+// Find the schedule positions of an issue given by id or name across the organisation's schedules
+const findIssuePositions = async (value, organisationId) => {
+  const key = value.toString().trim();
+  const issueQuery = mongoose.Types.ObjectId.isValid(key)
+    ? { $or: [{ 'issues._id': key }, { 'issues.name': key }] }
+    : { 'issues.name': key };
+
+  const schedules = await Schedule.find({ organisation: organisationId, ...issueQuery });
+
+  return schedules
+    .map(schedule => {
+      const issue = findScheduleIssue(schedule, key);
+      return issue ? { schedule: schedule._id, sortOrder: issue.sortOrder } : null;
+    })
+    .filter(Boolean);
+};
+
+// Condition matching a magazine entry that runs during the issue at the given schedule position
+const entryRunsInIssue = ({ schedule, sortOrder }) => ({
+  'startIssue.schedule': schedule,
+  'startIssue.sortOrder': { $lte: sortOrder },
+  $or: [
+    { 'startIssue.sortOrder': sortOrder },
+    { isOngoing: true },
+    { 'finishIssue.sortOrder': { $gte: sortOrder } }
+  ]
+});
+
+// Same check as entryRunsInIssue for an entry already loaded in memory
+const isEntryInIssue = (entry, { schedule, sortOrder }) => {
+  const start = entry.startIssue;
+  if (!start || !start.schedule || start.schedule.toString() !== schedule.toString()) {
+    return false;
+  }
+
+  if (start.sortOrder > sortOrder) return false;
+  if (start.sortOrder === sortOrder || entry.isOngoing) return true;
+
+  return Boolean(entry.finishIssue && entry.finishIssue.sortOrder >= sortOrder);
+};
+
+// Copy renamed or reordered schedule issues onto the bookings, leaflet deliveries,
+// invoices and magazine page configurations that refer to them
+const syncIssueReferences = async (schedule, previousIssues = []) => {
+  for (const issue of schedule.issues) {
+    const previous = previousIssues.find(p => p._id.toString() === issue._id.toString());
+
+    if (!previous || (previous.name === issue.name && previous.sortOrder === issue.sortOrder)) {
+      continue;
+    }
+
+    for (const field of ['startIssue', 'finishIssue']) {
+      await Booking.updateMany(
+        { [`magazineEntries.${field}.issue`]: issue._id },
+        {
+          $set: {
+            [`magazineEntries.$[entry].${field}.name`]: issue.name,
+            [`magazineEntries.$[entry].${field}.sortOrder`]: issue.sortOrder
+          }
+        },
+        { arrayFilters: [{ [`entry.${field}.issue`]: issue._id }] }
+      );
+
+      await LeafletDelivery.updateMany(
+        { [`${field}.issue`]: issue._id },
+        {
+          $set: {
+            [`${field}.name`]: issue.name,
+            [`${field}.sortOrder`]: issue.sortOrder
+          }
+        }
+      );
+    }
+
+    await Booking.updateMany(
+      { 'additionalCharges.issue.issue': issue._id },
+      {
+        $set: {
+          'additionalCharges.$[charge].issue.name': issue.name,
+          'additionalCharges.$[charge].issue.sortOrder': issue.sortOrder
+        }
+      },
+      { arrayFilters: [{ 'charge.issue.issue': issue._id }] }
+    );
+
+    await Invoice.updateMany(
+      { 'issue.issue': issue._id },
+      { $set: { 'issue.name': issue.name, 'issue.sortOrder': issue.sortOrder } }
+    );
+
+    await Invoice.updateMany(
+      { 'lines.issue.issue': issue._id },
+      {
+        $set: {
+          'lines.$[line].issue.name': issue.name,
+          'lines.$[line].issue.sortOrder': issue.sortOrder
+        }
+      },
+      { arrayFilters: [{ 'line.issue.issue': issue._id }] }
+    );
+
+    // Page counts are keyed by issue name
+    if (previous.name !== issue.name) {
+      await Magazine.updateMany(
+        { schedule: schedule._id, 'pageConfigurations.issueName': previous.name },
+        { $set: { 'pageConfigurations.$[config].issueName': issue.name } },
+        { arrayFilters: [{ 'config.issueName': previous.name }] }
+      );
+    }
+  }
+};
+
+module.exports = {
+  toIssueReference,
+  findScheduleIssue,
+  resolveMagazineIssue,
+  checkIssueOpen,
+  findIssuePositions,
+  entryRunsInIssue,
+  isEntryInIssue,
+  syncIssueReferences
+};
\ No newline at end of file
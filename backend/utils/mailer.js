@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+
+// The transport is built from the environment on first use:
+// - EMAIL_TRANSPORT=json renders messages without sending them (development)
+// - otherwise SMTP at EMAIL_HOST:EMAIL_PORT, logging in when EMAIL_USER is set, so a local
+//   SMTP catcher such as Mailpit (EMAIL_HOST=localhost, EMAIL_PORT=1025) can stand in
+// Without EMAIL_HOST or EMAIL_USER, email is not configured and messages wait in the outbox.
+let transport;
+
+const createTransportFromEnv = () => {
+  if (process.env.EMAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  if (!process.env.EMAIL_HOST && !process.env.EMAIL_USER) {
+    return null;
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: Number(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+      : undefined
+  });
+};
+
+const getTransport = () => {
+  if (transport === undefined) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with nodemailer's stream transport in tests
+const setTransport = (replacement) => {
+  transport = replacement;
+};
+
+const isEmailConfigured = () => Boolean(getTransport());
+
+// Send a message through the transport; resolves with the transport's info (messageId, ...)
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.EMAIL_FROM || 'noreply@bookingsapp.com',
+  ...message
+});
+
+module.exports = {
+  getTransport,
+  setTransport,
+  isEmailConfigured,
+  sendMail
+};
\ No newline at end of file
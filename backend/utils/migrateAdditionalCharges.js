@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const { toChargeItems } = require('./additionalCharges');
+const { chargeInsertionKey } = require('./invoices');
+
+// Turn the single additional charges amount of older bookings into a line item. Invoices that
+// billed the amount move to the line item's insertion key, so it is not billed again.
+const migrateAdditionalCharges = async () => {
+  try {
+    console.log('Starting additional charges migration...');
+
+    // Read the raw documents, as the old amounts don't fit the current schema
+    const bookings = await Booking.collection
+      .find({ additionalCharges: { $exists: true, $not: { $type: 'array' } } }, { projection: { additionalCharges: 1 } })
+      .toArray();
+
+    for (const booking of bookings) {
+      const charges = toChargeItems(booking.additionalCharges)
+        .map(charge => ({ _id: new mongoose.Types.ObjectId(), ...charge }));
+
+      await Booking.collection.updateOne({ _id: booking._id }, { $set: { additionalCharges: charges } });
+
+      if (charges.length > 0) {
+        const previousKey = `${booking._id}:charges`;
+        const key = chargeInsertionKey(booking._id, charges[0]._id);
+
+        await Invoice.collection.updateMany(
+          { insertions: previousKey },
+          {
+            $set: {
+              'insertions.$[key]': key,
+              'lines.$[line].insertion': key,
+              'lines.$[line].charge': charges[0]._id
+            }
+          },
+          { arrayFilters: [{ key: previousKey }, { 'line.insertion': previousKey }] }
+        );
+      }
+    }
+
+    if (bookings.length > 0) {
+      console.log(`Itemised the additional charges of ${bookings.length} bookings`);
+    }
+
+    console.log('Additional charges migration completed');
+  } catch (error) {
+    console.error('Error during additional charges migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateAdditionalCharges();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateAdditionalCharges };
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+
+// Statuses used before the booking lifecycle, and what they became
+const LEGACY_STATUSES = {
+  Active: 'Confirmed',
+  Completed: 'Published'
+};
+
+const migrateBookingStatuses = async () => {
+  try {
+    console.log('Starting booking status migration...');
+
+    // Update the raw documents, as the old values don't fit the current schema
+    for (const [legacyStatus, status] of Object.entries(LEGACY_STATUSES)) {
+      const result = await Booking.collection.updateMany(
+        { status: legacyStatus },
+        { $set: { status } }
+      );
+
+      if (result.modifiedCount > 0) {
+        console.log(`Moved ${result.modifiedCount} ${legacyStatus} bookings to ${status}`);
+      }
+    }
+
+    console.log('Booking status migration completed');
+  } catch (error) {
+    console.error('Error during booking status migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateBookingStatuses();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateBookingStatuses };
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Length of a stored token hash (SHA-256 in hex); shorter values are tokens stored in plain text
+const HASH_LENGTH = 64;
+
+// Hash calendar feed tokens stored before tokens were hashed, so existing feed URLs keep working
+const migrateCalendarTokens = async () => {
+  try {
+    console.log('Starting calendar token migration...');
+
+    const users = await User.find({
+      calendarToken: { $exists: true, $ne: null },
+      $expr: { $ne: [{ $strLenCP: '$calendarToken' }, HASH_LENGTH] }
+    }).select('+calendarToken');
+
+    for (const user of users) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { calendarToken: User.hashCalendarToken(user.calendarToken) } }
+      );
+    }
+
+    if (users.length > 0) {
+      console.log(`Hashed the calendar feed tokens of ${users.length} users`);
+    }
+
+    console.log('Calendar token migration completed');
+  } catch (error) {
+    console.error('Error during calendar token migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateCalendarTokens();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateCalendarTokens };
\ No newline at end of file
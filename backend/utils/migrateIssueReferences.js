@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Magazine = require('../models/Magazine');
+const { toIssueReference, findScheduleIssue } = require('./issues');
+
+// Turn a stored issue name into a reference to the issue in the magazine's schedule.
+// Names that are no longer in the schedule keep just the name so they still display.
+const toReference = (schedule, value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const issue = schedule && findScheduleIssue(schedule, value);
+  if (!issue) {
+    console.warn(`Issue "${value}" not found in schedule ${schedule ? schedule._id : '(none)'}, keeping its name only`);
+    return { name: value.trim() };
+  }
+
+  return toIssueReference(schedule, issue);
+};
+
+const migrateIssueReferences = async () => {
+  try {
+    console.log('Starting issue reference migration...');
+
+    // Cache magazine schedules, as most bookings share a handful of magazines
+    const schedules = new Map();
+    const getSchedule = async (magazineId) => {
+      const key = magazineId.toString();
+      if (!schedules.has(key)) {
+        const magazine = await Magazine.findById(magazineId).populate('schedule');
+        schedules.set(key, magazine ? magazine.schedule : null);
+      }
+      return schedules.get(key);
+    };
+
+    // Read raw documents, as the old string values don't fit the current schema
+    const bookings = await Booking.collection.find({
+      $or: [
+        { 'magazineEntries.startIssue': { $type: 'string' } },
+        { 'magazineEntries.finishIssue': { $type: 'string' } }
+      ]
+    }).toArray();
+
+    for (const booking of bookings) {
+      const magazineEntries = [];
+      for (const entry of booking.magazineEntries) {
+        const schedule = await getSchedule(entry.magazine);
+        magazineEntries.push({
+          ...entry,
+          startIssue: toReference(schedule, entry.startIssue),
+          finishIssue: entry.isOngoing ? null : toReference(schedule, entry.finishIssue)
+        });
+      }
+
+      await Booking.collection.updateOne({ _id: booking._id }, { $set: { magazineEntries } });
+    }
+    console.log(`Migrated issues of ${bookings.length} bookings`);
+
+    const leafletDeliveries = await LeafletDelivery.collection.find({
+      $or: [
+        { startIssue: { $type: 'string' } },
+        { finishIssue: { $type: 'string' } }
+      ]
+    }).toArray();
+
+    for (const delivery of leafletDeliveries) {
+      const schedule = await getSchedule(delivery.magazine);
+      await LeafletDelivery.collection.updateOne({ _id: delivery._id }, {
+        $set: {
+          startIssue: toReference(schedule, delivery.startIssue),
+          finishIssue: toReference(schedule, delivery.finishIssue)
+        }
+      });
+    }
+    console.log(`Migrated issues of ${leafletDeliveries.length} leaflet deliveries`);
+
+    // Replace the indexes on the old string fields
+    await Booking.syncIndexes();
+    await LeafletDelivery.syncIndexes();
+
+    console.log('Issue reference migration completed');
+  } catch (error) {
+    console.error('Error during issue reference migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateIssueReferences();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateIssueReferences };
\ No newline at end of file
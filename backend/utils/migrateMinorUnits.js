@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Organisation = require('../models/Organisation');
+const ContentSize = require('../models/ContentSize');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
+const { DEFAULT_CURRENCY, MINOR_UNITS } = require('./money');
+
+// An amount stored in major units, in minor units
+const minor = (value) => ({ $round: [{ $multiply: [{ $ifNull: [value, 0] }, MINOR_UNITS] }, 0] });
+
+// The same for a field that may not be set yet, leaving it unset
+const minorIfSet = (path) => ({ $cond: [{ $eq: [{ $type: path }, 'missing'] }, '$$REMOVE', minor(path)] });
+
+// Tax recorded on a document, if it has any yet
+const taxInMinorUnits = {
+  $cond: [
+    { $eq: [{ $type: '$tax' }, 'missing'] },
+    '$$REMOVE',
+    { $mergeObjects: ['$tax', { taxableAmount: minor('$tax.taxableAmount'), amount: minor('$tax.amount') }] }
+  ]
+};
+
+// Set each amount of the items of an array, given as { field: expression on $$item }
+const mapItems = (path, fields) => ({
+  $map: { input: { $ifNull: [path, []] }, as: 'item', in: { $mergeObjects: ['$$item', fields] } }
+});
+
+// Documents stored before currencies were recorded, which still hold amounts in major units
+const unconverted = { currency: { $exists: false } };
+const inBaseCurrency = { currency: DEFAULT_CURRENCY, exchangeRate: 1 };
+
+// Store amounts as whole numbers of pence rather than pounds. Organisations get the default
+// base currency, which their earlier rate cards, bookings, leaflet deliveries and invoices are in.
+// Each update converts and marks its documents at once, so running it again converts nothing twice.
+const migrateMinorUnits = async () => {
+  try {
+    console.log('Starting minor units migration...');
+
+    const organisations = await Organisation.collection.updateMany(unconverted, {
+      $set: { currency: DEFAULT_CURRENCY, exchangeRates: [] }
+    });
+
+    const contentSizes = await ContentSize.collection.updateMany(unconverted, [{
+      $set: {
+        pricing: mapItems('$pricing', {
+          price: minor('$$item.price'),
+          rates: mapItems('$$item.rates', { price: minor('$$item.price') })
+        }),
+        currency: DEFAULT_CURRENCY
+      }
+    }]);
+
+    const bookings = await Booking.collection.updateMany(unconverted, [{
+      $set: {
+        magazineEntries: mapItems('$magazineEntries', {
+          listPrice: minor('$$item.listPrice'),
+          discountValue: minor('$$item.discountValue'),
+          totalPrice: minor('$$item.totalPrice'),
+          pricing: { $mergeObjects: ['$$item.pricing', { commission: minor('$$item.pricing.commission') }] }
+        }),
+        // Still a single amount on bookings whose charges have not been itemised
+        additionalCharges: {
+          $switch: {
+            branches: [
+              { case: { $isArray: '$additionalCharges' }, then: mapItems('$additionalCharges', { amount: minor('$$item.amount') }) },
+              { case: { $eq: [{ $type: '$additionalCharges' }, 'missing'] }, then: '$$REMOVE' }
+            ],
+            default: minor('$additionalCharges')
+          }
+        },
+        totalValue: minor('$totalValue'),
+        tax: taxInMinorUnits,
+        grossValue: minorIfSet('$grossValue'),
+        ...inBaseCurrency
+      }
+    }]);
+
+    const leafletDeliveries = await LeafletDelivery.collection.updateMany(unconverted, [{
+      $set: {
+        charge: minor('$charge'),
+        tax: taxInMinorUnits,
+        grossCharge: minorIfSet('$grossCharge'),
+        ...inBaseCurrency
+      }
+    }]);
+
+    const invoices = await Invoice.collection.updateMany(unconverted, [{
+      $set: {
+        lines: mapItems('$lines', {
+          listPrice: minor('$$item.listPrice'),
+          discountValue: minor('$$item.discountValue'),
+          amount: minor('$$item.amount')
+        }),
+        totalAmount: minor('$totalAmount'),
+        tax: taxInMinorUnits,
+        grossAmount: minorIfSet('$grossAmount'),
+        ...inBaseCurrency
+      }
+    }]);
+
+    if (organisations.modifiedCount > 0) {
+      console.log(`Gave ${organisations.modifiedCount} organisations a base currency`);
+    }
+    const documents = contentSizes.modifiedCount + bookings.modifiedCount + leafletDeliveries.modifiedCount + invoices.modifiedCount;
+    if (documents > 0) {
+      console.log(`Converted ${contentSizes.modifiedCount} content sizes, ${bookings.modifiedCount} bookings, ${leafletDeliveries.modifiedCount} leaflet deliveries and ${invoices.modifiedCount} invoices to minor units`);
+    }
+
+    console.log('Minor units migration completed');
+  } catch (error) {
+    console.error('Error during minor units migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateMinorUnits();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateMinorUnits };
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organisation = require('../models/Organisation');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Magazine = require('../models/Magazine');
+const Schedule = require('../models/Schedule');
+const ContentSize = require('../models/ContentSize');
+const ContentType = require('../models/ContentType');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const BusinessType = require('../models/BusinessType');
+const { createPersonalOrganisation } = require('./organisations');
+
+// Models whose documents used to be scoped by createdBy only
+const tenantModels = [Booking, Customer, Magazine, Schedule, ContentSize, ContentType, LeafletDelivery];
+
+// Move a user's existing data into their organisation, creating a personal one if needed
+const migrateUser = async (user) => {
+  if (!user.organisation) {
+    const organisation = await createPersonalOrganisation(user);
+    console.log(`Created organisation ${organisation._id} for user ${user._id}`);
+  }
+
+  for (const Model of tenantModels) {
+    const result = await Model.updateMany(
+      { createdBy: user._id, organisation: { $exists: false } },
+      { $set: { organisation: user.organisation } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Moved ${result.modifiedCount} ${Model.modelName} documents of user ${user._id} into organisation ${user.organisation}`);
+    }
+  }
+};
+
+// Give users created before roles existed a role, keeping their full access
+const migrateRoles = async () => {
+  const users = await User.find({ role: { $exists: false } });
+
+  for (const user of users) {
+    const organisation = await Organisation.findById(user.organisation);
+    user.role = organisation && organisation.owner.toString() === user._id.toString() ? 'owner' : 'admin';
+    await user.save({ validateBeforeSave: false });
+    console.log(`Assigned role ${user.role} to user ${user._id}`);
+  }
+};
+
+// Give every organisation its own copy of the business types that used to be shared by all,
+// and point its customers at the copies
+const migrateBusinessTypes = async () => {
+  // Replace the old unique index on sections with one per organisation
+  await BusinessType.syncIndexes();
+
+  const shared = await BusinessType.find({ organisation: { $exists: false } }).lean();
+  if (shared.length === 0) return;
+
+  const organisations = await Organisation.find({}).select('_id');
+  for (const organisation of organisations) {
+    for (const type of shared) {
+      // Upserted so a migration stopped partway can be run again
+      const copy = await BusinessType.findOneAndUpdate(
+        { organisation: organisation._id, section: type.section },
+        { $setOnInsert: { archived: Boolean(type.archived) } },
+        { upsert: true, new: true }
+      );
+      await Customer.updateMany(
+        { organisation: organisation._id, businessTypes: type._id },
+        { $set: { 'businessTypes.$[type]': copy._id } },
+        { arrayFilters: [{ type: type._id }] }
+      );
+    }
+    console.log(`Copied ${shared.length} business types into organisation ${organisation._id}`);
+  }
+
+  await BusinessType.deleteMany({ _id: { $in: shared.map(type => type._id) } });
+};
+
+const migrateAllUsers = async () => {
+  try {
+    console.log('Starting organisation migration...');
+
+    const users = await User.find({});
+    console.log(`Found ${users.length} users`);
+
+    for (const user of users) {
+      await migrateUser(user);
+    }
+
+    await migrateRoles();
+
+    // Replace the old per-user unique index on content type names
+    await ContentType.syncIndexes();
+
+    await migrateBusinessTypes();
+
+    console.log('Organisation migration completed');
+  } catch (error) {
+    console.error('Error during organisation migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateAllUsers();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateUser, migrateRoles, migrateBusinessTypes, migrateAllUsers };
\ No newline at end of file
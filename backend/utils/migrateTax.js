@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Organisation = require('../models/Organisation');
+const Customer = require('../models/Customer');
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Invoice = require('../models/Invoice');
+const { DEFAULT_TAX_LABEL, DEFAULT_TAX_RATES, resolveTax } = require('./tax');
+
+// Give organisations created before tax rates existed the default rates, then tax their
+// bookings, leaflet deliveries and draft invoices at their customers' rates. Invoices already
+// issued were issued without tax, and are recorded that way.
+const migrateTax = async () => {
+  try {
+    console.log('Starting tax migration...');
+
+    // Stored with ids, so customers can be given one of the rates
+    const organisations = await Organisation.updateMany(
+      { taxRates: { $exists: false } },
+      { $set: { taxLabel: DEFAULT_TAX_LABEL, taxRates: DEFAULT_TAX_RATES.map(rate => ({ _id: new mongoose.Types.ObjectId(), ...rate })) } }
+    );
+
+    const untaxed = { tax: { $exists: false } };
+
+    const issuedInvoices = await Invoice.updateMany(
+      { ...untaxed, status: { $ne: 'Draft' } },
+      [{
+        $set: {
+          tax: { label: DEFAULT_TAX_LABEL, name: '', percentage: 0, treatment: 'standard', taxableAmount: '$totalAmount', amount: 0 },
+          grossAmount: '$totalAmount'
+        }
+      }]
+    );
+    const [bookings, leafletDeliveries, invoices] = await Promise.all([
+      Booking.find(untaxed),
+      LeafletDelivery.find(untaxed),
+      Invoice.find({ ...untaxed, status: 'Draft' })
+    ]);
+
+    const documents = [...bookings, ...leafletDeliveries, ...invoices];
+    const organisationsById = new Map();
+    const customersById = new Map();
+
+    for (const document of documents) {
+      const organisationId = document.organisation.toString();
+      const customerId = document.customer.toString();
+
+      if (!organisationsById.has(organisationId)) {
+        organisationsById.set(organisationId, await Organisation.findById(organisationId).select('taxLabel taxRates'));
+      }
+      if (!customersById.has(customerId)) {
+        customersById.set(customerId, await Customer.findById(customerId).select('taxTreatment taxRate'));
+      }
+
+      // Saving recalculates the tax and the totals with it
+      document.tax = resolveTax(organisationsById.get(organisationId), customersById.get(customerId));
+      await document.save();
+    }
+
+    if (organisations.modifiedCount > 0) {
+      console.log(`Gave ${organisations.modifiedCount} organisations the default tax rates`);
+    }
+    if (issuedInvoices.modifiedCount > 0) {
+      console.log(`Recorded ${issuedInvoices.modifiedCount} issued invoices as untaxed`);
+    }
+    if (documents.length > 0) {
+      console.log(`Taxed ${bookings.length} bookings, ${leafletDeliveries.length} leaflet deliveries and ${invoices.length} draft invoices`);
+    }
+
+    console.log('Tax migration completed');
+  } catch (error) {
+    console.error('Error during tax migration:', error);
+  }
+};
+
+// If running this script directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookingsapp';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      return migrateTax();
+    })
+    .then(() => {
+      console.log('Migration completed, closing connection');
+      mongoose.connection.close();
+    })
+    .catch((error) => {
+      console.error('Error:', error);
+      mongoose.connection.close();
+    });
+}
+
+module.exports = { migrateTax };
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Currencies an organisation can sell in. Amounts are stored as whole numbers of the
+// currency's minor unit (pence, cents); every currency here has a hundred of them.
+const CURRENCIES = {
+  GBP: { label: 'Pound sterling', locale: 'en-GB' },
+  EUR: { label: 'Euro', locale: 'en-IE' },
+  USD: { label: 'US dollar', locale: 'en-US' }
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const DEFAULT_CURRENCY = 'GBP';
+
+const MINOR_UNITS = 100;
+
+// An amount in minor units, rounded half away from zero. Rounding to a few places first
+// stops floating point error (1.005 * 100 = 100.49999...) deciding which way it goes.
+const toMinor = (amount) => {
+  const minor = Number(((Number(amount) || 0) * MINOR_UNITS).toFixed(6));
+  return Math.sign(minor) * Math.round(Math.abs(minor)) || 0;
+};
+
+const fromMinor = (minor) => (Number(minor) || 0) / MINOR_UNITS;
+
+// Round an amount to the nearest minor unit
+const roundMoney = (amount) => fromMinor(toMinor(amount));
+
+// An amount in the currency's local format, e.g. £1,234.50 or €1,234.50
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const code = CURRENCIES[currency] ? currency : DEFAULT_CURRENCY;
+  return new Intl.NumberFormat(CURRENCIES[code].locale, { style: 'currency', currency: code })
+    .format(Number(amount) || 0);
+};
+
+// Units of a currency that one unit of the organisation's base currency buys, or null when
+// the organisation has no rate for it
+const exchangeRateOf = (organisation, currency) => {
+  const base = (organisation && organisation.currency) || DEFAULT_CURRENCY;
+  if (!currency || currency === base) return 1;
+
+  const rate = ((organisation && organisation.exchangeRates) || []).find(item => item.currency === currency);
+  return rate ? rate.rate : null;
+};
+
+// Convert an amount between currencies given their exchange rates against the base currency
+const convertMoney = (amount, fromRate, toRate) => roundMoney((Number(amount) || 0) / (fromRate || 1) * (toRate || 1));
+
+// Currency a customer is billed in and its exchange rate, as { currency, exchangeRate },
+// or { error } when the organisation has no rate for it
+const currencyFor = async (organisationId, customer) => {
+  // Required here, as the Organisation model uses the currencies above
+  const Organisation = require('../models/Organisation');
+  const organisation = await Organisation.findById(organisationId).select('currency exchangeRates');
+  const currency = (customer && customer.currency) || (organisation && organisation.currency) || DEFAULT_CURRENCY;
+  const exchangeRate = exchangeRateOf(organisation, currency);
+
+  if (!exchangeRate) {
+    return { error: `No exchange rate is set for ${currency}. Add one under Settings → Organisation.` };
+  }
+
+  return { currency, exchangeRate };
+};
+
+// Aggregation expression for an amount stored in minor units of a document's currency,
+// in minor units of the organisation's base currency
+const inBaseCurrency = (path, ratePath = '$exchangeRate') => ({
+  $divide: [{ $ifNull: [path, 0] }, { $ifNull: [ratePath, 1] }]
+});
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  MINOR_UNITS,
+  toMinor,
+  fromMinor,
+  roundMoney,
+  formatMoney,
+  exchangeRateOf,
+  convertMoney,
+  currencyFor,
+  inBaseCurrency
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+const Organisation = require('../models/Organisation');
+
+// Create a personal organisation for a user and make them its owner
+const createPersonalOrganisation = async (user) => {
+  const organisation = new Organisation({
+    name: `${user.name}'s Organisation`,
+    owner: user._id
+  });
+  organisation.generateInviteCode();
+  await organisation.save();
+
+  user.organisation = organisation._id;
+  user.role = 'owner';
+  await user.save({ validateBeforeSave: false });
+
+  return organisation;
+};
+
+module.exports = { createPersonalOrganisation };
\ No newline at end of file
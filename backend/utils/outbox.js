@@ -0,0 +1,114 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const { renderTemplate, getTemplate } = require('./emailTemplates');
+const { isEmailConfigured, sendMail } = require('./mailer');
+const { MAX_DELIVERY_ATTEMPTS, nextAttemptAfter } = require('./outboxStatus');
+
+// Messages left Sending this long (e.g. by a restart mid-send) are queued again
+const STALE_SENDING_MINUTES = 10;
+
+const htmlToText = (html) => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|h\d|li|div)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Render a template with its variables and store the message in the outbox, ready to send
+const queueEmail = async ({ organisation, template, to, variables, attachments = [], booking, createdBy }) => {
+  const { subject, html } = await getTemplate(organisation, template);
+  const body = renderTemplate(html, variables);
+
+  return OutboxMessage.create({
+    template,
+    to,
+    subject: renderTemplate(subject, variables, { escape: false }),
+    html: body,
+    text: htmlToText(body),
+    attachments,
+    booking,
+    organisation,
+    createdBy
+  });
+};
+
+// Try to send a queued message once. A failed attempt is retried later (up to
+// MAX_DELIVERY_ATTEMPTS) unless retry is off, in which case the message fails straight away.
+// Returns the message as it stands afterwards.
+const deliverMessage = async (message, { retry = true } = {}) => {
+  const claimed = await OutboxMessage.findOneAndUpdate(
+    { _id: message._id, status: 'Queued' },
+    { $set: { status: 'Sending' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return OutboxMessage.findById(message._id);
+  }
+
+  claimed.attempts += 1;
+
+  try {
+    const info = await sendMail({
+      to: claimed.to,
+      subject: claimed.subject,
+      html: claimed.html,
+      text: claimed.text,
+      attachments: claimed.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content }))
+    });
+
+    claimed.status = 'Sent';
+    claimed.sentAt = new Date();
+    claimed.messageId = info.messageId;
+    claimed.lastError = undefined;
+  } catch (error) {
+    const nextAttemptAt = retry ? nextAttemptAfter(claimed.attempts) : null;
+
+    claimed.lastError = error.message;
+    claimed.status = nextAttemptAt ? 'Queued' : 'Failed';
+    claimed.nextAttemptAt = nextAttemptAt || claimed.nextAttemptAt;
+  }
+
+  await claimed.save();
+  return claimed;
+};
+
+// Queue a message and make the first attempt to send it when email is configured
+const sendEmail = async (options, deliveryOptions) => {
+  const message = await queueEmail(options);
+  return isEmailConfigured() ? deliverMessage(message, deliveryOptions) : message;
+};
+
+// Send every queued message that is due
+const processOutbox = async () => {
+  if (!isEmailConfigured()) return;
+
+  try {
+    await OutboxMessage.updateMany(
+      { status: 'Sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000) } },
+      { $set: { status: 'Queued' } }
+    );
+
+    const due = await OutboxMessage.find({
+      status: 'Queued',
+      nextAttemptAt: { $lte: new Date() },
+      attempts: { $lt: MAX_DELIVERY_ATTEMPTS }
+    }).select('_id').sort({ nextAttemptAt: 1 }).limit(100);
+
+    for (const message of due) {
+      await deliverMessage(message);
+    }
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+  }
+};
+
+module.exports = {
+  queueEmail,
+  deliverMessage,
+  sendEmail,
+  processOutbox
+};
\ No newline at end of file
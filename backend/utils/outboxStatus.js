@@ -0,0 +1,20 @@
+// Delivery states of an outbox message
+const OUTBOX_STATUSES = ['Queued', 'Sending', 'Sent', 'Failed'];
+
+// Attempts before a message is marked Failed, and the wait before each retry
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+// When to try a message again after a failed attempt, or null once it has run out of attempts
+const nextAttemptAfter = (attempts, now = new Date()) => {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+  return new Date(now.getTime() + minutes * 60 * 1000);
+};
+
+module.exports = {
+  OUTBOX_STATUSES,
+  MAX_DELIVERY_ATTEMPTS,
+  nextAttemptAfter
+};
\ No newline at end of file
@@ -0,0 +1,107 @@
+const { TAX_TREATMENT_NOTES, describeTax } = require('./tax');
+const { formatMoney } = require('./money');
+
+const DEFAULT_BRAND_COLOUR = '#1d4ed8';
+
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 545;
+
+const formatDate = (date) => date
+  ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+  : '';
+
+// Percentage and fixed discount of an entry or invoice line, e.g. "10% + £5.00"
+const describeDiscount = (line, currency) => [
+  line.discountPercentage ? `${line.discountPercentage}%` : null,
+  line.discountValue ? formatMoney(line.discountValue, currency) : null
+].filter(Boolean).join(' + ');
+
+// Organisation name and contact details under a bar in the brand colour
+const writeLetterhead = (doc, organisation) => {
+  const branding = organisation.branding || {};
+  const colour = branding.colour || DEFAULT_BRAND_COLOUR;
+
+  doc.rect(0, 0, doc.page.width, 12).fill(colour);
+  doc.fillColor(colour).font('Helvetica-Bold').fontSize(18).text(organisation.name, PAGE_LEFT, 40);
+  doc.fillColor('gray').font('Helvetica').fontSize(9);
+
+  const contact = [branding.phone, branding.email, branding.website].filter(Boolean).join('  |  ');
+  if (branding.address) doc.text(branding.address);
+  if (contact) doc.text(contact);
+
+  doc.fillColor('black').moveDown();
+};
+
+// Write one table row of values in the given columns, starting a new page when near the bottom
+const writeRow = (doc, columns, values, options = {}) => {
+  if (doc.y > 760) {
+    doc.addPage();
+  }
+
+  const y = doc.y;
+  let height = 0;
+
+  columns.forEach((column, index) => {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(values[index] || '', column.x, y, { width: column.width, align: column.align });
+    height = Math.max(height, doc.y - y);
+  });
+
+  doc.y = y + height + 4;
+};
+
+const writeRule = (doc) => {
+  doc.moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).stroke();
+  doc.y += 4;
+};
+
+// Lay columns out across the page; columns without a width share what is left
+const layoutColumns = (columns) => {
+  const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const flexible = columns.filter(column => !column.width).length;
+  const flexibleWidth = (PAGE_RIGHT - PAGE_LEFT - fixed) / Math.max(flexible, 1);
+
+  let x = PAGE_LEFT;
+  return columns.map(column => {
+    const laidOut = { align: 'left', ...column, x, width: column.width || flexibleWidth };
+    x += laidOut.width;
+    return laidOut;
+  });
+};
+
+// Free text such as notes or terms under a heading
+const writeSection = (doc, heading, text) => {
+  if (!text) return;
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, PAGE_LEFT, doc.y, { width: PAGE_RIGHT - PAGE_LEFT });
+  doc.font('Helvetica').fontSize(9).text(text, { width: PAGE_RIGHT - PAGE_LEFT });
+  doc.fontSize(10);
+};
+
+// Net total, tax and total with tax under a table whose last column holds amounts, with a
+// note saying why no tax is charged to customers who pay none
+const writeTotals = (doc, columns, { net, tax, gross, currency }) => {
+  const blanks = columns.slice(1, -1).map(() => '');
+
+  writeRow(doc, columns, ['Net total', ...blanks, formatMoney(net, currency)]);
+  writeRow(doc, columns, [describeTax(tax), ...blanks, formatMoney(tax && tax.amount, currency)]);
+  writeRow(doc, columns, ['Total', ...blanks, formatMoney(gross, currency)], { bold: true });
+
+  const note = tax && TAX_TREATMENT_NOTES[tax.treatment];
+  if (note) {
+    doc.font('Helvetica').fontSize(9).text(note, PAGE_LEFT, doc.y, { width: PAGE_RIGHT - PAGE_LEFT });
+    doc.fontSize(10);
+  }
+};
+
+module.exports = {
+  formatDate,
+  describeDiscount,
+  writeLetterhead,
+  writeRow,
+  writeRule,
+  layoutColumns,
+  writeSection,
+  writeTotals
+};
\ No newline at end of file
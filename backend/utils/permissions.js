@@ -0,0 +1,104 @@
+const ROLES = ['owner', 'admin', 'sales', 'production', 'read-only'];
+
+const ALL_PERMISSIONS = [
+  'dashboard:view',
+  'customers:view',
+  'customers:edit',
+  'bookings:view',
+  'bookings:create',
+  'bookings:edit',
+  'bookings:delete',
+  'artwork:edit',
+  'flatplan:edit',
+  'prices:view',
+  'rateCards:edit',
+  'invoices:view',
+  'invoices:edit',
+  'leaflets:view',
+  'leaflets:edit',
+  'reports:view',
+  'emails:send',
+  'settings:view',
+  'settings:edit',
+  'organisation:manage'
+];
+
+// Permission matrix: what each role is allowed to do
+const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+  sales: [
+    'dashboard:view',
+    'customers:view',
+    'customers:edit',
+    'bookings:view',
+    'bookings:create',
+    'bookings:edit',
+    'prices:view',
+    'invoices:view',
+    'invoices:edit',
+    'leaflets:view',
+    'leaflets:edit',
+    'reports:view',
+    'emails:send',
+    'settings:view'
+  ],
+  production: [
+    'dashboard:view',
+    'customers:view',
+    'bookings:view',
+    'artwork:edit',
+    'flatplan:edit',
+    'leaflets:view',
+    'settings:view'
+  ],
+  'read-only': [
+    'dashboard:view',
+    'customers:view',
+    'bookings:view',
+    'prices:view',
+    'invoices:view',
+    'leaflets:view',
+    'reports:view',
+    'settings:view'
+  ]
+};
+
+// Response fields that hold money amounts
+const PRICE_FIELDS = [
+  'listPrice',
+  'discountPercentage',
+  'discountValue',
+  'totalPrice',
+  'totalValue',
+  'additionalCharges',
+  'netValue',
+  'basePrice',
+  'charge',
+  'price',
+  'pricing',
+  'value',
+  'provisionalValue',
+  'totalBookingValue',
+  'totalLeafletValue',
+  'totalRevenue',
+  'bookingValueChange',
+  'leafletValueChange',
+  'totalRevenueChange',
+  'tax',
+  'grossValue',
+  'grossCharge',
+  'grossAmount',
+  'totalBookingTax',
+  'totalLeafletTax',
+  'totalTax',
+  'totalGross',
+  'amount',
+  'totalAmount'
+];
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = { ROLES, ALL_PERMISSIONS, PRICE_FIELDS, getPermissions, hasPermission };
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { roundMoney } = require('./money');
+
+// Kinds of pricing rule: discounts by the number of issues an entry runs in, discounts by
+// the number of magazines in a booking, and commission for bookings placed by agencies
+const PRICING_RULE_TYPES = ['frequency', 'bundle', 'commission'];
+
+// Rule types with tiers of discounts, and what each tier's minimum counts
+const TIERED_RULE_TYPES = {
+  frequency: 'issues',
+  bundle: 'magazines'
+};
+
+const idOf = (value) => value ? (value._id || value).toString() : '';
+
+// List price, discount, commission and net price of one issue of an entry. The percentage
+// discount comes off first, then the fixed discount, then commission on what is left.
+const calculateEntryPrice = (entry) => {
+  const listPrice = Number(entry.listPrice) || 0;
+  const percentageDiscount = roundMoney(listPrice * (Number(entry.discountPercentage) || 0) / 100);
+  const discount = Math.min(listPrice, roundMoney(percentageDiscount + (Number(entry.discountValue) || 0)));
+  const commissionPercentage = entry.pricing ? Number(entry.pricing.commissionPercentage) || 0 : 0;
+  const commission = roundMoney((listPrice - discount) * commissionPercentage / 100);
+
+  return {
+    listPrice,
+    discount,
+    commission,
+    netPrice: roundMoney(listPrice - discount - commission)
+  };
+};
+
+// Rules of a type that apply to a magazine: its own rules when it has any, otherwise the
+// organisation-wide ones
+const rulesFor = (rules, type, magazineId) => {
+  const ofType = rules.filter(rule => rule.type === type);
+  const own = ofType.filter(rule => rule.magazine && idOf(rule.magazine) === magazineId);
+  return own.length > 0 ? own : ofType.filter(rule => !rule.magazine);
+};
+
+// The best tier reached by a count across rules, as { rule, percentage } or null
+const bestTier = (rules, count) => rules
+  .flatMap(rule => rule.tiers
+    .filter(tier => count >= tier.minimum)
+    .map(tier => ({ rule, percentage: tier.percentage, minimum: tier.minimum })))
+  .reduce((best, tier) => !best || tier.percentage > best.percentage ? tier : best, null);
+
+const describeRule = (rule, percentage, detail) => ({
+  rule: rule._id,
+  name: rule.name,
+  type: rule.type,
+  percentage,
+  detail
+});
+
+// Discount and commission the organisation's active pricing rules give each entry of a
+// booking. Entries need their magazine, startIssue, finishIssue and isOngoing; issues are
+// counted in the magazine's schedule. Returns one
+// { ruleDiscountPercentage, commissionPercentage, rules } per entry.
+const priceBookingEntries = async (entries, { organisationId, customer }) => {
+  // Required here because the Booking model uses this file's price calculation
+  const PricingRule = require('../models/PricingRule');
+  const Magazine = require('../models/Magazine');
+  const { getEntryIssues } = require('./capacity');
+
+  const magazineIds = [...new Set(entries.map(entry => idOf(entry.magazine)).filter(Boolean))];
+  const [rules, magazines] = await Promise.all([
+    PricingRule.find({ organisation: organisationId, active: true }),
+    Magazine.find({ _id: { $in: magazineIds }, organisation: organisationId }).populate('schedule', 'issues')
+  ]);
+
+  const isAgency = Boolean(customer && customer.agency);
+
+  return entries.map(entry => {
+    const magazineId = idOf(entry.magazine);
+    const magazine = magazines.find(item => item._id.toString() === magazineId);
+    const applied = [];
+
+    const issueCount = magazine && magazine.schedule && entry.startIssue
+      ? getEntryIssues(magazine.schedule, entry).length
+      : 0;
+    const frequency = bestTier(rulesFor(rules, 'frequency', magazineId), issueCount);
+    if (frequency) {
+      applied.push(describeRule(frequency.rule, frequency.percentage, `${issueCount} issues`));
+    }
+
+    const bundle = bestTier(rulesFor(rules, 'bundle', magazineId), magazineIds.length);
+    if (bundle) {
+      applied.push(describeRule(bundle.rule, bundle.percentage, `${magazineIds.length} magazines`));
+    }
+
+    const commissionRule = isAgency ? rulesFor(rules, 'commission', magazineId)[0] : null;
+    if (commissionRule) {
+      applied.push(describeRule(commissionRule, commissionRule.percentage, 'Agency'));
+    }
+
+    return {
+      ruleDiscountPercentage: Math.min(100, (frequency ? frequency.percentage : 0) + (bundle ? bundle.percentage : 0)),
+      commissionPercentage: commissionRule ? commissionRule.percentage : 0,
+      rules: applied
+    };
+  });
+};
+
+// What the rules price an entry on besides the booking's customer and magazines
+const entryPricingInputs = (entry) => [
+  idOf(entry.magazine),
+  idOf(entry.startIssue && entry.startIssue.issue),
+  idOf(entry.finishIssue && entry.finishIssue.issue),
+  Boolean(entry.isOngoing)
+].join('|');
+
+const bookingMagazines = (entries) => [...new Set(entries.map(entry => idOf(entry.magazine)))].sort().join('|');
+
+// Rule pricing for the entries of an edited booking. Entries whose magazine and issues are
+// unchanged, in a booking with the same customer and magazines, keep the rules they were
+// priced with, so saving a booking does not reprice it after the rules change; the others
+// are priced with the rules as they are now.
+const repriceBookingEntries = async (booking, entries, { organisationId, customer }) => {
+  const sameBooking = idOf(booking.customer) === idOf(customer)
+    && bookingMagazines(booking.magazineEntries) === bookingMagazines(entries);
+
+  const kept = entries.map(entry => {
+    const existing = sameBooking && entry._id && booking.magazineEntries.id(entry._id);
+    return existing && entryPricingInputs(existing) === entryPricingInputs(entry) ? existing : null;
+  });
+
+  const current = kept.every(Boolean) ? [] : await priceBookingEntries(entries, { organisationId, customer });
+
+  return entries.map((entry, index) => kept[index]
+    ? {
+      ruleDiscountPercentage: kept[index].pricing.ruleDiscountPercentage,
+      commissionPercentage: kept[index].pricing.commissionPercentage,
+      rules: kept[index].pricing.rules.map(rule => rule.toObject())
+    }
+    : current[index]);
+};
+
+// Apply the rule pricing to a submitted entry. The rules' discount replaces the entry's
+// percentage unless the entry overrides it; overrides and fixed discounts are flagged.
+const applyRulePricing = (entry, rulePricing) => {
+  const override = Boolean(entry.discountOverride);
+  const discountPercentage = override ? Number(entry.discountPercentage) || 0 : rulePricing.ruleDiscountPercentage;
+  const discountValue = Number(entry.discountValue) || 0;
+
+  return {
+    discountPercentage,
+    discountValue,
+    pricing: {
+      ruleDiscountPercentage: rulePricing.ruleDiscountPercentage,
+      commissionPercentage: rulePricing.commissionPercentage,
+      rules: rulePricing.rules,
+      discountOverride: override,
+      manualOverride: discountValue > 0 || discountPercentage !== rulePricing.ruleDiscountPercentage
+    }
+  };
+};
+
+module.exports = {
+  PRICING_RULE_TYPES,
+  TIERED_RULE_TYPES,
+  calculateEntryPrice,
+  priceBookingEntries,
+  repriceBookingEntries,
+  applyRulePricing
+};
\ No newline at end of file
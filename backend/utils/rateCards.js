@@ -0,0 +1,73 @@
+const Magazine = require('../models/Magazine');
+const { findScheduleIssue } = require('./issues');
+
+// A rate applies to issues whose booking close is on or after the date it starts. A rate
+// set from an issue starts at that issue's current close date, so it follows schedule changes.
+const rateStart = (rate, schedule) => {
+  const issue = rate.effectiveIssue && schedule ? findScheduleIssue(schedule, rate.effectiveIssue) : null;
+  return new Date(issue ? issue.closeDate : rate.effectiveFrom);
+};
+
+// A magazine's rate versions with the dates they start, oldest first
+const rateVersions = (pricing, schedule) => (pricing.rates || [])
+  .map(rate => ({ rate, startsAt: rateStart(rate, schedule) }))
+  .sort((a, b) => a.startsAt - b.startsAt);
+
+// The price that applies on a date: the latest rate started by then, otherwise the
+// base price the content size had before any rate versions
+const priceOnDate = (pricing, date, schedule) => {
+  const started = rateVersions(pricing, schedule).filter(version => version.startsAt <= new Date(date));
+  const current = started[started.length - 1];
+
+  return current
+    ? { price: current.rate.price, rate: current.rate }
+    : { price: pricing.price, rate: null };
+};
+
+// The rates of a magazine's pricing, newest first, with the period each applied for.
+// The base price is listed last, applying until the first version.
+const rateHistory = (pricing, schedule, now = new Date()) => {
+  const versions = rateVersions(pricing, schedule);
+  const current = priceOnDate(pricing, now, schedule).rate;
+
+  const history = versions.map((version, index) => {
+    const issue = version.rate.effectiveIssue && schedule
+      ? findScheduleIssue(schedule, version.rate.effectiveIssue)
+      : null;
+
+    return {
+      _id: version.rate._id,
+      price: version.rate.price,
+      effectiveFrom: version.startsAt,
+      effectiveIssue: issue ? { _id: issue._id, name: issue.name } : null,
+      until: versions[index + 1] ? versions[index + 1].startsAt : null,
+      current: current !== null && current._id.equals(version.rate._id),
+      createdBy: version.rate.createdBy,
+      createdAt: version.rate.createdAt
+    };
+  });
+
+  history.unshift({
+    _id: null,
+    price: pricing.price,
+    effectiveFrom: null,
+    effectiveIssue: null,
+    until: versions[0] ? versions[0].startsAt : null,
+    current: current === null
+  });
+
+  return history.reverse();
+};
+
+// The organisation's magazine schedules by magazine id, to place issue-based rates
+const loadMagazineSchedules = async (organisationId) => {
+  const magazines = await Magazine.find({ organisation: organisationId }).populate('schedule', 'issues');
+  return new Map(magazines.map(magazine => [magazine._id.toString(), magazine.schedule]));
+};
+
+module.exports = {
+  rateStart,
+  priceOnDate,
+  rateHistory,
+  loadMagazineSchedules
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { createSums, compareGroupValues, groupValue } = require('./reports');
+
+const formatDate = (value) => value ? new Date(value).toISOString().split('T')[0] : '';
+
+const formatCsvValue = (column, value) => {
+  if (value === undefined || value === null) return '';
+  if (column.type === 'money') return Number(value).toFixed(2);
+  if (column.type === 'date') return formatDate(value);
+  return String(value);
+};
+
+const toCsvLine = (values) => values
+  .map(value => `"${String(value).replace(/"/g, '""')}"`)
+  .join(',') + '\n';
+
+// Label and summed values of a subtotal or total row; the label takes the first column
+const summaryValues = (report, label, sums) => report.columns.map((column, index) => {
+  if (column.key in sums) return sums[column.key];
+  return index === 0 ? label : null;
+});
+
+// Write a report's rows as they are read, adding them up as they go, then a subtotal for each
+// group (when grouped) and the total. Only the sums are kept, so large reports are never held
+// in memory.
+const eachExportRow = async (report, rows, write) => {
+  const totals = createSums(report.columns);
+  const groups = new Map();
+  let count = 0;
+
+  for await (const row of rows) {
+    await write(report.columns.map(column => row[column.key]), false);
+    totals.add(row);
+    count += 1;
+
+    if (report.groupBy) {
+      const value = groupValue(row, report.groupBy);
+      if (!groups.has(value)) {
+        groups.set(value, { count: 0, sums: createSums(report.columns) });
+      }
+      groups.get(value).count += 1;
+      groups.get(value).sums.add(row);
+    }
+  }
+
+  const values = [...groups.keys()].sort(compareGroupValues);
+  for (const value of values) {
+    const group = groups.get(value);
+    await write(summaryValues(report, `Subtotal: ${value} (${group.count})`, group.sums.values()), true);
+  }
+
+  await write(summaryValues(report, `Total (${count})`, totals.values()), true);
+};
+
+// Stream a report to the response as CSV, a line at a time, waiting whenever the
+// response's buffer is full
+const writeReportCsv = async (report, rows, res) => {
+  const writeLine = async (values) => {
+    if (!res.write(toCsvLine(values))) {
+      await once(res, 'drain');
+    }
+  };
+
+  await writeLine(report.columns.map(column => column.label));
+
+  await eachExportRow(report, rows, (values) => writeLine(
+    values.map((value, index) => formatCsvValue(report.columns[index], value))
+  ));
+
+  res.end();
+};
+
+const NUMBER_FORMATS = {
+  money: '#,##0.00',
+  number: '#,##0.###',
+  date: 'yyyy-mm-dd'
+};
+
+// Stream a report to the response as an XLSX workbook, committing each row as it is written
+const writeReportXlsx = async (report, rows, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(report.label.slice(0, 31));
+
+  sheet.columns = report.columns.map(column => ({
+    header: column.label,
+    key: column.key,
+    width: column.type === 'text' ? 24 : 14,
+    style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  await eachExportRow(report, rows, (values, isSummary) => {
+    const row = sheet.addRow(values.map((value, index) => report.columns[index].type === 'date' && value
+      ? new Date(value)
+      : value));
+
+    if (isSummary) {
+      row.font = { bold: true };
+    }
+    row.commit();
+  });
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  toCsvLine,
+  writeReportCsv,
+  writeReportXlsx
+};
\ No newline at end of file
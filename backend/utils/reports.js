@@ -0,0 +1,544 @@
+const Booking = require('../models/Booking');
+const LeafletDelivery = require('../models/LeafletDelivery');
+const Customer = require('../models/Customer');
+const Schedule = require('../models/Schedule');
+const { BOOKING_STATUSES, SPACE_STATUSES } = require('./bookingStatus');
+const { CHARGE_TYPE_LABELS } = require('./additionalCharges');
+const { TAX_TREATMENT_LABELS, calculateTax } = require('./tax');
+const { CURRENCIES, fromMinor, roundMoney, currencyFor, inBaseCurrency } = require('./money');
+
+// Report datasets. Columns with `dimension` can be grouped by, columns with `sum` are
+// subtotalled, and `price` columns are left out for roles without prices:view. Money is
+// reported in the organisation's base currency, converted at each document's exchange rate.
+const DATASETS = {
+  bookings: {
+    label: 'Bookings by entry',
+    filters: ['magazine', 'issueRange', 'customer', 'contentType', 'businessType', 'status', 'dateRange'],
+    statuses: BOOKING_STATUSES,
+    columns: [
+      { key: 'customer', label: 'Customer', type: 'text', dimension: true },
+      { key: 'businessTypes', label: 'Business Type', type: 'text', dimension: true },
+      { key: 'magazine', label: 'Magazine', type: 'text', dimension: true },
+      { key: 'contentType', label: 'Type', type: 'text', dimension: true },
+      { key: 'contentSize', label: 'Size', type: 'text', dimension: true },
+      { key: 'pages', label: 'Pages', type: 'number', sum: true },
+      { key: 'startIssue', label: 'Start Issue', type: 'text', dimension: true },
+      { key: 'finishIssue', label: 'Finish Issue', type: 'text', dimension: true },
+      { key: 'status', label: 'Status', type: 'text', dimension: true },
+      { key: 'artworkStatus', label: 'Artwork', type: 'text', dimension: true },
+      { key: 'listPrice', label: 'List Price', type: 'money', price: true, sum: true },
+      { key: 'discountPercentage', label: 'Discount %', type: 'number', price: true },
+      { key: 'discountValue', label: 'Discount', type: 'money', price: true, sum: true },
+      { key: 'totalPrice', label: 'Total', type: 'money', price: true, sum: true },
+      { key: 'taxTreatment', label: 'Tax Treatment', type: 'text', dimension: true },
+      { key: 'tax', label: 'Tax', type: 'money', price: true, sum: true },
+      { key: 'grossPrice', label: 'Total with Tax', type: 'money', price: true, sum: true },
+      { key: 'currency', label: 'Billed In', type: 'text', dimension: true },
+      { key: 'createdAt', label: 'Booked On', type: 'date' },
+      { key: 'notes', label: 'Notes', type: 'text' }
+    ]
+  },
+  additionalCharges: {
+    label: 'Additional charges',
+    filters: ['magazine', 'issueRange', 'customer', 'businessType', 'status', 'dateRange'],
+    statuses: BOOKING_STATUSES,
+    columns: [
+      { key: 'customer', label: 'Customer', type: 'text', dimension: true },
+      { key: 'businessTypes', label: 'Business Type', type: 'text', dimension: true },
+      { key: 'magazine', label: 'Magazine', type: 'text', dimension: true },
+      { key: 'issue', label: 'Issue', type: 'text', dimension: true },
+      { key: 'chargeType', label: 'Charge Type', type: 'text', dimension: true },
+      { key: 'description', label: 'Description', type: 'text' },
+      { key: 'taxable', label: 'Taxable', type: 'text', dimension: true },
+      { key: 'status', label: 'Status', type: 'text', dimension: true },
+      { key: 'amount', label: 'Amount', type: 'money', price: true, sum: true },
+      { key: 'tax', label: 'Tax', type: 'money', price: true, sum: true },
+      { key: 'grossAmount', label: 'Amount with Tax', type: 'money', price: true, sum: true },
+      { key: 'currency', label: 'Billed In', type: 'text', dimension: true },
+      { key: 'createdAt', label: 'Booked On', type: 'date' }
+    ]
+  },
+  leafletDeliveries: {
+    label: 'Leaflet deliveries',
+    filters: ['magazine', 'issueRange', 'customer', 'businessType', 'status', 'dateRange'],
+    statuses: LeafletDelivery.schema.path('status').enumValues,
+    columns: [
+      { key: 'customer', label: 'Customer', type: 'text', dimension: true },
+      { key: 'businessTypes', label: 'Business Type', type: 'text', dimension: true },
+      { key: 'magazine', label: 'Magazine', type: 'text', dimension: true },
+      { key: 'startIssue', label: 'Start Issue', type: 'text', dimension: true },
+      { key: 'finishIssue', label: 'Finish Issue', type: 'text', dimension: true },
+      { key: 'status', label: 'Status', type: 'text', dimension: true },
+      { key: 'quantity', label: 'Quantity', type: 'number', sum: true },
+      { key: 'charge', label: 'Charge', type: 'money', price: true, sum: true },
+      { key: 'taxTreatment', label: 'Tax Treatment', type: 'text', dimension: true },
+      { key: 'tax', label: 'Tax', type: 'money', price: true, sum: true },
+      { key: 'grossCharge', label: 'Charge with Tax', type: 'money', price: true, sum: true },
+      { key: 'currency', label: 'Billed In', type: 'text', dimension: true },
+      { key: 'createdAt', label: 'Booked On', type: 'date' },
+      { key: 'note', label: 'Note', type: 'text' }
+    ]
+  },
+  customers: {
+    label: 'Customers',
+    filters: ['customer', 'businessType', 'dateRange'],
+    statuses: [],
+    columns: [
+      { key: 'customer', label: 'Customer', type: 'text', dimension: true },
+      { key: 'businessTypes', label: 'Business Type', type: 'text', dimension: true },
+      { key: 'bookings', label: 'Bookings', type: 'number', sum: true },
+      { key: 'entries', label: 'Entries', type: 'number', sum: true },
+      { key: 'totalValue', label: 'Booked Value', type: 'money', price: true, sum: true },
+      { key: 'tax', label: 'Tax', type: 'money', price: true, sum: true },
+      { key: 'grossValue', label: 'Booked Value with Tax', type: 'money', price: true, sum: true },
+      { key: 'taxTreatment', label: 'Tax Treatment', type: 'text', dimension: true },
+      { key: 'currency', label: 'Billed In', type: 'text', dimension: true },
+      { key: 'leafletDeliveries', label: 'Leaflet Deliveries', type: 'number', sum: true },
+      { key: 'createdAt', label: 'Added On', type: 'date' },
+      { key: 'bookingNote', label: 'Booking Note', type: 'text' }
+    ]
+  }
+};
+
+// Columns of a dataset that a role can see
+const getVisibleColumns = (dataset, canViewPrices) => DATASETS[dataset].columns
+  .filter(column => canViewPrices || !column.price);
+
+// Resolve an issue range to positions within one schedule
+const resolveIssueRange = async (issueFrom, issueTo, organisationId) => {
+  if (!issueFrom && !issueTo) return {};
+
+  const ids = [issueFrom, issueTo].filter(Boolean);
+  const schedules = await Schedule.find({ organisation: organisationId, 'issues._id': { $in: ids } });
+
+  if (schedules.length !== 1) {
+    return {
+      error: schedules.length === 0
+        ? 'Issue not found'
+        : 'The start and end of the issue range must be in the same schedule'
+    };
+  }
+
+  const schedule = schedules[0];
+  const from = issueFrom ? schedule.issues.id(issueFrom) : null;
+  const to = issueTo ? schedule.issues.id(issueTo) : null;
+
+  return {
+    range: {
+      schedule: schedule._id.toString(),
+      from: from ? from.sortOrder : -Infinity,
+      to: to ? to.sortOrder : Infinity
+    }
+  };
+};
+
+// Whether something running from start to finish (or ongoing) overlaps an issue range
+const overlapsIssueRange = (range, start, finish, isOngoing) => {
+  if (!range) return true;
+  if (!start || !start.schedule || start.schedule.toString() !== range.schedule) return false;
+  if (start.sortOrder > range.to) return false;
+
+  const lastSortOrder = isOngoing ? Infinity : (finish ? finish.sortOrder : start.sortOrder);
+  return lastSortOrder >= range.from;
+};
+
+const createdAtFilter = ({ dateFrom, dateTo }) => {
+  if (!dateFrom && !dateTo) return {};
+
+  const createdAt = {};
+  if (dateFrom) createdAt.$gte = new Date(dateFrom);
+  if (dateTo) {
+    // Include the whole of the last day
+    const end = new Date(dateTo);
+    end.setUTCHours(23, 59, 59, 999);
+    createdAt.$lte = end;
+  }
+  return { createdAt };
+};
+
+const hasBusinessType = (customer, businessType) => !businessType ||
+  (customer?.businessTypes || []).some(type => (type._id || type).toString() === businessType);
+
+const describeBusinessTypes = (customer) => (customer?.businessTypes || [])
+  .map(type => type.section)
+  .filter(Boolean)
+  .join(', ');
+
+// Treatment of a booking's or delivery's tax, with the rate for customers who pay it
+const describeTaxTreatment = (tax) => tax && tax.treatment && tax.treatment !== 'standard'
+  ? TAX_TREATMENT_LABELS[tax.treatment]
+  : `${TAX_TREATMENT_LABELS.standard} ${(tax && tax.percentage) || 0}%`;
+
+// An amount of a booking or delivery in the organisation's base currency
+const toBase = (document, amount) => roundMoney((amount || 0) / (document.exchangeRate || 1));
+
+const describeCurrency = (currency) => CURRENCIES[currency] ? `${currency} (${CURRENCIES[currency].label})` : '';
+
+// Tax on an amount and the amount with tax, under the given key
+const taxColumns = (amount, percentage, grossKey) => {
+  const tax = calculateTax(amount, percentage);
+  return { tax, [grossKey]: roundMoney((amount || 0) + tax) };
+};
+
+// Rows of one booking's entries that match the filters
+const bookingRows = (booking, filters, range) => booking.magazineEntries
+  .filter(entry => !filters.magazine || entry.magazine?._id.toString() === filters.magazine)
+  .filter(entry => !filters.contentType || entry.contentType === filters.contentType)
+  .filter(entry => overlapsIssueRange(range, entry.startIssue, entry.finishIssue, entry.isOngoing))
+  .map(entry => ({
+    customer: booking.customer?.name || '',
+    businessTypes: describeBusinessTypes(booking.customer),
+    magazine: entry.magazine?.name || '',
+    contentType: entry.contentType || '',
+    contentSize: entry.contentSize?.description || '',
+    pages: entry.contentSize?.size || 0,
+    startIssue: entry.startIssue?.name || '',
+    finishIssue: entry.isOngoing ? 'Ongoing' : (entry.finishIssue?.name || ''),
+    status: booking.status,
+    artworkStatus: entry.artworkStatus || '',
+    listPrice: toBase(booking, entry.listPrice),
+    discountPercentage: entry.discountPercentage || 0,
+    discountValue: toBase(booking, entry.discountValue),
+    totalPrice: toBase(booking, entry.totalPrice),
+    taxTreatment: describeTaxTreatment(booking.tax),
+    ...taxColumns(toBase(booking, entry.totalPrice), booking.tax.percentage, 'grossPrice'),
+    currency: describeCurrency(booking.currency),
+    createdAt: booking.createdAt,
+    notes: booking.notes || ''
+  }));
+
+const eachBookingRow = async function* (organisationId, filters, range) {
+  const cursor = Booking.find({
+    organisation: organisationId,
+    ...(filters.customer ? { customer: filters.customer } : {}),
+    ...(filters.status ? { status: filters.status } : {}),
+    ...(filters.magazine ? { 'magazineEntries.magazine': filters.magazine } : {}),
+    ...(filters.contentType ? { 'magazineEntries.contentType': filters.contentType } : {}),
+    ...createdAtFilter(filters)
+  })
+    .populate({ path: 'customer', select: 'name businessTypes', populate: { path: 'businessTypes', select: 'section' } })
+    .populate('magazineEntries.magazine', 'name')
+    .populate('magazineEntries.contentSize', 'description size')
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const booking of cursor) {
+    if (hasBusinessType(booking.customer, filters.businessType)) {
+      yield* bookingRows(booking, filters, range);
+    }
+  }
+};
+
+// Rows of one booking's additional charges, each under the magazine and issue it is for. Charges
+// for the whole booking have no magazine, and are in an issue range when any of its entries are.
+const chargeRows = (booking, filters, range) => {
+  const inRange = (charge, entry) => {
+    if (charge.issue) return overlapsIssueRange(range, charge.issue, null, false);
+    if (entry) return overlapsIssueRange(range, entry.startIssue, entry.finishIssue, entry.isOngoing);
+    return booking.magazineEntries.some(item => overlapsIssueRange(range, item.startIssue, item.finishIssue, item.isOngoing));
+  };
+
+  return booking.additionalCharges
+    .map(charge => ({ charge, entry: charge.entry ? booking.magazineEntries.id(charge.entry) : null }))
+    .filter(({ entry }) => !filters.magazine || entry?.magazine?._id.toString() === filters.magazine)
+    .filter(({ charge, entry }) => inRange(charge, entry))
+    .map(({ charge, entry }) => ({
+      customer: booking.customer?.name || '',
+      businessTypes: describeBusinessTypes(booking.customer),
+      magazine: entry?.magazine?.name || '',
+      issue: charge.issue?.name || '',
+      chargeType: CHARGE_TYPE_LABELS[charge.type] || charge.type,
+      description: charge.description,
+      taxable: charge.taxable ? 'Yes' : 'No',
+      status: booking.status,
+      amount: toBase(booking, charge.amount),
+      ...taxColumns(toBase(booking, charge.amount), charge.taxable ? booking.tax.percentage : 0, 'grossAmount'),
+      currency: describeCurrency(booking.currency),
+      createdAt: booking.createdAt
+    }));
+};
+
+const eachChargeRow = async function* (organisationId, filters, range) {
+  const cursor = Booking.find({
+    organisation: organisationId,
+    'additionalCharges.0': { $exists: true },
+    ...(filters.customer ? { customer: filters.customer } : {}),
+    ...(filters.status ? { status: filters.status } : {}),
+    ...(filters.magazine ? { 'magazineEntries.magazine': filters.magazine } : {}),
+    ...createdAtFilter(filters)
+  })
+    .populate({ path: 'customer', select: 'name businessTypes', populate: { path: 'businessTypes', select: 'section' } })
+    .populate('magazineEntries.magazine', 'name')
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const booking of cursor) {
+    if (hasBusinessType(booking.customer, filters.businessType)) {
+      yield* chargeRows(booking, filters, range);
+    }
+  }
+};
+
+const eachLeafletRow = async function* (organisationId, filters, range) {
+  const cursor = LeafletDelivery.find({
+    organisation: organisationId,
+    ...(filters.customer ? { customer: filters.customer } : {}),
+    ...(filters.status ? { status: filters.status } : {}),
+    ...(filters.magazine ? { magazine: filters.magazine } : {}),
+    ...createdAtFilter(filters)
+  })
+    .populate({ path: 'customer', select: 'name businessTypes', populate: { path: 'businessTypes', select: 'section' } })
+    .populate('magazine', 'name')
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const delivery of cursor) {
+    if (!hasBusinessType(delivery.customer, filters.businessType) ||
+      !overlapsIssueRange(range, delivery.startIssue, delivery.finishIssue, false)) {
+      continue;
+    }
+
+    yield {
+      customer: delivery.customer?.name || '',
+      businessTypes: describeBusinessTypes(delivery.customer),
+      magazine: delivery.magazine?.name || '',
+      startIssue: delivery.startIssue?.name || '',
+      finishIssue: delivery.finishIssue?.name || '',
+      status: delivery.status,
+      quantity: delivery.quantity || 0,
+      charge: toBase(delivery, delivery.charge),
+      taxTreatment: describeTaxTreatment(delivery.tax),
+      tax: toBase(delivery, delivery.tax.amount),
+      grossCharge: toBase(delivery, delivery.grossCharge),
+      currency: describeCurrency(delivery.currency),
+      createdAt: delivery.createdAt,
+      note: delivery.note || ''
+    };
+  }
+};
+
+// Customers whose booking and leaflet totals are looked up together
+const CUSTOMER_BATCH_SIZE = 500;
+
+// Rows of a batch of customers, with counts of their bookings that hold space and their
+// leaflet deliveries
+const customerRows = async (organisationId, customers, baseCurrency) => {
+  const ids = customers.map(customer => customer._id);
+  const [bookingTotals, leafletTotals] = await Promise.all([
+    Booking.aggregate([
+      { $match: { organisation: organisationId, customer: { $in: ids }, status: { $in: SPACE_STATUSES } } },
+      {
+        $group: {
+          _id: '$customer',
+          bookings: { $sum: 1 },
+          entries: { $sum: { $size: '$magazineEntries' } },
+          totalValue: { $sum: inBaseCurrency('$totalValue') },
+          tax: { $sum: inBaseCurrency('$tax.amount') },
+          grossValue: { $sum: inBaseCurrency('$grossValue') }
+        }
+      }
+    ]),
+    LeafletDelivery.aggregate([
+      { $match: { organisation: organisationId, customer: { $in: ids }, status: { $ne: 'Cancelled' } } },
+      { $group: { _id: '$customer', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return customers.map(customer => {
+    const booked = bookingTotals.find(total => total._id.equals(customer._id)) || {};
+    const leaflets = leafletTotals.find(total => total._id.equals(customer._id)) || {};
+
+    return {
+      customer: customer.name,
+      businessTypes: describeBusinessTypes(customer),
+      bookings: booked.bookings || 0,
+      entries: booked.entries || 0,
+      totalValue: roundMoney(fromMinor(booked.totalValue)),
+      tax: roundMoney(fromMinor(booked.tax)),
+      grossValue: roundMoney(fromMinor(booked.grossValue)),
+      taxTreatment: TAX_TREATMENT_LABELS[customer.taxTreatment] || TAX_TREATMENT_LABELS.standard,
+      currency: describeCurrency(customer.currency || baseCurrency),
+      leafletDeliveries: leaflets.count || 0,
+      createdAt: customer.createdAt,
+      bookingNote: customer.bookingNote || ''
+    };
+  });
+};
+
+const eachCustomerRow = async function* (organisationId, filters) {
+  const { currency: baseCurrency } = await currencyFor(organisationId);
+  const cursor = Customer.find({
+    organisation: organisationId,
+    ...(filters.customer ? { _id: filters.customer } : {}),
+    ...(filters.businessType ? { businessTypes: filters.businessType } : {}),
+    ...createdAtFilter(filters)
+  })
+    .populate('businessTypes', 'section')
+    .sort({ name: 1 })
+    .cursor();
+
+  let batch = [];
+  for await (const customer of cursor) {
+    batch.push(customer);
+    if (batch.length === CUSTOMER_BATCH_SIZE) {
+      yield* await customerRows(organisationId, batch, baseCurrency);
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield* await customerRows(organisationId, batch, baseCurrency);
+  }
+};
+
+const ROW_READERS = {
+  bookings: eachBookingRow,
+  additionalCharges: eachChargeRow,
+  leafletDeliveries: eachLeafletRow,
+  customers: eachCustomerRow
+};
+
+// Subtotalled columns of a set of rows, added up as the rows come in
+const createSums = (columns) => {
+  const sums = Object.fromEntries(columns.filter(column => column.sum).map(column => [column.key, 0]));
+
+  return {
+    add: (row) => Object.keys(sums).forEach(key => { sums[key] += row[key] || 0; }),
+    values: () => Object.fromEntries(Object.entries(sums)
+      .map(([key, sum]) => [key, Math.round(sum * 1000) / 1000]))
+  };
+};
+
+const sumColumns = (rows, columns) => {
+  const sums = createSums(columns);
+  rows.forEach(sums.add);
+  return sums.values();
+};
+
+const compareGroupValues = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+const groupValue = (row, groupBy) => row[groupBy.key] || '(none)';
+
+// Check a report request against its dataset and work out its columns, grouping and issue range.
+// Returns { definition, columns, groupColumn, range } or { error }.
+const prepareReport = async (organisationId, { dataset, filters = {}, columns: columnKeys, groupBy }, canViewPrices) => {
+  const definition = DATASETS[dataset];
+  if (!definition) {
+    return { error: 'Unknown dataset' };
+  }
+
+  const visible = getVisibleColumns(dataset, canViewPrices);
+  const columns = columnKeys && columnKeys.length > 0
+    ? columnKeys.map(key => visible.find(column => column.key === key))
+    : visible;
+
+  if (columns.some(column => !column)) {
+    return { error: 'Unknown report column' };
+  }
+
+  const groupColumn = groupBy ? visible.find(column => column.key === groupBy && column.dimension) : null;
+  if (groupBy && !groupColumn) {
+    return { error: `Cannot group by ${groupBy}` };
+  }
+
+  const { range, error } = definition.filters.includes('issueRange')
+    ? await resolveIssueRange(filters.issueFrom, filters.issueTo, organisationId)
+    : {};
+
+  if (error) {
+    return { error };
+  }
+
+  return { definition, columns, groupColumn, range };
+};
+
+// Build a report: its rows (limited to the chosen columns, all by default), grouped and
+// subtotalled by one of the dimension columns, with grand totals.
+// Returns { report } or { error } for a request that does not fit the dataset.
+const buildReport = async (organisationId, request, canViewPrices) => {
+  const { definition, columns, groupColumn, range, error } = await prepareReport(organisationId, request, canViewPrices);
+  if (error) {
+    return { error };
+  }
+
+  const { dataset, filters = {} } = request;
+  const rows = [];
+  for await (const row of ROW_READERS[dataset](organisationId, filters, range)) {
+    rows.push(row);
+  }
+  const { currency } = await currencyFor(organisationId);
+
+  const pick = (row) => Object.fromEntries(columns.map(column => [column.key, row[column.key]]));
+
+  let groups = [{ value: null, rows }];
+  if (groupColumn) {
+    const byValue = new Map();
+    rows.forEach(row => {
+      const value = groupValue(row, groupColumn);
+      byValue.set(value, [...(byValue.get(value) || []), row]);
+    });
+    groups = Array.from(byValue, ([value, groupRows]) => ({ value, rows: groupRows }))
+      .sort((a, b) => compareGroupValues(a.value, b.value));
+  }
+
+  return {
+    report: {
+      dataset,
+      label: definition.label,
+      currency,
+      columns,
+      groupBy: groupColumn ? { key: groupColumn.key, label: groupColumn.label } : null,
+      groups: groups.map(group => ({
+        value: group.value,
+        count: group.rows.length,
+        rows: group.rows.map(pick),
+        subtotals: sumColumns(group.rows, columns)
+      })),
+      count: rows.length,
+      totals: sumColumns(rows, columns)
+    }
+  };
+};
+
+// Start a report for export without loading it: its description and its rows, read from the
+// database as they are iterated. A grouped report always includes the column it is grouped by,
+// as its rows come in the order they are read rather than under their group.
+// Returns { report, rows } or { error }.
+const streamReport = async (organisationId, request, canViewPrices) => {
+  const { definition, columns, groupColumn, range, error } = await prepareReport(organisationId, request, canViewPrices);
+  if (error) {
+    return { error };
+  }
+
+  const { currency } = await currencyFor(organisationId);
+
+  return {
+    report: {
+      dataset: request.dataset,
+      label: definition.label,
+      currency,
+      columns: groupColumn && !columns.includes(groupColumn) ? [groupColumn, ...columns] : columns,
+      groupBy: groupColumn ? { key: groupColumn.key, label: groupColumn.label } : null
+    },
+    rows: ROW_READERS[request.dataset](organisationId, request.filters || {}, range)
+  };
+};
+
+// Dataset definitions for the report builder, without the columns a role cannot see
+const describeDatasets = (canViewPrices) => Object.entries(DATASETS).map(([key, definition]) => ({
+  key,
+  label: definition.label,
+  filters: definition.filters,
+  statuses: definition.statuses,
+  columns: getVisibleColumns(key, canViewPrices)
+}));
+
+module.exports = {
+  DATASETS,
+  createSums,
+  compareGroupValues,
+  groupValue,
+  buildReport,
+  streamReport,
+  describeDatasets
+};
\ No newline at end of file
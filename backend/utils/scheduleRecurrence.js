@@ -0,0 +1,136 @@
+// Generate schedule issues from a recurrence rule: a publication date every month,
+// every N weeks or every quarter, named from a pattern and closing a set number of
+// days before publication
+
+const FREQUENCIES = ['monthly', 'weekly', 'quarterly'];
+
+// Months of issues a generated schedule covers when no period is given
+const DEFAULT_PERIOD_MONTHS = 12;
+
+// Upper bound on the issues one rule may generate
+const MAX_GENERATED_ISSUES = 400;
+
+const DEFAULT_NAME_PATTERN = '{MMM}{YY}';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are handled as UTC midnights, the way the schedule form submits them
+const toDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const dayKey = (date) => date.toISOString().split('T')[0];
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Same day of the month some months later, or the month's last day if it is shorter
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Issue name from a pattern such as {MMM}{YY}. Tokens: {YYYY} {YY} {MMMM} {MMM} {MM}
+// {DD} for the publication date, {Q} for its quarter and {N} for the issue number.
+const formatIssueName = (pattern, date, number) => pattern.replace(/\{(YYYY|YY|MMMM|MMM|MM|DD|Q|N)\}/g, (match, token) => {
+  switch (token) {
+    case 'YYYY': return String(date.getUTCFullYear());
+    case 'YY': return String(date.getUTCFullYear()).slice(-2);
+    case 'MMMM': return MONTH_NAMES[date.getUTCMonth()];
+    case 'MMM': return MONTH_NAMES[date.getUTCMonth()].slice(0, 3);
+    case 'MM': return pad(date.getUTCMonth() + 1);
+    case 'DD': return pad(date.getUTCDate());
+    case 'Q': return String(Math.floor(date.getUTCMonth() / 3) + 1);
+    default: return String(number);
+  }
+}).trim();
+
+// The nth publication date of a rule, counted from its start date
+const occurrence = (rule, index) => {
+  const interval = rule.interval || 1;
+  const start = toDay(rule.startDate);
+
+  if (rule.frequency === 'weekly') return addDays(start, index * interval * 7);
+  if (rule.frequency === 'quarterly') return addMonths(start, index * interval * 3);
+  return addMonths(start, index * interval);
+};
+
+// The rule as stored on a schedule
+const normaliseRule = (rule) => ({
+  frequency: rule.frequency,
+  interval: rule.interval || 1,
+  startDate: toDay(rule.startDate),
+  namePattern: (rule.namePattern || DEFAULT_NAME_PATTERN).trim(),
+  closeOffsetDays: rule.closeOffsetDays || 0,
+  skipDates: [...new Set((rule.skipDates || []).map(date => dayKey(toDay(date))))].sort().map(key => new Date(key))
+});
+
+// Issues a rule gives over a period. Extending a schedule starts after its last issue,
+// carries on its issue numbers and must not repeat its issue names.
+// Returns { rule, issues } or { error }.
+const generateIssues = (input, { months = DEFAULT_PERIOD_MONTHS, schedule } = {}) => {
+  if (!FREQUENCIES.includes(input.frequency)) {
+    return { error: 'Unknown frequency' };
+  }
+
+  const rule = normaliseRule(input);
+  const existing = schedule ? [...schedule.issues].sort((a, b) => a.sortOrder - b.sortOrder) : [];
+  const last = existing[existing.length - 1];
+
+  // An existing issue without a publication date is taken to publish when the rule's offset says
+  const after = last
+    ? toDay(last.publicationDate || addDays(toDay(last.closeDate), rule.closeOffsetDays))
+    : null;
+  const from = after && after >= rule.startDate ? addDays(after, 1) : rule.startDate;
+  const until = addMonths(from, months);
+
+  const skip = new Set(rule.skipDates.map(dayKey));
+  const names = new Set(existing.map(issue => issue.name));
+  const issues = [];
+
+  for (let index = 0; issues.length <= MAX_GENERATED_ISSUES; index++) {
+    const publicationDate = occurrence(rule, index);
+    if (publicationDate >= until) break;
+    if (publicationDate < from || skip.has(dayKey(publicationDate))) continue;
+
+    const name = formatIssueName(rule.namePattern, publicationDate, existing.length + issues.length + 1);
+    if (!name) {
+      return { error: 'The name pattern gives an empty issue name' };
+    }
+    if (names.has(name)) {
+      return { error: `More than one issue would be called "${name}"; add {DD} or {N} to the name pattern` };
+    }
+    names.add(name);
+
+    issues.push({
+      name,
+      publicationDate,
+      closeDate: addDays(publicationDate, -rule.closeOffsetDays)
+    });
+  }
+
+  if (issues.length > MAX_GENERATED_ISSUES) {
+    return { error: `A rule can generate at most ${MAX_GENERATED_ISSUES} issues at once` };
+  }
+
+  if (issues.length === 0) {
+    return { error: 'The rule gives no issues in that period' };
+  }
+
+  return { rule, issues };
+};
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_PERIOD_MONTHS,
+  DEFAULT_NAME_PATTERN,
+  formatIssueName,
+  generateIssues
+};
\ No newline at end of file
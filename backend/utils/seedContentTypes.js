@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const User = require('../models/User');
+const Organisation = require('../models/Organisation');
 const ContentType = require('../models/ContentType');
 
 const defaultContentTypes = [
@@ -7,43 +7,53 @@ const defaultContentTypes = [
   { name: 'Article', description: 'Editorial article content' },
   { name: 'Puzzle', description: 'Puzzle or game content' },
   { name: 'Advertorial', description: 'Promotional article content' },
-  { name: 'Front Cover', description: 'Front cover content' },
+  { name: 'Front Cover', description: 'Front cover content', exclusive: true, maxPerIssue: 1 },
   { name: 'In-house', description: 'In-house promotional content' }
 ];
 
-const seedContentTypesForUser = async (userId) => {
+const seedContentTypesForOrganisation = async (organisationId, userId) => {
   try {
-    // Check if user already has content types
-    const existingContentTypes = await ContentType.find({ createdBy: userId });
+    // Check if organisation already has content types
+    const existingContentTypes = await ContentType.find({ organisation: organisationId });
     
     if (existingContentTypes.length > 0) {
-      console.log(`User ${userId} already has ${existingContentTypes.length} content types`);
+      console.log(`Organisation ${organisationId} already has ${existingContentTypes.length} content types`);
       return;
     }
 
-    // Create default content types for this user
+    // Create default content types for this organisation
     const contentTypesToCreate = defaultContentTypes.map(ct => ({
       ...ct,
+      organisation: organisationId,
       createdBy: userId,
       isDefault: true
     }));
 
     await ContentType.insertMany(contentTypesToCreate);
-    console.log(`Created ${defaultContentTypes.length} default content types for user ${userId}`);
+    console.log(`Created ${defaultContentTypes.length} default content types for organisation ${organisationId}`);
   } catch (error) {
-    console.error(`Error seeding content types for user ${userId}:`, error);
+    console.error(`Error seeding content types for organisation ${organisationId}:`, error);
   }
 };
 
-const seedAllUsers = async () => {
+const seedAllOrganisations = async () => {
   try {
     console.log('Starting content types seeding...');
     
-    const users = await User.find({});
-    console.log(`Found ${users.length} users`);
+    const organisations = await Organisation.find({});
+    console.log(`Found ${organisations.length} organisations`);
 
-    for (const user of users) {
-      await seedContentTypesForUser(user._id);
+    for (const organisation of organisations) {
+      await seedContentTypesForOrganisation(organisation._id, organisation.owner);
+    }
+
+    // Default front covers seeded before positions could be exclusive
+    const result = await ContentType.updateMany(
+      { name: 'Front Cover', isDefault: true, exclusive: { $exists: false } },
+      { $set: { exclusive: true, maxPerIssue: 1 } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Marked ${result.modifiedCount} default front covers as exclusive`);
     }
 
     console.log('Content types seeding completed');
@@ -59,7 +69,7 @@ if (require.main === module) {
   mongoose.connect(MONGODB_URI)
     .then(() => {
       console.log('Connected to MongoDB');
-      return seedAllUsers();
+      return seedAllOrganisations();
     })
     .then(() => {
       console.log('Seeding completed, closing connection');
@@ -71,4 +81,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { seedContentTypesForUser, seedAllUsers }; 
\ No newline at end of file
+module.exports = { seedContentTypesForOrganisation, seedAllOrganisations }; 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { roundMoney } = require('./money');
+
+// How tax applies to a customer: standard customers pay the organisation's default rate or
+// the rate chosen for them, the others pay none
+const TAX_TREATMENTS = ['standard', 'reverseCharge', 'zeroRated', 'exempt'];
+
+const TAX_TREATMENT_LABELS = {
+  standard: 'Standard',
+  reverseCharge: 'Reverse charge',
+  zeroRated: 'Zero-rated',
+  exempt: 'Exempt'
+};
+
+// Printed on confirmations and invoices for customers who pay no tax
+const TAX_TREATMENT_NOTES = {
+  reverseCharge: 'Reverse charge: the customer is to account for the tax',
+  zeroRated: 'Zero-rated supply',
+  exempt: 'Exempt from tax'
+};
+
+// Name of the tax and rates a new organisation starts with
+const DEFAULT_TAX_LABEL = 'VAT';
+const DEFAULT_TAX_RATES = [{ name: 'Standard', percentage: 20, isDefault: true }];
+
+const calculateTax = (taxable, percentage) => roundMoney((Number(taxable) || 0) * (Number(percentage) || 0) / 100);
+
+// The tax a customer pays, as { label, name, percentage, treatment }. Customers with another
+// treatment pay none; the others pay their own rate if the organisation still has it,
+// otherwise the organisation's default rate.
+const resolveTax = (organisation, customer) => {
+  const label = (organisation && organisation.taxLabel) || DEFAULT_TAX_LABEL;
+  const treatment = (customer && customer.taxTreatment) || 'standard';
+  if (treatment !== 'standard') {
+    return { label, name: TAX_TREATMENT_LABELS[treatment], percentage: 0, treatment };
+  }
+
+  const rates = (organisation && organisation.taxRates) || [];
+  const customerRate = customer && customer.taxRate
+    ? rates.find(rate => rate._id && rate._id.toString() === customer.taxRate.toString())
+    : null;
+  const rate = customerRate || rates.find(rate => rate.isDefault) || rates[0];
+
+  return rate
+    ? { label, name: rate.name, percentage: rate.percentage, treatment }
+    : { label, name: '', percentage: 0, treatment };
+};
+
+// Load the organisation and resolve the tax a customer pays
+const taxFor = async (organisationId, customer) => {
+  // Required here, as the Organisation model uses the defaults above
+  const Organisation = require('../models/Organisation');
+  const organisation = await Organisation.findById(organisationId).select('taxLabel taxRates');
+  return resolveTax(organisation, customer);
+};
+
+// The tax on a document, e.g. "VAT 20%" or "VAT (reverse charge)"
+const describeTax = (tax) => {
+  const label = (tax && tax.label) || DEFAULT_TAX_LABEL;
+  return tax && tax.treatment && tax.treatment !== 'standard'
+    ? `${label} (${TAX_TREATMENT_LABELS[tax.treatment].toLowerCase()})`
+    : `${label} ${(tax && tax.percentage) || 0}%`;
+};
+
+module.exports = {
+  TAX_TREATMENTS,
+  TAX_TREATMENT_LABELS,
+  TAX_TREATMENT_NOTES,
+  DEFAULT_TAX_LABEL,
+  DEFAULT_TAX_RATES,
+  calculateTax,
+  resolveTax,
+  taxFor,
+  describeTax
+};
\ No newline at end of file
@@ -9,6 +9,7 @@ import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
 import BookingDashboard from './pages/BookingDashboard';
 import Customers from './pages/Customers';
+import CustomerDetails from './pages/CustomerDetails';
 import Settings from './pages/Settings';
 import Bookings from './pages/Bookings';
 import NewBooking from './pages/NewBooking';
@@ -16,6 +17,9 @@ import EditBooking from './pages/EditBooking';
 import BookingDetails from './pages/BookingDetails';
 import LeafletDelivery from './pages/LeafletDelivery';
 import Reports from './pages/Reports';
+import Flatplan from './pages/Flatplan';
+import Calendar from './pages/Calendar';
+import Invoices from './pages/Invoices';
 import UserProfile from './pages/UserProfile';
 import ProtectedRoute from './components/ProtectedRoute';
 import AuthProvider from './components/AuthProvider';
@@ -41,42 +45,62 @@ function App() {
                 </ProtectedRoute>
               } />
               <Route path="/customers" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="customers:view">
                   <Customers />
                 </ProtectedRoute>
               } />
+              <Route path="/customers/:id" element={
+                <ProtectedRoute permission="customers:view">
+                  <CustomerDetails />
+                </ProtectedRoute>
+              } />
               <Route path="/settings" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="settings:view">
                   <Settings />
                 </ProtectedRoute>
               } />
               <Route path="/bookings" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="bookings:view">
                   <Bookings />
                 </ProtectedRoute>
               } />
               <Route path="/bookings/new" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="bookings:create">
                   <NewBooking />
                 </ProtectedRoute>
               } />
               <Route path="/bookings/edit/:id" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="bookings:edit">
                   <EditBooking />
                 </ProtectedRoute>
               } />
               <Route path="/bookings/:id" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="bookings:view">
                   <BookingDetails />
                 </ProtectedRoute>
               } />
               <Route path="/leaflet-delivery" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="leaflets:view">
                   <LeafletDelivery />
                 </ProtectedRoute>
               } />
+              <Route path="/flatplan" element={
+                <ProtectedRoute permission="bookings:view">
+                  <Flatplan />
+                </ProtectedRoute>
+              } />
+              <Route path="/calendar" element={
+                <ProtectedRoute permission="settings:view">
+                  <Calendar />
+                </ProtectedRoute>
+              } />
+              <Route path="/invoices" element={
+                <ProtectedRoute permission="invoices:view">
+                  <Invoices />
+                </ProtectedRoute>
+              } />
               <Route path="/reports" element={
-                <ProtectedRoute>
+                <ProtectedRoute permission="reports:view">
                   <Reports />
                 </ProtectedRoute>
               } />
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, RefreshCw, Rss } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { calendarAPI, calendarFeedUrl } from '../utils/api';
+
+// Calendar apps subscribe with webcal:// links and refresh the feed themselves
+const webcalUrl = (url) => url.replace(/^https?:/, 'webcal:');
+
+const FeedRow = ({ name, path }) => {
+  const url = calendarFeedUrl(path);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Feed URL copied to clipboard');
+    } catch (error) {
+      toast.error('Could not copy feed URL');
+    }
+  };
+
+  return (
+    <li className="flex flex-wrap items-center justify-between gap-2 py-2">
+      <span className="text-sm font-medium text-gray-900">{name}</span>
+      <div className="flex items-center space-x-3 text-sm">
+        <a href={webcalUrl(url)} className="text-blue-600 hover:text-blue-800">Subscribe</a>
+        <button onClick={handleCopy} className="inline-flex items-center text-gray-600 hover:text-gray-900">
+          <Copy className="h-4 w-4 mr-1" />
+          Copy URL
+        </button>
+      </div>
+    </li>
+  );
+};
+
+// Subscription links to the iCalendar feeds of issue deadlines, with reminders, for the
+// whole organisation and for each magazine. The feed token is only stored hashed, so the
+// links are shown once, right after they are created.
+const CalendarFeedPanel = () => {
+  const [feed, setFeed] = useState(null);
+
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const response = await calendarAPI.getFeed();
+        setFeed(response.data);
+      } catch (error) {
+        toast.error('Error fetching calendar feeds');
+      }
+    };
+    fetchFeed();
+  }, []);
+
+  const handleRegenerate = async () => {
+    if (feed.active && !window.confirm('Generate new feed URLs? Calendars subscribed to the current URLs will stop updating.')) {
+      return;
+    }
+
+    try {
+      const response = await calendarAPI.regenerateToken();
+      setFeed(response.data);
+      toast.success(feed.active ? 'Feed URLs regenerated' : 'Feed URLs created');
+    } catch (error) {
+      toast.error('Error generating feed URLs');
+    }
+  };
+
+  if (!feed) return null;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-2">
+        <div>
+          <h3 className="flex items-center text-lg font-medium text-gray-900">
+            <Rss className="h-5 w-5 mr-2 text-gray-500" />
+            Calendar Feeds
+          </h3>
+          <p className="mt-1 text-sm text-gray-600">
+            Subscribe in Google Calendar, Outlook or Apple Calendar to see these deadlines with reminders. Feeds update when schedules change.
+            The URLs are private to you: anyone with them can see the deadlines.
+          </p>
+        </div>
+        <button
+          onClick={handleRegenerate}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          <RefreshCw className="h-4 w-4 mr-2" />
+          {feed.active ? 'New URLs' : 'Create URLs'}
+        </button>
+      </div>
+      {feed.organisation ? (
+        <>
+          <p className="text-sm text-amber-700 bg-amber-50 rounded-md px-3 py-2">
+            Subscribe or copy these URLs now: they are only shown once.
+          </p>
+          <ul className="divide-y divide-gray-100">
+            <FeedRow name="All magazines" path={feed.organisation} />
+            {feed.magazines.map(magazine => (
+              <FeedRow key={magazine._id} name={magazine.name} path={magazine.path} />
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {feed.active
+            ? 'Your feed URLs were shown when they were created. If you need them again, create new URLs; the current ones will stop working.'
+            : 'Create feed URLs to subscribe to the whole organisation or one magazine.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedPanel;
\ No newline at end of file
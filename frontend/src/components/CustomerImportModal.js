@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import { Upload, X, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { customersAPI } from '../utils/api';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  skip: 'bg-gray-100 text-gray-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+// Upload a CSV of customers, check the column mapping and a dry-run preview, then import
+const CustomerImportModal = ({ onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [options, setOptions] = useState({ createBusinessTypes: false, updateDuplicates: false });
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [actionFilter, setActionFilter] = useState('');
+
+  const send = (dryRun, fileToSend = file, mappingToSend = mapping, optionsToSend = options) => {
+    const formData = new FormData();
+    formData.append('csvFile', fileToSend);
+    formData.append('dryRun', String(dryRun));
+    formData.append('createBusinessTypes', String(optionsToSend.createBusinessTypes));
+    formData.append('updateDuplicates', String(optionsToSend.updateDuplicates));
+    if (mappingToSend) {
+      formData.append('mapping', JSON.stringify(mappingToSend));
+    }
+    return customersAPI.importCSV(formData);
+  };
+
+  // Preview the import without saving anything
+  const runPreview = async (fileToSend, mappingToSend, optionsToSend) => {
+    try {
+      setBusy(true);
+      const response = await send(true, fileToSend, mappingToSend, optionsToSend);
+      setPreview(response.data);
+      setMapping(response.data.mapping);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read CSV');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+
+    if (!selected.name.toLowerCase().endsWith('.csv')) {
+      toast.error('Please select a CSV file');
+      return;
+    }
+
+    setFile(selected);
+    setMapping(null);
+    runPreview(selected, null, options);
+  };
+
+  const handleMappingChange = (key, header) => {
+    const next = { ...mapping, [key]: header || undefined };
+    setMapping(next);
+    runPreview(file, next, options);
+  };
+
+  const handleOptionChange = (name, checked) => {
+    const next = { ...options, [name]: checked };
+    setOptions(next);
+    if (file) runPreview(file, mapping, next);
+  };
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      const response = await send(false);
+      const { summary } = response.data;
+      toast.success(`Import completed: ${summary.create} created, ${summary.update} updated, ${summary.skip} skipped${summary.error ? `, ${summary.error} errors` : ''}`);
+      onImported();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import customers');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const rows = preview ? preview.rows.filter(row => !actionFilter || row.action === actionFilter) : [];
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mb-10 mx-auto p-5 border w-full max-w-5xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Import Customers</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 cursor-pointer">
+              <Upload className="h-4 w-4 mr-2" />
+              {file ? file.name : 'Choose CSV file'}
+              <input type="file" accept=".csv" onChange={handleFile} className="hidden" />
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.createBusinessTypes}
+                onChange={(e) => handleOptionChange('createBusinessTypes', e.target.checked)}
+                className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Create missing business types
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.updateDuplicates}
+                onChange={(e) => handleOptionChange('updateDuplicates', e.target.checked)}
+                className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Update matching customers instead of skipping them
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">
+            Separate several business types or contact roles in one cell with ; or |. Customers whose names closely match an existing customer are treated as duplicates.
+          </p>
+
+          {preview && (
+            <>
+              {/* Column mapping */}
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Columns</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {preview.fields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-xs text-gray-500 mb-1">{field.label}</label>
+                      <select
+                        value={mapping?.[field.key] || ''}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                        disabled={busy}
+                        className="block w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="">Not imported</option>
+                        {preview.headers.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Summary */}
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-700">{preview.summary.totalRows} rows:</span>
+                {['create', 'update', 'skip', 'error'].map(action => (
+                  <button
+                    key={action}
+                    onClick={() => setActionFilter(actionFilter === action ? '' : action)}
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${ACTION_STYLES[action]} ${actionFilter === action ? 'ring-2 ring-blue-500' : ''}`}
+                  >
+                    {preview.summary[action]} {action}
+                  </button>
+                ))}
+              </div>
+              {preview.newBusinessTypes.length > 0 && (
+                <div className="flex items-center text-sm text-yellow-800">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  New business types: {preview.newBusinessTypes.join(', ')}
+                </div>
+              )}
+
+              {/* Rows */}
+              <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {rows.map(row => (
+                      <tr key={row.row}>
+                        <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                        <td className="px-3 py-2 text-gray-900">{row.name}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[row.action]}`}>
+                            {row.action}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">
+                          {row.reason}
+                          {row.match && ` (${row.match.name}, ${Math.round(row.match.score * 100)}% match)`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={busy || !preview || preview.summary.create + preview.summary.update === 0}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? 'Working...' : preview ? `Import ${preview.summary.create + preview.summary.update} Customers` : 'Import'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerImportModal;
\ No newline at end of file
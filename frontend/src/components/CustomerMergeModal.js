@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { X, GitMerge, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { customersAPI } from '../utils/api';
+import { CONTACT_ROLES } from '../utils/customerContacts';
+
+const describeMoves = (moves) => [
+  `${moves.bookings} bookings`,
+  `${moves.leafletDeliveries} leaflet deliveries`,
+  `${moves.invoices} invoices`
+].join(', ');
+
+const roleLabel = (role) => CONTACT_ROLES.find(item => item.value === role)?.label || role;
+
+const idsOtherThan = (customers, survivor) => customers
+  .filter(customer => customer._id !== survivor)
+  .map(customer => customer._id);
+
+// Pick which of the selected customers survives, preview the merge and carry it out
+const CustomerMergeModal = ({ customers, onClose, onMerged }) => {
+  const [survivor, setSurvivor] = useState(customers[0]._id);
+  const [preview, setPreview] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    const loadPreview = async () => {
+      try {
+        setPreview(null);
+        const response = await customersAPI.previewMerge({ survivor, merged: idsOtherThan(customers, survivor) });
+        setPreview(response.data);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to preview merge');
+      }
+    };
+    loadPreview();
+  }, [customers, survivor]);
+
+  const handleMerge = async () => {
+    try {
+      setMerging(true);
+      const merged = idsOtherThan(customers, survivor);
+      const response = await customersAPI.merge({ survivor, merged });
+      const { moved } = response.data;
+      toast.success(`Customers merged: ${describeMoves(moved)} moved`);
+      onMerged(response.data.customer, merged);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to merge customers');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mb-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Merge Customers</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Customer to keep</p>
+            <div className="space-y-1">
+              {customers.map(customer => (
+                <label key={customer._id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="survivor"
+                    checked={survivor === customer._id}
+                    onChange={() => setSurvivor(customer._id)}
+                    className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                  />
+                  {customer.name}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {!preview ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Moved to {preview.survivor.name}, then deleted</p>
+                <ul className="text-sm text-gray-600 space-y-1">
+                  {preview.merged.map(customer => (
+                    <li key={customer._id}>
+                      <span className="font-medium text-gray-900">{customer.name}</span>: {describeMoves(customer.moves)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-700 space-y-1">
+                <p className="font-medium text-gray-900">{preview.result.name} after the merge</p>
+                <p>Business types: {preview.result.businessTypes.map(type => type.section).join(', ') || 'None'}</p>
+                {preview.result.contacts.length > 0 && (
+                  <p>
+                    Contacts: {preview.result.contacts.map(contact => [
+                      contact.name,
+                      contact.email && `<${contact.email}>`,
+                      contact.roles?.length > 0 && `(${contact.roles.map(roleLabel).join(', ')})`
+                    ].filter(Boolean).join(' ')).join('; ')}
+                  </p>
+                )}
+                {preview.result.bookingNote && (
+                  <p className="whitespace-pre-line">Booking note: {preview.result.bookingNote}</p>
+                )}
+                {preview.result.vatNumber && <p>VAT number: {preview.result.vatNumber}</p>}
+              </div>
+
+              <div className="flex items-center text-sm text-yellow-800">
+                <AlertTriangle className="h-4 w-4 mr-2" />
+                The merge is recorded in the audit log but cannot be undone here.
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleMerge}
+              disabled={!preview || merging}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <GitMerge className="h-4 w-4 mr-2" />
+              {merging ? 'Merging...' : `Merge ${customers.length} Customers`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerMergeModal;
\ No newline at end of file
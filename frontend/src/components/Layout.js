@@ -10,12 +10,16 @@ import {
   FileText,
   Truck,
   BarChart3,
+  LayoutGrid,
+  CalendarDays,
+  Receipt,
   Settings,
   LogOut,
   Menu,
   X
 } from 'lucide-react';
 import { logout } from '../store/slices/authSlice';
+import { hasPermission } from '../utils/permissions';
 import { toast } from 'react-toastify';
 
 const Layout = ({ children }) => {
@@ -36,13 +40,16 @@ const Layout = ({ children }) => {
   };
 
   const navigation = [
-    { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
-    { name: 'Customers', href: '/customers', icon: Users },
-    { name: 'Bookings', href: '/bookings', icon: FileText },
-    { name: 'Leaflet Delivery', href: '/leaflet-delivery', icon: Truck },
-    { name: 'Reports', href: '/reports', icon: BarChart3 },
-    { name: 'Settings', href: '/settings', icon: Settings },
-  ];
+    { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard, permission: 'dashboard:view' },
+    { name: 'Customers', href: '/customers', icon: Users, permission: 'customers:view' },
+    { name: 'Bookings', href: '/bookings', icon: FileText, permission: 'bookings:view' },
+    { name: 'Flatplan', href: '/flatplan', icon: LayoutGrid, permission: 'bookings:view' },
+    { name: 'Calendar', href: '/calendar', icon: CalendarDays, permission: 'settings:view' },
+    { name: 'Invoices', href: '/invoices', icon: Receipt, permission: 'invoices:view' },
+    { name: 'Leaflet Delivery', href: '/leaflet-delivery', icon: Truck, permission: 'leaflets:view' },
+    { name: 'Reports', href: '/reports', icon: BarChart3, permission: 'reports:view' },
+    { name: 'Settings', href: '/settings', icon: Settings, permission: 'settings:view' },
+  ].filter((item) => hasPermission(user, item.permission));
 
   const isActive = (path) => location.pathname === path || location.pathname.startsWith(path + '/');
 
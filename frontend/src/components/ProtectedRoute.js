@@ -3,9 +3,10 @@ import { useSelector, useDispatch } from 'react-redux';
 import { Navigate, useLocation } from 'react-router-dom';
 import { logout } from '../store/slices/authSlice';
 import { isAuthenticated, clearAuthData } from '../utils/auth';
+import { hasPermission } from '../utils/permissions';
 import { toast } from 'react-toastify';
 
-const ProtectedRoute = ({ children }) => {
+const ProtectedRoute = ({ children, permission }) => {
   const dispatch = useDispatch();
   const location = useLocation();
   const { user, token } = useSelector((state) => state.auth);
@@ -38,6 +39,11 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Send users whose role lacks the permission back to the dashboard
+  if (permission && user && !hasPermission(user, permission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
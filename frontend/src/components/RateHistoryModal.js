@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { contentSizesAPI } from '../utils/api';
+import { formatMoney, currencySymbol } from '../utils/money';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+const describePeriod = (rate) => {
+  if (!rate.effectiveFrom) {
+    return rate.until ? `Issues closing before ${formatDate(rate.until)}` : 'All issues';
+  }
+
+  const from = rate.effectiveIssue
+    ? `From ${rate.effectiveIssue.name} (closes ${formatDate(rate.effectiveFrom)})`
+    : `From ${formatDate(rate.effectiveFrom)}`;
+  return rate.until ? `${from} until ${formatDate(rate.until)}` : from;
+};
+
+const emptyRate = { magazine: '', price: '', effectiveFrom: '', effectiveIssue: '' };
+
+// Past, current and upcoming rates of a content size in each magazine, with new rates
+// added from an issue or a booking close date so issues already sold keep their price
+const RateHistoryModal = ({ contentSize, canEdit, onClose }) => {
+  const { magazines } = useSelector((state) => state.booking);
+  const [history, setHistory] = useState(null);
+  const [rate, setRate] = useState(emptyRate);
+  const [fromIssue, setFromIssue] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await contentSizesAPI.getRates(contentSize._id);
+        setHistory(response.data);
+      } catch (error) {
+        toast.error('Error fetching rate history');
+      }
+    };
+    fetchHistory();
+  }, [contentSize._id]);
+
+  const selectedMagazine = magazines.find(magazine => magazine._id === rate.magazine);
+  const issues = selectedMagazine?.schedule?.issues || [];
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await contentSizesAPI.addRate(contentSize._id, {
+        magazine: rate.magazine,
+        price: parseFloat(rate.price),
+        ...(fromIssue ? { effectiveIssue: rate.effectiveIssue } : { effectiveFrom: rate.effectiveFrom })
+      });
+      setHistory(response.data);
+      setRate({ ...emptyRate, magazine: rate.magazine });
+      toast.success('Rate added');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Error adding rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rateId) => {
+    if (window.confirm('Remove this rate? The rate before it will apply to its issues again.')) {
+      try {
+        const response = await contentSizesAPI.deleteRate(contentSize._id, rateId);
+        setHistory(response.data);
+        toast.success('Rate removed');
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error removing rate');
+      }
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mb-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Rate History: {contentSize.description}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!history ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {history.map(({ magazine, rates }) => (
+              <div key={magazine._id}>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">{magazine.name}</h4>
+                <table className="min-w-full divide-y divide-gray-200 text-sm border border-gray-200 rounded-md">
+                  <tbody className="divide-y divide-gray-200">
+                    {rates.map(item => (
+                      <tr key={item._id || 'base'} className={item.current ? 'bg-green-50' : ''}>
+                        <td className="px-3 py-2 font-medium text-gray-900 w-24">{formatMoney(item.price, contentSize.currency)}</td>
+                        <td className="px-3 py-2 text-gray-600">
+                          {describePeriod(item)}
+                          {item.current && <span className="ml-2 text-xs font-medium text-green-700">Current</span>}
+                        </td>
+                        <td className="px-3 py-2 text-xs text-gray-500">
+                          {item._id ? `Added ${formatDate(item.createdAt)}${item.createdBy ? ` by ${item.createdBy.name}` : ''}` : 'Base price'}
+                        </td>
+                        <td className="px-3 py-2 text-right w-10">
+                          {canEdit && item._id && (
+                            <button onClick={() => handleDelete(item._id)} className="text-gray-400 hover:text-red-600" title="Remove rate">
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+
+            {canEdit && (
+              <form onSubmit={handleAdd} className="border border-gray-200 rounded-lg p-3 space-y-3">
+                <h4 className="text-sm font-medium text-gray-900">New Rate</h4>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <select
+                    value={rate.magazine}
+                    onChange={(e) => setRate({ ...rate, magazine: e.target.value, effectiveIssue: '' })}
+                    required
+                    className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Select magazine...</option>
+                    {history.map(({ magazine }) => (
+                      <option key={magazine._id} value={magazine._id}>{magazine.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={rate.price}
+                    onChange={(e) => setRate({ ...rate, price: e.target.value })}
+                    required
+                    placeholder={`Price (${currencySymbol(contentSize.currency)})`}
+                    className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  {fromIssue ? (
+                    <select
+                      value={rate.effectiveIssue}
+                      onChange={(e) => setRate({ ...rate, effectiveIssue: e.target.value })}
+                      required
+                      className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">From issue...</option>
+                      {issues.map(issue => (
+                        <option key={issue._id} value={issue._id}>{issue.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="date"
+                      value={rate.effectiveFrom}
+                      onChange={(e) => setRate({ ...rate, effectiveFrom: e.target.value })}
+                      required
+                      className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  )}
+                </div>
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!fromIssue}
+                      onChange={(e) => setFromIssue(!e.target.checked)}
+                      className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    Apply to issues closing from a date instead
+                  </label>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center px-3 py-1 border border-transparent text-sm font-medium rounded-md text-blue-700 bg-blue-100 hover:bg-blue-200 disabled:opacity-50"
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add Rate
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RateHistoryModal;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
 import { 
   BarChart, 
   Bar, 
@@ -25,6 +26,10 @@ import {
   Eye
 } from 'lucide-react';
 import Layout from '../components/Layout';
+import { usePermissions } from '../utils/permissions';
+import { schedulesAPI } from '../utils/api';
+import { ISSUE_DATE_STYLES } from '../utils/issueDates';
+import { formatMoney, formatMoneyShort } from '../utils/money';
 import { 
   fetchDashboardStats, 
   fetchCurrentIssueData, 
@@ -34,7 +39,7 @@ import {
 
 const COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#f97316'];
 
-const StatCard = ({ title, value, icon: Icon, color, change }) => (
+const StatCard = ({ title, value, icon: Icon, color, change, detail }) => (
   <div className="bg-white overflow-hidden shadow rounded-lg">
     <div className="p-5">
       <div className="flex items-center">
@@ -45,8 +50,9 @@ const StatCard = ({ title, value, icon: Icon, color, change }) => (
           <dl>
             <dt className="text-sm font-medium text-gray-500 truncate">{title}</dt>
             <dd className="text-lg font-medium text-gray-900">
-              {typeof value === 'number' && title.includes('£') ? `£${value.toLocaleString()}` : value}
+              {value}
             </dd>
+            {detail && <dd className="text-xs text-gray-500">{detail}</dd>}
           </dl>
         </div>
       </div>
@@ -76,6 +82,9 @@ const BookingDashboard = () => {
   } = useSelector((state) => state.booking);
   
   const [selectedMagazine, setSelectedMagazine] = useState('');
+  const [keyDates, setKeyDates] = useState([]);
+  const { can } = usePermissions();
+  const canViewPrices = can('prices:view');
 
   useEffect(() => {
     dispatch(fetchDashboardStats());
@@ -83,6 +92,13 @@ const BookingDashboard = () => {
     dispatch(fetchMagazines());
   }, [dispatch]);
 
+  // Key dates of every schedule over the next month
+  useEffect(() => {
+    schedulesAPI.getKeyDates()
+      .then(response => setKeyDates(response.data))
+      .catch(error => console.error('Error fetching key dates:', error));
+  }, []);
+
   useEffect(() => {
     if (magazines.length > 0 && !selectedMagazine) {
       setSelectedMagazine(magazines[0]._id);
@@ -95,7 +111,10 @@ const BookingDashboard = () => {
     }
   }, [dispatch, selectedMagazine]);
 
-  const formatCurrency = (value) => `£${value?.toLocaleString()}`;
+  // Dashboard totals are in the organisation's base currency
+  const formatCurrency = (value) => formatMoney(value, dashboardStats.currency);
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
 
   return (
     <Layout>
@@ -139,29 +158,34 @@ const BookingDashboard = () => {
         </div>
 
         {/* Revenue Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          <StatCard
-            title="Booking Revenue"
-            value={formatCurrency(dashboardStats.totalBookingValue || 0)}
-            icon={DollarSign}
-            color="text-green-600"
-            change={dashboardStats.bookingValueChange}
-          />
-          <StatCard
-            title="Leaflet Revenue"
-            value={formatCurrency(dashboardStats.totalLeafletValue || 0)}
-            icon={Truck}
-            color="text-blue-600"
-            change={dashboardStats.leafletValueChange}
-          />
-          <StatCard
-            title="Total Revenue"
-            value={formatCurrency(dashboardStats.totalRevenue || 0)}
-            icon={DollarSign}
-            color="text-yellow-600"
-            change={dashboardStats.totalRevenueChange}
-          />
-        </div>
+        {canViewPrices && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            <StatCard
+              title="Booking Revenue"
+              value={formatCurrency(dashboardStats.totalBookingValue || 0)}
+              icon={DollarSign}
+              color="text-green-600"
+              change={dashboardStats.bookingValueChange}
+              detail={`Net, plus ${formatCurrency(dashboardStats.totalBookingTax || 0)} tax`}
+            />
+            <StatCard
+              title="Leaflet Revenue"
+              value={formatCurrency(dashboardStats.totalLeafletValue || 0)}
+              icon={Truck}
+              color="text-blue-600"
+              change={dashboardStats.leafletValueChange}
+              detail={`Net, plus ${formatCurrency(dashboardStats.totalLeafletTax || 0)} tax`}
+            />
+            <StatCard
+              title="Total Revenue"
+              value={formatCurrency(dashboardStats.totalRevenue || 0)}
+              icon={DollarSign}
+              color="text-yellow-600"
+              change={dashboardStats.totalRevenueChange}
+              detail={`Net, plus ${formatCurrency(dashboardStats.totalTax || 0)} tax (${formatCurrency(dashboardStats.totalGross || 0)} in all)`}
+            />
+          </div>
+        )}
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
           {/* Current Issue Breakdown */}
@@ -190,11 +214,21 @@ const BookingDashboard = () => {
                   <p className="text-sm text-gray-600">
                     Issue: {currentIssueData.currentIssue?.name} • 
                     Total Pages: {currentIssueData.totalPages} • 
-                    Booked: {currentIssueData.totalBookedPages}
+                    Booked: {currentIssueData.totalBookedPages} • 
+                    Provisional: {currentIssueData.provisionalPages || 0}
                   </p>
                   <p className="text-sm text-gray-600">
                     Available: {currentIssueData.unallocatedPages} pages ({((currentIssueData.unallocatedPages / currentIssueData.totalPages) * 100).toFixed(1)}%)
                   </p>
+                  {currentIssueData.currentIssue?.keyDates?.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {currentIssueData.currentIssue.keyDates.map(keyDate => (
+                        <span key={keyDate.key} className={`px-2 py-0.5 rounded text-xs font-medium ${ISSUE_DATE_STYLES[keyDate.key]}`}>
+                          {keyDate.label}: {formatDate(keyDate.date)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 <div className="h-64">
@@ -247,35 +281,63 @@ const BookingDashboard = () => {
           </div>
 
           {/* Publications Revenue */}
-          <div className="bg-white p-6 rounded-lg shadow">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4">Publications Revenue</h2>
-            {publications.length > 0 ? (
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height="100%">
-                  <BarChart data={publications}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis 
-                      dataKey="magazine.name" 
-                      angle={-45}
-                      textAnchor="end"
-                      height={100}
-                      interval={0}
-                    />
-                    <YAxis tickFormatter={(value) => `£${value}`} />
-                    <Tooltip formatter={(value) => [formatCurrency(value), 'Revenue']} />
-                    <Bar dataKey="totalValue" fill="#3b82f6" />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            ) : (
-              <div className="flex items-center justify-center h-64 text-gray-500">
-                <div className="text-center">
-                  <BarChart className="h-8 w-8 mx-auto mb-2" />
-                  <p>No publications data available</p>
+          {canViewPrices && (
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Publications Revenue</h2>
+              {publications.length > 0 ? (
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={publications}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis 
+                        dataKey="magazine.name" 
+                        angle={-45}
+                        textAnchor="end"
+                        height={100}
+                        interval={0}
+                      />
+                      <YAxis tickFormatter={(value) => formatMoneyShort(value, dashboardStats.currency)} />
+                      <Tooltip formatter={(value) => [formatCurrency(value), 'Revenue']} />
+                      <Bar dataKey="totalValue" fill="#3b82f6" />
+                    </BarChart>
+                  </ResponsiveContainer>
                 </div>
-              </div>
-            )}
+              ) : (
+                <div className="flex items-center justify-center h-64 text-gray-500">
+                  <div className="text-center">
+                    <BarChart className="h-8 w-8 mx-auto mb-2" />
+                    <p>No publications data available</p>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Upcoming key dates */}
+        <div className="bg-white p-6 rounded-lg shadow mb-8">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Upcoming Deadlines</h2>
+            <Link to="/calendar" className="text-sm text-blue-600 hover:text-blue-800">View calendar</Link>
           </div>
+          {keyDates.length === 0 ? (
+            <p className="text-sm text-gray-500">No key dates in the next month</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {keyDates.slice(0, 10).map(keyDate => (
+                <li key={`${keyDate.issue._id}:${keyDate.key}`} className="flex items-center justify-between py-2 text-sm">
+                  <div className="flex items-center space-x-3">
+                    <span className="w-16 text-gray-500">{formatDate(keyDate.date)}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${ISSUE_DATE_STYLES[keyDate.key]}`}>{keyDate.label}</span>
+                    <span className="font-medium text-gray-900">{keyDate.issue.name}</span>
+                  </div>
+                  <span className="text-gray-500 truncate ml-4">
+                    {keyDate.magazines.map(magazine => magazine.name).join(', ') || keyDate.schedule.name}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         {/* Publications Summary Table */}
@@ -298,9 +360,11 @@ const BookingDashboard = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Total Bookings
                       </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Total Revenue
-                      </th>
+                      {canViewPrices && (
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Total Revenue
+                        </th>
+                      )}
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Content Types
                       </th>
@@ -315,15 +379,17 @@ const BookingDashboard = () => {
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {pub.totalBookings}
                         </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {formatCurrency(pub.totalValue)}
-                        </td>
+                        {canViewPrices && (
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {formatCurrency(pub.totalValue)}
+                          </td>
+                        )}
                         <td className="px-6 py-4 text-sm text-gray-500">
                           <div className="space-y-1">
                             {pub.contentTypeBreakdown.map((content) => (
                               <div key={content.contentType} className="flex justify-between">
                                 <span>{content.contentType}:</span>
-                                <span>{content.count} ({formatCurrency(content.value)})</span>
+                                <span>{content.count}{canViewPrices && ` (${formatCurrency(content.value)})`}</span>
                               </div>
                             ))}
                           </div>
@@ -1,9 +1,51 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { ArrowLeft, Edit, Trash2, User, Calendar, DollarSign, FileText, MapPin } from 'lucide-react';
+import { ArrowLeft, Edit, Trash2, User, Calendar, DollarSign, FileText, MapPin, History, RotateCcw, Receipt, Download, Mail, Send } from 'lucide-react';
 import Layout from '../components/Layout';
-import { bookingsAPI } from '../utils/api';
+import { bookingsAPI, invoicesAPI, emailsAPI } from '../utils/api';
 import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
+import { STATUS_TRANSITIONS, STATUS_STYLES, BOOKED_STATUSES, SPACE_STATUSES, defaultProvisionalExpiry } from '../utils/bookingStatus';
+import { INVOICE_STATUS_STYLES, openInvoicePdf } from '../utils/invoiceStatus';
+import { OUTBOX_STATUS_STYLES, BOOKING_EMAIL_TEMPLATES } from '../utils/outboxStatus';
+import { findRecipient } from '../utils/customerContacts';
+import { chargeTypeLabel } from '../utils/additionalCharges';
+import { describeTax } from '../utils/tax';
+import { formatMoney } from '../utils/money';
+
+const ARTWORK_STATUSES = ['Awaiting', 'Received', 'Approved'];
+
+const VERSION_ACTIONS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+const FIELD_LABELS = {
+  customer: 'Customer',
+  additionalCharges: 'Additional charges',
+  notes: 'Notes',
+  status: 'Status',
+  totalValue: 'Total value',
+  magazine: 'Magazine',
+  contentSize: 'Size',
+  contentType: 'Type',
+  listPrice: 'List price',
+  discountPercentage: 'Discount %',
+  discountValue: 'Discount',
+  totalPrice: 'Price',
+  startIssue: 'Start issue',
+  finishIssue: 'Finish issue',
+  isOngoing: 'Ongoing',
+  artworkStatus: 'Artwork',
+  type: 'Charge type',
+  description: 'Description',
+  amount: 'Amount',
+  entry: 'For',
+  issue: 'Issue',
+  taxable: 'Taxable'
+};
 
 const BookingDetails = () => {
   const { id } = useParams();
@@ -11,9 +53,23 @@ const BookingDetails = () => {
   const [booking, setBooking] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [provisionalExpiry, setProvisionalExpiry] = useState(defaultProvisionalExpiry());
+  const [history, setHistory] = useState({ versions: [], labels: {} });
+  const [invoices, setInvoices] = useState([]);
+  const [emails, setEmails] = useState([]);
+  const [emailForm, setEmailForm] = useState(null);
+  const { can } = usePermissions();
+  const canViewPrices = can('prices:view');
 
   useEffect(() => {
     loadBookingDetails();
+    loadHistory();
+    if (can('invoices:view')) {
+      loadInvoices();
+    }
+    if (can('emails:send')) {
+      loadEmails();
+    }
   }, [id]);
 
   const loadBookingDetails = async () => {
@@ -30,6 +86,150 @@ const BookingDetails = () => {
     }
   };
 
+  const loadHistory = async () => {
+    try {
+      const response = await bookingsAPI.getHistory(id);
+      setHistory(response.data);
+    } catch (error) {
+      console.error('Error loading booking history:', error);
+    }
+  };
+
+  const loadInvoices = async () => {
+    try {
+      const response = await invoicesAPI.getAll({ booking: id });
+      setInvoices(response.data);
+    } catch (error) {
+      console.error('Error loading booking invoices:', error);
+    }
+  };
+
+  const loadEmails = async () => {
+    try {
+      const response = await emailsAPI.getOutbox({ booking: id });
+      setEmails(response.data.messages);
+    } catch (error) {
+      console.error('Error loading booking emails:', error);
+    }
+  };
+
+  // Pick a template and address it to the customer contact responsible for it
+  const chooseEmailTemplate = (template) => {
+    const recipient = findRecipient(booking.customer, template);
+    setEmailForm(current => ({ template, to: recipient ? recipient.email : current?.to || '' }));
+  };
+
+  const handleSendEmail = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await bookingsAPI.sendEmail(id, emailForm);
+      setEmailForm(null);
+      loadEmails();
+      if (response.data.status === 'Sent') {
+        toast.success('Email sent');
+      } else {
+        toast.warning(`Email queued${response.data.lastError ? `: ${response.data.lastError}` : ''}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to send email');
+    }
+  };
+
+  const handleInvoice = async () => {
+    try {
+      await invoicesAPI.createForBooking(id);
+      loadInvoices();
+      toast.success('Draft invoice created');
+    } catch (error) {
+      console.error('Error invoicing booking:', error);
+      toast.error(error.response?.data?.message || 'Failed to invoice booking');
+    }
+  };
+
+  const handleInvoicePdf = async (invoiceId) => {
+    try {
+      await openInvoicePdf(invoiceId);
+    } catch (error) {
+      toast.error('Failed to open invoice PDF');
+    }
+  };
+
+  // Download the booking confirmation or quote PDF
+  const handleDocument = async (documentType) => {
+    try {
+      const response = await bookingsAPI.getDocument(id, documentType);
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `${documentType}-${id.slice(-8).toUpperCase()}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(`Failed to download ${documentType}`);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore this booking to version ${version.version}? Its current entries will be replaced.`)) {
+      return;
+    }
+
+    try {
+      const response = await bookingsAPI.restoreVersion(id, version._id);
+      setBooking(response.data);
+      loadHistory();
+      toast.success(`Booking restored to version ${version.version}`);
+    } catch (error) {
+      console.error('Error restoring booking version:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore booking version');
+    }
+  };
+
+  // Describe a changed value, using names for ids where they are known
+  const formatChangeValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return history.labels[value] || String(value);
+  };
+
+  // Name of the magazine an entry change belongs to, looked up in the versions' snapshots
+  const getEntryLabel = (entryId) => {
+    for (const version of history.versions) {
+      const entry = version.snapshot?.magazineEntries?.find(e => e._id === entryId);
+      if (entry) return history.labels[entry.magazine] || 'Entry';
+    }
+    return 'Entry';
+  };
+
+  // Description of the additional charge a change belongs to, looked up in the versions' snapshots
+  const getChargeLabel = (chargeId) => {
+    for (const version of history.versions) {
+      const charge = Array.isArray(version.snapshot?.additionalCharges) && version.snapshot.additionalCharges.find(c => c._id === chargeId);
+      if (charge) return charge.description;
+    }
+    return 'Charge';
+  };
+
+  const describeChange = (change) => {
+    if (change.charge) {
+      const prefix = `${getChargeLabel(change.charge)}: `;
+      if (change.field === 'charge') return `${prefix}charge ${change.to}`;
+      if (change.field === 'entry') return `${prefix}${FIELD_LABELS.entry} ${change.from ? getEntryLabel(change.from) : 'whole booking'} → ${change.to ? getEntryLabel(change.to) : 'whole booking'}`;
+      if (change.field === 'type') return `${prefix}${FIELD_LABELS.type} ${chargeTypeLabel(change.from)} → ${chargeTypeLabel(change.to)}`;
+      return `${prefix}${FIELD_LABELS[change.field] || change.field} ${formatChangeValue(change.from)} → ${formatChangeValue(change.to)}`;
+    }
+
+    const prefix = change.entry ? `${getEntryLabel(change.entry)}: ` : '';
+
+    if (change.field === 'entry') {
+      return `${prefix}entry ${change.to}`;
+    }
+
+    return `${prefix}${FIELD_LABELS[change.field] || change.field} ${formatChangeValue(change.from)} → ${formatChangeValue(change.to)}`;
+  };
+
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to delete this booking?')) {
       try {
@@ -43,7 +243,39 @@ const BookingDetails = () => {
     }
   };
 
-  const formatCurrency = (value) => `£${(value || 0).toFixed(2)}`;
+  const handleArtworkStatusChange = async (entryId, artworkStatus) => {
+    try {
+      const response = await bookingsAPI.updateArtworkStatus(id, entryId, artworkStatus);
+      setBooking(response.data);
+      loadHistory();
+      toast.success('Artwork status updated');
+      (response.data.artworkWarnings || []).forEach(warning => toast.warning(warning));
+    } catch (error) {
+      console.error('Error updating artwork status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update artwork status');
+    }
+  };
+
+  const handleStatusChange = async (status) => {
+    const note = status === 'Cancelled' ? window.prompt('Reason for cancelling (optional):') : undefined;
+    if (note === null) return;
+
+    try {
+      const response = await bookingsAPI.updateStatus(id, {
+        status,
+        provisionalExpiresAt: status === 'Provisional' ? provisionalExpiry : undefined,
+        note: note || undefined
+      });
+      setBooking(response.data);
+      loadHistory();
+      toast.success(`Booking moved to ${status}`);
+    } catch (error) {
+      console.error('Error updating booking status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update booking status');
+    }
+  };
+
+  const formatCurrency = (value) => formatMoney(value, booking.currency);
 
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -116,20 +348,60 @@ const BookingDetails = () => {
               </button>
             </div>
             <div className="flex items-center space-x-3">
-              <Link
-                to={`/bookings/edit/${booking._id}`}
-                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-              >
-                <Edit className="h-4 w-4 mr-2" />
-                Edit
-              </Link>
-              <button
-                onClick={handleDelete}
-                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-              >
-                <Trash2 className="h-4 w-4 mr-2" />
-                Delete
-              </button>
+              {SPACE_STATUSES.includes(booking.status) && (
+                <button
+                  onClick={() => handleDocument('confirmation')}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Download className="h-4 w-4 mr-2" />
+                  Confirmation
+                </button>
+              )}
+              {booking.status !== 'Cancelled' && (
+                <button
+                  onClick={() => handleDocument('quote')}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Download className="h-4 w-4 mr-2" />
+                  Quote
+                </button>
+              )}
+              {can('emails:send') && (
+                <button
+                  onClick={() => emailForm ? setEmailForm(null) : chooseEmailTemplate(SPACE_STATUSES.includes(booking.status) ? 'bookingConfirmation' : 'quote')}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Mail className="h-4 w-4 mr-2" />
+                  Email
+                </button>
+              )}
+              {can('invoices:edit') && BOOKED_STATUSES.includes(booking.status) && (
+                <button
+                  onClick={handleInvoice}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Receipt className="h-4 w-4 mr-2" />
+                  Invoice
+                </button>
+              )}
+              {can('bookings:edit') && (
+                <Link
+                  to={`/bookings/edit/${booking._id}`}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Edit className="h-4 w-4 mr-2" />
+                  Edit
+                </Link>
+              )}
+              {can('bookings:delete') && (
+                <button
+                  onClick={handleDelete}
+                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                >
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  Delete
+                </button>
+              )}
             </div>
           </div>
 
@@ -186,20 +458,58 @@ const BookingDetails = () => {
                   <dt className="text-sm font-medium text-gray-500">Total Magazines</dt>
                   <dd className="mt-1 text-sm text-gray-900">{booking.magazineEntries?.length || 0}</dd>
                 </div>
-                <div>
-                  <dt className="text-sm font-medium text-gray-500">Total Amount</dt>
-                  <dd className="mt-1 text-lg font-semibold text-green-600">
-                    {formatCurrency(booking.magazineEntries?.reduce((sum, entry) => sum + (entry.totalPrice || 0), 0))}
-                  </dd>
-                </div>
+                {canViewPrices && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Total Amount</dt>
+                    <dd className="mt-1 text-lg font-semibold text-green-600">
+                      {formatCurrency(booking.grossValue)}
+                    </dd>
+                    <dd className="text-xs text-gray-500">
+                      {formatCurrency(booking.totalValue)} net + {formatCurrency(booking.tax?.amount)} {describeTax(booking.tax)}
+                    </dd>
+                  </div>
+                )}
                 <div>
                   <dt className="text-sm font-medium text-gray-500">Status</dt>
                   <dd className="mt-1">
-                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                      Active
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[booking.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {booking.status}
                     </span>
                   </dd>
                 </div>
+                {booking.status === 'Provisional' && booking.provisionalExpiresAt && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Held Until</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{formatDate(booking.provisionalExpiresAt)}</dd>
+                  </div>
+                )}
+                {can('bookings:edit') && STATUS_TRANSITIONS[booking.status]?.length > 0 && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Move To</dt>
+                    <dd className="mt-2 flex flex-wrap gap-2">
+                      {STATUS_TRANSITIONS[booking.status].map((status) => (
+                        <button
+                          key={status}
+                          onClick={() => handleStatusChange(status)}
+                          className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                          {status}
+                        </button>
+                      ))}
+                    </dd>
+                    {STATUS_TRANSITIONS[booking.status].includes('Provisional') && (
+                      <dd className="mt-2 flex items-center text-xs text-gray-500">
+                        <span className="mr-2">Hold provisional bookings until</span>
+                        <input
+                          type="date"
+                          value={provisionalExpiry}
+                          onChange={(e) => setProvisionalExpiry(e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </dd>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -259,8 +569,13 @@ const BookingDetails = () => {
                           Issues
                         </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
-                          Price
+                          Artwork
                         </th>
+                        {canViewPrices && (
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            Price
+                          </th>
+                        )}
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
@@ -283,14 +598,47 @@ const BookingDetails = () => {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="text-sm text-gray-900">
-                              {formatIssueRange(entry.startIssue, entry.finishIssue, entry.isOngoing)}
+                              {formatIssueRange(entry.startIssue?.name, entry.finishIssue?.name, entry.isOngoing)}
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <div className="text-sm font-medium text-gray-900">
-                              {formatCurrency(entry.totalPrice)}
-                            </div>
+                            {can('artwork:edit') ? (
+                              <select
+                                value={entry.artworkStatus || 'Awaiting'}
+                                onChange={(e) => handleArtworkStatusChange(entry._id, e.target.value)}
+                                className="block w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                              >
+                                {ARTWORK_STATUSES.map((status) => (
+                                  <option key={status} value={status}>{status}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <div className="text-sm text-gray-900">
+                                {entry.artworkStatus || 'Awaiting'}
+                              </div>
+                            )}
                           </td>
+                          {canViewPrices && (
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm font-medium text-gray-900">
+                                {formatCurrency(entry.totalPrice)}
+                              </div>
+                              <div
+                                className="text-xs text-gray-500"
+                                title={entry.pricing?.rules?.map(rule => `${rule.name}: ${rule.percentage}% (${rule.detail})`).join('\n')}
+                              >
+                                {formatCurrency(entry.listPrice)} list
+                                {entry.discountPercentage > 0 && `, ${entry.discountPercentage}% off`}
+                                {entry.discountValue > 0 && `, ${formatCurrency(entry.discountValue)} off`}
+                                {entry.pricing?.commission > 0 && `, ${formatCurrency(entry.pricing.commission)} commission`}
+                              </div>
+                              {entry.pricing?.manualOverride && (
+                                <span className="inline-flex mt-1 px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                                  Manual discount
+                                </span>
+                              )}
+                            </td>
+                          )}
                         </tr>
                       ))}
                     </tbody>
@@ -305,6 +653,237 @@ const BookingDetails = () => {
           </div>
         </div>
 
+        {/* Additional Charges */}
+        {canViewPrices && booking.additionalCharges?.length > 0 && (
+          <div className="mt-6">
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">Additional Charges</h3>
+              </div>
+              <div className="border-t border-gray-200 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">Description</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">Type</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">For</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {booking.additionalCharges.map(charge => {
+                      const entry = charge.entry && booking.magazineEntries?.find(item => item._id === charge.entry);
+
+                      return (
+                        <tr key={charge._id}>
+                          <td className="px-6 py-4 text-sm text-gray-900">{charge.description}</td>
+                          <td className="px-6 py-4 text-sm text-gray-500">{chargeTypeLabel(charge.type)}</td>
+                          <td className="px-6 py-4 text-sm text-gray-500">
+                            {entry ? [entry.magazine?.name, charge.issue?.name].filter(Boolean).join(', ') : 'Whole booking'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {formatCurrency(charge.amount)}
+                            {!charge.taxable && <span className="ml-2 text-xs font-normal text-gray-500">not taxable</span>}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Status History */}
+        {booking.statusHistory?.length > 0 && (
+          <div className="mt-6">
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">Status History</h3>
+                <ul className="mt-4 space-y-3">
+                  {[...booking.statusHistory].reverse().map((change, index) => (
+                    <li key={index} className="flex items-start text-sm">
+                      <Calendar className="h-4 w-4 text-gray-400 mr-2 mt-0.5" />
+                      <div>
+                        <div className="text-gray-900">
+                          {change.from ? `${change.from} → ${change.to}` : `Created as ${change.to}`}
+                        </div>
+                        <div className="text-gray-500">
+                          {new Date(change.changedAt).toLocaleString('en-GB')} by {change.changedBy?.name || 'System'}
+                          {change.note && ` – ${change.note}`}
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Invoices */}
+        {invoices.length > 0 && (
+          <div className="mt-6">
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <div className="flex items-center">
+                  <Receipt className="h-5 w-5 text-gray-400 mr-2" />
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">Invoices</h3>
+                </div>
+                <ul className="mt-4 divide-y divide-gray-200">
+                  {invoices.map(invoice => (
+                    <li key={invoice._id} className="py-2 flex items-center justify-between text-sm">
+                      <div className="flex items-center space-x-3">
+                        <span className="font-medium text-gray-900">{invoice.number || 'Draft'}</span>
+                        <span className={`inline-flex px-2 py-0.5 rounded text-xs font-medium ${INVOICE_STATUS_STYLES[invoice.status]}`}>
+                          {invoice.status}
+                        </span>
+                        <span className="text-gray-500">
+                          {invoice.issue ? invoice.issue.name : `${invoice.lines.length} lines`}
+                        </span>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        {canViewPrices && (
+                          <span className="text-gray-900">
+                            {formatCurrency(invoice.lines
+                              .filter(line => line.booking === booking._id)
+                              .reduce((sum, line) => sum + line.amount, 0))}
+                          </span>
+                        )}
+                        <button
+                          onClick={() => handleInvoicePdf(invoice._id)}
+                          className="text-gray-600 hover:text-gray-900"
+                          title="PDF"
+                        >
+                          <FileText className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Emails */}
+        {(emailForm || emails.length > 0) && (
+          <div className="mt-6">
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <div className="flex items-center">
+                  <Mail className="h-5 w-5 text-gray-400 mr-2" />
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">Emails</h3>
+                </div>
+                {emailForm && (
+                  <form onSubmit={handleSendEmail} className="mt-4 flex flex-wrap items-end gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+                      <select
+                        value={emailForm.template}
+                        onChange={(e) => chooseEmailTemplate(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        {BOOKING_EMAIL_TEMPLATES.map(template => (
+                          <option key={template.key} value={template.key}>{template.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex-1 min-w-[16rem]">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                      <input
+                        type="email"
+                        required
+                        value={emailForm.to}
+                        onChange={(e) => setEmailForm({ ...emailForm, to: e.target.value })}
+                        placeholder="customer@example.com"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <button
+                      type="submit"
+                      className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                      <Send className="h-4 w-4 mr-2" />
+                      Send
+                    </button>
+                  </form>
+                )}
+                {emails.length > 0 && (
+                  <ul className="mt-4 divide-y divide-gray-200">
+                    {emails.map(email => (
+                      <li key={email._id} className="py-2 flex items-center justify-between text-sm">
+                        <div>
+                          <div className="text-gray-900">{email.subject}</div>
+                          <div className="text-gray-500">
+                            To {email.to} · {new Date(email.sentAt || email.createdAt).toLocaleString('en-GB')}
+                            {email.createdBy && ` by ${email.createdBy.name}`}
+                          </div>
+                        </div>
+                        <span
+                          className={`inline-flex px-2 py-0.5 rounded text-xs font-medium ${OUTBOX_STATUS_STYLES[email.status]}`}
+                          title={email.status !== 'Sent' ? email.lastError : undefined}
+                        >
+                          {email.status}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Version History */}
+        {history.versions.length > 0 && (
+          <div className="mt-6">
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+              <div className="px-4 py-5 sm:px-6">
+                <div className="flex items-center">
+                  <History className="h-5 w-5 text-gray-400 mr-2" />
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">Version History</h3>
+                </div>
+                <ol className="relative mt-4 border-l border-gray-200">
+                  {history.versions.map((version, index) => (
+                    <li key={version._id} className="ml-4 mb-6 last:mb-0">
+                      <div className="absolute w-3 h-3 bg-gray-200 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                      <div className="flex items-start justify-between">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            Version {version.version} · {VERSION_ACTIONS[version.action] || version.action}
+                            {version.restoredFrom && ` from version ${version.restoredFrom}`}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {new Date(version.createdAt).toLocaleString('en-GB')} by {version.changedBy?.name || 'System'}
+                          </div>
+                        </div>
+                        {can('bookings:edit') && index > 0 && version.action !== 'delete' && (
+                          <button
+                            onClick={() => handleRestore(version)}
+                            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+                          >
+                            <RotateCcw className="h-3 w-3 mr-1" />
+                            Restore
+                          </button>
+                        )}
+                      </div>
+                      {version.changes?.length > 0 && (
+                        <ul className="mt-2 space-y-1 text-sm text-gray-700">
+                          {version.changes.map((change, changeIndex) => (
+                            <li key={changeIndex}>{describeChange(change)}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Notes Section (if available) */}
         {booking.notes && (
           <div className="mt-6">
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link } from 'react-router-dom';
 import { 
@@ -18,20 +18,46 @@ import {
 } from 'lucide-react';
 import Layout from '../components/Layout';
 import { 
-  fetchBookings, 
-  fetchCustomers, 
   fetchMagazines,
   fetchContentSizes,
   deleteBookingAsync 
 } from '../store/slices/bookingSlice';
 import api, { bookingsAPI } from '../utils/api';
 import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
+import { STATUS_STYLES } from '../utils/bookingStatus';
+import { formatMoney } from '../utils/money';
+
+// Helper function to compare issue names chronologically by their close dates in the schedules
+const compareIssues = (schedules, issueA, issueB) => {
+  const getCloseDate = (name) => {
+    let closeDate = null;
+    schedules.forEach(schedule => {
+      const issue = schedule.issues?.find(i => i.name === name);
+      if (issue && (!closeDate || new Date(issue.closeDate) < closeDate)) {
+        closeDate = new Date(issue.closeDate);
+      }
+    });
+    return closeDate;
+  };
+
+  const dateA = getCloseDate(issueA);
+  const dateB = getCloseDate(issueB);
+
+  if (dateA && dateB && dateA.getTime() !== dateB.getTime()) {
+    return dateA - dateB;
+  }
+
+  return issueA.localeCompare(issueB);
+};
 
 const Bookings = () => {
   const dispatch = useDispatch();
-  const { bookings, customers, magazines, contentSizes } = useSelector((state) => state.booking);
+  const { magazines, contentSizes } = useSelector((state) => state.booking);
+  const { can } = usePermissions();
+  const canViewPrices = can('prices:view');
   const [searchTerm, setSearchTerm] = useState('');
-  const [filteredBookings, setFilteredBookings] = useState([]);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
 
   const [selectedMagazine, setSelectedMagazine] = useState('');
   const [selectedContentSize, setSelectedContentSize] = useState('');
@@ -41,18 +67,20 @@ const Bookings = () => {
   const [selectedIssue, setSelectedIssue] = useState('');
   const [hasSetDefaultIssue, setHasSetDefaultIssue] = useState(false);
 
-  const [flattenedBookings, setFlattenedBookings] = useState([]);
   const [contentTypes, setContentTypes] = useState([]);
-  const [uniqueStartIssues, setUniqueStartIssues] = useState([]);
-  const [uniqueFinishIssues, setUniqueFinishIssues] = useState([]);
   const [uniqueIssues, setUniqueIssues] = useState([]);
   const [schedules, setSchedules] = useState([]);
   const [loading, setLoading] = useState(true);
+
+  // One page of booking entry rows, filtered, sorted and paginated by the server
+  const [rows, setRows] = useState([]);
+  const [totalEntries, setTotalEntries] = useState(0);
+  const [totals, setTotals] = useState({ entries: 0, totalValue: 0, pages: 0 });
+  const [rowsLoading, setRowsLoading] = useState(true);
   
   // Pagination states
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(25);
-  const [paginatedBookings, setPaginatedBookings] = useState([]);
   
   // Sorting states
   const [sortField, setSortField] = useState('');
@@ -73,49 +101,6 @@ const Bookings = () => {
     return () => clearTimeout(fallbackTimer);
   }, [loading]);
 
-  // Helper function to compare issue names chronologically  
-  const compareIssues = (issueA, issueB) => {
-    const monthMap = {
-      'Jan': 1, 'Feb': 2, 'Mar': 3, 'Apr': 4, 'May': 5, 'Jun': 6,
-      'Jul': 7, 'Aug': 8, 'Sep': 9, 'Oct': 10, 'Nov': 11, 'Dec': 12
-    };
-    
-    const parseIssue = (issue) => {
-      const match = issue.match(/^([A-Za-z]{3})(\d{2})$/);
-      if (match) {
-        const month = monthMap[match[1]];
-        const year = parseInt(match[2]);
-        return (2000 + year) * 100 + (month || 0);
-      }
-      return issue; // fallback to string comparison
-    };
-    
-    const valA = parseIssue(issueA);
-    const valB = parseIssue(issueB);
-    
-    if (typeof valA === 'number' && typeof valB === 'number') {
-      return valA - valB;
-    }
-    
-    return issueA.localeCompare(issueB);
-  };
-
-  // Helper function to check if a booking is active during a specific issue
-  const isBookingActiveInIssue = (booking, targetIssue) => {
-    const startIssue = booking.startIssue ? booking.startIssue.toString().trim() : '';
-    const finishIssue = booking.finishIssue ? booking.finishIssue.toString().trim() : '';
-    const targetIssueTrimmed = targetIssue.toString().trim();
-    
-    // If booking is ongoing, it's active if it started at or before the target issue
-    if (booking.isOngoing) {
-      return compareIssues(startIssue, targetIssueTrimmed) <= 0;
-    }
-    
-    // For non-ongoing bookings, check if target issue falls within the start-finish range
-    return compareIssues(startIssue, targetIssueTrimmed) <= 0 && 
-           compareIssues(targetIssueTrimmed, finishIssue) <= 0;
-  };
-
   // Sorting functions
   const handleSort = (field) => {
     if (sortField === field) {
@@ -128,79 +113,6 @@ const Bookings = () => {
     }
   };
 
-  const getSortedBookings = (bookings) => {
-    if (!sortField) return bookings;
-
-    return [...bookings].sort((a, b) => {
-      let aValue, bValue;
-
-      switch (sortField) {
-        case 'customer':
-          aValue = a.customer?.name || '';
-          bValue = b.customer?.name || '';
-          break;
-        case 'magazine':
-          aValue = a.magazine?.name || '';
-          bValue = b.magazine?.name || '';
-          break;
-        case 'size':
-          aValue = a.contentSize?.description || '';
-          bValue = b.contentSize?.description || '';
-          break;
-        case 'type':
-          aValue = a.contentType || '';
-          bValue = b.contentType || '';
-          break;
-        case 'total':
-          aValue = a.total || 0;
-          bValue = b.total || 0;
-          break;
-        case 'start':
-          aValue = a.startIssue || '';
-          bValue = b.startIssue || '';
-          // Use issue comparison for proper chronological sorting
-          if (aValue && bValue) {
-            return sortDirection === 'asc' 
-              ? compareIssues(aValue, bValue)
-              : compareIssues(bValue, aValue);
-          }
-          break;
-        case 'finish':
-          // Handle ongoing bookings specially
-          if (a.isOngoing && !b.isOngoing) return sortDirection === 'asc' ? 1 : -1;
-          if (!a.isOngoing && b.isOngoing) return sortDirection === 'asc' ? -1 : 1;
-          if (a.isOngoing && b.isOngoing) return 0;
-          
-          aValue = a.finishIssue || '';
-          bValue = b.finishIssue || '';
-          // Use issue comparison for proper chronological sorting
-          if (aValue && bValue) {
-            return sortDirection === 'asc' 
-              ? compareIssues(aValue, bValue)
-              : compareIssues(bValue, aValue);
-          }
-          break;
-        default:
-          return 0;
-      }
-
-      // For non-issue fields, use standard comparison
-      if (sortField !== 'start' && sortField !== 'finish') {
-        if (typeof aValue === 'number' && typeof bValue === 'number') {
-          return sortDirection === 'asc' ? aValue - bValue : bValue - aValue;
-        }
-        
-        const comparison = aValue.toString().localeCompare(bValue.toString(), undefined, { 
-          numeric: true, 
-          sensitivity: 'base' 
-        });
-        return sortDirection === 'asc' ? comparison : -comparison;
-      }
-
-      return 0;
-    });
-  };
-
   const getSortIcon = (field) => {
     if (sortField !== field) {
       return <div className="w-4 h-4"></div>; // Invisible placeholder
@@ -341,8 +253,6 @@ const Bookings = () => {
       }, 10000);
 
       await Promise.all([
-        dispatch(fetchBookings()),
-        dispatch(fetchCustomers()),
         dispatch(fetchMagazines()),
         dispatch(fetchContentSizes()),
         loadContentTypes(),
@@ -358,49 +268,14 @@ const Bookings = () => {
   };
 
   useEffect(() => {
-    // Flatten bookings into individual magazine entries for the table
-    const flattened = [];
-    const startIssues = new Set();
-    const finishIssues = new Set();
-    
-    bookings.forEach(booking => {
-      booking.magazineEntries?.forEach(entry => {
-        flattened.push({
-          id: `${booking._id}_${entry._id || entry.magazine}`,
-          bookingId: booking._id,
-          customer: booking.customer,
-          magazine: entry.magazine,
-          contentSize: entry.contentSize,
-          contentType: entry.contentType,
-          total: entry.totalPrice,
-          startIssue: entry.startIssue,
-          finishIssue: entry.finishIssue,
-          isOngoing: entry.isOngoing,
-          createdAt: booking.createdAt
-        });
-        
-        // Collect unique issues - ensure we're working with strings and handle undefined/null values
-        if (entry.startIssue && entry.startIssue.toString().trim()) {
-          startIssues.add(entry.startIssue.toString().trim());
-        }
-        if (entry.finishIssue && !entry.isOngoing && entry.finishIssue.toString().trim()) {
-          finishIssues.add(entry.finishIssue.toString().trim());
-        }
-      });
+    // Offer every issue in the schedules, in chronological order
+    const issueNames = new Set();
+    schedules.forEach(schedule => {
+      schedule.issues?.forEach(issue => issueNames.add(issue.name));
     });
-    
-    setFlattenedBookings(flattened);
-    
-    // Use the helper function for sorting issues
-    const sortIssues = (a, b) => compareIssues(a, b);
-    
-    setUniqueStartIssues(Array.from(startIssues).sort(sortIssues));
-    setUniqueFinishIssues(Array.from(finishIssues).sort(sortIssues));
-    
-    // Combine start and finish issues for the general issues filter
-    const allIssues = new Set([...startIssues, ...finishIssues]);
-    setUniqueIssues(Array.from(allIssues).sort(sortIssues));
-  }, [bookings]);
+
+    setUniqueIssues(Array.from(issueNames).sort((a, b) => compareIssues(schedules, a, b)));
+  }, [schedules]);
 
   // Set default issue filter to current issue when issues are first loaded
   useEffect(() => {
@@ -414,85 +289,56 @@ const Bookings = () => {
     }
   }, [uniqueIssues, schedules, hasSetDefaultIssue]);
 
+  // Wait for the user to stop typing before searching
   useEffect(() => {
-    // Apply all filters
-    let filtered = flattenedBookings;
-
-    // Apply search term (search customers)
-    if (searchTerm) {
-      filtered = filtered.filter(entry =>
-        entry.customer?.name.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    // Apply magazine filter
-    if (selectedMagazine) {
-      filtered = filtered.filter(entry => entry.magazine?._id === selectedMagazine);
-    }
-
-    // Apply content size filter
-    if (selectedContentSize) {
-      filtered = filtered.filter(entry => entry.contentSize?._id === selectedContentSize);
-    }
-
-    // Apply content type filter
-    if (selectedContentType) {
-      filtered = filtered.filter(entry => entry.contentType === selectedContentType);
-    }
-
-    // Apply issue filter (shows bookings active during the selected issue period)
-    if (selectedIssue) {
-      filtered = filtered.filter(entry => {
-        return isBookingActiveInIssue(entry, selectedIssue);
-      });
-    }
-
-    // Apply start issue filter - ensure both values are strings and trimmed
-    if (selectedStartIssue) {
-      filtered = filtered.filter(entry => {
-        const entryStartIssue = entry.startIssue ? entry.startIssue.toString().trim() : '';
-        const selectedStartIssueTrimmed = selectedStartIssue.toString().trim();
-        return entryStartIssue === selectedStartIssueTrimmed;
-      });
-    }
-
-    // Apply finish issue filter - ensure both values are strings and trimmed
-    if (selectedFinishIssue) {
-      if (selectedFinishIssue === 'ONGOING') {
-        // Filter for ongoing entries
-        filtered = filtered.filter(entry => entry.isOngoing === true);
-      } else {
-        // Filter for specific finish issue
-        filtered = filtered.filter(entry => {
-          const entryFinishIssue = entry.finishIssue ? entry.finishIssue.toString().trim() : '';
-          const selectedFinishIssueTrimmed = selectedFinishIssue.toString().trim();
-          return entryFinishIssue === selectedFinishIssueTrimmed;
-        });
-      }
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Query parameters for the current filters and sorting
+  const getListParams = useCallback(() => ({
+    sort: sortField || undefined,
+    direction: sortField ? sortDirection : undefined,
+    search: debouncedSearch || undefined,
+    magazine: selectedMagazine || undefined,
+    contentSize: selectedContentSize || undefined,
+    contentType: selectedContentType || undefined,
+    issue: selectedIssue || undefined,
+    startIssue: selectedStartIssue || undefined,
+    finishIssue: selectedFinishIssue || undefined
+  }), [sortField, sortDirection, debouncedSearch, selectedMagazine, selectedContentSize, selectedContentType, selectedIssue, selectedStartIssue, selectedFinishIssue]);
+
+  const fetchRows = useCallback(async () => {
+    try {
+      setRowsLoading(true);
+      const response = await bookingsAPI.getAll({ ...getListParams(), page: currentPage, limit: itemsPerPage });
+      setRows(response.data.rows);
+      setTotalEntries(response.data.total);
+      setTotals(response.data.totals);
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      toast.error(error.response?.data?.message || 'Error loading bookings');
+    } finally {
+      setRowsLoading(false);
     }
+  }, [getListParams, currentPage, itemsPerPage]);
 
-
-
-    setFilteredBookings(filtered);
-  }, [flattenedBookings, searchTerm, selectedMagazine, selectedContentSize, selectedContentType, selectedIssue, selectedStartIssue, selectedFinishIssue]);
-
-  // Pagination effect (with sorting applied)
+  // Wait for the default issue filter before the first fetch
   useEffect(() => {
-    const sortedBookings = getSortedBookings(filteredBookings);
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    setPaginatedBookings(sortedBookings.slice(startIndex, endIndex));
-  }, [filteredBookings, currentPage, itemsPerPage, sortField, sortDirection]);
+    if (hasSetDefaultIssue || (!loading && uniqueIssues.length === 0)) {
+      fetchRows();
+    }
+  }, [fetchRows, hasSetDefaultIssue, loading, uniqueIssues.length]);
 
   // Reset to first page when filters or sorting changes
   useEffect(() => {
     setCurrentPage(1);
-  }, [searchTerm, selectedMagazine, selectedContentSize, selectedContentType, selectedIssue, selectedStartIssue, selectedFinishIssue, sortField, sortDirection]);
+  }, [debouncedSearch, selectedMagazine, selectedContentSize, selectedContentType, selectedIssue, selectedStartIssue, selectedFinishIssue, sortField, sortDirection]);
 
   // Pagination calculations
-  const totalPages = Math.ceil(filteredBookings.length / itemsPerPage);
+  const totalPages = Math.ceil(totalEntries / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage + 1;
-  const endIndex = Math.min(currentPage * itemsPerPage, filteredBookings.length);
+  const endIndex = Math.min(currentPage * itemsPerPage, totalEntries);
 
   // Pagination handlers
   const handlePageChange = (newPage) => {
@@ -547,17 +393,8 @@ const Bookings = () => {
 
   const loadContentTypes = async () => {
     try {
-      const response = await bookingsAPI.getAll();
-      // Extract unique content types from existing bookings
-      const types = new Set();
-      response.data.forEach(booking => {
-        booking.magazineEntries?.forEach(entry => {
-          if (entry.contentType) {
-            types.add(entry.contentType);
-          }
-        });
-      });
-      setContentTypes(Array.from(types).sort());
+      const response = await api.get('/content-types');
+      setContentTypes(response.data.map(type => type.name));
     } catch (error) {
       console.error('Error loading content types:', error);
       // Fallback to default content types
@@ -570,6 +407,7 @@ const Bookings = () => {
       try {
         await dispatch(deleteBookingAsync(bookingId)).unwrap();
         toast.success('Booking deleted successfully');
+        fetchRows();
       } catch (error) {
         console.error('Error deleting booking:', error);
         toast.error(error || 'Error deleting booking');
@@ -596,10 +434,6 @@ const Bookings = () => {
     }
   };
 
-
-
-  const formatCurrency = (value) => `£${(value || 0).toFixed(2)}`;
-
   const formatIssueRange = (startIssue, finishIssue, isOngoing) => {
     if (isOngoing) {
       return `${startIssue} Ongoing`;
@@ -610,39 +444,44 @@ const Bookings = () => {
     return startIssue;
   };
 
-  // Calculate totals
-  const totalValue = filteredBookings.reduce((sum, entry) => sum + (entry.total || 0), 0);
-  const totalSize = filteredBookings.reduce((sum, entry) => sum + (entry.contentSize?.size || 0), 0);
+  // Export to CSV functionality: fetches every matching entry, a page at a time
+  const exportToCSV = async () => {
+    const entries = [];
+    try {
+      for (let page = 1; page === 1 || entries.length < totalEntries; page++) {
+        const response = await bookingsAPI.getAll({ ...getListParams(), page, limit: 100 });
+        entries.push(...response.data.rows);
+        if (response.data.rows.length === 0) break;
+      }
+    } catch (error) {
+      console.error('Error exporting bookings:', error);
+      toast.error('Error exporting bookings');
+      return;
+    }
 
-  // Export to CSV functionality
-  const exportToCSV = () => {
     const headers = [
       'Customer',
       'Magazine', 
       'Size',
       'Type',
-      'Total',
+      ...(canViewPrices ? ['Total', 'Currency'] : []),
       'Start Issue',
       'Finish Issue',
+      'Status',
       'Additional Notes'
     ];
 
-    const csvData = filteredBookings.map(entry => {
-      // Find the original booking to get the notes
-      const originalBooking = bookings.find(booking => booking._id === entry.bookingId);
-      const additionalNotes = originalBooking?.notes || '';
-
-      return [
-        entry.customer?.name || '',
-        entry.magazine?.name || '',
-        entry.contentSize?.description || '',
-        entry.contentType || '',
-        (entry.total || 0).toFixed(2),
-        entry.startIssue || '',
-        entry.isOngoing ? 'Ongoing' : (entry.finishIssue || ''),
-        additionalNotes
-      ];
-    });
+    const csvData = entries.map(entry => [
+      entry.customer?.name || '',
+      entry.magazine?.name || '',
+      entry.contentSize?.description || '',
+      entry.contentType || '',
+      ...(canViewPrices ? [(entry.totalPrice || 0).toFixed(2), entry.currency || ''] : []),
+      entry.startIssue?.name || '',
+      entry.isOngoing ? 'Ongoing' : (entry.finishIssue?.name || ''),
+      entry.status || '',
+      entry.notes || ''
+    ]);
 
     const csvContent = [
       headers.join(','),
@@ -669,13 +508,15 @@ const Bookings = () => {
             <h1 className="text-3xl font-bold text-gray-900">Bookings</h1>
             <p className="mt-2 text-gray-600">Manage your magazine space bookings</p>
           </div>
-          <Link
-            to="/bookings/new"
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add/Edit Booking
-          </Link>
+          {can('bookings:create') && (
+            <Link
+              to="/bookings/new"
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add/Edit Booking
+            </Link>
+          )}
         </div>
 
         {/* Search and Filters */}
@@ -691,7 +532,7 @@ const Bookings = () => {
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
-                placeholder="Search Customers"
+                placeholder="Search customers, magazines, sizes, types or notes"
               />
             </div>
           </div>
@@ -774,7 +615,7 @@ const Bookings = () => {
                 className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
               >
                 <option value="">All Start Issues</option>
-                {uniqueStartIssues.map((issue) => (
+                {uniqueIssues.map((issue) => (
                   <option key={issue} value={issue}>
                     {issue}
                   </option>
@@ -791,7 +632,7 @@ const Bookings = () => {
               >
                 <option value="">All Finish Issues</option>
                 <option value="ONGOING">Ongoing</option>
-                {uniqueFinishIssues.map((issue) => (
+                {uniqueIssues.map((issue) => (
                   <option key={issue} value={issue}>
                     {issue}
                   </option>
@@ -817,18 +658,20 @@ const Bookings = () => {
         {/* Results Summary and Export */}
         <div className="mt-4 space-y-3">
           {/* Summary Statistics */}
-          {filteredBookings.length > 0 && (
-            <div className="bg-gray-50 rounded-lg p-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {totalEntries > 0 && (
+            <div className={`bg-gray-50 rounded-lg p-4 grid grid-cols-1 ${canViewPrices ? 'sm:grid-cols-3' : 'sm:grid-cols-2'} gap-4`}>
               <div className="text-center">
-                <div className="text-lg font-semibold text-gray-900">{filteredBookings.length}</div>
+                <div className="text-lg font-semibold text-gray-900">{totals.entries}</div>
                 <div className="text-sm text-gray-500">Total Entries</div>
               </div>
+              {canViewPrices && (
+                <div className="text-center">
+                  <div className="text-lg font-semibold text-green-600">{formatMoney(totals.totalValue, totals.currency)}</div>
+                  <div className="text-sm text-gray-500">Total Value</div>
+                </div>
+              )}
               <div className="text-center">
-                <div className="text-lg font-semibold text-green-600">{formatCurrency(totalValue)}</div>
-                <div className="text-sm text-gray-500">Total Value</div>
-              </div>
-              <div className="text-center">
-                <div className="text-lg font-semibold text-blue-600">{totalPages}</div>
+                <div className="text-lg font-semibold text-blue-600">{totals.pages}</div>
                 <div className="text-sm text-gray-500">Total Pages</div>
               </div>
             </div>
@@ -837,12 +680,9 @@ const Bookings = () => {
           {/* Pagination and Export */}
           <div className="flex justify-between items-center">
             <div className="text-sm text-gray-500">
-              {filteredBookings.length > 0 ? (
+              {totalEntries > 0 ? (
                 <>
-                  Showing {startIndex}-{endIndex} of {filteredBookings.length} booking entries
-                                   {flattenedBookings.length !== filteredBookings.length && (
-                     <span> (filtered from {flattenedBookings.length} total)</span>
-                   )}
+                  Showing {startIndex}-{endIndex} of {totalEntries} booking entries
                                     {(searchTerm || selectedMagazine || selectedContentSize || selectedContentType || selectedIssue || selectedStartIssue || selectedFinishIssue) && (
                    <span> with active filters</span>
                  )}
@@ -852,7 +692,7 @@ const Bookings = () => {
               )}
             </div>
             
-            {filteredBookings.length > 0 && (
+            {totalEntries > 0 && (
               <button
                 onClick={exportToCSV}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -865,12 +705,12 @@ const Bookings = () => {
         </div>
         {/* Bookings Table */}
         <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
-          {loading && bookings.length === 0 ? (
+          {rowsLoading && rows.length === 0 ? (
             <div className="text-center py-12">
               <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
               <p className="text-gray-600 mt-2">Loading bookings...</p>
             </div>
-          ) : paginatedBookings.length === 0 ? (
+          ) : rows.length === 0 ? (
             <div className="text-center py-12">
               <FileText className="mx-auto h-12 w-12 text-gray-400" />
               <h3 className="mt-2 text-sm font-medium text-gray-900">No bookings found</h3>
@@ -921,15 +761,17 @@ const Bookings = () => {
                         {getSortIcon('type')}
                       </div>
                     </th>
-                    <th 
-                      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide cursor-pointer hover:bg-gray-100 select-none"
-                      onClick={() => handleSort('total')}
-                    >
-                      <div className="flex items-center justify-between">
-                        Total
-                        {getSortIcon('total')}
-                      </div>
-                    </th>
+                    {canViewPrices && (
+                      <th 
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide cursor-pointer hover:bg-gray-100 select-none"
+                        onClick={() => handleSort('total')}
+                      >
+                        <div className="flex items-center justify-between">
+                          Total
+                          {getSortIcon('total')}
+                        </div>
+                      </th>
+                    )}
                     <th 
                       className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide cursor-pointer hover:bg-gray-100 select-none"
                       onClick={() => handleSort('start')}
@@ -954,12 +796,15 @@ const Bookings = () => {
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {paginatedBookings.map((entry) => (
+                  {rows.map((entry) => (
                     <tr key={entry.id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm font-medium text-gray-900">
                           {entry.customer?.name}
                         </div>
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[entry.status] || 'bg-gray-100 text-gray-800'}`}>
+                          {entry.status}
+                        </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
@@ -976,14 +821,16 @@ const Bookings = () => {
                           {entry.contentType}
                         </div>
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">
-                          {formatCurrency(entry.total)}
-                        </div>
-                      </td>
+                      {canViewPrices && (
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">
+                            {formatMoney(entry.totalPrice, entry.currency)}
+                          </div>
+                        </td>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
-                          {entry.startIssue}
+                          {entry.startIssue?.name}
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -993,7 +840,7 @@ const Bookings = () => {
                               Ongoing
                             </span>
                           ) : (
-                            entry.finishIssue || '-'
+                            entry.finishIssue?.name || '-'
                           )}
                         </div>
                       </td>
@@ -1006,20 +853,24 @@ const Bookings = () => {
                           >
                             <Eye className="h-4 w-4" />
                           </Link>
-                          <Link
-                            to={`/bookings/edit/${entry.bookingId}`}
-                            className="text-yellow-600 hover:text-yellow-900"
-                            title="Edit Booking"
-                          >
-                            <Edit className="h-4 w-4" />
-                          </Link>
-                          <button
-                            onClick={() => handleDeleteBooking(entry.bookingId)}
-                            className="text-red-600 hover:text-red-900"
-                            title="Delete Booking"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                          </button>
+                          {can('bookings:edit') && (
+                            <Link
+                              to={`/bookings/edit/${entry.bookingId}`}
+                              className="text-yellow-600 hover:text-yellow-900"
+                              title="Edit Booking"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </Link>
+                          )}
+                          {can('bookings:delete') && (
+                            <button
+                              onClick={() => handleDeleteBooking(entry.bookingId)}
+                              className="text-red-600 hover:text-red-900"
+                              title="Delete Booking"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -1029,7 +880,7 @@ const Bookings = () => {
             </div>
           )}
           
-          {flattenedBookings.length > 0 && (
+          {totalEntries > 0 && (
             <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
               {/* Items per page selector */}
               <div className="flex items-center space-x-2">
@@ -22,10 +22,13 @@ import {
 } from '../store/slices/bookingSlice';
 import { businessTypesAPI } from '../utils/api';
 import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
 
 const BusinessTypes = () => {
   const dispatch = useDispatch();
   const { businessTypes, loading } = useSelector((state) => state.booking);
+  const { can } = usePermissions();
+  const canEdit = can('settings:edit');
   const [searchTerm, setSearchTerm] = useState('');
   const [filteredBusinessTypes, setFilteredBusinessTypes] = useState([]);
   const [showArchived, setShowArchived] = useState(false);
@@ -240,23 +243,27 @@ const BusinessTypes = () => {
             Template
           </button>
           
-          <button
-            onClick={() => fileInputRef.current?.click()}
-            disabled={isImporting}
-            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
-          >
-            <Upload className="h-4 w-4 mr-2" />
-            {isImporting ? 'Importing...' : 'Import CSV'}
-          </button>
-          
-          <button
-            onClick={() => setIsAddingNew(true)}
-            disabled={isAddingNew}
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add Business Type
-          </button>
+          {canEdit && (
+            <>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isImporting}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <Upload className="h-4 w-4 mr-2" />
+                {isImporting ? 'Importing...' : 'Import CSV'}
+              </button>
+              
+              <button
+                onClick={() => setIsAddingNew(true)}
+                disabled={isAddingNew}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Business Type
+              </button>
+            </>
+          )}
         </div>
       </div>
 
@@ -400,7 +407,7 @@ const BusinessTypes = () => {
                             <X className="h-4 w-4" />
                           </button>
                         </div>
-                      ) : (
+                      ) : canEdit && (
                         <div className="flex justify-end space-x-2">
                           <button
                             onClick={() => handleArchiveToggle(businessType)}
@@ -440,7 +447,7 @@ const BusinessTypes = () => {
                     <p className="mt-1 text-sm text-gray-500">
                       {searchTerm ? 'Try adjusting your search terms.' : 'Get started by creating your first business type.'}
                     </p>
-                    {!searchTerm && !isAddingNew && (
+                    {!searchTerm && !isAddingNew && canEdit && (
                       <div className="mt-6">
                         <button
                           onClick={() => setIsAddingNew(true)}
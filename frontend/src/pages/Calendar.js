@@ -0,0 +1,129 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import CalendarFeedPanel from '../components/CalendarFeedPanel';
+import { schedulesAPI } from '../utils/api';
+import { ISSUE_DATES, ISSUE_DATE_STYLES, toDateInput } from '../utils/issueDates';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// The six weeks shown for a month, starting on the Monday on or before its first day
+const monthGrid = (month) => {
+  const first = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), 1));
+  const start = new Date(first.getTime() - ((first.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+  return Array.from({ length: 42 }, (_, index) => new Date(start.getTime() + index * 24 * 60 * 60 * 1000));
+};
+
+const describeKeyDate = (keyDate) => [
+  `${keyDate.issue.name}: ${keyDate.label}`,
+  keyDate.schedule.name,
+  keyDate.magazines.map(magazine => magazine.name).join(', ')
+].filter(Boolean).join('\n');
+
+// Month calendar of the key dates of every schedule's issues
+const Calendar = () => {
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(Date.UTC(today.getFullYear(), today.getMonth(), 1));
+  });
+  const [keyDates, setKeyDates] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const days = monthGrid(month);
+
+  const fetchKeyDates = useCallback(async () => {
+    const grid = monthGrid(month);
+    try {
+      setLoading(true);
+      const response = await schedulesAPI.getKeyDates({
+        from: toDateInput(grid[0]),
+        to: toDateInput(grid[grid.length - 1])
+      });
+      setKeyDates(response.data);
+    } catch (error) {
+      toast.error('Error fetching key dates');
+    } finally {
+      setLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    fetchKeyDates();
+  }, [fetchKeyDates]);
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + offset, 1)));
+  };
+
+  const todayKey = toDateInput(new Date(Date.UTC(new Date().getFullYear(), new Date().getMonth(), new Date().getDate())));
+
+  return (
+    <Layout>
+      <div className="px-4 sm:px-6 lg:px-8 space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap justify-between items-center gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Calendar</h1>
+            <p className="mt-2 text-gray-600">Booking close, artwork, proof, print and on-sale dates of every issue</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={() => changeMonth(-1)} className="p-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">
+              <ChevronLeft className="h-4 w-4" />
+            </button>
+            <span className="w-40 text-center font-medium text-gray-900">
+              {month.toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+            </span>
+            <button onClick={() => changeMonth(1)} className="p-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">
+              <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {ISSUE_DATES.map(date => (
+            <span key={date.key} className={`px-2 py-1 rounded text-xs font-medium ${date.style}`}>{date.label}</span>
+          ))}
+        </div>
+
+        <div className={`bg-white shadow rounded-lg overflow-hidden ${loading ? 'opacity-50' : ''}`}>
+          <div className="grid grid-cols-7 bg-gray-50 border-b border-gray-200">
+            {WEEKDAYS.map(day => (
+              <div key={day} className="px-2 py-2 text-xs font-medium text-gray-500 uppercase text-center">{day}</div>
+            ))}
+          </div>
+          <div className="grid grid-cols-7">
+            {days.map(day => {
+              const key = toDateInput(day);
+              const events = keyDates.filter(keyDate => toDateInput(keyDate.date) === key);
+              const inMonth = day.getUTCMonth() === month.getUTCMonth();
+
+              return (
+                <div key={key} className={`min-h-24 p-1 border-b border-r border-gray-100 ${inMonth ? '' : 'bg-gray-50'}`}>
+                  <div className={`text-xs mb-1 ${key === todayKey ? 'font-bold text-blue-600' : inMonth ? 'text-gray-700' : 'text-gray-400'}`}>
+                    {day.getUTCDate()}
+                  </div>
+                  <div className="space-y-1">
+                    {events.map(keyDate => (
+                      <div
+                        key={`${keyDate.issue._id}:${keyDate.key}`}
+                        title={describeKeyDate(keyDate)}
+                        className={`px-1 py-0.5 rounded text-xs truncate ${ISSUE_DATE_STYLES[keyDate.key]}`}
+                      >
+                        {keyDate.issue.name} {keyDate.label.toLowerCase()}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <CalendarFeedPanel />
+      </div>
+    </Layout>
+  );
+};
+
+export default Calendar;
\ No newline at end of file
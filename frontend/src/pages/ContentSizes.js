@@ -12,7 +12,8 @@ import {
   X,
   Archive,
   ArchiveRestore,
-  Wrench
+  Wrench,
+  History
 } from 'lucide-react';
 
 import { 
@@ -24,6 +25,9 @@ import {
 } from '../store/slices/bookingSlice';
 import { contentSizesAPI } from '../utils/api';
 import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
+import RateHistoryModal from '../components/RateHistoryModal';
+import { formatMoney, currencySymbol } from '../utils/money';
 
 const contentSizeSchema = yup.object().shape({
   description: yup.string().required('Description is required'),
@@ -84,6 +88,10 @@ const ContentSizeModal = ({ contentSize, onClose, onSave }) => {
     reset(formatContentSizeForEdit(contentSize));
   }, [contentSize, reset]);
 
+  // Magazines with rates keep their base price; later prices are added as rates
+  const hasRates = (magazineId) => contentSize?.pricing.some(p =>
+    (typeof p.magazine === 'object' ? p.magazine._id : p.magazine) === magazineId && p.rates?.length > 0);
+
   const availableMagazines = magazines.filter(mag => 
     !fields.some(field => field.magazine === mag._id)
   );
@@ -145,6 +153,11 @@ const ContentSizeModal = ({ contentSize, onClose, onSave }) => {
                 </button>
               )}
             </div>
+            {contentSize && (
+              <p className="text-xs text-gray-500 mb-3">
+                These are the base prices. To change the price for later issues without changing issues already sold, add a rate in the rate history. Base prices of magazines with rates cannot be changed.
+              </p>
+            )}
             
             <div className="space-y-3 max-h-60 overflow-y-auto">
               {fields.map((field, index) => (
@@ -185,13 +198,14 @@ const ContentSizeModal = ({ contentSize, onClose, onSave }) => {
                     
                     <div>
                       <label className="block text-xs font-medium text-gray-700 mb-1">
-                        Price (£)
+                        {contentSize ? `Base Price (${currencySymbol(contentSize.currency)})` : 'Price (base currency)'}
                       </label>
                       <input
                         type="number"
                         step="0.01"
                         {...register(`pricing.${index}.price`)}
-                        className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                        readOnly={hasRates(watch(`pricing.${index}.magazine`))}
+                        className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 read-only:bg-gray-50 read-only:text-gray-500"
                         placeholder="e.g. 50.00"
                       />
                       {errors.pricing?.[index]?.price && (
@@ -231,11 +245,15 @@ const ContentSizeModal = ({ contentSize, onClose, onSave }) => {
 const ContentSizes = () => {
   const dispatch = useDispatch();
   const { contentSizes, magazines, loading } = useSelector((state) => state.booking);
+  const { can } = usePermissions();
+  const canEdit = can('rateCards:edit');
+  const canViewPrices = can('prices:view');
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingContentSize, setEditingContentSize] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filteredContentSizes, setFilteredContentSizes] = useState([]);
   const [showArchived, setShowArchived] = useState(false);
+  const [historyContentSize, setHistoryContentSize] = useState(null);
 
   useEffect(() => {
     // Load magazines first, then content sizes to ensure proper data availability
@@ -386,23 +404,25 @@ const ContentSizes = () => {
             </div>
           </div>
           
-          <div className="flex space-x-3">
-            <button
-              onClick={handleCleanup}
-              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-              title="Clean up invalid magazine references"
-            >
-              <Wrench className="h-4 w-4 mr-2" />
-              Fix Data
-            </button>
-            <button
-              onClick={() => openModal()}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-            >
-              <Plus className="h-4 w-4 mr-2" />
-              Add Content Size
-            </button>
-          </div>
+          {canEdit && (
+            <div className="flex space-x-3">
+              <button
+                onClick={handleCleanup}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                title="Clean up invalid magazine references"
+              >
+                <Wrench className="h-4 w-4 mr-2" />
+                Fix Data
+              </button>
+              <button
+                onClick={() => openModal()}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Content Size
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Content Sizes List */}
@@ -438,41 +458,56 @@ const ContentSizes = () => {
                               {contentSize.size} pages
                             </span>
                           </div>
-                          <div className="mt-2">
-                            <div className="flex flex-wrap gap-2">
-                              {contentSize.pricing.map((pricing, index) => (
-                                <div key={index} className="flex items-center text-xs text-gray-600 bg-green-50 rounded-full px-2 py-1">
-                                  {getMagazineName(pricing.magazine)}: £{pricing.price}
-                                </div>
-                              ))}
+                          {canViewPrices && (
+                            <div className="mt-2">
+                              <div className="flex flex-wrap gap-2">
+                                {contentSize.pricing.map((pricing, index) => (
+                                  <div key={index} className="flex items-center text-xs text-gray-600 bg-green-50 rounded-full px-2 py-1">
+                                    {getMagazineName(pricing.magazine)}: {formatMoney(pricing.currentPrice ?? pricing.price, contentSize.currency)}
+                                  </div>
+                                ))}
+                              </div>
                             </div>
-                          </div>
+                          )}
                         </div>
                       </div>
                       <div className="flex items-center space-x-2">
-                        <button
-                          onClick={() => handleArchiveToggle(contentSize)}
-                          className={`p-2 focus:outline-none focus:ring-2 rounded-md ${
-                            contentSize.archived 
-                              ? 'text-gray-400 hover:text-green-600 focus:ring-green-500' 
-                              : 'text-gray-400 hover:text-yellow-600 focus:ring-yellow-500'
-                          }`}
-                          title={contentSize.archived ? 'Unarchive' : 'Archive'}
-                        >
-                          {contentSize.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
-                        </button>
-                        <button
-                          onClick={() => openModal(contentSize)}
-                          className="p-2 text-gray-400 hover:text-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-md"
-                        >
-                          <Edit className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(contentSize._id)}
-                          className="p-2 text-gray-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 rounded-md"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
+                        {canViewPrices && (
+                          <button
+                            onClick={() => setHistoryContentSize(contentSize)}
+                            className="p-2 text-gray-400 hover:text-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-md"
+                            title="Rate history"
+                          >
+                            <History className="h-4 w-4" />
+                          </button>
+                        )}
+                        {canEdit && (
+                          <>
+                            <button
+                              onClick={() => handleArchiveToggle(contentSize)}
+                              className={`p-2 focus:outline-none focus:ring-2 rounded-md ${
+                                contentSize.archived 
+                                  ? 'text-gray-400 hover:text-green-600 focus:ring-green-500' 
+                                  : 'text-gray-400 hover:text-yellow-600 focus:ring-yellow-500'
+                              }`}
+                              title={contentSize.archived ? 'Unarchive' : 'Archive'}
+                            >
+                              {contentSize.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                            </button>
+                            <button
+                              onClick={() => openModal(contentSize)}
+                              className="p-2 text-gray-400 hover:text-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-md"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(contentSize._id)}
+                              className="p-2 text-gray-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 rounded-md"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -487,7 +522,7 @@ const ContentSizes = () => {
             <p className="mt-1 text-sm text-gray-500">
               {searchTerm ? 'Try adjusting your search terms.' : 'Get started by creating your first content size.'}
             </p>
-            {!searchTerm && (
+            {!searchTerm && canEdit && (
               <div className="mt-6">
                 <button
                   onClick={() => openModal()}
@@ -501,6 +536,17 @@ const ContentSizes = () => {
           </div>
         )}
 
+        {historyContentSize && (
+          <RateHistoryModal
+            contentSize={historyContentSize}
+            canEdit={canEdit}
+            onClose={() => {
+              setHistoryContentSize(null);
+              dispatch(fetchContentSizes(showArchived));
+            }}
+          />
+        )}
+
         {/* Modal */}
         {isModalOpen && (
           <ContentSizeModal
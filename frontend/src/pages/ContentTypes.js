@@ -14,17 +14,24 @@ import {
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import api from '../utils/api';
+import { usePermissions } from '../utils/permissions';
 
 const contentTypeSchema = yup.object().shape({
   name: yup.string().required('Name is required'),
-  description: yup.string()
+  description: yup.string(),
+  exclusive: yup.boolean(),
+  maxPerIssue: yup.number()
+    .typeError('Must be a number')
+    .integer('Must be a whole number')
+    .min(1, 'Must be at least 1')
 });
 
 const ContentTypeModal = ({ contentType, onClose, onSave }) => {
-  const { register, handleSubmit, formState: { errors }, reset } = useForm({
+  const { register, handleSubmit, formState: { errors }, reset, watch } = useForm({
     resolver: yupResolver(contentTypeSchema),
-    defaultValues: contentType || { name: '', description: '' }
+    defaultValues: contentType || { name: '', description: '', exclusive: false, maxPerIssue: 1 }
   });
+  const exclusive = watch('exclusive');
 
   useEffect(() => {
     if (contentType) {
@@ -94,6 +101,41 @@ const ContentTypeModal = ({ contentType, onClose, onSave }) => {
             )}
           </div>
 
+          <div>
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="exclusive"
+                {...register('exclusive')}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <label htmlFor="exclusive" className="ml-2 block text-sm text-gray-700">
+                Exclusive position
+              </label>
+            </div>
+            <p className="text-gray-500 text-xs mt-1">
+              Limits how many bookings can take this content type in the same issue (e.g. Front Cover)
+            </p>
+          </div>
+
+          {exclusive && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Maximum Per Issue *
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                {...register('maxPerIssue')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              {errors.maxPerIssue && (
+                <p className="text-red-600 text-sm mt-1">{errors.maxPerIssue.message}</p>
+              )}
+            </div>
+          )}
+
           <div className="flex justify-end space-x-3 pt-4">
             <button
               type="button"
@@ -122,6 +164,8 @@ const ContentTypes = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [editingContentType, setEditingContentType] = useState(null);
+  const { can } = usePermissions();
+  const canEdit = can('settings:edit');
   const [showArchived, setShowArchived] = useState(false);
 
   useEffect(() => {
@@ -203,13 +247,15 @@ const ContentTypes = () => {
             Manage content types for your bookings (e.g. Advert, Article, Editorial)
           </p>
         </div>
-        <button
-          onClick={handleAdd}
-          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Add Content Type
-        </button>
+        {canEdit && (
+          <button
+            onClick={handleAdd}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Content Type
+          </button>
+        )}
       </div>
 
       {/* Search and Filter */}
@@ -249,7 +295,7 @@ const ContentTypes = () => {
             <p className="mt-1 text-sm text-gray-500">
               {searchTerm ? 'Try adjusting your search criteria.' : 'Get started by creating your first content type.'}
             </p>
-            {!searchTerm && (
+            {!searchTerm && canEdit && (
               <div className="mt-6">
                 <button
                   onClick={handleAdd}
@@ -275,6 +321,11 @@ const ContentTypes = () => {
                             Default
                           </span>
                         )}
+                        {contentType.exclusive && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800">
+                            Exclusive ({contentType.maxPerIssue} per issue)
+                          </span>
+                        )}
                         {contentType.archived && (
                           <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">
                             Archived
@@ -288,36 +339,38 @@ const ContentTypes = () => {
                       </p>
                     )}
                   </div>
-                  <div className="flex items-center space-x-2">
-                    {contentType.archived ? (
-                      <button
-                        onClick={() => handleRestore(contentType._id)}
-                        className="text-green-600 hover:text-green-900"
-                        title="Restore"
-                      >
-                        <ArchiveRestore className="h-4 w-4" />
-                      </button>
-                    ) : (
-                      <>
+                  {canEdit && (
+                    <div className="flex items-center space-x-2">
+                      {contentType.archived ? (
                         <button
-                          onClick={() => handleEdit(contentType)}
-                          className="text-blue-600 hover:text-blue-900"
-                          title="Edit"
+                          onClick={() => handleRestore(contentType._id)}
+                          className="text-green-600 hover:text-green-900"
+                          title="Restore"
                         >
-                          <Edit className="h-4 w-4" />
+                          <ArchiveRestore className="h-4 w-4" />
                         </button>
-                        {!contentType.isDefault && (
+                      ) : (
+                        <>
                           <button
-                            onClick={() => handleDelete(contentType._id)}
-                            className="text-red-600 hover:text-red-900"
-                            title="Archive"
+                            onClick={() => handleEdit(contentType)}
+                            className="text-blue-600 hover:text-blue-900"
+                            title="Edit"
                           >
-                            <Archive className="h-4 w-4" />
+                            <Edit className="h-4 w-4" />
                           </button>
-                        )}
-                      </>
-                    )}
-                  </div>
+                          {!contentType.isDefault && (
+                            <button
+                              onClick={() => handleDelete(contentType._id)}
+                              className="text-red-600 hover:text-red-900"
+                              title="Archive"
+                            >
+                              <Archive className="h-4 w-4" />
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
               </li>
             ))}
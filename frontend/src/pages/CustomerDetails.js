@@ -0,0 +1,396 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { ArrowLeft, User, BookOpen, Truck, Calendar, TrendingUp, FileText, History, Mail, GitMerge, RefreshCw } from 'lucide-react';
+import Layout from '../components/Layout';
+import { customersAPI } from '../utils/api';
+import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
+import { STATUS_STYLES, BOOKED_STATUSES } from '../utils/bookingStatus';
+import { OUTBOX_STATUS_STYLES } from '../utils/outboxStatus';
+import { CONTACT_ROLES } from '../utils/customerContacts';
+import { formatMoney, formatMoneyShort } from '../utils/money';
+
+const HISTORY_ICONS = {
+  email: Mail,
+  status: RefreshCw,
+  merge: GitMerge
+};
+
+const NOTE_SOURCES = {
+  customer: 'Customer note',
+  booking: 'Booking',
+  leafletDelivery: 'Leaflet delivery'
+};
+
+const formatDate = (date) => date ? new Date(date).toLocaleDateString('en-GB') : 'N/A';
+
+const formatDateTime = (date) => date ? new Date(date).toLocaleString('en-GB') : '';
+
+const roleLabel = (role) => CONTACT_ROLES.find(item => item.value === role)?.label || role;
+
+// Colour of an issue on the coverage timeline: booked space, held or quoted space,
+// leaflets only, or not in the issue at all
+const coverageStyle = (issue) => {
+  if (issue.entries.some(entry => BOOKED_STATUSES.includes(entry.status))) return 'bg-green-500 text-white';
+  if (issue.entries.length > 0) return 'bg-yellow-300 text-yellow-900';
+  if (issue.leafletDeliveries.length > 0) return 'bg-orange-300 text-orange-900';
+  return 'bg-gray-100 text-gray-400';
+};
+
+const describeCoverage = (issue) => [
+  `${issue.name} (closes ${formatDate(issue.closeDate)})`,
+  ...issue.entries.map(entry => `${entry.contentSize} ${entry.contentType} - ${entry.status}`),
+  ...issue.leafletDeliveries.map(delivery => `${delivery.quantity} leaflets - ${delivery.status}`)
+].join('\n');
+
+const StatCard = ({ title, value, icon: Icon }) => (
+  <div className="bg-white overflow-hidden shadow rounded-lg p-5">
+    <div className="flex items-center">
+      <Icon className="h-6 w-6 text-gray-400" />
+      <div className="ml-4">
+        <p className="text-sm font-medium text-gray-500">{title}</p>
+        <p className="text-lg font-semibold text-gray-900">{value}</p>
+      </div>
+    </div>
+  </div>
+);
+
+const EntryTable = ({ entries, canViewPrices }) => (
+  <table className="min-w-full divide-y divide-gray-200">
+    <thead className="bg-gray-50">
+      <tr>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Booking</th>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Content</th>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Issues</th>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Artwork</th>
+        {canViewPrices && <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Per Issue</th>}
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-200">
+      {entries.map(entry => (
+        <tr key={entry.entry}>
+          <td className="px-4 py-2 text-sm font-mono">
+            <Link to={`/bookings/${entry.booking}`} className="text-blue-600 hover:text-blue-800">{entry.reference}</Link>
+          </td>
+          <td className="px-4 py-2 text-sm text-gray-900">{entry.contentSize} {entry.contentType}</td>
+          <td className="px-4 py-2 text-sm text-gray-900">
+            {entry.startIssue === entry.finishIssue ? entry.startIssue : `${entry.startIssue} - ${entry.finishIssue}`}
+            {entry.issues > 1 && <span className="text-gray-500"> ({entry.issues} issues)</span>}
+          </td>
+          <td className="px-4 py-2 text-sm">
+            <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[entry.status] || 'bg-gray-100 text-gray-800'}`}>
+              {entry.status}
+            </span>
+          </td>
+          <td className="px-4 py-2 text-sm text-gray-500">{entry.artworkStatus}</td>
+          {canViewPrices && <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMoney(entry.totalPrice, entry.currency)}</td>}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Everything about one customer: value, bookings, leaflets, issue coverage, notes and contact history
+const CustomerDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { can } = usePermissions();
+  const canViewPrices = can('prices:view');
+
+  const fetchOverview = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await customersAPI.getOverview(id);
+      setOverview(response.data);
+    } catch (error) {
+      console.error('Error loading customer:', error);
+      toast.error(error.response?.data?.message || 'Failed to load customer');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchOverview();
+  }, [fetchOverview]);
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="px-4 sm:px-6 lg:px-8">
+          <div className="text-center py-12">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <p className="text-gray-600 mt-2">Loading customer...</p>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!overview) {
+    return (
+      <Layout>
+        <div className="px-4 sm:px-6 lg:px-8">
+          <div className="text-center py-12">
+            <User className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">Customer not found</h3>
+            <div className="mt-6">
+              <Link
+                to="/customers"
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+              >
+                <ArrowLeft className="h-4 w-4 mr-2" />
+                Back to Customers
+              </Link>
+            </div>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  const { customer, summary, magazines, leafletDeliveries, issueCoverage, revenueByIssue, notes, contactHistory } = overview;
+
+  return (
+    <Layout>
+      <div className="px-4 sm:px-6 lg:px-8 space-y-6">
+        {/* Header */}
+        <div>
+          <button
+            onClick={() => navigate('/customers')}
+            className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700"
+          >
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Back to Customers
+          </button>
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <h1 className="text-3xl font-bold text-gray-900 mr-2">{customer.name}</h1>
+            {customer.businessTypes.map(type => (
+              <span key={type._id} className="inline-flex px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded-full">
+                {type.section}
+              </span>
+            ))}
+          </div>
+          {customer.contacts?.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+              {customer.contacts.map(contact => (
+                <span key={contact._id}>
+                  <span className="font-medium text-gray-900">{contact.name}</span>
+                  {contact.email && ` <${contact.email}>`}
+                  {contact.phone && ` ${contact.phone}`}
+                  {contact.roles?.length > 0 && ` (${contact.roles.map(roleLabel).join(', ')})`}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {canViewPrices && (
+            <>
+              <StatCard title="Lifetime Value" value={formatMoney(summary.totalRevenue, summary.currency)} icon={TrendingUp} />
+              <StatCard title="Booked Space" value={formatMoney(summary.totalBookingValue, summary.currency)} icon={BookOpen} />
+              <StatCard title="Leaflets" value={formatMoney(summary.totalLeafletValue, summary.currency)} icon={Truck} />
+              <StatCard title="Provisional Holds" value={formatMoney(summary.provisionalValue, summary.currency)} icon={Calendar} />
+            </>
+          )}
+          <StatCard title="Active Bookings" value={`${summary.activeBookings} of ${summary.bookings}`} icon={BookOpen} />
+          <StatCard title="Leaflet Deliveries" value={summary.leafletDeliveries} icon={Truck} />
+          <StatCard title="First Booking" value={formatDate(summary.firstBookedAt)} icon={Calendar} />
+          <StatCard title="Latest Booking" value={formatDate(summary.lastBookedAt)} icon={Calendar} />
+        </div>
+
+        {/* Revenue by issue */}
+        {canViewPrices && revenueByIssue.length > 0 && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Revenue by Issue</h2>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={revenueByIssue}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" angle={-45} textAnchor="end" height={80} interval={0} />
+                  <YAxis tickFormatter={(value) => formatMoneyShort(value, summary.currency)} />
+                  <Tooltip
+                    formatter={(value) => [formatMoney(value, summary.currency), 'Revenue']}
+                    labelFormatter={(name, points) => points?.[0] ? `${name} (${points[0].payload.scheduleName})` : name}
+                  />
+                  <Bar dataKey="value" fill="#3b82f6" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+
+        {/* Issue coverage */}
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Issue Coverage</h2>
+          <p className="text-xs text-gray-500 mb-4">
+            <span className="inline-block w-3 h-3 bg-green-500 rounded-sm mr-1 align-middle"></span>Booked
+            <span className="inline-block w-3 h-3 bg-yellow-300 rounded-sm ml-3 mr-1 align-middle"></span>Held or quoted
+            <span className="inline-block w-3 h-3 bg-orange-300 rounded-sm ml-3 mr-1 align-middle"></span>Leaflets only
+            <span className="inline-block w-3 h-3 bg-gray-100 border border-gray-200 rounded-sm ml-3 mr-1 align-middle"></span>Missed
+          </p>
+          {issueCoverage.length === 0 ? (
+            <p className="text-sm text-gray-500">Not in any issues yet</p>
+          ) : (
+            <div className="space-y-4">
+              {issueCoverage.map(row => (
+                <div key={`${row.magazine._id}:${row.schedule._id}`}>
+                  <p className="text-sm font-medium text-gray-900 mb-1">{row.magazine.name}</p>
+                  <div className="flex flex-wrap gap-1">
+                    {row.issues.map(issue => (
+                      <div
+                        key={issue._id}
+                        title={describeCoverage(issue)}
+                        className={`px-2 py-1 rounded text-xs font-medium whitespace-nowrap ${coverageStyle(issue)}`}
+                      >
+                        {issue.name}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Bookings per magazine */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Bookings</h2>
+          </div>
+          {magazines.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No bookings yet</p>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {magazines.map(magazine => (
+                <div key={magazine._id} className="p-6 space-y-3">
+                  <h3 className="text-md font-medium text-gray-900">{magazine.name}</h3>
+                  {magazine.active.length > 0 && (
+                    <div className="overflow-x-auto">
+                      <p className="text-xs font-medium text-gray-500 uppercase mb-1">Active</p>
+                      <EntryTable entries={magazine.active} canViewPrices={canViewPrices} />
+                    </div>
+                  )}
+                  {magazine.past.length > 0 && (
+                    <div className="overflow-x-auto">
+                      <p className="text-xs font-medium text-gray-500 uppercase mb-1">Past</p>
+                      <EntryTable entries={magazine.past} canViewPrices={canViewPrices} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Leaflet deliveries */}
+        {leafletDeliveries.length > 0 && (
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Leaflet Deliveries</h2>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Magazine</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Issues</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  {canViewPrices && <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Charge</th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {leafletDeliveries.map(delivery => (
+                  <tr key={delivery._id} className={delivery.active ? '' : 'text-gray-500'}>
+                    <td className="px-4 py-2 text-sm">{delivery.magazine?.name || 'N/A'}</td>
+                    <td className="px-4 py-2 text-sm">
+                      {delivery.startIssue === delivery.finishIssue ? delivery.startIssue : `${delivery.startIssue} - ${delivery.finishIssue}`}
+                    </td>
+                    <td className="px-4 py-2 text-sm">{delivery.quantity.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-sm">{delivery.status}</td>
+                    {canViewPrices && <td className="px-4 py-2 text-sm text-right">{formatMoney(delivery.charge, delivery.currency)}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Notes */}
+          <div className="bg-white p-6 rounded-lg shadow">
+            <div className="flex items-center mb-4">
+              <FileText className="h-5 w-5 text-gray-400 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Notes</h2>
+            </div>
+            {notes.length === 0 ? (
+              <p className="text-sm text-gray-500">No notes</p>
+            ) : (
+              <ul className="space-y-3">
+                {notes.map((note, index) => (
+                  <li key={index} className="text-sm">
+                    <p className="text-xs text-gray-500">
+                      {NOTE_SOURCES[note.source]}
+                      {note.booking && (
+                        <> <Link to={`/bookings/${note.booking}`} className="font-mono text-blue-600 hover:text-blue-800">{note.reference}</Link></>
+                      )}
+                      {' '}· {formatDate(note.date)}
+                    </p>
+                    <p className="text-gray-900 whitespace-pre-line">{note.text}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Contact history */}
+          <div className="bg-white p-6 rounded-lg shadow">
+            <div className="flex items-center mb-4">
+              <History className="h-5 w-5 text-gray-400 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Contact History</h2>
+            </div>
+            {contactHistory.length === 0 ? (
+              <p className="text-sm text-gray-500">No history yet</p>
+            ) : (
+              <ul className="space-y-3">
+                {contactHistory.map((item, index) => {
+                  const Icon = HISTORY_ICONS[item.type];
+                  return (
+                    <li key={index} className="flex text-sm">
+                      <Icon className="h-4 w-4 text-gray-400 mr-3 mt-0.5 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-gray-900">
+                          {item.booking ? (
+                            <Link to={`/bookings/${item.booking}`} className="hover:text-blue-600">{item.summary}</Link>
+                          ) : item.summary}
+                          {item.type === 'email' && (
+                            <span className={`ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${OUTBOX_STATUS_STYLES[item.status]}`}>
+                              {item.status}
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {formatDateTime(item.date)}
+                          {item.user && ` by ${item.user}`}
+                          {item.detail && ` · ${item.detail}`}
+                        </p>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default CustomerDetails;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useForm, Controller } from 'react-hook-form';
+import { Link } from 'react-router-dom';
+import { useForm, useFieldArray, Controller } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { 
@@ -10,9 +11,17 @@ import {
   Trash2, 
   User,
   Building,
-  FileText
+  FileText,
+  Mail,
+  Phone,
+  X,
+  Upload,
+  Download,
+  GitMerge
 } from 'lucide-react';
 import Layout from '../components/Layout';
+import CustomerImportModal from '../components/CustomerImportModal';
+import CustomerMergeModal from '../components/CustomerMergeModal';
 import { 
   fetchCustomers, 
   fetchBusinessTypes,
@@ -20,37 +29,96 @@ import {
   updateCustomer, 
   deleteCustomer 
 } from '../store/slices/bookingSlice';
-import { customersAPI } from '../utils/api';
+import { customersAPI, organisationsAPI } from '../utils/api';
 import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
+import { CONTACT_ROLES, ADDRESS_FIELDS } from '../utils/customerContacts';
+import { TAX_TREATMENTS } from '../utils/tax';
+import { CURRENCIES, currencyLabel } from '../utils/money';
 
 const customerSchema = yup.object().shape({
   name: yup.string().required('Customer name is required'),
   businessTypes: yup.array().min(1, 'At least one business type is required'),
   bookingNote: yup.string(),
+  contacts: yup.array().of(
+    yup.object().shape({
+      name: yup.string().required('Contact name is required'),
+      email: yup.string().email('Enter a valid email address'),
+      phone: yup.string()
+    })
+  ),
+  vatNumber: yup.string(),
+  paymentTermsDays: yup.number()
+    .transform((value, original) => original === '' || original === null ? undefined : value)
+    .typeError('Must be a number')
+    .integer('Must be a whole number of days')
+    .min(0, 'Cannot be negative')
+    .max(365, 'Must be 365 days or fewer')
 });
 
-const CustomerModal = ({ customer, businessTypes, onClose, onSave }) => {
-  const { register, handleSubmit, control, formState: { errors }, reset } = useForm({
+const hasAddress = (address) => ADDRESS_FIELDS.some(field => address?.[field.name]);
+
+const toFormValues = (customer) => customer ? {
+  ...customer,
+  businessTypes: customer.businessTypes?.map(bt => bt._id) || [],
+  contacts: customer.contacts || [],
+  postalAddress: customer.postalAddress || {},
+  billingAddress: customer.billingAddress || {},
+  vatNumber: customer.vatNumber || '',
+  paymentTermsDays: customer.paymentTermsDays ?? '',
+  taxTreatment: customer.taxTreatment || 'standard',
+  taxRate: customer.taxRate || '',
+  currency: customer.currency || '',
+  agency: Boolean(customer.agency)
+} : { businessTypes: [], contacts: [], postalAddress: {}, billingAddress: {}, taxTreatment: 'standard', taxRate: '', currency: '' };
+
+const AddressFields = ({ prefix, register }) => (
+  <div className="grid grid-cols-2 gap-2">
+    {ADDRESS_FIELDS.map(field => (
+      <input
+        key={field.name}
+        type="text"
+        {...register(`${prefix}.${field.name}`)}
+        placeholder={field.label}
+        className={`${field.name.startsWith('line') ? 'col-span-2 ' : ''}block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500`}
+      />
+    ))}
+  </div>
+);
+
+const CustomerModal = ({ customer, businessTypes, taxRates, onClose, onSave }) => {
+  const { register, handleSubmit, control, watch, formState: { errors }, reset } = useForm({
     resolver: yupResolver(customerSchema),
-    defaultValues: customer || { businessTypes: [] }
+    defaultValues: toFormValues(customer)
   });
+  const { fields: contactFields, append: appendContact, remove: removeContact } = useFieldArray({
+    control,
+    name: 'contacts'
+  });
+  const [separateBilling, setSeparateBilling] = useState(hasAddress(customer?.billingAddress));
 
   const onSubmit = (data) => {
-    onSave(data);
+    onSave({
+      ...data,
+      // A group of checkboxes with none ticked comes back as false
+      contacts: (data.contacts || []).map(contact => ({
+        ...contact,
+        roles: Array.isArray(contact.roles) ? contact.roles : []
+      })),
+      billingAddress: separateBilling ? data.billingAddress : null,
+      taxRate: data.taxTreatment === 'standard' ? data.taxRate || null : null
+    });
     reset();
   };
 
   useEffect(() => {
-    const customerData = customer ? {
-      ...customer,
-      businessTypes: customer.businessTypes?.map(bt => bt._id) || []
-    } : { businessTypes: [] };
-    reset(customerData);
+    reset(toFormValues(customer));
+    setSeparateBilling(hasAddress(customer?.billingAddress));
   }, [customer, reset]);
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-      <div className="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+      <div className="relative top-20 mb-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">
           {customer ? 'Edit Customer' : 'Add New Customer'}
         </h3>
@@ -119,6 +187,193 @@ const CustomerModal = ({ customer, businessTypes, onClose, onSave }) => {
             />
           </div>
 
+          {/* Contacts */}
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Contacts
+              </label>
+              <button
+                type="button"
+                onClick={() => appendContact({ name: '', email: '', phone: '', roles: [] })}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Contact
+              </button>
+            </div>
+            {contactFields.length === 0 && (
+              <p className="text-sm text-gray-500">No contacts yet. Confirmations and invoices are sent to the contact with the matching role.</p>
+            )}
+            <div className="space-y-3">
+              {contactFields.map((field, index) => (
+                <div key={field.id} className="p-3 border border-gray-200 rounded-md">
+                  <div className="grid grid-cols-3 gap-2">
+                    <input
+                      type="text"
+                      {...register(`contacts.${index}.name`)}
+                      placeholder="Name"
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <input
+                      type="email"
+                      {...register(`contacts.${index}.email`)}
+                      placeholder="Email"
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <input
+                      type="tel"
+                      {...register(`contacts.${index}.phone`)}
+                      placeholder="Phone"
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  {(errors.contacts?.[index]?.name || errors.contacts?.[index]?.email) && (
+                    <p className="text-red-600 text-sm mt-1">
+                      {errors.contacts[index].name?.message || errors.contacts[index].email?.message}
+                    </p>
+                  )}
+                  <div className="flex items-center justify-between mt-2">
+                    <div className="flex items-center space-x-4">
+                      {CONTACT_ROLES.map(role => (
+                        <label key={role.value} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            value={role.value}
+                            {...register(`contacts.${index}.roles`)}
+                            className="mr-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          {role.label}
+                        </label>
+                      ))}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeContact(index)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove contact"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Addresses */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Postal Address
+            </label>
+            <AddressFields prefix="postalAddress" register={register} />
+            <label className="flex items-center mt-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={separateBilling}
+                onChange={(e) => setSeparateBilling(e.target.checked)}
+                className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              Invoices go to a different billing address
+            </label>
+            {separateBilling && (
+              <div className="mt-3">
+                <AddressFields prefix="billingAddress" register={register} />
+              </div>
+            )}
+          </div>
+
+          {/* Billing */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                VAT Number
+              </label>
+              <input
+                type="text"
+                {...register('vatNumber')}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g. GB123456789"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Payment Terms (days)
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                {...register('paymentTermsDays')}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Default (30)"
+              />
+              {errors.paymentTermsDays && (
+                <p className="text-red-600 text-sm mt-1">{errors.paymentTermsDays.message}</p>
+              )}
+            </div>
+          </div>
+
+          {/* Currency */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Billing Currency
+              </label>
+              <select
+                {...register('currency')}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Base currency</option>
+                {CURRENCIES.map(currency => (
+                  <option key={currency.value} value={currency.value}>{currencyLabel(currency.value)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Tax */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Tax Treatment
+              </label>
+              <select
+                {...register('taxTreatment')}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {TAX_TREATMENTS.map(treatment => (
+                  <option key={treatment.value} value={treatment.value}>{treatment.label}</option>
+                ))}
+              </select>
+            </div>
+            {watch('taxTreatment') === 'standard' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Tax Rate
+                </label>
+                <select
+                  {...register('taxRate')}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Default rate</option>
+                  {taxRates.map(rate => (
+                    <option key={rate._id} value={rate._id}>{rate.name} ({rate.percentage}%)</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              {...register('agency')}
+              className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Agency (receives commission on its bookings)
+          </label>
+
           <div className="flex justify-end space-x-3 pt-4">
             <button
               type="button"
@@ -143,16 +398,33 @@ const CustomerModal = ({ customer, businessTypes, onClose, onSave }) => {
 const Customers = () => {
   const dispatch = useDispatch();
   const { customers, businessTypes, loading } = useSelector((state) => state.booking);
+  const { can } = usePermissions();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filteredCustomers, setFilteredCustomers] = useState([]);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeSelection, setMergeSelection] = useState(null);
+  const [taxRates, setTaxRates] = useState([]);
 
   useEffect(() => {
     dispatch(fetchCustomers());
     dispatch(fetchBusinessTypes());
   }, [dispatch]);
 
+  useEffect(() => {
+    const fetchTaxRates = async () => {
+      try {
+        const response = await organisationsAPI.getCurrent();
+        setTaxRates(response.data.taxRates || []);
+      } catch (error) {
+        toast.error('Error fetching tax rates');
+      }
+    };
+    fetchTaxRates();
+  }, []);
+
   useEffect(() => {
     if (searchTerm) {
       setFilteredCustomers(
@@ -198,6 +470,34 @@ const Customers = () => {
     }
   };
 
+  const toggleSelected = (customerId) => {
+    setSelectedIds(current => current.includes(customerId)
+      ? current.filter(id => id !== customerId)
+      : [...current, customerId]);
+  };
+
+  const handleMerged = (customer, mergedIds) => {
+    mergedIds.forEach(id => dispatch(deleteCustomer(id)));
+    dispatch(updateCustomer(customer));
+    setSelectedIds([]);
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await customersAPI.exportCSV();
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `customers_${new Date().toISOString().split('T')[0]}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export customers');
+    }
+  };
+
   const openModal = (customer = null) => {
     setEditingCustomer(customer);
     setIsModalOpen(true);
@@ -228,13 +528,42 @@ const Customers = () => {
               />
             </div>
           </div>
-          <button
-            onClick={() => openModal()}
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add Customer
-          </button>
+          <div className="flex space-x-2">
+            {selectedIds.length > 1 && (
+              <button
+                onClick={() => setMergeSelection(customers.filter(customer => selectedIds.includes(customer._id)))}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <GitMerge className="h-4 w-4 mr-2" />
+                Merge {selectedIds.length} Selected
+              </button>
+            )}
+            <button
+              onClick={handleExport}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export CSV
+            </button>
+            {can('customers:edit') && (
+              <>
+                <button
+                  onClick={() => setIsImportOpen(true)}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Upload className="h-4 w-4 mr-2" />
+                  Import CSV
+                </button>
+                <button
+                  onClick={() => openModal()}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Customer
+                </button>
+              </>
+            )}
+          </div>
         </div>
 
         {/* Customers List */}
@@ -251,6 +580,15 @@ const Customers = () => {
                   <div className="px-4 py-4 sm:px-6 hover:bg-gray-50">
                     <div className="flex items-center justify-between">
                       <div className="flex items-center min-w-0 flex-1">
+                        {can('customers:edit') && (
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(customer._id)}
+                            onChange={() => toggleSelected(customer._id)}
+                            title="Select to merge"
+                            className="mr-4 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                        )}
                         <div className="flex-shrink-0">
                           <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
                             <User className="h-5 w-5 text-blue-600" />
@@ -258,9 +596,9 @@ const Customers = () => {
                         </div>
                         <div className="ml-4 min-w-0 flex-1">
                           <div className="flex items-center space-x-2">
-                            <p className="text-sm font-medium text-gray-900 truncate">
+                            <Link to={`/customers/${customer._id}`} className="text-sm font-medium text-gray-900 truncate hover:text-blue-600">
                               {customer.name}
-                            </p>
+                            </Link>
                           </div>
                           <div className="flex items-center mt-1 space-x-4 text-sm text-gray-500">
                             <div className="flex items-center flex-wrap">
@@ -274,6 +612,15 @@ const Customers = () => {
                                 : <span>No business types</span>
                               }
                             </div>
+                            {customer.contacts?.[0] && (
+                              <div className="flex items-center">
+                                {customer.contacts[0].email ? <Mail className="h-4 w-4 mr-1" /> : <Phone className="h-4 w-4 mr-1" />}
+                                <span className="truncate max-w-xs">
+                                  {customer.contacts[0].name}
+                                  {(customer.contacts[0].email || customer.contacts[0].phone) && ` · ${customer.contacts[0].email || customer.contacts[0].phone}`}
+                                </span>
+                              </div>
+                            )}
                             {customer.bookingNote && (
                               <div className="flex items-center">
                                 <FileText className="h-4 w-4 mr-1" />
@@ -283,20 +630,22 @@ const Customers = () => {
                           </div>
                         </div>
                       </div>
-                      <div className="flex items-center space-x-2">
-                        <button
-                          onClick={() => openModal(customer)}
-                          className="p-2 text-gray-400 hover:text-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-md"
-                        >
-                          <Edit className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(customer._id)}
-                          className="p-2 text-gray-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 rounded-md"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
-                      </div>
+                      {can('customers:edit') && (
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => openModal(customer)}
+                            className="p-2 text-gray-400 hover:text-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-md"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(customer._id)}
+                            className="p-2 text-gray-400 hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-red-500 rounded-md"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </li>
@@ -310,7 +659,7 @@ const Customers = () => {
             <p className="mt-1 text-sm text-gray-500">
               {searchTerm ? 'Try adjusting your search terms.' : 'Get started by creating your first customer.'}
             </p>
-            {!searchTerm && (
+            {!searchTerm && can('customers:edit') && (
               <div className="mt-6">
                 <button
                   onClick={() => openModal()}
@@ -329,6 +678,7 @@ const Customers = () => {
           <CustomerModal
             customer={editingCustomer}
             businessTypes={businessTypes}
+            taxRates={taxRates}
             onClose={() => {
               setIsModalOpen(false);
               setEditingCustomer(null);
@@ -336,6 +686,24 @@ const Customers = () => {
             onSave={handleSave}
           />
         )}
+
+        {mergeSelection && (
+          <CustomerMergeModal
+            customers={mergeSelection}
+            onClose={() => setMergeSelection(null)}
+            onMerged={handleMerged}
+          />
+        )}
+
+        {isImportOpen && (
+          <CustomerImportModal
+            onClose={() => setIsImportOpen(false)}
+            onImported={() => {
+              dispatch(fetchCustomers());
+              dispatch(fetchBusinessTypes());
+            }}
+          />
+        )}
       </div>
     </Layout>
   );
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { Mail, RotateCcw, Save } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { emailsAPI } from '../utils/api';
+import { usePermissions } from '../utils/permissions';
+
+const EmailTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [form, setForm] = useState({ subject: '', html: '' });
+  const [saving, setSaving] = useState(false);
+  const { can } = usePermissions();
+  const canEdit = can('settings:edit');
+
+  const selected = templates.find(template => template.key === selectedKey);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  useEffect(() => {
+    if (selected) {
+      setForm({ subject: selected.subject, html: selected.html });
+    }
+  }, [selected]);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await emailsAPI.getTemplates();
+      setTemplates(response.data);
+      setSelectedKey(current => current || response.data[0]?.key);
+    } catch (error) {
+      toast.error('Error fetching email templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceTemplate = (template) => {
+    setTemplates(current => current.map(item => item.key === template.key ? template : item));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await emailsAPI.updateTemplate(selectedKey, form);
+      replaceTemplate(response.data);
+      toast.success('Email template saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Error saving email template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Go back to the built-in version of this template?')) return;
+
+    try {
+      const response = await emailsAPI.resetTemplate(selectedKey);
+      replaceTemplate(response.data);
+      toast.success('Email template reset');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error resetting email template');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">Email Templates</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Edit the emails sent to customers. Placeholders such as {'{{customerName}}'} are filled in when a message is sent; the required ones must stay in each template.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {/* Template list */}
+        <div className="bg-white shadow rounded-lg divide-y divide-gray-200">
+          {templates.map(template => (
+            <button
+              key={template.key}
+              onClick={() => setSelectedKey(template.key)}
+              className={`w-full text-left px-4 py-3 flex items-center justify-between ${
+                template.key === selectedKey ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <span className="flex items-center text-sm font-medium">
+                <Mail className="h-4 w-4 mr-2" />
+                {template.name}
+              </span>
+              {template.isCustom && (
+                <span className="text-xs text-gray-500">Edited</span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        {/* Editor */}
+        {selected && (
+          <form onSubmit={handleSave} className="md:col-span-3 bg-white shadow rounded-lg p-6 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Subject
+              </label>
+              <input
+                type="text"
+                value={form.subject}
+                onChange={(e) => setForm({ ...form, subject: e.target.value })}
+                disabled={!canEdit}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Message (HTML)
+              </label>
+              <textarea
+                value={form.html}
+                onChange={(e) => setForm({ ...form, html: e.target.value })}
+                disabled={!canEdit}
+                rows={12}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+              />
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Placeholders</p>
+              <div className="flex flex-wrap gap-2">
+                {selected.variables.map(variable => (
+                  <code
+                    key={variable}
+                    className={`px-2 py-1 rounded text-xs ${selected.required?.includes(variable) ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}
+                    title={selected.required?.includes(variable) ? 'Required' : undefined}
+                  >
+                    {`{{${variable}}}`}
+                  </code>
+                ))}
+              </div>
+              {selected.links?.map(variable => (
+                <p key={variable} className="text-xs text-gray-500 mt-2">
+                  {`{{${variable}}}`} can only be used as the address of a link: {`<a href="{{${variable}}}">`}
+                </p>
+              ))}
+            </div>
+
+            {canEdit && (
+              <div className="flex justify-end space-x-3 pt-2">
+                {selected.isCustom && (
+                  <button
+                    type="button"
+                    onClick={handleReset}
+                    className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Reset to Default
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  {saving ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailTemplates;
\ No newline at end of file
@@ -0,0 +1,440 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { LayoutGrid, Plus, Save, X, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { magazinesAPI, flatplansAPI } from '../utils/api';
+import { usePermissions } from '../utils/permissions';
+import { STATUS_STYLES } from '../utils/bookingStatus';
+import { pageSegment, pageFreeSpace, findFreePosition, formatPages } from '../utils/flatplan';
+
+// Key of a booked entry, shared by the entry and its placement
+const entryKey = (item) => `${item.booking}:${item.entry}`;
+
+const describeItem = (item) => item.kind === 'editorial'
+  ? item.label
+  : `${item.customer || 'Booking'} (${item.contentType})`;
+
+// Give a saved placement a key to find it while dragging
+const withKey = (placement) => ({
+  ...placement,
+  key: placement.kind === 'booking' ? entryKey(placement) : `editorial-${placement._id}`
+});
+
+// Issue to open first: the next one to close
+const defaultIssue = (magazine) => {
+  const issues = [...(magazine?.schedule?.issues || [])].sort((a, b) => a.sortOrder - b.sortOrder);
+  const open = issues.find(issue => new Date(issue.closeDate) >= new Date());
+  return (open || issues[issues.length - 1])?._id || '';
+};
+
+const Flatplan = () => {
+  const [magazines, setMagazines] = useState([]);
+  const [selectedMagazine, setSelectedMagazine] = useState('');
+  const [selectedIssue, setSelectedIssue] = useState('');
+  const [flatplan, setFlatplan] = useState(null);
+  const [placements, setPlacements] = useState([]);
+  const [editorialTray, setEditorialTray] = useState([]);
+  const [editorialForm, setEditorialForm] = useState({ label: '', size: 1 });
+  const [dragItem, setDragItem] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const nextEditorialId = useRef(1);
+  const { can } = usePermissions();
+  const canEdit = can('flatplan:edit');
+
+  const magazine = magazines.find(m => m._id === selectedMagazine);
+  const issues = [...(magazine?.schedule?.issues || [])].sort((a, b) => a.sortOrder - b.sortOrder);
+
+  useEffect(() => {
+    const fetchMagazines = async () => {
+      try {
+        const response = await magazinesAPI.getAll();
+        setMagazines(response.data);
+        if (response.data.length > 0) {
+          setSelectedMagazine(response.data[0]._id);
+          setSelectedIssue(defaultIssue(response.data[0]));
+        }
+      } catch (error) {
+        toast.error('Error fetching magazines');
+      }
+    };
+
+    fetchMagazines();
+  }, []);
+
+  useEffect(() => {
+    if (!selectedMagazine || !selectedIssue) {
+      setFlatplan(null);
+      setPlacements([]);
+      return;
+    }
+
+    const fetchFlatplan = async () => {
+      try {
+        setLoading(true);
+        const response = await flatplansAPI.get(selectedMagazine, selectedIssue);
+        setFlatplan(response.data);
+        setPlacements(response.data.placements.map(withKey));
+        setEditorialTray([]);
+        setDirty(false);
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error fetching flatplan');
+        setFlatplan(null);
+        setPlacements([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchFlatplan();
+  }, [selectedMagazine, selectedIssue]);
+
+  const handleMagazineChange = (magazineId) => {
+    if (dirty && !window.confirm('Discard unsaved changes to this flatplan?')) return;
+    setSelectedMagazine(magazineId);
+    setSelectedIssue(defaultIssue(magazines.find(m => m._id === magazineId)));
+  };
+
+  const handleIssueChange = (issueId) => {
+    if (dirty && !window.confirm('Discard unsaved changes to this flatplan?')) return;
+    setSelectedIssue(issueId);
+  };
+
+  const placedKeys = new Set(placements.map(placement => placement.key));
+  const unplacedEntries = (flatplan?.entries || [])
+    .filter(entry => !placedKeys.has(entryKey(entry)))
+    .map(entry => ({ ...entry, kind: 'booking', key: entryKey(entry) }));
+  const totalPages = flatplan?.totalPages || 0;
+  const usedPages = placements
+    .filter(placement => !placement.missing)
+    .reduce((sum, placement) => sum + placement.size, 0);
+
+  const startDrag = (event, item) => {
+    // Some browsers only start dragging with data set
+    event.dataTransfer.setData('text/plain', item.key);
+    setDragItem(item);
+  };
+
+  const handleDrop = (event, page) => {
+    event.preventDefault();
+    if (!dragItem || !canEdit) return;
+
+    // Snap to the quarter of the page the item was dropped on
+    const rect = event.currentTarget.getBoundingClientRect();
+    const wanted = Math.min(0.75, Math.max(0, Math.floor(((event.clientY - rect.top) / rect.height) * 4) / 4));
+    const others = placements.filter(placement => placement.key !== dragItem.key && !placement.missing);
+    const position = findFreePosition(others, page, dragItem.size, wanted, totalPages);
+
+    if (position === null) {
+      toast.error(`No room on page ${page} for ${describeItem(dragItem)}`);
+      setDragItem(null);
+      return;
+    }
+
+    const { placed, ...item } = dragItem;
+    setPlacements([
+      ...placements.filter(placement => placement.key !== dragItem.key),
+      { ...item, page, position }
+    ]);
+    setEditorialTray(editorialTray.filter(editorial => editorial.key !== dragItem.key));
+    setDragItem(null);
+    setDirty(true);
+  };
+
+  const handleRemove = (placement) => {
+    setPlacements(placements.filter(p => p.key !== placement.key));
+    if (placement.kind === 'editorial') {
+      const { page, position, ...editorial } = placement;
+      setEditorialTray([...editorialTray, editorial]);
+    }
+    setDirty(true);
+  };
+
+  const handleAddEditorial = (event) => {
+    event.preventDefault();
+    const size = Number(editorialForm.size);
+
+    if (!editorialForm.label.trim() || !(size > 0)) {
+      toast.error('Editorial placeholders need a title and a size');
+      return;
+    }
+
+    setEditorialTray([
+      ...editorialTray,
+      { kind: 'editorial', key: `editorial-new-${nextEditorialId.current++}`, label: editorialForm.label.trim(), size }
+    ]);
+    setEditorialForm({ label: '', size: 1 });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await flatplansAPI.save(
+        selectedMagazine,
+        selectedIssue,
+        placements.map(({ kind, booking, entry, label, page, position, size }) => ({
+          kind, booking, entry, label, page, position, size
+        }))
+      );
+      setFlatplan(response.data);
+      setPlacements(response.data.placements.map(withKey));
+      setDirty(false);
+      toast.success('Flatplan saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving flatplan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const itemStyles = (item) => {
+    if (item.missing) return 'bg-red-100 border-red-400 text-red-800';
+    if (item.kind === 'editorial') return 'bg-gray-100 border-gray-400 text-gray-800';
+    return 'bg-blue-100 border-blue-400 text-blue-900';
+  };
+
+  const renderTrayItem = (item) => (
+    <div
+      key={item.key}
+      draggable={canEdit}
+      onDragStart={(event) => startDrag(event, item)}
+      onDragEnd={() => setDragItem(null)}
+      className={`p-2 rounded border text-sm ${canEdit ? 'cursor-move' : ''} ${
+        item.kind === 'editorial' ? 'bg-gray-50 border-gray-300' : 'bg-amber-50 border-amber-300'
+      }`}
+    >
+      <div className="font-medium text-gray-900">{item.kind === 'editorial' ? item.label : item.customer}</div>
+      <div className="text-xs text-gray-600">
+        {item.kind === 'editorial' ? 'Editorial' : `${item.contentType} · ${item.contentSize || 'No size'}`} · {formatPages(item.size)}
+      </div>
+      {item.status && (
+        <span className={`mt-1 inline-flex px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[item.status] || ''}`}>
+          {item.status}
+        </span>
+      )}
+    </div>
+  );
+
+  const renderPage = (page) => {
+    const free = pageFreeSpace(placements.filter(placement => !placement.missing), page);
+
+    return (
+      <div key={page} className={page === 1 ? 'col-start-2' : ''}>
+        <div
+          onDragOver={(event) => canEdit && event.preventDefault()}
+          onDrop={(event) => handleDrop(event, page)}
+          className={`relative h-40 border-2 rounded bg-white ${
+            free > 0 ? 'border-dashed border-green-400' : 'border-gray-300'
+          } ${dragItem ? 'ring-1 ring-blue-200' : ''}`}
+        >
+          {placements.map(placement => {
+            const segment = pageSegment(placement, page);
+            if (!segment) return null;
+
+            return (
+              <div
+                key={placement.key}
+                draggable={canEdit && !placement.missing}
+                onDragStart={(event) => startDrag(event, placement)}
+                onDragEnd={() => setDragItem(null)}
+                title={`${describeItem(placement)} · ${formatPages(placement.size)}`}
+                className={`absolute left-0 right-0 border overflow-hidden px-1 text-xs ${itemStyles(placement)} ${
+                  canEdit ? 'cursor-move' : ''
+                }`}
+                style={{ top: `${segment.top * 100}%`, height: `${segment.height * 100}%` }}
+              >
+                <div className="flex justify-between items-start">
+                  <span className="truncate">
+                    {segment.first ? describeItem(placement) : `${describeItem(placement)} (cont.)`}
+                  </span>
+                  {canEdit && segment.first && (
+                    <button
+                      onClick={() => handleRemove(placement)}
+                      className="ml-1 text-gray-500 hover:text-red-600"
+                      title="Remove from page"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          {free > 0 && (
+            <div className="absolute bottom-1 right-1 text-xs text-green-700 pointer-events-none">
+              {Math.round(free * 100)}% free
+            </div>
+          )}
+        </div>
+        <div className="text-center text-xs text-gray-500 mt-1">Page {page}</div>
+      </div>
+    );
+  };
+
+  const missingPlacements = placements.filter(placement => placement.missing);
+
+  return (
+    <Layout>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="sm:flex sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Flatplan</h1>
+            <p className="mt-2 text-gray-600">Plan where booked adverts and editorial go on the pages of each issue</p>
+          </div>
+          {canEdit && flatplan && (
+            <button
+              onClick={handleSave}
+              disabled={saving || !dirty}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              {saving ? 'Saving...' : 'Save Flatplan'}
+            </button>
+          )}
+        </div>
+
+        {/* Magazine and issue */}
+        <div className="mt-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <select
+            value={selectedMagazine}
+            onChange={(e) => handleMagazineChange(e.target.value)}
+            className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            {magazines.length === 0 && <option value="">No magazines</option>}
+            {magazines.map((m) => (
+              <option key={m._id} value={m._id}>{m.name}</option>
+            ))}
+          </select>
+          <select
+            value={selectedIssue}
+            onChange={(e) => handleIssueChange(e.target.value)}
+            className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            {issues.length === 0 && <option value="">No issues</option>}
+            {issues.map((issue) => (
+              <option key={issue._id} value={issue._id}>{issue.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : !flatplan ? (
+          <div className="text-center py-12">
+            <LayoutGrid className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No issue selected</h3>
+            <p className="mt-1 text-sm text-gray-500">Choose a magazine and issue to plan its pages.</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-white shadow rounded-lg p-4">
+                <div className="text-sm text-gray-500">Pages</div>
+                <div className="text-lg font-medium text-gray-900">{totalPages}</div>
+              </div>
+              <div className="bg-white shadow rounded-lg p-4">
+                <div className="text-sm text-gray-500">Placed</div>
+                <div className="text-lg font-medium text-gray-900">{formatPages(usedPages)}</div>
+              </div>
+              <div className="bg-white shadow rounded-lg p-4">
+                <div className="text-sm text-gray-500">Leftover Space</div>
+                <div className={`text-lg font-medium ${totalPages - usedPages > 0 ? 'text-green-700' : 'text-gray-900'}`}>
+                  {formatPages(totalPages - usedPages)}
+                </div>
+              </div>
+              <div className="bg-white shadow rounded-lg p-4">
+                <div className="text-sm text-gray-500">Unplaced Bookings</div>
+                <div className={`text-lg font-medium ${unplacedEntries.length > 0 ? 'text-amber-600' : 'text-gray-900'}`}>
+                  {unplacedEntries.length}
+                </div>
+              </div>
+            </div>
+
+            {(flatplan.warnings.length > 0 || missingPlacements.length > 0) && (
+              <div className="mt-4 p-4 rounded-md bg-amber-50 border border-amber-200 text-sm text-amber-800">
+                <div className="flex items-center font-medium mb-1">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  This flatplan needs attention
+                </div>
+                <ul className="list-disc ml-6">
+                  {missingPlacements.map(placement => (
+                    <li key={placement.key}>
+                      A booking placed on page {placement.page} is no longer booked in this issue
+                    </li>
+                  ))}
+                  {flatplan.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-6 grid grid-cols-1 lg:grid-cols-4 gap-6">
+              {/* Unplaced items */}
+              <div className="space-y-4">
+                <div className="bg-white shadow rounded-lg p-4">
+                  <h3 className="text-sm font-medium text-gray-900 mb-3">
+                    Unplaced Bookings ({unplacedEntries.length})
+                  </h3>
+                  {unplacedEntries.length === 0 ? (
+                    <p className="text-sm text-gray-500">Every booking in this issue is placed.</p>
+                  ) : (
+                    <div className="space-y-2">{unplacedEntries.map(renderTrayItem)}</div>
+                  )}
+                </div>
+
+                <div className="bg-white shadow rounded-lg p-4">
+                  <h3 className="text-sm font-medium text-gray-900 mb-3">Editorial</h3>
+                  {editorialTray.length > 0 && (
+                    <div className="space-y-2 mb-3">{editorialTray.map(renderTrayItem)}</div>
+                  )}
+                  {canEdit && (
+                    <form onSubmit={handleAddEditorial} className="space-y-2">
+                      <input
+                        type="text"
+                        value={editorialForm.label}
+                        onChange={(e) => setEditorialForm({ ...editorialForm, label: e.target.value })}
+                        className="block w-full border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="e.g. Editor's letter"
+                      />
+                      <div className="flex space-x-2">
+                        <input
+                          type="number"
+                          min="0.25"
+                          step="0.25"
+                          value={editorialForm.size}
+                          onChange={(e) => setEditorialForm({ ...editorialForm, size: e.target.value })}
+                          className="block w-24 border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                          title="Size in pages"
+                        />
+                        <button
+                          type="submit"
+                          className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          <Plus className="h-4 w-4 mr-1" />
+                          Add
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              </div>
+
+              {/* Page ladder, laid out in spreads */}
+              <div className="lg:col-span-3 bg-white shadow rounded-lg p-4">
+                <div className="grid grid-cols-2 sm:grid-cols-4 xl:grid-cols-6 gap-x-1 gap-y-4">
+                  {Array.from({ length: totalPages }, (_, index) => renderPage(index + 1))}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Flatplan;
\ No newline at end of file
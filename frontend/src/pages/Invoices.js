@@ -0,0 +1,338 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Receipt, FileText, Send, CheckCircle, XCircle, Trash2, ChevronDown, ChevronRight } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { invoicesAPI, magazinesAPI, schedulesAPI } from '../utils/api';
+import { usePermissions } from '../utils/permissions';
+import { describeTax } from '../utils/tax';
+import { formatMoney } from '../utils/money';
+import {
+  INVOICE_STATUSES,
+  INVOICE_TRANSITIONS,
+  INVOICE_STATUS_STYLES,
+  openInvoicePdf
+} from '../utils/invoiceStatus';
+
+const formatDate = (dateString) => dateString
+  ? new Date(dateString).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+  : '—';
+
+const isOverdue = (invoice) => invoice.status === 'Issued' && invoice.dueDate && new Date(invoice.dueDate) < new Date();
+
+const Invoices = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [magazines, setMagazines] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [generateIssue, setGenerateIssue] = useState('');
+  const [generateMagazine, setGenerateMagazine] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const { can } = usePermissions();
+  const canEdit = can('invoices:edit');
+
+  useEffect(() => {
+    const fetchIssueOptions = async () => {
+      try {
+        const [schedulesResponse, magazinesResponse] = await Promise.all([
+          schedulesAPI.getAll(),
+          magazinesAPI.getAll()
+        ]);
+        setSchedules(schedulesResponse.data);
+        setMagazines(magazinesResponse.data);
+      } catch (error) {
+        console.error('Error fetching schedules:', error);
+      }
+    };
+
+    if (canEdit) {
+      fetchIssueOptions();
+    }
+  }, [canEdit]);
+
+  const fetchInvoices = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await invoicesAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setInvoices(response.data);
+    } catch (error) {
+      toast.error('Error fetching invoices');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  // Magazines published on the schedule of the chosen issue
+  const issueSchedule = schedules.find(schedule => schedule.issues.some(issue => issue._id === generateIssue));
+  const issueMagazines = magazines.filter(magazine =>
+    issueSchedule && (magazine.schedule?._id || magazine.schedule) === issueSchedule._id
+  );
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    if (!generateIssue) {
+      toast.error('Please choose an issue to invoice');
+      return;
+    }
+
+    try {
+      setGenerating(true);
+      const response = await invoicesAPI.generate(generateIssue, generateMagazine || undefined);
+      if (response.data.invoices.length > 0) {
+        toast.success(response.data.message);
+      } else {
+        toast.info(response.data.message);
+      }
+      fetchInvoices();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error generating invoices');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleStatusChange = async (invoice, status) => {
+    const statusData = { status };
+
+    if (status === 'Void') {
+      const reason = window.prompt('Why is this invoice being voided?');
+      if (reason === null) return;
+      statusData.voidReason = reason;
+    } else if (status === 'Issued' && !window.confirm('Issue this invoice? It will be given the next invoice number.')) {
+      return;
+    }
+
+    try {
+      const response = await invoicesAPI.updateStatus(invoice._id, statusData);
+      setInvoices(invoices.map(i => i._id === invoice._id ? { ...i, ...response.data } : i));
+      toast.success(`Invoice ${response.data.number || ''} ${status === 'Issued' ? 'issued' : `marked as ${status}`}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating invoice');
+    }
+  };
+
+  const handleDelete = async (invoice) => {
+    if (!window.confirm('Delete this draft invoice? Its insertions can be invoiced again.')) return;
+
+    try {
+      await invoicesAPI.delete(invoice._id);
+      setInvoices(invoices.filter(i => i._id !== invoice._id));
+      toast.success('Invoice deleted successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting invoice');
+    }
+  };
+
+  const handlePdf = async (invoice) => {
+    try {
+      await openInvoicePdf(invoice._id);
+    } catch (error) {
+      toast.error('Error opening invoice PDF');
+    }
+  };
+
+  const describeSource = (invoice) => {
+    if (invoice.issue) {
+      return `${invoice.magazine?.name ? `${invoice.magazine.name} ` : ''}${invoice.issue.name}`;
+    }
+    if (invoice.booking) {
+      return <Link to={`/bookings/${invoice.booking}`} className="text-blue-600 hover:text-blue-900">Booking</Link>;
+    }
+    return '—';
+  };
+
+  const STATUS_ACTIONS = {
+    Issued: { label: 'Issue', icon: Send, className: 'text-blue-600 hover:text-blue-900' },
+    Paid: { label: 'Mark Paid', icon: CheckCircle, className: 'text-green-600 hover:text-green-900' },
+    Void: { label: 'Void', icon: XCircle, className: 'text-red-600 hover:text-red-900' }
+  };
+
+  return (
+    <Layout>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Invoices</h1>
+          <p className="mt-2 text-gray-600">Bill customers for their bookings, per issue or per booking</p>
+        </div>
+
+        {/* Generate from an issue */}
+        {canEdit && (
+          <form onSubmit={handleGenerate} className="mt-6 bg-white shadow rounded-lg p-4">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Invoice an Issue</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <select
+                value={generateIssue}
+                onChange={(e) => {
+                  setGenerateIssue(e.target.value);
+                  setGenerateMagazine('');
+                }}
+                className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select issue</option>
+                {schedules.map(schedule => (
+                  <optgroup key={schedule._id} label={schedule.name}>
+                    {[...schedule.issues].sort((a, b) => a.sortOrder - b.sortOrder).map(issue => (
+                      <option key={issue._id} value={issue._id}>{issue.name}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+              <select
+                value={generateMagazine}
+                onChange={(e) => setGenerateMagazine(e.target.value)}
+                disabled={!generateIssue}
+                className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All magazines</option>
+                {issueMagazines.map(magazine => (
+                  <option key={magazine._id} value={magazine._id}>{magazine.name}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={generating}
+                className="inline-flex justify-center items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Receipt className="h-4 w-4 mr-2" />
+                {generating ? 'Generating...' : 'Generate Draft Invoices'}
+              </button>
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+              One draft per customer from the confirmed and published bookings in the issue. Insertions already invoiced are skipped.
+            </p>
+          </form>
+        )}
+
+        {/* Filters */}
+        <div className="mt-6 flex items-center space-x-4">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="block w-48 border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All Statuses</option>
+            {INVOICE_STATUSES.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Invoice List */}
+        <div className="mt-4 bg-white shadow overflow-hidden sm:rounded-md">
+          {loading ? (
+            <div className="flex justify-center items-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : invoices.length === 0 ? (
+            <div className="text-center py-12">
+              <Receipt className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No invoices found</h3>
+              <p className="mt-1 text-sm text-gray-500">Generate invoices from an issue or from a booking's details.</p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Number</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">For</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issued</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invoices.map(invoice => (
+                  <React.Fragment key={invoice._id}>
+                    <tr className={invoice.status === 'Void' ? 'bg-gray-50 text-gray-500' : ''}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">
+                        <button
+                          onClick={() => setExpanded(expanded === invoice._id ? null : invoice._id)}
+                          className="inline-flex items-center text-gray-900 hover:text-blue-600"
+                        >
+                          {expanded === invoice._id ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+                          {invoice.number || 'Draft'}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{invoice.customer?.name}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{describeSource(invoice)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <span className={`inline-flex px-2 py-0.5 rounded text-xs font-medium ${INVOICE_STATUS_STYLES[invoice.status]}`}>
+                          {invoice.status}
+                        </span>
+                        {isOverdue(invoice) && <span className="ml-2 text-xs font-medium text-red-600">Overdue</span>}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right">{formatMoney(invoice.grossAmount, invoice.currency)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{formatDate(invoice.issuedAt)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">{formatDate(invoice.dueDate)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right">
+                        <div className="flex items-center justify-end space-x-2">
+                          <button onClick={() => handlePdf(invoice)} className="text-gray-600 hover:text-gray-900" title="PDF">
+                            <FileText className="h-4 w-4" />
+                          </button>
+                          {canEdit && INVOICE_TRANSITIONS[invoice.status].map(status => {
+                            const { label, icon: Icon, className } = STATUS_ACTIONS[status];
+                            return (
+                              <button key={status} onClick={() => handleStatusChange(invoice, status)} className={className} title={label}>
+                                <Icon className="h-4 w-4" />
+                              </button>
+                            );
+                          })}
+                          {canEdit && invoice.status === 'Draft' && (
+                            <button onClick={() => handleDelete(invoice)} className="text-red-600 hover:text-red-900" title="Delete">
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                    {expanded === invoice._id && (
+                      <tr>
+                        <td colSpan={8} className="px-10 py-3 bg-gray-50">
+                          <ul className="space-y-1 text-sm text-gray-700">
+                            {invoice.lines.map(line => (
+                              <li key={line._id} className="flex justify-between">
+                                <span>{line.description}</span>
+                                <span>{formatMoney(line.amount, invoice.currency)}</span>
+                              </li>
+                            ))}
+                            <li className="flex justify-between border-t border-gray-200 pt-1">
+                              <span>Net total</span>
+                              <span>{formatMoney(invoice.totalAmount, invoice.currency)}</span>
+                            </li>
+                            <li className="flex justify-between">
+                              <span>{describeTax(invoice.tax)}</span>
+                              <span>{formatMoney(invoice.tax?.amount, invoice.currency)}</span>
+                            </li>
+                            <li className="flex justify-between font-medium text-gray-900">
+                              <span>Total</span>
+                              <span>{formatMoney(invoice.grossAmount, invoice.currency)}</span>
+                            </li>
+                          </ul>
+                          {invoice.voidReason && (
+                            <p className="mt-2 text-sm text-red-600">Voided: {invoice.voidReason}</p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Invoices;
\ No newline at end of file
@@ -3,6 +3,8 @@ import Layout from '../components/Layout';
 import { Truck, Plus, Edit, Trash2, Search } from 'lucide-react';
 import { showSuccessToast, showErrorToast } from '../utils/toast';
 import { leafletDeliveryAPI, customersAPI, magazinesAPI } from '../utils/api';
+import { usePermissions } from '../utils/permissions';
+import { formatMoney, currencySymbol } from '../utils/money';
 
 const LeafletDelivery = () => {
   const [leafletDeliveries, setLeafletDeliveries] = useState([]);
@@ -12,6 +14,9 @@ const LeafletDelivery = () => {
   const [editingItem, setEditingItem] = useState(null);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const { can } = usePermissions();
+  const canEdit = can('leaflets:edit');
+  const canViewPrices = can('prices:view');
   
   const [formData, setFormData] = useState({
     customer: '',
@@ -74,8 +79,8 @@ const LeafletDelivery = () => {
     setFormData({
       customer: item.customer?._id,
       magazine: item.magazine?._id,
-      startIssue: item.startIssue,
-      finishIssue: item.finishIssue,
+      startIssue: item.startIssue?.issue || '',
+      finishIssue: item.finishIssue?.issue || '',
       quantity: item.quantity.toString(),
       charge: item.charge.toString(),
       note: item.note || ''
@@ -119,10 +124,18 @@ const LeafletDelivery = () => {
   const filteredDeliveries = leafletDeliveries.filter(delivery =>
     delivery.customer?.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     delivery.magazine?.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    delivery.startIssue.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    delivery.finishIssue.toLowerCase().includes(searchTerm.toLowerCase())
+    delivery.startIssue?.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    delivery.finishIssue?.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // Issues of the selected magazine's schedule, in schedule order
+  const selectedMagazine = magazines.find(magazine => magazine._id === formData.magazine);
+  const magazineIssues = [...(selectedMagazine?.schedule?.issues || [])]
+    .sort((a, b) => a.sortOrder - b.sortOrder);
+
+  // Deliveries are charged in the customer's billing currency, or the base currency when it has none
+  const chargeCurrency = customers.find(customer => customer._id === formData.customer)?.currency;
+
   if (loading) {
     return (
       <Layout>
@@ -156,13 +169,15 @@ const LeafletDelivery = () => {
               className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
           </div>
-          <button
-            onClick={openModal}
-            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add Leaflet Delivery
-          </button>
+          {canEdit && (
+            <button
+              onClick={openModal}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Leaflet Delivery
+            </button>
+          )}
         </div>
 
         {/* Leaflet Deliveries Table */}
@@ -184,15 +199,19 @@ const LeafletDelivery = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Quantity
                     </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Charge
-                    </th>
+                    {canViewPrices && (
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Charge
+                      </th>
+                    )}
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Status
                     </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Actions
-                    </th>
+                    {canEdit && (
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    )}
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -210,14 +229,19 @@ const LeafletDelivery = () => {
                         {delivery.magazine?.name}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {delivery.startIssue} - {delivery.finishIssue}
+                        {delivery.startIssue?.name} - {delivery.finishIssue?.name}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {delivery.quantity.toLocaleString()}
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        £{delivery.charge.toLocaleString()}
-                      </td>
+                      {canViewPrices && (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatMoney(delivery.charge, delivery.currency)}
+                          <div className="text-xs text-gray-500">
+                            {formatMoney(delivery.grossCharge, delivery.currency)} with tax
+                          </div>
+                        </td>
+                      )}
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                           delivery.status === 'Active' ? 'bg-green-100 text-green-800' :
@@ -227,20 +251,22 @@ const LeafletDelivery = () => {
                           {delivery.status}
                         </span>
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                        <button
-                          onClick={() => handleEdit(delivery)}
-                          className="text-blue-600 hover:text-blue-900 mr-4"
-                        >
-                          <Edit className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(delivery._id)}
-                          className="text-red-600 hover:text-red-900"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
-                      </td>
+                      {canEdit && (
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button
+                            onClick={() => handleEdit(delivery)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(delivery._id)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -251,15 +277,17 @@ const LeafletDelivery = () => {
               <Truck className="mx-auto h-12 w-12 text-gray-400" />
               <h3 className="mt-2 text-sm font-medium text-gray-900">No leaflet deliveries</h3>
               <p className="mt-1 text-sm text-gray-500">Get started by creating a new leaflet delivery.</p>
-              <div className="mt-6">
-                <button
-                  onClick={openModal}
-                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-                >
-                  <Plus className="h-4 w-4 mr-2" />
-                  Add Leaflet Delivery
-                </button>
-              </div>
+              {canEdit && (
+                <div className="mt-6">
+                  <button
+                    onClick={openModal}
+                    className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add Leaflet Delivery
+                  </button>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -299,7 +327,7 @@ const LeafletDelivery = () => {
                     </label>
                     <select
                       value={formData.magazine}
-                      onChange={(e) => setFormData({ ...formData, magazine: e.target.value })}
+                      onChange={(e) => setFormData({ ...formData, magazine: e.target.value, startIssue: '', finishIssue: '' })}
                       required
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                     >
@@ -317,28 +345,40 @@ const LeafletDelivery = () => {
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         Start Issue
                       </label>
-                      <input
-                        type="text"
+                      <select
                         value={formData.startIssue}
                         onChange={(e) => setFormData({ ...formData, startIssue: e.target.value })}
                         required
-                        placeholder="e.g. Nov25"
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      />
+                        disabled={!selectedMagazine}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                      >
+                        <option value="">Select Issue</option>
+                        {magazineIssues.map((issue) => (
+                          <option key={issue._id} value={issue._id}>
+                            {issue.name}
+                          </option>
+                        ))}
+                      </select>
                     </div>
 
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         Finish Issue
                       </label>
-                      <input
-                        type="text"
+                      <select
                         value={formData.finishIssue}
                         onChange={(e) => setFormData({ ...formData, finishIssue: e.target.value })}
                         required
-                        placeholder="e.g. Nov25"
-                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      />
+                        disabled={!selectedMagazine}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                      >
+                        <option value="">Select Issue</option>
+                        {magazineIssues.map((issue) => (
+                          <option key={issue._id} value={issue._id}>
+                            {issue.name}
+                          </option>
+                        ))}
+                      </select>
                     </div>
                   </div>
 
@@ -359,7 +399,7 @@ const LeafletDelivery = () => {
 
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Charge (£)
+                        Charge ({chargeCurrency ? currencySymbol(chargeCurrency) : 'base currency'})
                       </label>
                       <input
                         type="number"
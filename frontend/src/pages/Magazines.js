@@ -24,6 +24,7 @@ import {
 } from '../store/slices/bookingSlice';
 import { magazinesAPI, schedulesAPI } from '../utils/api';
 import { toast } from 'react-toastify';
+import { usePermissions } from '../utils/permissions';
 
 const magazineSchema = yup.object().shape({
   name: yup.string().required('Magazine name is required'),
@@ -33,7 +34,11 @@ const magazineSchema = yup.object().shape({
       issueName: yup.string().required('Issue name is required'),
       totalPages: yup.number().required('Total pages is required').min(1, 'Must be at least 1 page')
     })
-  )
+  ),
+  overbookingPercentage: yup.number()
+    .typeError('Overbooking must be a number')
+    .min(0, 'Overbooking cannot be negative')
+    .max(100, 'Overbooking cannot exceed 100%')
 });
 
 const MagazineModal = ({ magazine, onClose, onSave }) => {
@@ -43,7 +48,7 @@ const MagazineModal = ({ magazine, onClose, onSave }) => {
 
   const { register, handleSubmit, control, formState: { errors }, reset, watch, setValue } = useForm({
     resolver: yupResolver(magazineSchema),
-    defaultValues: magazine || { pageConfigurations: [] }
+    defaultValues: magazine || { pageConfigurations: [], overbookingPercentage: 0 }
   });
 
   const { fields, append, remove, replace } = useFieldArray({
@@ -62,7 +67,8 @@ const MagazineModal = ({ magazine, onClose, onSave }) => {
       reset({
         name: magazine.name,
         schedule: magazine.schedule?._id || magazine.schedule,
-        pageConfigurations: magazine.pageConfigurations || []
+        pageConfigurations: magazine.pageConfigurations || [],
+        overbookingPercentage: magazine.overbookingPercentage || 0
       });
       
       if (magazine.schedule) {
@@ -200,6 +206,27 @@ const MagazineModal = ({ magazine, onClose, onSave }) => {
             </div>
           )}
 
+          {/* Overbooking */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Allowed Overbooking (%)
+            </label>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              max="100"
+              {...register('overbookingPercentage')}
+              className="mt-1 block w-32 border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Bookings past an issue's page count only warn up to this percentage, beyond it they are refused
+            </p>
+            {errors.overbookingPercentage && (
+              <p className="mt-1 text-sm text-red-600">{errors.overbookingPercentage.message}</p>
+            )}
+          </div>
+
           {/* Page Configurations */}
           {fields.length > 0 && (
             <div>
@@ -295,6 +322,8 @@ const Magazines = () => {
   const [selectedMagazine, setSelectedMagazine] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [loading, setLoading] = useState(true);
+  const { can } = usePermissions();
+  const canEdit = can('settings:edit');
 
   useEffect(() => {
     loadAllData();
@@ -402,18 +431,20 @@ const Magazines = () => {
             Manage your magazines and their page configurations by schedule
           </p>
         </div>
-        <div className="mt-4 sm:mt-0">
-          <button
-            onClick={() => {
-              setSelectedMagazine(null);
-              setShowModal(true);
-            }}
-            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add Magazine
-          </button>
-        </div>
+        {canEdit && (
+          <div className="mt-4 sm:mt-0">
+            <button
+              onClick={() => {
+                setSelectedMagazine(null);
+                setShowModal(true);
+              }}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Magazine
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Search */}
@@ -463,30 +494,32 @@ const Magazines = () => {
                         </span>
                       )}
                     </h4>
-                    <div className="flex space-x-2">
-                      <button
-                        onClick={() => handleArchiveMagazine(magazine)}
-                        className="text-orange-600 hover:text-orange-900"
-                        title={magazine.archived ? 'Unarchive' : 'Archive'}
-                      >
-                        {magazine.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
-                      </button>
-                      <button
-                        onClick={() => {
-                          setSelectedMagazine(magazine);
-                          setShowModal(true);
-                        }}
-                        className="text-blue-600 hover:text-blue-900"
-                      >
-                        <Edit className="h-4 w-4" />
-                      </button>
-                      <button
-                        onClick={() => handleDeleteMagazine(magazine._id)}
-                        className="text-red-600 hover:text-red-900"
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </button>
-                    </div>
+                    {canEdit && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleArchiveMagazine(magazine)}
+                          className="text-orange-600 hover:text-orange-900"
+                          title={magazine.archived ? 'Unarchive' : 'Archive'}
+                        >
+                          {magazine.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                        </button>
+                        <button
+                          onClick={() => {
+                            setSelectedMagazine(magazine);
+                            setShowModal(true);
+                          }}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteMagazine(magazine._id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
                   </div>
 
                   <div className="mt-4">
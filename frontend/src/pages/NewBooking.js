@@ -10,7 +10,8 @@ import {
   Copy,
   Trash2,
   Save,
-  Calculator
+  Calculator,
+  RotateCcw
 } from 'lucide-react';
 import Layout from '../components/Layout';
 import { 
@@ -18,7 +19,11 @@ import {
   fetchMagazines, 
   fetchContentSizes 
 } from '../store/slices/bookingSlice';
-import api, { contentSizesAPI } from '../utils/api';
+import api, { bookingsAPI, contentSizesAPI, organisationsAPI } from '../utils/api';
+import { INITIAL_STATUSES, defaultProvisionalExpiry } from '../utils/bookingStatus';
+import { CHARGE_TYPES, chargeTypeLabel, chargesTotal } from '../utils/additionalCharges';
+import { DEFAULT_TAX_LABEL, calculateTax, describeTax, resolveTax } from '../utils/tax';
+import { DEFAULT_CURRENCY, formatMoney, currencySymbol } from '../utils/money';
 import { toast } from 'react-toastify';
 
 const magazineEntrySchema = yup.object({
@@ -28,16 +33,28 @@ const magazineEntrySchema = yup.object({
   listPrice: yup.number().required('List price is required').min(0),
   discountPercentage: yup.number().min(0).max(100),
   discountValue: yup.number().min(0),
+  discountOverride: yup.boolean(),
   startIssue: yup.string().required('Start issue is required'),
   finishIssue: yup.string(),
   isOngoing: yup.boolean()
 });
 
+const additionalChargeSchema = yup.object({
+  type: yup.string().required('Charge type is required'),
+  description: yup.string().required('Description is required'),
+  amount: yup.number().typeError('Amount is required').required('Amount is required').min(0),
+  entry: yup.string(),
+  issue: yup.string(),
+  taxable: yup.boolean()
+});
+
 const bookingSchema = yup.object({
   customer: yup.string().required('Customer is required'),
   magazineEntries: yup.array().of(magazineEntrySchema).min(1, 'At least one magazine entry is required'),
-  additionalCharges: yup.number().min(0),
-  notes: yup.string()
+  additionalCharges: yup.array().of(additionalChargeSchema),
+  notes: yup.string(),
+  status: yup.string(),
+  provisionalExpiresAt: yup.string()
 });
 
 const NewBooking = () => {
@@ -50,10 +67,14 @@ const NewBooking = () => {
   const [existingBookings, setExistingBookings] = useState([]);
   const [contentTypes, setContentTypes] = useState([]);
   const [availableIssues, setAvailableIssues] = useState({});
+  const [capacity, setCapacity] = useState({});
   const [isEditMode, setIsEditMode] = useState(false);
   const [editingBookingId, setEditingBookingId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [hasUserMadeChanges, setHasUserMadeChanges] = useState(false);
+  const [quotes, setQuotes] = useState([]);
+  const [taxSettings, setTaxSettings] = useState({ label: DEFAULT_TAX_LABEL, rates: [] });
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
 
   const { register, handleSubmit, control, formState: { errors }, watch, setValue, reset } = useForm({
     resolver: yupResolver(bookingSchema),
@@ -66,12 +87,15 @@ const NewBooking = () => {
         listPrice: 0,
         discountPercentage: 0,
         discountValue: 0,
+        discountOverride: false,
         startIssue: '',
         finishIssue: '',
         isOngoing: false
       }],
-      additionalCharges: 0,
-      notes: ''
+      additionalCharges: [],
+      notes: '',
+      status: 'Confirmed',
+      provisionalExpiresAt: defaultProvisionalExpiry()
     }
   });
 
@@ -80,8 +104,17 @@ const NewBooking = () => {
     name: 'magazineEntries'
   });
 
+  const { fields: chargeFields, append: appendCharge, remove: removeCharge } = useFieldArray({
+    control,
+    name: 'additionalCharges'
+  });
+
   const watchedCustomer = watch('customer');
   const watchedEntries = watch('magazineEntries');
+  const watchedCharges = watch('additionalCharges');
+
+  // Bookings are priced in the customer's billing currency, or the base currency when it has none
+  const bookingCurrency = customers.find(customer => customer._id === watchedCustomer)?.currency || baseCurrency;
 
   useEffect(() => {
     loadInitialData();
@@ -94,7 +127,8 @@ const NewBooking = () => {
         dispatch(fetchCustomers()),
         dispatch(fetchMagazines()),
         dispatch(fetchContentSizes()),
-        fetchContentTypes()
+        fetchContentTypes(),
+        fetchOrganisationSettings()
       ]);
     } catch (error) {
       console.error('Error loading initial data:', error);
@@ -118,11 +152,15 @@ const NewBooking = () => {
     }
   }, [watchedCustomer, id, hasUserMadeChanges]);
 
-  // Auto-fill list price when both magazine and content size are selected
-  const handlePriceAutoFill = async (index, magazineId, contentSizeId) => {
+  // Auto-fill list price when both magazine and content size are selected, at the rate
+  // for the start issue when one is chosen
+  const handlePriceAutoFill = async (index, magazineId, contentSizeId, issueId) => {
     if (magazineId && contentSizeId) {
       try {
-        const response = await contentSizesAPI.getPrice(contentSizeId, magazineId);
+        const response = await contentSizesAPI.getPrice(contentSizeId, magazineId, {
+          ...(issueId ? { issue: issueId } : {}),
+          currency: bookingCurrency
+        });
         if (response.data && response.data.price !== undefined) {
           setValue(`magazineEntries.${index}.listPrice`, response.data.price);
           setHasUserMadeChanges(true);
@@ -142,6 +180,71 @@ const NewBooking = () => {
     } 
   }, [watchedEntries, magazines]);
 
+  // Load the page counts and booked space of the selected magazines' issues
+  const selectedMagazineIds = watchedEntries.map(entry => entry.magazine).filter(Boolean).join(',');
+  useEffect(() => {
+    const magazineIds = [...new Set(selectedMagazineIds.split(',').filter(Boolean))];
+    magazineIds.forEach(async (magazineId) => {
+      try {
+        const response = await bookingsAPI.getCapacity(magazineId, editingBookingId || undefined);
+        setCapacity(prev => ({ ...prev, [magazineId]: response.data }));
+      } catch (error) {
+        console.error('Error loading magazine capacity:', error);
+      }
+    });
+  }, [selectedMagazineIds, editingBookingId]);
+
+  // Price the rows with the pricing rules whenever something they depend on changes.
+  // Rows whose discount was not typed in take the rules' discount; unchanged rows of a
+  // booking being edited keep the rules they were priced with.
+  const pricingKey = JSON.stringify([watchedCustomer, editingBookingId, watchedEntries.map(entry => [
+    entry.magazine, entry.startIssue, entry.finishIssue, entry.isOngoing,
+    entry.listPrice, entry.discountPercentage, entry.discountValue, entry.discountOverride, entry._id
+  ])]);
+  useEffect(() => {
+    const [customer, booking, rows] = JSON.parse(pricingKey);
+    if (!customer) return;
+
+    let cancelled = false;
+    const fetchQuotes = async () => {
+      try {
+        const response = await bookingsAPI.price({
+          customer,
+          booking,
+          magazineEntries: rows.map(([magazine, startIssue, finishIssue, isOngoing, listPrice, discountPercentage, discountValue, discountOverride, _id]) => ({
+            _id, magazine, startIssue, finishIssue, isOngoing, listPrice, discountPercentage, discountValue, discountOverride
+          }))
+        });
+        if (cancelled) return;
+
+        setQuotes(response.data);
+        response.data.forEach((quote, index) => {
+          const [, , , , , discountPercentage, , discountOverride] = rows[index];
+          if (!discountOverride && Number(discountPercentage) !== quote.discountPercentage) {
+            setValue(`magazineEntries.${index}.discountPercentage`, quote.discountPercentage);
+          }
+        });
+      } catch (error) {
+        console.error('Error pricing booking:', error);
+      }
+    };
+    fetchQuotes();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pricingKey, setValue]);
+
+  const fetchOrganisationSettings = async () => {
+    try {
+      const response = await organisationsAPI.getCurrent();
+      setTaxSettings({ label: response.data.taxLabel || DEFAULT_TAX_LABEL, rates: response.data.taxRates || [] });
+      setBaseCurrency(response.data.currency || DEFAULT_CURRENCY);
+    } catch (error) {
+      console.error('Error fetching organisation settings:', error);
+    }
+  };
+
   const fetchContentTypes = async () => {
     try {
       const response = await api.get('/content-types');
@@ -205,13 +308,29 @@ const NewBooking = () => {
       magazine: typeof entry.magazine === 'object' ? entry.magazine._id : entry.magazine,
       // Extract contentSize ID from populated object or use as-is if it's already an ID
       contentSize: typeof entry.contentSize === 'object' ? entry.contentSize._id : entry.contentSize,
+      // Issues are stored as references to the schedule, the selects work with the issue IDs
+      startIssue: entry.startIssue?.issue || '',
+      finishIssue: entry.finishIssue?.issue || '',
+      discountOverride: Boolean(entry.pricing?.discountOverride),
     }));
 
     reset({
       customer: booking.customer._id || booking.customer,
       magazineEntries: transformedEntries,
-      additionalCharges: booking.additionalCharges || 0,
-      notes: booking.notes || ''
+      // Charges refer to entries by their position in the form
+      additionalCharges: (booking.additionalCharges || []).map(charge => ({
+        _id: charge._id,
+        type: charge.type,
+        description: charge.description,
+        amount: charge.amount,
+        entry: charge.entry ? String(booking.magazineEntries.findIndex(entry => entry._id === charge.entry)) : '',
+        issue: charge.issue?.issue || '',
+        taxable: charge.taxable
+      })),
+      notes: booking.notes || '',
+      // The status of a new booking is chosen here, existing bookings change it from their details page
+      status: 'Confirmed',
+      provisionalExpiresAt: defaultProvisionalExpiry()
     });
 
     // Load available issues for the selected magazines
@@ -265,6 +384,7 @@ const NewBooking = () => {
       listPrice: 0,
       discountPercentage: 0,
       discountValue: 0,
+      discountOverride: false,
       startIssue: '',
       finishIssue: '',
       isOngoing: false
@@ -274,34 +394,110 @@ const NewBooking = () => {
 
   const copyRow = (index) => {
     const rowToCopy = watchedEntries[index];
-    append({ ...rowToCopy });
+    // The copy is a new entry, priced with the rules as they are now
+    append({ ...rowToCopy, _id: undefined });
     setHasUserMadeChanges(true); // Mark that user has made changes
   };
 
   const deleteRow = (index) => {
     if (fields.length > 1) {
+      // Keep additional charges on the same entries; charges for the deleted row become charges for the booking
+      watchedCharges.forEach((charge, chargeIndex) => {
+        if (charge.entry === '') return;
+        const entryIndex = Number(charge.entry);
+        if (entryIndex === index) {
+          setValue(`additionalCharges.${chargeIndex}.entry`, '');
+          setValue(`additionalCharges.${chargeIndex}.issue`, '');
+        } else if (entryIndex > index) {
+          setValue(`additionalCharges.${chargeIndex}.entry`, String(entryIndex - 1));
+        }
+      });
       remove(index);
       setHasUserMadeChanges(true); // Mark that user has made changes
     }
   };
 
-  const calculateRowTotal = (entry) => {
+  const addCharge = () => {
+    appendCharge({ type: 'design', description: chargeTypeLabel('design'), amount: 0, entry: '', issue: '', taxable: true });
+    setHasUserMadeChanges(true);
+  };
+
+  // Issues a row runs in, for charges that are for one of them
+  const getRowIssues = (index) => {
+    const entry = watchedEntries[index];
+    const issues = magazines.find(m => m._id === entry?.magazine)?.schedule?.issues || [];
+    const start = issues.find(issue => issue._id === entry?.startIssue);
+    if (!start) return [];
+
+    const finish = entry.isOngoing ? null : (issues.find(issue => issue._id === entry.finishIssue) || start);
+    return issues.filter(issue => issue.sortOrder >= start.sortOrder && (!finish || issue.sortOrder <= finish.sortOrder));
+  };
+
+  // Agency commission the pricing rules give a row
+  const rowCommission = (index) => quotes[index]?.pricing?.commissionPercentage || 0;
+
+  const calculateRowTotal = (entry, commissionPercentage = 0) => {
     const listPrice = Number(entry.listPrice) || 0;
     const discountPercentage = Number(entry.discountPercentage) || 0;
     const discountValue = Number(entry.discountValue) || 0;
     
-    // Apply percentage discount first, then absolute discount
+    // Apply percentage discount first, then absolute discount, then commission on what is left
     const afterPercentageDiscount = listPrice * (1 - discountPercentage / 100);
-    const finalPrice = afterPercentageDiscount - discountValue;
+    const finalPrice = Math.max(0, afterPercentageDiscount - discountValue);
     
-    return Math.max(0, finalPrice);
+    return finalPrice * (1 - commissionPercentage / 100);
+  };
+
+  // Space left in the fullest issue a row runs in, after other bookings and all rows of this form
+  const getRowSpace = (index) => {
+    const entry = watchedEntries[index];
+    const magazineCapacity = capacity[entry?.magazine];
+    if (!entry?.startIssue || !magazineCapacity) return null;
+
+    const issues = magazineCapacity.issues;
+    const runsIn = (row, issue) => {
+      const start = issues.find(i => i.issue === row.startIssue);
+      if (!start || start.sortOrder > issue.sortOrder) return false;
+      if (row.isOngoing) return true;
+      const finish = issues.find(i => i.issue === row.finishIssue) || start;
+      return issue.sortOrder <= finish.sortOrder;
+    };
+    const sizeOf = (row) => contentSizes.find(size => size._id === row.contentSize)?.size || 0;
+
+    let fullest = null;
+    issues.filter(issue => runsIn(entry, issue)).forEach(issue => {
+      const formPages = watchedEntries
+        .filter(row => row.magazine === entry.magazine && runsIn(row, issue))
+        .reduce((sum, row) => sum + sizeOf(row), 0);
+      const remaining = issue.totalPages - issue.bookedPages - formPages;
+
+      if (!fullest || remaining < fullest.remaining) {
+        fullest = {
+          name: issue.name,
+          remaining: Math.round(remaining * 100) / 100,
+          overLimit: issue.bookedPages + formPages > issue.maxPages
+        };
+      }
+    });
+
+    return fullest;
   };
 
   const calculateTotalValue = () => {
-    const entriesTotal = watchedEntries.reduce((sum, entry) => {
-      return sum + calculateRowTotal(entry);
+    const entriesTotal = watchedEntries.reduce((sum, entry, index) => {
+      return sum + calculateRowTotal(entry, rowCommission(index));
     }, 0);
-    return entriesTotal + (Number(watch('additionalCharges')) || 0);
+    return entriesTotal + chargesTotal(watchedCharges);
+  };
+
+  // Tax at the selected customer's rate on the entries and the taxable charges; the server
+  // works it out again when the booking is saved
+  const calculateTaxBreakdown = () => {
+    const tax = resolveTax(taxSettings, customers.find(customer => customer._id === selectedCustomer));
+    const untaxedCharges = (watchedCharges || []).filter(charge => !charge.taxable);
+    const net = calculateTotalValue();
+    const amount = calculateTax(net - chargesTotal(untaxedCharges), tax.percentage);
+    return { tax: { ...tax, amount }, net, gross: net + amount };
   };
 
   const onSubmit = async (data) => {
@@ -313,13 +509,28 @@ const NewBooking = () => {
           listPrice: Number(entry.listPrice),
           discountPercentage: Number(entry.discountPercentage) || 0,
           discountValue: Number(entry.discountValue) || 0,
-          totalPrice: calculateRowTotal(entry), // Calculate total price for each entry
+          totalPrice: calculateRowTotal(entry), // Recalculated with the pricing rules when saved
           isOngoing: Boolean(entry.isOngoing)
         })),
-        additionalCharges: Number(data.additionalCharges) || 0,
+        additionalCharges: (data.additionalCharges || []).map(charge => ({
+          ...(charge._id ? { _id: charge._id } : {}),
+          type: charge.type,
+          description: charge.description,
+          amount: Number(charge.amount) || 0,
+          entry: charge.entry === '' ? null : Number(charge.entry),
+          issue: charge.entry !== '' && charge.issue ? charge.issue : null,
+          taxable: Boolean(charge.taxable)
+        })),
         notes: data.notes
       };
 
+      if (!isEditMode) {
+        payload.status = data.status;
+        if (data.status === 'Provisional') {
+          payload.provisionalExpiresAt = data.provisionalExpiresAt;
+        }
+      }
+
       let response;
       if (isEditMode && editingBookingId) {
         response = await api.put(`/bookings/${editingBookingId}`, payload);
@@ -329,6 +540,9 @@ const NewBooking = () => {
         toast.success('Booking created successfully');
       }
 
+      // The booking was saved, but some issues are now past their page count
+      (response.data.capacityWarnings || []).forEach(warning => toast.warning(warning));
+
       // Reset the flag after successful submission
       setHasUserMadeChanges(false);
       navigate('/bookings');
@@ -338,7 +552,8 @@ const NewBooking = () => {
     }
   };
 
-  const formatCurrency = (value) => `£${(value || 0).toFixed(2)}`;
+  const formatCurrency = (value) => formatMoney(value, bookingCurrency);
+  const taxBreakdown = calculateTaxBreakdown();
   return (
     <Layout>
       <div className="min-h-screen bg-gray-50 py-8">
@@ -429,7 +644,7 @@ const NewBooking = () => {
                             Discount %
                           </th>
                           <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
-                            Discount £
+                            Discount {currencySymbol(bookingCurrency)}
                           </th>
                           <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
                             Total
@@ -443,6 +658,9 @@ const NewBooking = () => {
                           <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
                             Ongoing?
                           </th>
+                          <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            Space Left
+                          </th>
                           <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
                             Actions
                           </th>
@@ -452,6 +670,7 @@ const NewBooking = () => {
                         {fields.map((field, index) => {
                           const entry = watchedEntries[index] || {};
                           const magazineIssues = availableIssues[entry.magazine] || [];
+                          const space = getRowSpace(index);
                           return (
                             <tr key={field.id}>
                               <td className="px-3 py-4 whitespace-nowrap">
@@ -514,7 +733,7 @@ const NewBooking = () => {
                                     
                                     // Auto-fill price if both magazine and content size are selected
                                     if (magazineId && contentSizeId) {
-                                      handlePriceAutoFill(index, magazineId, contentSizeId);
+                                      handlePriceAutoFill(index, magazineId, contentSizeId, currentEntry?.startIssue);
                                     }
                                     
                                     setHasUserMadeChanges(true);
@@ -560,9 +779,24 @@ const NewBooking = () => {
                                   step="0.1"
                                   min="0"
                                   max="100"
-                                  {...register(`magazineEntries.${index}.discountPercentage`)}
-                                  className="block w-16 border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                  {...register(`magazineEntries.${index}.discountPercentage`, {
+                                    // A typed discount overrides the pricing rules
+                                    onChange: () => setValue(`magazineEntries.${index}.discountOverride`, true)
+                                  })}
+                                  title={quotes[index]?.pricing?.rules?.map(rule => `${rule.name}: ${rule.percentage}% (${rule.detail})`).join('\n') || 'No pricing rules apply'}
+                                  className={`block w-16 border rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 ${quotes[index]?.pricing?.manualOverride ? 'border-yellow-400 bg-yellow-50' : 'border-gray-300'}`}
                                 />
+                                {entry.discountOverride && (
+                                  <button
+                                    type="button"
+                                    onClick={() => setValue(`magazineEntries.${index}.discountOverride`, false)}
+                                    className="mt-1 inline-flex items-center text-xs text-yellow-700 hover:text-yellow-900"
+                                    title={`Use the pricing rules' ${quotes[index]?.pricing?.ruleDiscountPercentage ?? 0}%`}
+                                  >
+                                    <RotateCcw className="h-3 w-3 mr-1" />
+                                    Manual
+                                  </button>
+                                )}
                               </td>
 
                               <td className="px-3 py-4 whitespace-nowrap">
@@ -576,17 +810,32 @@ const NewBooking = () => {
                               </td>
 
                               <td className="px-3 py-4 whitespace-nowrap text-sm font-medium">
-                                {formatCurrency(calculateRowTotal(entry))}
+                                {formatCurrency(calculateRowTotal(entry, rowCommission(index)))}
+                                {rowCommission(index) > 0 && (
+                                  <div className="text-xs font-normal text-gray-500">after {rowCommission(index)}% commission</div>
+                                )}
                               </td>
 
                               <td className="px-3 py-4 whitespace-nowrap">
                                 <select
                                   {...register(`magazineEntries.${index}.startIssue`)}
+                                  onChange={(e) => {
+                                    const issueId = e.target.value;
+                                    setValue(`magazineEntries.${index}.startIssue`, issueId);
+
+                                    // Prices can change between issues, so take the rate for the new start issue
+                                    const currentEntry = watchedEntries[index];
+                                    if (issueId && currentEntry?.magazine && currentEntry?.contentSize) {
+                                      handlePriceAutoFill(index, currentEntry.magazine, currentEntry.contentSize, issueId);
+                                    }
+
+                                    setHasUserMadeChanges(true);
+                                  }}
                                   className="block w-full border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                                 >
                                   <option value="">Select</option>
                                   {magazineIssues.map((issue) => (
-                                    <option key={issue._id} value={issue.name}>
+                                    <option key={issue._id} value={issue._id}>
                                       {issue.name}
                                     </option>
                                   ))}
@@ -601,7 +850,7 @@ const NewBooking = () => {
                                 >
                                   <option value="">Select</option>
                                   {magazineIssues.map((issue) => (
-                                    <option key={issue._id} value={issue.name}>
+                                    <option key={issue._id} value={issue._id}>
                                       {issue.name}
                                     </option>
                                   ))}
@@ -616,6 +865,19 @@ const NewBooking = () => {
                                 />
                               </td>
 
+                              <td className="px-3 py-4 whitespace-nowrap text-xs">
+                                {space ? (
+                                  <span
+                                    className={space.overLimit ? 'text-red-600 font-medium' : space.remaining < 0 ? 'text-yellow-600 font-medium' : 'text-gray-600'}
+                                    title={space.overLimit ? 'More than the allowed overbooking' : undefined}
+                                  >
+                                    {space.remaining} pages in {space.name}
+                                  </span>
+                                ) : (
+                                  <span className="text-gray-400">-</span>
+                                )}
+                              </td>
+
                               <td className="px-3 py-4 whitespace-nowrap text-sm font-medium">
                                 <div className="flex space-x-2">
                                   <button
@@ -658,30 +920,179 @@ const NewBooking = () => {
                   <div className="text-right">
                     <p className="text-sm text-gray-500">Total value of this booking:</p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {formatCurrency(calculateTotalValue())}
+                      {formatCurrency(taxBreakdown.gross)}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {formatCurrency(taxBreakdown.net)} net + {formatCurrency(taxBreakdown.tax.amount)} {describeTax(taxBreakdown.tax)}
                     </p>
                   </div>
                 </div>
 
-                {/* Additional Charges - only show when creating new booking */}
+                {/* Additional Charges */}
+                <div className="mt-6">
+                  <div className="flex justify-between items-center">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Additional Charges
+                      </label>
+                      <p className="text-sm text-gray-500">
+                        Fees and surcharges for the whole booking, one of its rows or an issue of a row
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={addCharge}
+                      className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      <Plus className="h-4 w-4 mr-1" />
+                      Add Charge
+                    </button>
+                  </div>
+
+                  {chargeFields.length > 0 && (
+                    <div className="mt-3 overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">For</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issue</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Taxable</th>
+                            <th className="px-3 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {chargeFields.map((field, index) => {
+                            const charge = watchedCharges[index] || {};
+                            const chargeErrors = errors.additionalCharges?.[index];
+
+                            return (
+                              <tr key={field.id}>
+                                <td className="px-3 py-2">
+                                  <select
+                                    {...register(`additionalCharges.${index}.type`, {
+                                      onChange: (e) => {
+                                        // Follow the type while the description is still a type's name
+                                        if (!charge.description || CHARGE_TYPES.some(type => type.label === charge.description)) {
+                                          setValue(`additionalCharges.${index}.description`, chargeTypeLabel(e.target.value));
+                                        }
+                                      }
+                                    })}
+                                    className="block w-full border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                  >
+                                    {CHARGE_TYPES.map(type => (
+                                      <option key={type.value} value={type.value}>{type.label}</option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td className="px-3 py-2">
+                                  <input
+                                    type="text"
+                                    {...register(`additionalCharges.${index}.description`)}
+                                    className={`block w-full border rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 ${chargeErrors?.description ? 'border-red-300' : 'border-gray-300'}`}
+                                  />
+                                </td>
+                                <td className="px-3 py-2">
+                                  <select
+                                    {...register(`additionalCharges.${index}.entry`, {
+                                      onChange: () => setValue(`additionalCharges.${index}.issue`, '')
+                                    })}
+                                    className="block w-full border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                  >
+                                    <option value="">Whole booking</option>
+                                    {watchedEntries.map((entry, entryIndex) => (
+                                      <option key={entryIndex} value={String(entryIndex)}>
+                                        Row {entryIndex + 1}{entry.magazine ? `: ${magazines.find(m => m._id === entry.magazine)?.name || ''}` : ''}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td className="px-3 py-2">
+                                  <select
+                                    {...register(`additionalCharges.${index}.issue`)}
+                                    disabled={charge.entry === ''}
+                                    className="block w-full border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                                  >
+                                    <option value="">Any</option>
+                                    {charge.entry !== '' && getRowIssues(Number(charge.entry)).map(issue => (
+                                      <option key={issue._id} value={issue._id}>{issue.name}</option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td className="px-3 py-2">
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    {...register(`additionalCharges.${index}.amount`)}
+                                    className={`block w-24 border rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 ${chargeErrors?.amount ? 'border-red-300' : 'border-gray-300'}`}
+                                  />
+                                </td>
+                                <td className="px-3 py-2 text-center">
+                                  <input
+                                    type="checkbox"
+                                    {...register(`additionalCharges.${index}.taxable`)}
+                                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                                  />
+                                </td>
+                                <td className="px-3 py-2">
+                                  <button
+                                    type="button"
+                                    onClick={() => {
+                                      removeCharge(index);
+                                      setHasUserMadeChanges(true);
+                                    }}
+                                    className="text-red-600 hover:text-red-900"
+                                    title="Remove Charge"
+                                  >
+                                    <Trash2 className="h-4 w-4" />
+                                  </button>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+
+                {/* Status - only chosen when creating a booking */}
                 {!isEditMode && (
-                  <div className="mt-6">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Additional Charges
-                    </label>
-                    <div className="mt-1">
-                      <input
-                        type="number"
-                        step="0.01"
-                        min="0"
-                        {...register('additionalCharges')}
-                        className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                        placeholder="0.00"
-                      />
+                  <div className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-2">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Status
+                      </label>
+                      <select
+                        {...register('status')}
+                        className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      >
+                        {INITIAL_STATUSES.map((status) => (
+                          <option key={status} value={status}>{status}</option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-sm text-gray-500">
+                        Only provisional and confirmed bookings take space in an issue
+                      </p>
                     </div>
-                    <p className="mt-1 text-sm text-gray-500">
-                      Any additional charges for this booking (optional)
-                    </p>
+                    {watch('status') === 'Provisional' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                          Hold Until
+                        </label>
+                        <input
+                          type="date"
+                          {...register('provisionalExpiresAt')}
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        />
+                        <p className="mt-1 text-sm text-gray-500">
+                          The space is released if the booking is not confirmed by then
+                        </p>
+                      </div>
+                    )}
                   </div>
                 )}
 
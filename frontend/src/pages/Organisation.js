@@ -0,0 +1,646 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Building2,
+  Copy,
+  RefreshCw,
+  Trash2,
+  User,
+  Save,
+  LogIn,
+  Palette,
+  Receipt,
+  Plus,
+  Coins
+} from 'lucide-react';
+import { toast } from 'react-toastify';
+import { organisationsAPI } from '../utils/api';
+import { checkAuth } from '../store/slices/authSlice';
+import { DEFAULT_TAX_LABEL } from '../utils/tax';
+import { CURRENCIES, DEFAULT_CURRENCY, currencyLabel } from '../utils/money';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  sales: 'Sales',
+  production: 'Production',
+  'read-only': 'Read-only'
+};
+
+const EMPTY_BRANDING = {
+  address: '',
+  phone: '',
+  email: '',
+  website: '',
+  colour: '#1d4ed8',
+  terms: ''
+};
+
+const BRANDING_FIELDS = [
+  { name: 'address', label: 'Address' },
+  { name: 'phone', label: 'Phone' },
+  { name: 'email', label: 'Email', type: 'email' },
+  { name: 'website', label: 'Website' }
+];
+
+const Organisation = () => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [organisation, setOrganisation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [branding, setBranding] = useState(EMPTY_BRANDING);
+  const [taxLabel, setTaxLabel] = useState(DEFAULT_TAX_LABEL);
+  const [taxRates, setTaxRates] = useState([]);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [joinCode, setJoinCode] = useState('');
+
+  useEffect(() => {
+    fetchOrganisation();
+  }, []);
+
+  const fetchOrganisation = async () => {
+    try {
+      setLoading(true);
+      const response = await organisationsAPI.getCurrent();
+      setOrganisation(response.data);
+      setName(response.data.name);
+      setBranding({ ...EMPTY_BRANDING, ...response.data.branding });
+      setTaxLabel(response.data.taxLabel || DEFAULT_TAX_LABEL);
+      setTaxRates(response.data.taxRates || []);
+      setCurrency(response.data.currency || DEFAULT_CURRENCY);
+      setExchangeRates(response.data.exchangeRates || []);
+    } catch (error) {
+      toast.error('Error fetching organisation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Organisation name is required');
+      return;
+    }
+
+    try {
+      await organisationsAPI.update({ name });
+      toast.success('Organisation updated successfully');
+      fetchOrganisation();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating organisation');
+    }
+  };
+
+  const handleBrandingChange = (e) => {
+    const { name, value } = e.target;
+    setBranding(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveBranding = async (e) => {
+    e.preventDefault();
+
+    try {
+      await organisationsAPI.update({ name: organisation.name, branding });
+      toast.success('Branding updated successfully');
+      fetchOrganisation();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Error updating branding');
+    }
+  };
+
+  const handleTaxRateChange = (index, field, value) => {
+    setTaxRates(prev => prev.map((rate, i) => {
+      if (field === 'isDefault') return { ...rate, isDefault: i === index };
+      return i === index ? { ...rate, [field]: value } : rate;
+    }));
+  };
+
+  const handleRemoveTaxRate = (index) => {
+    setTaxRates(prev => prev.filter((rate, i) => i !== index));
+  };
+
+  const handleSaveTax = async (e) => {
+    e.preventDefault();
+
+    try {
+      await organisationsAPI.update({ name: organisation.name, taxLabel, taxRates });
+      toast.success('Tax rates updated successfully');
+      fetchOrganisation();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Error updating tax rates');
+    }
+  };
+
+  const handleExchangeRateChange = (index, field, value) => {
+    setExchangeRates(prev => prev.map((rate, i) => i === index ? { ...rate, [field]: value } : rate));
+  };
+
+  const handleRemoveExchangeRate = (index) => {
+    setExchangeRates(prev => prev.filter((rate, i) => i !== index));
+  };
+
+  const handleSaveCurrency = async (e) => {
+    e.preventDefault();
+
+    try {
+      await organisationsAPI.update({ name: organisation.name, currency, exchangeRates });
+      toast.success('Currency updated successfully');
+      fetchOrganisation();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Error updating currency');
+    }
+  };
+
+  const handleCopyInviteCode = async () => {
+    try {
+      await navigator.clipboard.writeText(organisation.inviteCode);
+      toast.success('Invite code copied to clipboard');
+    } catch (error) {
+      toast.error('Could not copy invite code');
+    }
+  };
+
+  const handleRegenerateInviteCode = async () => {
+    if (window.confirm('Generate a new invite code? The current code will stop working.')) {
+      try {
+        const response = await organisationsAPI.regenerateInviteCode();
+        setOrganisation({ ...organisation, inviteCode: response.data.inviteCode });
+        toast.success('Invite code regenerated');
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error regenerating invite code');
+      }
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await organisationsAPI.updateMemberRole(member._id, role);
+      toast.success(`${member.name} is now ${ROLE_LABELS[role]}`);
+      fetchOrganisation();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating role');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (window.confirm(`Remove ${member.name} from this organisation? They will no longer see its data.`)) {
+      try {
+        await organisationsAPI.removeMember(member._id);
+        toast.success('Member removed successfully');
+        fetchOrganisation();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error removing member');
+      }
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (!joinCode.trim()) {
+      toast.error('Invite code is required');
+      return;
+    }
+
+    if (window.confirm('Join this organisation? Data in your current organisation stays there.')) {
+      try {
+        const response = await organisationsAPI.join(joinCode.trim());
+        toast.success(response.data.message);
+        setJoinCode('');
+        // Joining changes the role, so refresh the permissions of the logged in user
+        dispatch(checkAuth());
+        fetchOrganisation();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error joining organisation');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!organisation) {
+    return null;
+  }
+
+  const unratedCurrencies = CURRENCIES.filter(option => option.value !== currency
+    && !exchangeRates.some(rate => rate.currency === option.value));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">Organisation</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Everyone in your organisation shares the same customers, magazines and bookings
+        </p>
+      </div>
+
+      {/* Organisation details */}
+      <div className="bg-white shadow sm:rounded-md p-6 space-y-4">
+        <form onSubmit={handleRename} className="flex flex-col sm:flex-row sm:items-end gap-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Organisation Name
+            </label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={!organisation.canManage}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+            />
+          </div>
+          {organisation.canManage && (
+            <button
+              type="submit"
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              Save
+            </button>
+          )}
+        </form>
+
+        {organisation.canManage && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Invite Code
+            </label>
+            <div className="flex items-center gap-2">
+              <code className="px-3 py-2 bg-gray-100 rounded-md text-sm font-mono text-gray-900">
+                {organisation.inviteCode}
+              </code>
+              <button
+                onClick={handleCopyInviteCode}
+                className="text-blue-600 hover:text-blue-900"
+                title="Copy"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+              <button
+                onClick={handleRegenerateInviteCode}
+                className="text-gray-600 hover:text-gray-900"
+                title="Regenerate"
+              >
+                <RefreshCw className="h-4 w-4" />
+              </button>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Colleagues can enter this code when signing up, or under Settings if they already have an account.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Branding on booking confirmations, quotes and invoices */}
+      <form onSubmit={handleSaveBranding} className="bg-white shadow sm:rounded-md p-6 space-y-4">
+        <div className="flex items-center">
+          <Palette className="h-5 w-5 text-gray-400 mr-2" />
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Document Branding</h3>
+            <p className="text-xs text-gray-500">Printed on booking confirmations, quotes and invoices</p>
+          </div>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {BRANDING_FIELDS.map(field => (
+            <div key={field.name}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+              <input
+                type={field.type || 'text'}
+                name={field.name}
+                value={branding[field.name] || ''}
+                onChange={handleBrandingChange}
+                disabled={!organisation.canManage}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+              />
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Brand Colour</label>
+            <input
+              type="color"
+              name="colour"
+              value={branding.colour || EMPTY_BRANDING.colour}
+              onChange={handleBrandingChange}
+              disabled={!organisation.canManage}
+              className="h-10 w-20 border border-gray-300 rounded-md"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Terms and Conditions</label>
+          <textarea
+            name="terms"
+            rows={4}
+            value={branding.terms || ''}
+            onChange={handleBrandingChange}
+            disabled={!organisation.canManage}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+          />
+        </div>
+        {organisation.canManage && (
+          <button
+            type="submit"
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            Save Branding
+          </button>
+        )}
+      </form>
+
+      {/* Tax rates charged on bookings, leaflet deliveries and invoices */}
+      <form onSubmit={handleSaveTax} className="bg-white shadow sm:rounded-md p-6 space-y-4">
+        <div className="flex items-center">
+          <Receipt className="h-5 w-5 text-gray-400 mr-2" />
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Tax</h3>
+            <p className="text-xs text-gray-500">
+              Customers pay the default rate unless they are given another rate or are exempt. Bookings keep the rate they were saved with.
+            </p>
+          </div>
+        </div>
+        <div className="max-w-xs">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Tax Name</label>
+          <input
+            type="text"
+            value={taxLabel}
+            onChange={(e) => setTaxLabel(e.target.value)}
+            disabled={!organisation.canManage}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+          />
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className="py-2 pr-3 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
+              <th className="py-2 pr-3 text-left text-xs font-medium text-gray-500 uppercase">Percentage</th>
+              <th className="py-2 pr-3 text-left text-xs font-medium text-gray-500 uppercase">Default</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {taxRates.map((rate, index) => (
+              <tr key={rate._id || index}>
+                <td className="py-2 pr-3">
+                  <input
+                    type="text"
+                    value={rate.name}
+                    onChange={(e) => handleTaxRateChange(index, 'name', e.target.value)}
+                    disabled={!organisation.canManage}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+                  />
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={rate.percentage}
+                    onChange={(e) => handleTaxRateChange(index, 'percentage', e.target.value)}
+                    disabled={!organisation.canManage}
+                    className="w-28 px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+                  />
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="radio"
+                    name="defaultTaxRate"
+                    checked={Boolean(rate.isDefault)}
+                    onChange={() => handleTaxRateChange(index, 'isDefault', true)}
+                    disabled={!organisation.canManage}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                  />
+                </td>
+                <td className="py-2 text-right">
+                  {organisation.canManage && taxRates.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveTaxRate(index)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove rate"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {organisation.canManage && (
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={() => setTaxRates(prev => [...prev, { name: '', percentage: 0, isDefault: false }])}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Rate
+            </button>
+            <button
+              type="submit"
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              Save Tax Rates
+            </button>
+          </div>
+        )}
+      </form>
+
+      {/* Base currency and the exchange rates of the other currencies customers are billed in */}
+      <form onSubmit={handleSaveCurrency} className="bg-white shadow sm:rounded-md p-6 space-y-4">
+        <div className="flex items-center">
+          <Coins className="h-5 w-5 text-gray-400 mr-2" />
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Currency</h3>
+            <p className="text-xs text-gray-500">
+              Rate cards, the dashboard and reports are in the base currency. Customers billed in another currency need an exchange rate; bookings keep the rate they were priced at.
+            </p>
+          </div>
+        </div>
+        <div className="max-w-xs">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Base Currency</label>
+          <select
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            disabled={!organisation.canManage}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+          >
+            {CURRENCIES.map(option => (
+              <option key={option.value} value={option.value}>{currencyLabel(option.value)}</option>
+            ))}
+          </select>
+        </div>
+        {exchangeRates.length > 0 && (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="py-2 pr-3 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                <th className="py-2 pr-3 text-left text-xs font-medium text-gray-500 uppercase">Units per {currency}</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {exchangeRates.map((rate, index) => (
+                <tr key={index}>
+                  <td className="py-2 pr-3">
+                    <select
+                      value={rate.currency}
+                      onChange={(e) => handleExchangeRateChange(index, 'currency', e.target.value)}
+                      disabled={!organisation.canManage}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+                    >
+                      {CURRENCIES.filter(option => option.value !== currency).map(option => (
+                        <option key={option.value} value={option.value}>{currencyLabel(option.value)}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <input
+                      type="number"
+                      min="0.000001"
+                      step="any"
+                      value={rate.rate}
+                      onChange={(e) => handleExchangeRateChange(index, 'rate', e.target.value)}
+                      disabled={!organisation.canManage}
+                      className="w-32 px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500"
+                    />
+                  </td>
+                  <td className="py-2 text-right">
+                    {organisation.canManage && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveExchangeRate(index)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove exchange rate"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {organisation.canManage && (
+          <div className="flex space-x-3">
+            {unratedCurrencies.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setExchangeRates(prev => [...prev, { currency: unratedCurrencies[0].value, rate: 1 }])}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Exchange Rate
+              </button>
+            )}
+            <button
+              type="submit"
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              Save Currency
+            </button>
+          </div>
+        )}
+      </form>
+
+      {/* Members */}
+      <div className="bg-white shadow overflow-hidden sm:rounded-md">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-sm font-medium text-gray-900">
+            Members ({organisation.members.length})
+          </h3>
+        </div>
+        <ul className="divide-y divide-gray-200">
+          {organisation.members.map((member) => (
+            <li key={member._id} className="px-6 py-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+                    <User className="h-4 w-4 text-blue-600" />
+                  </div>
+                  <div className="ml-3">
+                    <p className="text-sm font-medium text-gray-900">
+                      {member.name}
+                      {member._id === organisation.owner && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">
+                          Owner
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">{member.email}</p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-4">
+                  {organisation.canManage && member._id !== organisation.owner ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {organisation.roles
+                        .filter((role) => role !== 'owner')
+                        .map((role) => (
+                          <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                        ))}
+                    </select>
+                  ) : (
+                    <span className="text-sm text-gray-500">{ROLE_LABELS[member.role]}</span>
+                  )}
+                  {organisation.canManage && member._id !== organisation.owner && member._id !== user?.id && (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Remove"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Join another organisation */}
+      <div className="bg-white shadow sm:rounded-md p-6">
+        <div className="flex items-center mb-3">
+          <Building2 className="h-5 w-5 text-gray-400 mr-2" />
+          <h3 className="text-sm font-medium text-gray-900">Join Another Organisation</h3>
+        </div>
+        <form onSubmit={handleJoin} className="flex flex-col sm:flex-row gap-4">
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Enter invite code"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            <LogIn className="h-4 w-4 mr-2" />
+            Join
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Organisation;
\ No newline at end of file
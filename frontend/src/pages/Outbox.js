@@ -0,0 +1,148 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, RefreshCw, RotateCw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { emailsAPI } from '../utils/api';
+import { OUTBOX_STATUSES, OUTBOX_STATUS_STYLES } from '../utils/outboxStatus';
+
+const formatDateTime = (date) => date ? new Date(date).toLocaleString('en-GB') : '';
+
+const Outbox = () => {
+  const [messages, setMessages] = useState([]);
+  const [emailConfigured, setEmailConfigured] = useState(true);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const fetchOutbox = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await emailsAPI.getOutbox(status ? { status } : {});
+      setMessages(response.data.messages);
+      setEmailConfigured(response.data.emailConfigured);
+    } catch (error) {
+      toast.error('Error fetching outbox');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchOutbox();
+  }, [fetchOutbox]);
+
+  const handleRetry = async (id) => {
+    try {
+      const response = await emailsAPI.retry(id);
+      setMessages(current => current.map(message => message._id === id ? response.data : message));
+      toast[response.data.status === 'Sent' ? 'success' : 'warning'](`Email ${response.data.status.toLowerCase()}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error retrying email');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Outbox</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Every email the system sends, with its delivery status. Failed attempts are retried automatically.
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All statuses</option>
+            {OUTBOX_STATUSES.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchOutbox}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {!emailConfigured && (
+        <div className="flex items-center p-4 rounded-md bg-yellow-50 text-sm text-yellow-800">
+          <AlertTriangle className="h-5 w-5 mr-2" />
+          Email sending is not configured on the server, so messages stay queued.
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : messages.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 text-center">No emails found</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {messages.map(message => (
+                <tr key={message._id}>
+                  <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                    {formatDateTime(message.createdAt)}
+                    {message.createdBy && <div className="text-xs">by {message.createdBy.name}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{message.to}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {message.subject}
+                    {message.attachments?.length > 0 && (
+                      <div className="text-xs text-gray-500">
+                        {message.attachments.map(attachment => attachment.filename).join(', ')}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${OUTBOX_STATUS_STYLES[message.status]}`}>
+                      {message.status}
+                    </span>
+                    {message.status === 'Sent' && (
+                      <div className="text-xs text-gray-500 mt-1">{formatDateTime(message.sentAt)}</div>
+                    )}
+                    {message.status !== 'Sent' && message.lastError && (
+                      <div className="text-xs text-red-600 mt-1">{message.lastError}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{message.attempts}</td>
+                  <td className="px-4 py-3 text-right">
+                    {['Queued', 'Failed'].includes(message.status) && emailConfigured && (
+                      <button
+                        onClick={() => handleRetry(message._id)}
+                        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        <RotateCw className="h-4 w-4 mr-1" />
+                        Send Now
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Outbox;
\ No newline at end of file
@@ -0,0 +1,344 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Plus, Edit, Trash2, Percent, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { fetchMagazines } from '../store/slices/bookingSlice';
+import { pricingRulesAPI } from '../utils/api';
+import { PRICING_RULE_TYPES, PRICING_RULE_TYPE_STYLES, ruleTypeOf } from '../utils/pricingRules';
+import { usePermissions } from '../utils/permissions';
+
+const emptyRule = { name: '', type: 'frequency', magazine: '', tiers: [{ minimum: 3, percentage: 5 }], percentage: '', active: true };
+
+const toFormValues = (rule) => rule ? {
+  ...rule,
+  magazine: rule.magazine?._id || '',
+  tiers: rule.tiers.length > 0 ? rule.tiers : [{ minimum: '', percentage: '' }],
+  percentage: rule.percentage || ''
+} : emptyRule;
+
+const describeRule = (rule) => {
+  const type = ruleTypeOf(rule.type);
+  return type.counts
+    ? rule.tiers.map(tier => `${tier.minimum}+ ${type.counts}: ${tier.percentage}%`).join(', ')
+    : `${rule.percentage}%`;
+};
+
+const PricingRuleModal = ({ rule, magazines, onClose, onSave }) => {
+  const [form, setForm] = useState(toFormValues(rule));
+  const type = ruleTypeOf(form.type);
+
+  const setTier = (index, field, value) => {
+    setForm({ ...form, tiers: form.tiers.map((tier, i) => i === index ? { ...tier, [field]: value } : tier) });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      name: form.name,
+      type: form.type,
+      magazine: form.magazine || null,
+      tiers: type.counts ? form.tiers.map(tier => ({ minimum: Number(tier.minimum), percentage: Number(tier.percentage) })) : [],
+      percentage: type.counts ? 0 : Number(form.percentage),
+      active: form.active
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mb-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">{rule ? 'Edit Pricing Rule' : 'Add Pricing Rule'}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g. Series discount"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm({ ...form, type: e.target.value })}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {PRICING_RULE_TYPES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+              <select
+                value={form.magazine}
+                onChange={(e) => setForm({ ...form, magazine: e.target.value })}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">All magazines</option>
+                {magazines.map(magazine => (
+                  <option key={magazine._id} value={magazine._id}>{magazine.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            {type.description}. A magazine's own rules of a type replace the rules for all magazines.
+          </p>
+
+          {type.counts ? (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-sm font-medium text-gray-700">Tiers</label>
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, tiers: [...form.tiers, { minimum: '', percentage: '' }] })}
+                  className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Tier
+                </button>
+              </div>
+              <div className="space-y-2">
+                {form.tiers.map((tier, index) => (
+                  <div key={index} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={tier.minimum}
+                      onChange={(e) => setTier(index, 'minimum', e.target.value)}
+                      required
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span>or more {type.counts}:</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                      value={tier.percentage}
+                      onChange={(e) => setTier(index, 'percentage', e.target.value)}
+                      required
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span>% off</span>
+                    {form.tiers.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => setForm({ ...form, tiers: form.tiers.filter((_, i) => i !== index) })}
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Commission (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                value={form.percentage}
+                onChange={(e) => setForm({ ...form, percentage: e.target.value })}
+                required
+                className="block w-32 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          )}
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.active}
+              onChange={(e) => setForm({ ...form, active: e.target.checked })}
+              className="mr-2 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            Active
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              {rule ? 'Update' : 'Create'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Discounts and commission applied automatically when bookings are saved
+const PricingRules = () => {
+  const dispatch = useDispatch();
+  const { magazines } = useSelector((state) => state.booking);
+  const { can } = usePermissions();
+  const canEdit = can('rateCards:edit');
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingRule, setEditingRule] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+
+  const fetchRules = async () => {
+    try {
+      const response = await pricingRulesAPI.getAll();
+      setRules(response.data);
+    } catch (error) {
+      toast.error('Error fetching pricing rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    dispatch(fetchMagazines());
+    fetchRules();
+  }, [dispatch]);
+
+  const openModal = (rule = null) => {
+    setEditingRule(rule);
+    setIsModalOpen(true);
+  };
+
+  const handleSave = async (data) => {
+    try {
+      if (editingRule) {
+        await pricingRulesAPI.update(editingRule._id, data);
+        toast.success('Pricing rule updated successfully');
+      } else {
+        await pricingRulesAPI.create(data);
+        toast.success('Pricing rule created successfully');
+      }
+      setIsModalOpen(false);
+      setEditingRule(null);
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (window.confirm(`Delete the pricing rule "${rule.name}"? Saved bookings keep their prices.`)) {
+      try {
+        await pricingRulesAPI.delete(rule._id);
+        setRules(current => current.filter(item => item._id !== rule._id));
+        toast.success('Pricing rule deleted successfully');
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'An error occurred');
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Pricing Rules</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Discounts and agency commission worked out for each entry when a booking is saved. Discounts typed on a booking override the rules and are flagged.
+          </p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={() => openModal()}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Pricing Rule
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="text-center py-12">
+            <Percent className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No pricing rules yet</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {rules.map(rule => (
+              <li key={rule._id} className="px-4 py-4 sm:px-6 flex items-center justify-between">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <p className={`text-sm font-medium ${rule.active ? 'text-gray-900' : 'text-gray-500 line-through'}`}>{rule.name}</p>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${PRICING_RULE_TYPE_STYLES[rule.type]}`}>
+                      {ruleTypeOf(rule.type).label}
+                    </span>
+                    <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">
+                      {rule.magazine?.name || 'All magazines'}
+                    </span>
+                    {!rule.active && (
+                      <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">Inactive</span>
+                    )}
+                  </div>
+                  <p className="mt-1 text-sm text-gray-600">{describeRule(rule)}</p>
+                </div>
+                {canEdit && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => openModal(rule)}
+                      className="p-2 text-gray-400 hover:text-blue-600 rounded-md"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      className="p-2 text-gray-400 hover:text-red-600 rounded-md"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {isModalOpen && (
+        <PricingRuleModal
+          rule={editingRule}
+          magazines={magazines}
+          onClose={() => {
+            setIsModalOpen(false);
+            setEditingRule(null);
+          }}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PricingRules;
\ No newline at end of file
@@ -1,122 +1,385 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import Layout from '../components/Layout';
-import { BarChart3, Download, Filter } from 'lucide-react';
+import { BarChart3, Download, Play } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api, {
+  reportsAPI,
+  magazinesAPI,
+  schedulesAPI,
+  customersAPI,
+  businessTypesAPI
+} from '../utils/api';
+import { formatMoney } from '../utils/money';
+
+const EMPTY_FILTERS = {
+  magazine: '',
+  customer: '',
+  contentType: '',
+  businessType: '',
+  status: '',
+  issueFrom: '',
+  issueTo: '',
+  dateFrom: '',
+  dateTo: ''
+};
+
+const selectClassName = 'block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+// Money is reported in the organisation's base currency
+const formatCell = (column, value, currency) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (column.type === 'money') return formatMoney(Number(value), currency);
+  if (column.type === 'date') return new Date(value).toLocaleDateString('en-GB');
+  return value;
+};
+
+// Send the report definition without empty filters
+const toReportRequest = (dataset, filters, columns, groupBy) => ({
+  dataset,
+  filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+  columns,
+  groupBy: groupBy || undefined
+});
 
 const Reports = () => {
+  const [datasets, setDatasets] = useState([]);
+  const [dataset, setDataset] = useState('bookings');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedColumns, setSelectedColumns] = useState([]);
+  const [groupBy, setGroupBy] = useState('');
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const [magazines, setMagazines] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [businessTypes, setBusinessTypes] = useState([]);
+  const [contentTypes, setContentTypes] = useState([]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [datasetsResponse, magazinesResponse, schedulesResponse, customersResponse, businessTypesResponse, contentTypesResponse] = await Promise.all([
+          reportsAPI.getDatasets(),
+          magazinesAPI.getAll(),
+          schedulesAPI.getAll(),
+          customersAPI.getAll(),
+          businessTypesAPI.getAll(),
+          api.get('/content-types')
+        ]);
+        setDatasets(datasetsResponse.data);
+        setMagazines(magazinesResponse.data);
+        setSchedules(schedulesResponse.data);
+        setCustomers(customersResponse.data);
+        setBusinessTypes(businessTypesResponse.data);
+        setContentTypes(contentTypesResponse.data.map(type => type.name));
+      } catch (error) {
+        console.error('Error loading report options:', error);
+        toast.error('Error loading report options');
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  const definition = datasets.find(d => d.key === dataset);
+
+  // Start each dataset with all of its columns, ungrouped
+  useEffect(() => {
+    if (definition) {
+      setSelectedColumns(definition.columns.map(column => column.key));
+      setGroupBy('');
+      setReport(null);
+    }
+  }, [definition]);
+
+  const hasFilter = (filter) => definition?.filters.includes(filter);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDatasetChange = (value) => {
+    setDataset(value);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const toggleColumn = (key) => {
+    setSelectedColumns(prev => prev.includes(key)
+      ? prev.filter(k => k !== key)
+      // Keep the dataset's column order
+      : definition.columns.map(column => column.key).filter(k => k === key || prev.includes(k)));
+  };
+
+  const validate = () => {
+    if (selectedColumns.length === 0) {
+      toast.error('Please choose at least one column');
+      return false;
+    }
+    return true;
+  };
+
+  const handleRun = async () => {
+    if (!validate()) return;
+
+    try {
+      setRunning(true);
+      const response = await reportsAPI.run(toReportRequest(dataset, filters, selectedColumns, groupBy));
+      setReport(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error running report');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    if (!validate()) return;
+
+    try {
+      setExporting(true);
+      const response = await reportsAPI.export(toReportRequest(dataset, filters, selectedColumns, groupBy), format);
+      const url = URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `${dataset}_report_${new Date().toISOString().split('T')[0]}.${format}`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error exporting report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderSummaryRow = (label, sums, className) => (
+    <tr className={className}>
+      {report.columns.map((column, index) => (
+        <td key={column.key} className={`px-4 py-2 whitespace-nowrap text-sm font-semibold ${column.type === 'text' ? '' : 'text-right'}`}>
+          {column.key in sums ? formatCell(column, sums[column.key], report.currency) : (index === 0 ? label : '')}
+        </td>
+      ))}
+    </tr>
+  );
+
+  const issueOptions = schedules.map(schedule => (
+    <optgroup key={schedule._id} label={schedule.name}>
+      {[...schedule.issues].sort((a, b) => a.sortOrder - b.sortOrder).map(issue => (
+        <option key={issue._id} value={issue._id}>{issue.name}</option>
+      ))}
+    </optgroup>
+  ));
+
   return (
     <Layout>
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         {/* Header */}
         <div className="mb-8">
           <h1 className="text-3xl font-bold text-gray-900">Reports</h1>
-          <p className="mt-2 text-gray-600">Generate detailed reports and analytics</p>
+          <p className="mt-2 text-gray-600">Build reports on bookings, leaflet deliveries and customers, and export them</p>
         </div>
 
-        {/* Coming Soon Message */}
-        <div className="text-center py-12">
-          <BarChart3 className="mx-auto h-16 w-16 text-gray-400" />
-          <h3 className="mt-4 text-lg font-medium text-gray-900">Advanced Reporting</h3>
-          <p className="mt-2 text-sm text-gray-500 max-w-md mx-auto">
-            Comprehensive reporting features are under development. Soon you'll have access to 
-            detailed analytics, custom filters, and exportable reports.
-          </p>
-          <div className="mt-6 flex justify-center space-x-3">
-            <button
-              disabled
-              className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-gray-400 cursor-not-allowed"
-            >
-              <Filter className="h-4 w-4 mr-2" />
-              Filter Reports (Coming Soon)
-            </button>
-            <button
-              disabled
-              className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-500 bg-white cursor-not-allowed"
-            >
-              <Download className="h-4 w-4 mr-2" />
-              Export Data (Coming Soon)
-            </button>
-          </div>
-        </div>
-
-        {/* Feature Preview */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
-          <div className="bg-white shadow rounded-lg p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Booking Reports</h3>
-            <div className="space-y-3">
-              <h4 className="text-sm font-medium text-gray-700">Available Reports</h4>
-              <ul className="text-sm text-gray-600 space-y-1">
-                <li>• Customer booking summaries</li>
-                <li>• Magazine revenue breakdown</li>
-                <li>• Content type analysis</li>
-                <li>• Issue planning reports</li>
-                <li>• Financial summaries</li>
-                <li>• Space utilization reports</li>
-              </ul>
+        {/* Report Definition */}
+        <div className="bg-white shadow rounded-lg p-6 space-y-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Dataset</label>
+              <select value={dataset} onChange={(e) => handleDatasetChange(e.target.value)} className={selectClassName}>
+                {datasets.map(d => (
+                  <option key={d.key} value={d.key}>{d.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Group and Subtotal By</label>
+              <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={selectClassName}>
+                <option value="">No grouping</option>
+                {definition?.columns.filter(column => column.dimension).map(column => (
+                  <option key={column.key} value={column.key}>{column.label}</option>
+                ))}
+              </select>
             </div>
           </div>
 
-          <div className="bg-white shadow rounded-lg p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Export Options</h3>
-            <div className="space-y-3">
-              <h4 className="text-sm font-medium text-gray-700">Supported Formats</h4>
-              <ul className="text-sm text-gray-600 space-y-1">
-                <li>• CSV for Excel compatibility</li>
-                <li>• PDF for professional reports</li>
-                <li>• Custom date range filtering</li>
-                <li>• Multi-criteria filtering</li>
-                <li>• Scheduled report delivery</li>
-                <li>• Real-time data updates</li>
-              </ul>
+          {/* Filters */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Filters</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              {hasFilter('magazine') && (
+                <select name="magazine" value={filters.magazine} onChange={handleFilterChange} className={selectClassName}>
+                  <option value="">All Magazines</option>
+                  {magazines.map(magazine => (
+                    <option key={magazine._id} value={magazine._id}>{magazine.name}</option>
+                  ))}
+                </select>
+              )}
+              {hasFilter('customer') && (
+                <select name="customer" value={filters.customer} onChange={handleFilterChange} className={selectClassName}>
+                  <option value="">All Customers</option>
+                  {customers.map(customer => (
+                    <option key={customer._id} value={customer._id}>{customer.name}</option>
+                  ))}
+                </select>
+              )}
+              {hasFilter('contentType') && (
+                <select name="contentType" value={filters.contentType} onChange={handleFilterChange} className={selectClassName}>
+                  <option value="">All Types</option>
+                  {contentTypes.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              )}
+              {hasFilter('businessType') && (
+                <select name="businessType" value={filters.businessType} onChange={handleFilterChange} className={selectClassName}>
+                  <option value="">All Business Types</option>
+                  {businessTypes.map(type => (
+                    <option key={type._id} value={type._id}>{type.section}</option>
+                  ))}
+                </select>
+              )}
+              {hasFilter('status') && (
+                <select name="status" value={filters.status} onChange={handleFilterChange} className={selectClassName}>
+                  <option value="">All Statuses</option>
+                  {definition.statuses.map(status => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
+                </select>
+              )}
+              {hasFilter('issueRange') && (
+                <>
+                  <select name="issueFrom" value={filters.issueFrom} onChange={handleFilterChange} className={selectClassName}>
+                    <option value="">From first issue</option>
+                    {issueOptions}
+                  </select>
+                  <select name="issueTo" value={filters.issueTo} onChange={handleFilterChange} className={selectClassName}>
+                    <option value="">To last issue</option>
+                    {issueOptions}
+                  </select>
+                </>
+              )}
+              {hasFilter('dateRange') && (
+                <>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Created from</label>
+                    <input type="date" name="dateFrom" value={filters.dateFrom} onChange={handleFilterChange} className={selectClassName} />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Created to</label>
+                    <input type="date" name="dateTo" value={filters.dateTo} onChange={handleFilterChange} className={selectClassName} />
+                  </div>
+                </>
+              )}
             </div>
           </div>
 
-          <div className="bg-white shadow rounded-lg p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Analytics Dashboard</h3>
-            <div className="space-y-3">
-              <h4 className="text-sm font-medium text-gray-700">Key Metrics</h4>
-              <ul className="text-sm text-gray-600 space-y-1">
-                <li>• Revenue trends over time</li>
-                <li>• Customer lifetime value</li>
-                <li>• Space booking efficiency</li>
-                <li>• Popular content types</li>
-                <li>• Seasonal patterns</li>
-                <li>• Profit margin analysis</li>
-              </ul>
+          {/* Columns */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Columns</h3>
+            <div className="flex flex-wrap gap-x-6 gap-y-2">
+              {definition?.columns.map(column => (
+                <label key={column.key} className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedColumns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                  />
+                  {column.label}
+                </label>
+              ))}
             </div>
           </div>
 
-          <div className="bg-white shadow rounded-lg p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Custom Views</h3>
-            <div className="space-y-3">
-              <h4 className="text-sm font-medium text-gray-700">Flexible Filtering</h4>
-              <ul className="text-sm text-gray-600 space-y-1">
-                <li>• Filter by customer, magazine, issue</li>
-                <li>• Date range selection</li>
-                <li>• Content type filtering</li>
-                <li>• Status-based reports</li>
-                <li>• Revenue threshold filters</li>
-                <li>• Custom field combinations</li>
-              </ul>
-            </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={handleRun}
+              disabled={running || !definition}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Play className="h-4 w-4 mr-2" />
+              {running ? 'Running...' : 'Run Report'}
+            </button>
+            {['csv', 'xlsx'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={exporting || !definition}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Download className="h-4 w-4 mr-2" />
+                Export {format.toUpperCase()}
+              </button>
+            ))}
           </div>
         </div>
 
-        {/* Current Capabilities */}
-        <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 mt-8">
-          <h3 className="text-lg font-semibold text-blue-900 mb-3">What's Available Now</h3>
-          <p className="text-blue-800 text-sm mb-4">
-            While advanced reporting is in development, you can currently access basic reports through:
-          </p>
-          <ul className="text-blue-700 text-sm space-y-1">
-            <li>• Dashboard analytics with pie charts and revenue breakdowns</li>
-            <li>• Individual customer booking summaries</li>
-            <li>• Publications revenue overview</li>
-            <li>• Current issue space allocation analysis</li>
-          </ul>
-        </div>
+        {/* Results */}
+        {report ? (
+          <div className="mt-6 bg-white shadow rounded-lg overflow-x-auto">
+            <div className="px-4 py-3 border-b border-gray-200 text-sm text-gray-600">
+              {report.label}: {report.count} rows
+              {report.groupBy && ` in ${report.groups.length} groups by ${report.groupBy.label}`}
+            </div>
+            {report.count === 0 ? (
+              <p className="text-center py-8 text-sm text-gray-500">No rows match these filters.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {report.columns.map(column => (
+                      <th
+                        key={column.key}
+                        className={`px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${column.type === 'text' ? 'text-left' : 'text-right'}`}
+                      >
+                        {column.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {report.groups.map(group => (
+                    <React.Fragment key={group.value || 'all'}>
+                      {report.groupBy && (
+                        <tr className="bg-gray-100">
+                          <td colSpan={report.columns.length} className="px-4 py-2 text-sm font-semibold text-gray-900">
+                            {report.groupBy.label}: {group.value}
+                          </td>
+                        </tr>
+                      )}
+                      {group.rows.map((row, index) => (
+                        <tr key={index}>
+                          {report.columns.map(column => (
+                            <td
+                              key={column.key}
+                              className={`px-4 py-2 whitespace-nowrap text-sm text-gray-900 ${column.type === 'text' ? '' : 'text-right'}`}
+                            >
+                              {formatCell(column, row[column.key], report.currency)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      {report.groupBy && renderSummaryRow(`Subtotal (${group.count})`, group.subtotals, 'bg-gray-50')}
+                    </React.Fragment>
+                  ))}
+                  {renderSummaryRow(`Total (${report.count})`, report.totals, 'bg-blue-50')}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <BarChart3 className="mx-auto h-16 w-16 text-gray-400" />
+            <p className="mt-4 text-sm text-gray-500">Choose a dataset, filters and columns, then run the report.</p>
+          </div>
+        )}
       </div>
     </Layout>
   );
 };
 
-export default Reports; 
\ No newline at end of file
+export default Reports;
\ No newline at end of file
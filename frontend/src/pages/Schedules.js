@@ -12,10 +12,14 @@ import {
   X,
   Archive,
   ArchiveRestore,
-  GripVertical
+  GripVertical,
+  Repeat,
+  CalendarPlus
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import api from '../utils/api';
+import { usePermissions } from '../utils/permissions';
+import { OPTIONAL_ISSUE_DATES, toDateInput } from '../utils/issueDates';
 
 const scheduleSchema = yup.object({
   name: yup.string().required('Schedule name is required'),
@@ -28,6 +32,238 @@ const scheduleSchema = yup.object({
   ).min(1, 'At least one issue is required')
 });
 
+const FREQUENCY_OPTIONS = [
+  { value: 'monthly', label: 'Monthly', unit: 'months' },
+  { value: 'weekly', label: 'Weekly', unit: 'weeks' },
+  { value: 'quarterly', label: 'Quarterly', unit: 'quarters' }
+];
+
+// Rule form values from a schedule's stored recurrence, or defaults for a new schedule
+const ruleFormValues = (recurrence) => recurrence ? {
+  frequency: recurrence.frequency,
+  interval: recurrence.interval,
+  startDate: toDateInput(recurrence.startDate),
+  namePattern: recurrence.namePattern,
+  closeOffsetDays: recurrence.closeOffsetDays,
+  skipDates: (recurrence.skipDates || []).map(toDateInput).join('\n')
+} : {
+  frequency: 'monthly',
+  interval: 1,
+  startDate: toDateInput(new Date()),
+  namePattern: '{MMM}{YY}',
+  closeOffsetDays: 14,
+  skipDates: ''
+};
+
+// Generate a new schedule from a recurrence rule, or extend an existing one, previewing the issues first
+const ScheduleGeneratorModal = ({ schedule, onClose, onSave }) => {
+  const [name, setName] = useState('');
+  const [rule, setRule] = useState(ruleFormValues(schedule?.recurrence));
+  const [months, setMonths] = useState(12);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const unit = FREQUENCY_OPTIONS.find(option => option.value === rule.frequency)?.unit;
+
+  const updateRule = (field, value) => {
+    setRule({ ...rule, [field]: value });
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    try {
+      setBusy(true);
+      const response = await api.post('/schedules/generate', {
+        rule: {
+          ...rule,
+          skipDates: rule.skipDates.split(/[\s,]+/).filter(Boolean)
+        },
+        months,
+        schedule: schedule?._id
+      });
+      setPreview(response.data);
+    } catch (error) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.msg || data?.message || 'Error generating issues');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => {
+    const generated = preview.issues.map(issue => ({
+      name: issue.name,
+      closeDate: issue.closeDate,
+      publicationDate: issue.publicationDate
+    }));
+
+    onSave({
+      name: schedule ? schedule.name : name,
+      issues: [...(schedule ? schedule.issues : []), ...generated].map((issue, index) => ({ ...issue, sortOrder: index })),
+      recurrence: preview.rule
+    });
+  };
+
+  const inputClass = 'block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mb-20 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            {schedule ? `Extend ${schedule.name}` : 'Generate Schedule'}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {!schedule && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Schedule Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Monthly, BiMonthly"
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Frequency</label>
+              <select value={rule.frequency} onChange={(e) => updateRule('frequency', e.target.value)} className={inputClass}>
+                {FREQUENCY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Every ({unit})</label>
+              <input
+                type="number"
+                min="1"
+                value={rule.interval}
+                onChange={(e) => updateRule('interval', parseInt(e.target.value, 10) || 1)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">First Publication Date</label>
+              <input
+                type="date"
+                value={rule.startDate}
+                onChange={(e) => updateRule('startDate', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Closes (days before)</label>
+              <input
+                type="number"
+                min="0"
+                value={rule.closeOffsetDays}
+                onChange={(e) => updateRule('closeOffsetDays', parseInt(e.target.value, 10) || 0)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Issue Name Pattern</label>
+              <input
+                type="text"
+                value={rule.namePattern}
+                onChange={(e) => updateRule('namePattern', e.target.value)}
+                className={inputClass}
+              />
+              <p className="mt-1 text-xs text-gray-500">{'{YYYY} {YY} {MMMM} {MMM} {MM} {DD} {Q} {N}'}</p>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Skip Publication Dates</label>
+              <textarea
+                rows={2}
+                value={rule.skipDates}
+                onChange={(e) => updateRule('skipDates', e.target.value)}
+                placeholder="2026-12-25"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Months to Generate</label>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={months}
+                onChange={(e) => {
+                  setMonths(parseInt(e.target.value, 10) || 12);
+                  setPreview(null);
+                }}
+                className={inputClass}
+              />
+              {schedule && <p className="mt-1 text-xs text-gray-500">Starting after {schedule.issues[schedule.issues.length - 1]?.name}</p>}
+            </div>
+          </div>
+
+          {preview && (
+            <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Issue</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Publication</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Close Date</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {preview.issues.map(issue => (
+                    <tr key={issue.name}>
+                      <td className="px-3 py-2 font-medium text-gray-900">{issue.name}</td>
+                      <td className="px-3 py-2 text-gray-600">{new Date(issue.publicationDate).toLocaleDateString('en-GB')}</td>
+                      <td className="px-3 py-2 text-gray-600">{new Date(issue.closeDate).toLocaleDateString('en-GB')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={busy}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              {busy ? 'Generating...' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!preview || (!schedule && !name.trim())}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {schedule ? `Add ${preview ? preview.issues.length : ''} Issues` : 'Create Schedule'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const ScheduleModal = ({ schedule, onClose, onSave }) => {
   const { register, handleSubmit, control, formState: { errors }, reset, watch } = useForm({
     resolver: yupResolver(scheduleSchema),
@@ -54,6 +290,10 @@ const ScheduleModal = ({ schedule, onClose, onSave }) => {
       issues: data.issues.map((issue, index) => ({
         ...issue,
         closeDate: new Date(issue.closeDate).toISOString(),
+        ...Object.fromEntries(OPTIONAL_ISSUE_DATES.map(({ key }) => [
+          key,
+          issue[key] ? new Date(issue[key]).toISOString() : null
+        ])),
         sortOrder: index
       }))
     };
@@ -85,7 +325,8 @@ const ScheduleModal = ({ schedule, onClose, onSave }) => {
         name: schedule.name,
         issues: schedule.issues.map(issue => ({
           ...issue,
-          closeDate: new Date(issue.closeDate).toISOString().split('T')[0]
+          closeDate: toDateInput(issue.closeDate),
+          ...Object.fromEntries(OPTIONAL_ISSUE_DATES.map(({ key }) => [key, toDateInput(issue[key])]))
         }))
       });
     }
@@ -95,7 +336,7 @@ const ScheduleModal = ({ schedule, onClose, onSave }) => {
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-      <div className="relative top-20 mx-auto p-5 border w-full max-w-4xl shadow-lg rounded-md bg-white">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-5xl shadow-lg rounded-md bg-white">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-lg font-medium text-gray-900">
             {schedule ? 'Edit Schedule' : 'Add Schedule'}
@@ -165,7 +406,7 @@ const ScheduleModal = ({ schedule, onClose, onSave }) => {
                   >
                     <GripVertical className="h-5 w-5 text-gray-400" />
                     
-                    <div className="flex-1 grid grid-cols-2 gap-4">
+                    <div className="flex-1 grid grid-cols-2 md:grid-cols-3 gap-4">
                       <div>
                         <label className="block text-xs font-medium text-gray-700 mb-1">
                           Issue Name
@@ -185,7 +426,7 @@ const ScheduleModal = ({ schedule, onClose, onSave }) => {
                       
                       <div>
                         <label className="block text-xs font-medium text-gray-700 mb-1">
-                          Close Date {isCloseDatePast && <span className="text-red-600">(Past - Cannot modify)</span>}
+                          Booking Close {isCloseDatePast && <span className="text-red-600">(Past - Cannot modify)</span>}
                         </label>
                         <input
                           type="date"
@@ -201,6 +442,19 @@ const ScheduleModal = ({ schedule, onClose, onSave }) => {
                           </p>
                         )}
                       </div>
+
+                      {OPTIONAL_ISSUE_DATES.map(({ key, label }) => (
+                        <div key={key}>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">
+                            {label}
+                          </label>
+                          <input
+                            type="date"
+                            {...register(`issues.${index}.${key}`)}
+                            className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+                      ))}
                     </div>
 
                     <button
@@ -249,6 +503,9 @@ const Schedules = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedSchedule, setSelectedSchedule] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [generator, setGenerator] = useState(null);
+  const { can } = usePermissions();
+  const canEdit = can('settings:edit');
 
   useEffect(() => {
     fetchSchedules();
@@ -292,6 +549,24 @@ const Schedules = () => {
     }
   };
 
+  // Save a generated schedule, or the issues generated to extend one
+  const handleGeneratedSchedule = async (scheduleData) => {
+    const extending = generator.schedule;
+    try {
+      const response = extending
+        ? await api.put(`/schedules/${extending._id}`, scheduleData)
+        : await api.post('/schedules', scheduleData);
+      setSchedules(extending
+        ? schedules.map(s => s._id === extending._id ? response.data : s)
+        : [response.data, ...schedules]);
+      setGenerator(null);
+      toast.success(extending ? 'Schedule extended successfully' : 'Schedule created successfully');
+    } catch (error) {
+      console.error('Error saving generated schedule:', error);
+      toast.error(error.response?.data?.message || 'Error saving schedule');
+    }
+  };
+
   const handleDeleteSchedule = async (scheduleId) => {
     if (window.confirm('Are you sure you want to delete this schedule?')) {
       try {
@@ -331,18 +606,27 @@ const Schedules = () => {
             Manage issue schedules with close dates for booking management
           </p>
         </div>
-        <div className="mt-4 sm:mt-0">
-          <button
-            onClick={() => {
-              setSelectedSchedule(null);
-              setShowModal(true);
-            }}
-            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add Schedule
-          </button>
-        </div>
+        {canEdit && (
+          <div className="mt-4 sm:mt-0 flex space-x-3">
+            <button
+              onClick={() => setGenerator({ schedule: null })}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Repeat className="h-4 w-4 mr-2" />
+              Generate Schedule
+            </button>
+            <button
+              onClick={() => {
+                setSelectedSchedule(null);
+                setShowModal(true);
+              }}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Schedule
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Search */}
@@ -387,23 +671,32 @@ const Schedules = () => {
                     <h4 className="text-lg font-medium text-gray-900">
                       {schedule.name}
                     </h4>
-                    <div className="flex space-x-2">
-                      <button
-                        onClick={() => {
-                          setSelectedSchedule(schedule);
-                          setShowModal(true);
-                        }}
-                        className="text-blue-600 hover:text-blue-900"
-                      >
-                        <Edit className="h-4 w-4" />
-                      </button>
-                      <button
-                        onClick={() => handleDeleteSchedule(schedule._id)}
-                        className="text-red-600 hover:text-red-900"
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </button>
-                    </div>
+                    {canEdit && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => setGenerator({ schedule })}
+                          title="Extend with generated issues"
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          <CalendarPlus className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => {
+                            setSelectedSchedule(schedule);
+                            setShowModal(true);
+                          }}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteSchedule(schedule._id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
                   </div>
 
                   <div className="mt-4">
@@ -456,6 +749,14 @@ const Schedules = () => {
           onSave={selectedSchedule ? handleUpdateSchedule : handleCreateSchedule}
         />
       )}
+
+      {generator && (
+        <ScheduleGeneratorModal
+          schedule={generator.schedule}
+          onClose={() => setGenerator(null)}
+          onSave={handleGeneratedSchedule}
+        />
+      )}
     </div>
   );
 };
@@ -1,14 +1,20 @@
 import React, { useState } from 'react';
-import { Users, BookOpen, Layers, Tag, Calendar } from 'lucide-react';
+import { Users, BookOpen, Layers, Tag, Calendar, Building2, Mail, Inbox, Percent } from 'lucide-react';
 import Layout from '../components/Layout';
 import BusinessTypes from './BusinessTypes';
 import ContentSizes from './ContentSizes';
 import ContentTypes from './ContentTypes';
+import PricingRules from './PricingRules';
 import Magazines from './Magazines';
 import Schedules from './Schedules';
+import Organisation from './Organisation';
+import EmailTemplates from './EmailTemplates';
+import Outbox from './Outbox';
+import { usePermissions } from '../utils/permissions';
 
 const Settings = () => {
   const [activeTab, setActiveTab] = useState('business-types');
+  const { can } = usePermissions();
 
   const tabs = [
     {
@@ -23,6 +29,13 @@ const Settings = () => {
       icon: Layers,
       component: ContentSizes
     },
+    {
+      id: 'pricing-rules',
+      name: 'Pricing Rules',
+      icon: Percent,
+      component: PricingRules,
+      permission: 'prices:view'
+    },
     {
       id: 'content-types',
       name: 'Content Types',
@@ -40,8 +53,27 @@ const Settings = () => {
       name: 'Schedules',
       icon: Calendar,
       component: Schedules
+    },
+    {
+      id: 'email-templates',
+      name: 'Email Templates',
+      icon: Mail,
+      component: EmailTemplates
+    },
+    {
+      id: 'outbox',
+      name: 'Outbox',
+      icon: Inbox,
+      component: Outbox,
+      permission: 'emails:send'
+    },
+    {
+      id: 'organisation',
+      name: 'Organisation',
+      icon: Building2,
+      component: Organisation
     }
-  ];
+  ].filter(tab => !tab.permission || can(tab.permission));
 
   const ActiveComponent = tabs.find(tab => tab.id === activeTab)?.component;
 
@@ -52,7 +84,7 @@ const Settings = () => {
           <div className="sm:flex-auto">
             <h1 className="text-2xl font-semibold text-gray-900">Settings</h1>
             <p className="mt-2 text-sm text-gray-700">
-              Manage your business types, content sizes, content types, magazines, and schedules.
+              Manage your business types, content sizes, pricing rules, content types, magazines, schedules, emails, and organisation.
             </p>
           </div>
         </div>
@@ -30,6 +30,9 @@ const schema = yup.object({
     .string()
     .oneOf([yup.ref('password'), null], 'Passwords must match')
     .required('Please confirm your password'),
+  inviteCode: yup
+    .string()
+    .trim(),
 });
 
 export default function Signup () {
@@ -237,6 +240,24 @@ export default function Signup () {
                 <p className="error-message">{errors.confirmPassword.message}</p>
               )}
             </div>
+
+            {/* Invite Code */}
+            <div>
+              <label htmlFor="inviteCode" className="form-label">
+                Invite Code (Optional)
+              </label>
+              <input
+                id="inviteCode"
+                type="text"
+                autoComplete="off"
+                {...register('inviteCode')}
+                className={`form-input ${errors.inviteCode ? 'form-input-error' : ''}`}
+                placeholder="Enter a code to join your team's organisation"
+              />
+              {errors.inviteCode && (
+                <p className="error-message">{errors.inviteCode.message}</p>
+              )}
+            </div>
           </div>
 
           {/* Password requirements */}
@@ -35,6 +35,20 @@ export const checkAuth = createAsyncThunk(
         return thunkAPI.rejectWithValue('Token expired');
       }
 
+      // Refresh the stored user so role and permission changes take effect
+      try {
+        const response = await axios.get(`${API_URL}/me`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        return { user: response.data.user, token };
+      } catch (error) {
+        if (error.response?.status === 401) {
+          clearAuthData();
+          return thunkAPI.rejectWithValue('Session expired');
+        }
+      }
+
       return { user, token };
     } catch (error) {
       clearAuthData();
@@ -0,0 +1,11 @@
+// Additional charge types mirroring backend/utils/additionalCharges.js
+export const CHARGE_TYPES = [
+  { value: 'design', label: 'Design fee' },
+  { value: 'premiumPosition', label: 'Premium position surcharge' },
+  { value: 'lateArtwork', label: 'Late artwork fee' },
+  { value: 'other', label: 'Other' }
+];
+
+export const chargeTypeLabel = (value) => CHARGE_TYPES.find(type => type.value === value)?.label || value;
+
+export const chargesTotal = (charges) => (charges || []).reduce((sum, charge) => sum + (Number(charge.amount) || 0), 0);
\ No newline at end of file
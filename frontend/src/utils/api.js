@@ -56,14 +56,38 @@ export const authAPI = {
   resetPassword: (token, password) => api.post(`/auth/reset-password/${token}`, { password }),
 };
 
+// Organisations API
+export const organisationsAPI = {
+  getCurrent: () => api.get('/organisations/current'),
+  update: (organisationData) => api.put('/organisations/current', organisationData),
+  regenerateInviteCode: () => api.post('/organisations/current/invite-code'),
+  join: (inviteCode) => api.post('/organisations/join', { inviteCode }),
+  updateMemberRole: (userId, role) => api.put(`/organisations/current/members/${userId}/role`, { role }),
+  removeMember: (userId) => api.delete(`/organisations/current/members/${userId}`),
+};
+
 // Customers API
 export const customersAPI = {
   getAll: () => api.get('/customers'),
   getById: (id) => api.get(`/customers/${id}`),
+  getOverview: (id) => api.get(`/customers/${id}/overview`),
   create: (customerData) => api.post('/customers', customerData),
   update: (id, customerData) => api.put(`/customers/${id}`, customerData),
   delete: (id) => api.delete(`/customers/${id}`),
   search: (query) => api.get(`/customers/search/${query}`),
+  importCSV: (formData) => {
+    return axios.create({
+      baseURL: API_BASE_URL,
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        'Content-Type': 'multipart/form-data',
+      },
+    }).post('/customers/import', formData);
+  },
+  exportCSV: () => api.get('/customers/export', { responseType: 'blob' }),
+  previewMerge: (mergeData) => api.post('/customers/merge/preview', mergeData),
+  merge: (mergeData) => api.post('/customers/merge', mergeData),
+  getMerges: () => api.get('/customers/merges'),
 };
 
 // Business Types API
@@ -105,6 +129,8 @@ export const schedulesAPI = {
   update: (id, scheduleData) => api.put(`/schedules/${id}`, scheduleData),
   delete: (id) => api.delete(`/schedules/${id}`),
   archive: (id) => api.patch(`/schedules/${id}/archive`),
+  generate: (data) => api.post('/schedules/generate', data),
+  getKeyDates: (params) => api.get('/schedules/key-dates', { params }),
   getAvailableIssues: (scheduleId) => api.get(`/schedules/${scheduleId}/available-issues`),
   validateIssue: (issueName) => api.get(`/schedules/validate-issue/${encodeURIComponent(issueName)}`),
 };
@@ -117,7 +143,10 @@ export const contentSizesAPI = {
   update: (id, contentSizeData) => api.put(`/content-sizes/${id}`, contentSizeData),
   delete: (id) => api.delete(`/content-sizes/${id}`),
   archive: (id, archived) => api.patch(`/content-sizes/${id}/archive`, { archived }),
-  getPrice: (contentSizeId, magazineId) => api.get(`/content-sizes/${contentSizeId}/price/${magazineId}`),
+  getPrice: (contentSizeId, magazineId, params = {}) => api.get(`/content-sizes/${contentSizeId}/price/${magazineId}`, { params }),
+  getRates: (id) => api.get(`/content-sizes/${id}/rates`),
+  addRate: (id, rateData) => api.post(`/content-sizes/${id}/rates`, rateData),
+  deleteRate: (id, rateId) => api.delete(`/content-sizes/${id}/rates/${rateId}`),
   cleanup: () => api.post('/content-sizes/cleanup'),
 };
 
@@ -129,8 +158,15 @@ export const bookingsAPI = {
   update: (id, bookingData) => api.put(`/bookings/${id}`, bookingData),
   delete: (id) => api.delete(`/bookings/${id}`),
   getCustomerBookings: (customerId) => api.get(`/bookings/customer/${customerId}`),
-  getReportData: (params = {}) => api.get('/bookings/report/data', { params }),
+  price: (bookingData) => api.post('/bookings/price', bookingData),
   getCurrentIssue: () => api.get('/bookings/current-issue'),
+  getCapacity: (magazineId, excludeBooking) => api.get(`/bookings/capacity/${magazineId}`, { params: { excludeBooking } }),
+  updateArtworkStatus: (id, entryId, artworkStatus) => api.patch(`/bookings/${id}/entries/${entryId}/artwork`, { artworkStatus }),
+  updateStatus: (id, statusData) => api.patch(`/bookings/${id}/status`, statusData),
+  getHistory: (id) => api.get(`/bookings/${id}/history`),
+  restoreVersion: (id, versionId) => api.post(`/bookings/${id}/history/${versionId}/restore`),
+  getDocument: (id, document) => api.get(`/bookings/${id}/${document}.pdf`, { responseType: 'blob' }),
+  sendEmail: (id, emailData) => api.post(`/bookings/${id}/email`, emailData),
 };
 
 // Leaflet Delivery API
@@ -143,6 +179,57 @@ export const leafletDeliveryAPI = {
   getReportData: (params = {}) => api.get('/leaflet-delivery/report/data', { params }),
 };
 
+// Flatplans API
+export const flatplansAPI = {
+  get: (magazineId, issueId) => api.get(`/flatplans/${magazineId}/${issueId}`),
+  save: (magazineId, issueId, placements) => api.put(`/flatplans/${magazineId}/${issueId}`, { placements }),
+};
+
+// Invoices API
+export const invoicesAPI = {
+  getAll: (params = {}) => api.get('/invoices', { params }),
+  getById: (id) => api.get(`/invoices/${id}`),
+  generate: (issue, magazine) => api.post('/invoices/generate', { issue, magazine }),
+  createForBooking: (bookingId) => api.post(`/invoices/booking/${bookingId}`),
+  update: (id, invoiceData) => api.put(`/invoices/${id}`, invoiceData),
+  updateStatus: (id, statusData) => api.patch(`/invoices/${id}/status`, statusData),
+  delete: (id) => api.delete(`/invoices/${id}`),
+  getPdf: (id) => api.get(`/invoices/${id}/pdf`, { responseType: 'blob' }),
+};
+
+// Reports API
+export const reportsAPI = {
+  getDatasets: () => api.get('/reports/datasets'),
+  run: (reportData) => api.post('/reports/run', reportData),
+  export: (reportData, format) => api.post('/reports/export', { ...reportData, format }, { responseType: 'blob' }),
+};
+
+// Emails API
+export const emailsAPI = {
+  getTemplates: () => api.get('/emails/templates'),
+  updateTemplate: (key, templateData) => api.put(`/emails/templates/${key}`, templateData),
+  resetTemplate: (key) => api.delete(`/emails/templates/${key}`),
+  getOutbox: (params = {}) => api.get('/emails/outbox', { params }),
+  retry: (id) => api.post(`/emails/outbox/${id}/retry`),
+};
+
+// Pricing Rules API
+export const pricingRulesAPI = {
+  getAll: () => api.get('/pricing-rules'),
+  create: (ruleData) => api.post('/pricing-rules', ruleData),
+  update: (id, ruleData) => api.put(`/pricing-rules/${id}`, ruleData),
+  delete: (id) => api.delete(`/pricing-rules/${id}`),
+};
+
+// Calendar feed API
+export const calendarAPI = {
+  getFeed: () => api.get('/calendar/feed'),
+  regenerateToken: () => api.post('/calendar/feed/token'),
+};
+
+// Full URL of a calendar feed path, which calendar apps fetch directly
+export const calendarFeedUrl = (path) => `${API_BASE_URL}${path}`;
+
 // Dashboard API
 export const dashboardAPI = {
   getStats: () => api.get('/dashboard/stats'),
@@ -0,0 +1,36 @@
+// Booking lifecycle mirroring backend/utils/bookingStatus.js; the server enforces the transitions
+export const BOOKING_STATUSES = ['Draft', 'Quote', 'Provisional', 'Confirmed', 'Published', 'Cancelled'];
+
+// Statuses a new booking can start in
+export const INITIAL_STATUSES = ['Draft', 'Quote', 'Provisional', 'Confirmed'];
+
+export const STATUS_TRANSITIONS = {
+  Draft: ['Quote', 'Provisional', 'Confirmed', 'Cancelled'],
+  Quote: ['Draft', 'Provisional', 'Confirmed', 'Cancelled'],
+  Provisional: ['Quote', 'Confirmed', 'Cancelled'],
+  Confirmed: ['Provisional', 'Published', 'Cancelled'],
+  Published: [],
+  Cancelled: ['Draft']
+};
+
+// Statuses of bookings that take their space and can be invoiced
+export const BOOKED_STATUSES = ['Confirmed', 'Published'];
+
+// Statuses of bookings that hold space, provisionally or booked, and can be confirmed in writing
+export const SPACE_STATUSES = ['Provisional', ...BOOKED_STATUSES];
+
+export const STATUS_STYLES = {
+  Draft: 'bg-gray-100 text-gray-800',
+  Quote: 'bg-purple-100 text-purple-800',
+  Provisional: 'bg-yellow-100 text-yellow-800',
+  Confirmed: 'bg-green-100 text-green-800',
+  Published: 'bg-blue-100 text-blue-800',
+  Cancelled: 'bg-red-100 text-red-800'
+};
+
+// Default length of a provisional hold, as a yyyy-mm-dd value for date inputs
+export const defaultProvisionalExpiry = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 14);
+  return date.toISOString().split('T')[0];
+};
\ No newline at end of file
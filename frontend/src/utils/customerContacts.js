@@ -0,0 +1,36 @@
+// Customer contact roles mirroring backend/utils/customerContacts.js
+export const CONTACT_ROLES = [
+  { value: 'billing', label: 'Billing' },
+  { value: 'artwork', label: 'Artwork' },
+  { value: 'decisionMaker', label: 'Decision maker' }
+];
+
+export const ADDRESS_FIELDS = [
+  { name: 'line1', label: 'Address line 1' },
+  { name: 'line2', label: 'Address line 2' },
+  { name: 'city', label: 'Town / City' },
+  { name: 'county', label: 'County' },
+  { name: 'postcode', label: 'Postcode' },
+  { name: 'country', label: 'Country' }
+];
+
+// Contact roles to send each kind of email to, in order of preference
+const RECIPIENT_ROLES = {
+  bookingConfirmation: ['decisionMaker', 'billing'],
+  quote: ['decisionMaker', 'billing'],
+  artworkReminder: ['artwork', 'decisionMaker'],
+  invoice: ['billing', 'decisionMaker']
+};
+
+// The contact an email should go to (the server picks the same one when no address is given)
+export const findRecipient = (customer, document) => {
+  const contacts = (customer?.contacts || []).filter(contact => contact.email);
+  const roles = RECIPIENT_ROLES[document] || [];
+
+  for (const role of roles) {
+    const contact = contacts.find(item => item.roles?.includes(role));
+    if (contact) return contact;
+  }
+
+  return contacts[0] || null;
+};
\ No newline at end of file
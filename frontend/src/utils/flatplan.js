@@ -0,0 +1,61 @@
+// Page ladder helpers mirroring backend/utils/flatplans.js; the server checks placements again on save
+
+const roundPages = (pages) => Math.round(pages * 1000) / 1000;
+
+// Where a placement starts and ends, in pages counted from the start of page 1
+export const placementRange = (placement) => {
+  const start = roundPages(placement.page - 1 + (placement.position || 0));
+  return { start, end: roundPages(start + placement.size) };
+};
+
+// Part of a placement that falls on a page, as fractions of the page, or null when it isn't on it
+export const pageSegment = (placement, page) => {
+  const { start, end } = placementRange(placement);
+  const top = Math.max(start, page - 1);
+  const bottom = Math.min(end, page);
+
+  if (bottom <= top) {
+    return null;
+  }
+
+  return {
+    top: roundPages(top - (page - 1)),
+    height: roundPages(bottom - top),
+    first: placement.page === page
+  };
+};
+
+// Share of a page not taken by any placement
+export const pageFreeSpace = (placements, page) => roundPages(
+  1 - placements.reduce((sum, placement) => sum + (pageSegment(placement, page)?.height || 0), 0)
+);
+
+const overlapsAny = (placement, others) => {
+  const { start, end } = placementRange(placement);
+  return others.some(other => {
+    const range = placementRange(other);
+    return range.start < end && start < range.end;
+  });
+};
+
+// Position on a page closest to the wanted one where an item fits without overlapping
+// the other placements or running past the last page. Returns null when there is no room.
+export const findFreePosition = (others, page, size, wanted, totalPages) => {
+  const candidates = [wanted, 0];
+  others.forEach(other => {
+    const end = placementRange(other).end - (page - 1);
+    if (end > 0 && end < 1) candidates.push(roundPages(end));
+  });
+
+  return candidates
+    .filter(position => {
+      const placement = { page, position, size };
+      return position >= 0 && position < 1 &&
+        placementRange(placement).end <= totalPages &&
+        !overlapsAny(placement, others);
+    })
+    .sort((a, b) => Math.abs(a - wanted) - Math.abs(b - wanted))[0] ?? null;
+};
+
+// Readable size of an item in pages
+export const formatPages = (pages) => `${roundPages(pages)} ${pages === 1 ? 'page' : 'pages'}`;
\ No newline at end of file
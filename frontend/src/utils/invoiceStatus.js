@@ -0,0 +1,25 @@
+import { invoicesAPI } from './api';
+
+// Invoice states mirroring backend/utils/invoiceStatus.js; the server enforces the transitions
+export const INVOICE_STATUSES = ['Draft', 'Issued', 'Paid', 'Void'];
+
+export const INVOICE_TRANSITIONS = {
+  Draft: ['Issued', 'Void'],
+  Issued: ['Paid', 'Void'],
+  Paid: [],
+  Void: []
+};
+
+export const INVOICE_STATUS_STYLES = {
+  Draft: 'bg-gray-100 text-gray-800',
+  Issued: 'bg-blue-100 text-blue-800',
+  Paid: 'bg-green-100 text-green-800',
+  Void: 'bg-red-100 text-red-800'
+};
+
+// Open an invoice's PDF in a new tab (fetched with the user's token)
+export const openInvoicePdf = async (id) => {
+  const response = await invoicesAPI.getPdf(id);
+  const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+  window.open(url, '_blank');
+};
\ No newline at end of file
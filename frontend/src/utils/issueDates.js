@@ -0,0 +1,16 @@
+// Key dates of a schedule issue, mirroring backend/utils/issueDates.js, in the order they fall
+export const ISSUE_DATES = [
+  { key: 'closeDate', label: 'Booking close', style: 'bg-red-100 text-red-800' },
+  { key: 'artworkDeadline', label: 'Artwork deadline', style: 'bg-orange-100 text-orange-800' },
+  { key: 'proofApprovalDate', label: 'Proof approval', style: 'bg-yellow-100 text-yellow-800' },
+  { key: 'printDate', label: 'Print', style: 'bg-purple-100 text-purple-800' },
+  { key: 'publicationDate', label: 'On sale', style: 'bg-green-100 text-green-800' }
+];
+
+// Key dates an issue may leave empty
+export const OPTIONAL_ISSUE_DATES = ISSUE_DATES.filter(date => date.key !== 'closeDate');
+
+export const ISSUE_DATE_STYLES = Object.fromEntries(ISSUE_DATES.map(date => [date.key, date.style]));
+
+// A date as a yyyy-mm-dd value for date inputs
+export const toDateInput = (date) => date ? new Date(date).toISOString().split('T')[0] : '';
\ No newline at end of file
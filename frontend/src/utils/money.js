@@ -0,0 +1,45 @@
+// Currencies mirroring backend/utils/money.js
+export const CURRENCIES = [
+  { value: 'GBP', label: 'Pound sterling', locale: 'en-GB' },
+  { value: 'EUR', label: 'Euro', locale: 'en-IE' },
+  { value: 'USD', label: 'US dollar', locale: 'en-US' }
+];
+
+export const DEFAULT_CURRENCY = 'GBP';
+
+const MINOR_UNITS = 100;
+
+const currencyOf = (currency) => CURRENCIES.find(item => item.value === currency)
+  || CURRENCIES.find(item => item.value === DEFAULT_CURRENCY);
+
+// Round an amount to the nearest minor unit, half away from zero, as the server does
+export const roundMoney = (amount) => {
+  const minor = Number(((Number(amount) || 0) * MINOR_UNITS).toFixed(6));
+  return (Math.sign(minor) * Math.round(Math.abs(minor)) || 0) / MINOR_UNITS;
+};
+
+// An amount in the currency's local format, e.g. £1,234.50 or €1,234.50
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const { value, locale } = currencyOf(currency);
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: value }).format(Number(amount) || 0);
+};
+
+// Whole amounts without the minor units, for chart axes
+export const formatMoneyShort = (amount, currency = DEFAULT_CURRENCY) => {
+  const { value, locale } = currencyOf(currency);
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: value, maximumFractionDigits: 0 })
+    .format(Number(amount) || 0);
+};
+
+// Symbol of a currency for labels, e.g. £ or €
+export const currencySymbol = (currency = DEFAULT_CURRENCY) => {
+  const { value, locale } = currencyOf(currency);
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: value })
+    .formatToParts(0)
+    .find(part => part.type === 'currency')?.value || value;
+};
+
+export const currencyLabel = (currency) => {
+  const item = CURRENCIES.find(option => option.value === currency);
+  return item ? `${item.value} (${item.label})` : currency;
+};
\ No newline at end of file
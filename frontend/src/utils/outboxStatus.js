@@ -0,0 +1,16 @@
+// Outbox message states mirroring backend/utils/outboxStatus.js
+export const OUTBOX_STATUSES = ['Queued', 'Sending', 'Sent', 'Failed'];
+
+export const OUTBOX_STATUS_STYLES = {
+  Queued: 'bg-yellow-100 text-yellow-800',
+  Sending: 'bg-blue-100 text-blue-800',
+  Sent: 'bg-green-100 text-green-800',
+  Failed: 'bg-red-100 text-red-800'
+};
+
+// Emails that can be sent from a booking (see backend/utils/bookingEmails.js)
+export const BOOKING_EMAIL_TEMPLATES = [
+  { key: 'bookingConfirmation', label: 'Booking confirmation' },
+  { key: 'quote', label: 'Quote' },
+  { key: 'artworkReminder', label: 'Artwork reminder' }
+];
\ No newline at end of file
@@ -0,0 +1,16 @@
+import { useSelector } from 'react-redux';
+
+// Permission checks mirror backend/utils/permissions.js; the server enforces them,
+// these helpers only decide what the UI shows
+export const hasPermission = (user, permission) => {
+  return Boolean(user?.permissions?.includes(permission));
+};
+
+// Hook returning a `can(permission)` helper for the logged in user
+export const usePermissions = () => {
+  const { user } = useSelector((state) => state.auth);
+
+  return {
+    can: (permission) => hasPermission(user, permission)
+  };
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+// Pricing rule types mirroring backend/utils/pricingEngine.js
+export const PRICING_RULE_TYPES = [
+  {
+    value: 'frequency',
+    label: 'Frequency discount',
+    counts: 'issues',
+    description: 'Discount by the number of issues an entry runs in (ongoing entries count every issue from their start)'
+  },
+  {
+    value: 'bundle',
+    label: 'Bundle discount',
+    counts: 'magazines',
+    description: 'Discount on every entry by the number of magazines in the booking'
+  },
+  {
+    value: 'commission',
+    label: 'Agency commission',
+    description: 'Commission taken off the discounted price of bookings for customers marked as agencies'
+  }
+];
+
+export const PRICING_RULE_TYPE_STYLES = {
+  frequency: 'bg-blue-100 text-blue-800',
+  bundle: 'bg-purple-100 text-purple-800',
+  commission: 'bg-green-100 text-green-800'
+};
+
+export const ruleTypeOf = (value) => PRICING_RULE_TYPES.find(type => type.value === value);
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { roundMoney } from './money';
+
+// Tax treatments mirroring backend/utils/tax.js
+export const TAX_TREATMENTS = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'reverseCharge', label: 'Reverse charge' },
+  { value: 'zeroRated', label: 'Zero-rated' },
+  { value: 'exempt', label: 'Exempt' }
+];
+
+export const DEFAULT_TAX_LABEL = 'VAT';
+
+export const taxTreatmentLabel = (value) => TAX_TREATMENTS.find(treatment => treatment.value === value)?.label || value;
+
+export const calculateTax = (taxable, percentage) => roundMoney((Number(taxable) || 0) * (Number(percentage) || 0) / 100);
+
+// The tax of a booking, delivery or invoice, e.g. "VAT 20%" or "VAT (reverse charge)"
+export const describeTax = (tax) => {
+  const label = tax?.label || DEFAULT_TAX_LABEL;
+  return tax?.treatment && tax.treatment !== 'standard'
+    ? `${label} (${taxTreatmentLabel(tax.treatment).toLowerCase()})`
+    : `${label} ${tax?.percentage || 0}%`;
+};
+
+// The tax a customer pays, as { label, name, percentage, treatment }, from the organisation's rates
+export const resolveTax = ({ label, rates }, customer) => {
+  const treatment = customer?.taxTreatment || 'standard';
+  if (treatment !== 'standard') {
+    return { label, name: taxTreatmentLabel(treatment), percentage: 0, treatment };
+  }
+
+  const rate = (customer?.taxRate && rates.find(item => item._id === customer.taxRate))
+    || rates.find(item => item.isDefault)
+    || rates[0];
+
+  return { label, name: rate?.name || '', percentage: rate?.percentage || 0, treatment };
+};
\ No newline at end of file